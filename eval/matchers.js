@@ -0,0 +1,153 @@
+import { getLocalDate, addDays, zonedTimeToUtc, resolveTimeZone } from '../src/utils/timezone.js';
+import { MUTATING_TOOLS } from '../src/services/toolService.js';
+
+/**
+ * Scoring for the evaluation harness (eval/run.js).
+ *
+ * Times in the dataset are relative to the day the evaluation runs, on the dataset's clock:
+ * "today 15:00", "tomorrow 09:30", "+2d 10:00" (days from today). Expected tool call
+ * arguments are matchers:
+ *   "Standup"                        equal (strings ignore case and surrounding spaces)
+ *   { "includes": "roadmap" }        string contains, ignoring case
+ *   { "at": "tomorrow 15:00" }       date-time at that instant (any UTC offset)
+ *   { "date": "tomorrow" }           date or date-time on that local day
+ *   { "emails": ["bob@x.com"] }      attendee list containing these emails
+ *   { "exists": false }              argument absent (or present, with true)
+ */
+
+const DAY_PATTERN = /^(today|tomorrow|\+(\d+)d)$/i;
+const TIME_PATTERN = /^(\d{1,2}):(\d{2})$/;
+
+/**
+ * Local date of a relative day
+ * @param {string} day - "today", "tomorrow" or "+Nd"
+ * @param {string} timeZone - IANA time zone
+ * @param {Date} [now]
+ * @returns {string} YYYY-MM-DD
+ * @throws {Error} If the day isn't in one of those forms
+ */
+export function resolveDay(day, timeZone, now = new Date()) {
+  const match = DAY_PATTERN.exec(day.trim());
+  if (!match) {
+    throw new Error(`Invalid relative day "${day}" (use today, tomorrow or +Nd)`);
+  }
+  const offset = match[1].toLowerCase() === 'today' ? 0 : match[1].toLowerCase() === 'tomorrow' ? 1 : Number(match[2]);
+  return addDays(getLocalDate(now, timeZone), offset);
+}
+
+/**
+ * Instant of a relative local time, e.g. "tomorrow 15:00"
+ * @param {string} value - Relative day and HH:MM
+ * @param {string} timeZone - IANA time zone
+ * @param {Date} [now]
+ * @returns {Date}
+ * @throws {Error} If the value isn't "<day> HH:MM"
+ */
+export function resolveTime(value, timeZone, now = new Date()) {
+  const [day, time] = value.trim().split(/\s+/);
+  const match = TIME_PATTERN.exec(time || '');
+  if (!match) {
+    throw new Error(`Invalid relative time "${value}" (use e.g. "tomorrow 15:00")`);
+  }
+  const [year, month, date] = resolveDay(day, timeZone, now).split('-').map(Number);
+  return new Date(zonedTimeToUtc(resolveTimeZone(timeZone), year, month - 1, date, Number(match[1]) * 60 + Number(match[2])));
+}
+
+function normalize(value) {
+  return typeof value === 'string' ? value.trim().toLowerCase() : value;
+}
+
+/**
+ * Check one argument against its matcher
+ * @param {*} matcher - See the module comment
+ * @param {*} actual - Argument value from the tool call
+ * @param {{timeZone: string, now: Date}} context
+ * @returns {boolean}
+ */
+export function matchArgument(matcher, actual, context) {
+  if (matcher === null || typeof matcher !== 'object' || Array.isArray(matcher)) {
+    return JSON.stringify(normalize(matcher)) === JSON.stringify(normalize(actual));
+  }
+  if ('exists' in matcher) {
+    return (actual !== undefined && actual !== null && actual !== '') === matcher.exists;
+  }
+  if ('includes' in matcher) {
+    return typeof actual === 'string' && normalize(actual).includes(normalize(matcher.includes));
+  }
+  if ('at' in matcher) {
+    const time = typeof actual === 'string' ? new Date(actual).getTime() : NaN;
+    return time === resolveTime(matcher.at, context.timeZone, context.now).getTime();
+  }
+  if ('date' in matcher) {
+    if (typeof actual !== 'string' || Number.isNaN(new Date(actual).getTime())) {
+      return false;
+    }
+    const date = /^\d{4}-\d{2}-\d{2}$/.test(actual) ? actual : getLocalDate(actual, context.timeZone);
+    return date === resolveDay(matcher.date, context.timeZone, context.now);
+  }
+  if ('emails' in matcher) {
+    const emails = (Array.isArray(actual) ? actual : [])
+      .map(attendee => normalize(typeof attendee === 'string' ? attendee : attendee?.email));
+    return matcher.emails.every(email => emails.includes(normalize(email)));
+  }
+  throw new Error(`Unknown matcher ${JSON.stringify(matcher)}`);
+}
+
+/**
+ * Score one case's tool calls and reply against its expectations
+ *
+ * Expected calls are found in order among the calls the agent made, so extra lookups
+ * (e.g. listing events before updating one) don't count against it. Each expected call
+ * contributes a check for its name and one per argument; one more check requires that the model
+ * asked for exactly the expected number of mutating actions (none for a clarification).
+ * @param {Object} expect - Case expectations
+ * @param {Array<{name: string, arguments: Object}>} [expect.toolCalls] - Expected calls, in order
+ * @param {Object} [expect.reply] - Matcher for the final text reply
+ * @param {{toolCalls: Array<{name: string, params: Object}>, message: string|null}} outcome - What the agent did
+ * @param {{timeZone: string, now: Date}} context
+ * @returns {{score: number, passed: boolean, checks: Array<{check: string, passed: boolean, expected?: *, actual?: *}>}}
+ */
+export function scoreCase(expect, outcome, context) {
+  const checks = [];
+  const expectedCalls = expect.toolCalls || [];
+  let position = 0;
+
+  expectedCalls.forEach((expected, index) => {
+    const found = outcome.toolCalls.findIndex((call, callIndex) => callIndex >= position && call.name === expected.name);
+    const call = found === -1 ? null : outcome.toolCalls[found];
+    checks.push({ check: `call ${index + 1}: ${expected.name}`, passed: Boolean(call) });
+    if (call) {
+      position = found + 1;
+    }
+
+    for (const [argument, matcher] of Object.entries(expected.arguments || {})) {
+      const actual = call?.params?.[argument];
+      checks.push({
+        check: `call ${index + 1}: ${expected.name}.${argument}`,
+        passed: Boolean(call) && matchArgument(matcher, actual, context),
+        expected: matcher,
+        actual
+      });
+    }
+  });
+
+  const expectedActions = expectedCalls.filter(call => MUTATING_TOOLS.includes(call.name)).length;
+  const actions = outcome.toolCalls.filter(call => MUTATING_TOOLS.includes(call.name)).map(call => call.name);
+  checks.push({ check: 'no unexpected actions', passed: actions.length === expectedActions, expected: expectedActions, actual: actions });
+
+  if (expect.reply) {
+    checks.push({
+      check: 'reply',
+      passed: matchArgument(expect.reply, outcome.message ?? '', context),
+      expected: expect.reply,
+      actual: outcome.message
+    });
+  }
+
+  const passedChecks = checks.filter(check => check.passed).length;
+  return {
+    score: passedChecks / checks.length,
+    passed: passedChecks === checks.length,
+    checks
+  };
+}
@@ -0,0 +1,210 @@
+import dotenv from 'dotenv';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { fileURLToPath } from 'node:url';
+import '../test/helpers/fakeFirestore.js';
+import { fakeGoogle, resetCalendars } from '../test/helpers/fakeCalendars.js';
+import { runAgentLoop } from '../src/services/agentService.js';
+import { getEvents } from '../src/services/calendarService.js';
+import { getActiveLlmProviders } from '../src/providers/llm.js';
+import { getPromptVersions, resolvePromptVersion } from '../src/prompts/index.js';
+import { getLocalDayRange, formatInTimeZone, formatIsoWithOffset } from '../src/utils/timezone.js';
+import { resolveDay, resolveTime, scoreCase } from './matchers.js';
+
+/**
+ * Offline evaluation of the prompt and tools: runs every case in eval/dataset.json through the
+ * agent loop (processWithLLM on the configured LLM providers, read-only tools against an in-memory
+ * Google calendar seeded from the dataset) and scores the tool calls against the expected ones.
+ *
+ *   npm run eval -- [--case id,...] [--tag name] [--prompt v2] [--min-score 0.9] [--out report.json] [--verbose]
+ *
+ * Mutating actions are only compared, never executed. The report is printed and saved as JSON
+ * (eval/reports/ by default); with --min-score the process fails when the average score is lower.
+ */
+
+dotenv.config();
+
+const EVAL_DIR = path.dirname(fileURLToPath(import.meta.url));
+const USER_EMAIL = 'eval@example.com';
+const TOKEN = 'eval-token';
+
+const { values: options } = parseArgs({
+  options: {
+    dataset: { type: 'string', default: path.join(EVAL_DIR, 'dataset.json') },
+    case: { type: 'string' },
+    tag: { type: 'string' },
+    prompt: { type: 'string' },
+    'min-score': { type: 'string' },
+    out: { type: 'string' },
+    verbose: { type: 'boolean', default: false }
+  }
+});
+
+// Seed the fake calendar with the dataset's events and tasks, placed relative to today
+function seedCalendar(calendar, timeZone, now) {
+  resetCalendars();
+  fakeGoogle.addAccount(TOKEN, USER_EMAIL);
+  for (const event of calendar.events || []) {
+    fakeGoogle.addEvent({
+      ...event,
+      start: { dateTime: formatIsoWithOffset(resolveTime(event.start, timeZone, now), timeZone), timeZone },
+      end: { dateTime: formatIsoWithOffset(resolveTime(event.end, timeZone, now), timeZone), timeZone }
+    });
+  }
+  for (const task of calendar.tasks || []) {
+    // Date-only due dates are stored as UTC midnight, like the real providers
+    fakeGoogle.addTask({ ...task, due: task.due ? `${resolveDay(task.due, timeZone, now)}T00:00:00.000Z` : undefined });
+  }
+}
+
+// The schedule and contacts context /api/voice/command sends with every request
+async function buildContext(calendar, timeZone) {
+  const { start, end } = getLocalDayRange(timeZone, { offsetDays: -1, days: 2 });
+  const events = await getEvents({ google: TOKEN }, 'google', {
+    timeMin: start.toISOString(),
+    timeMax: end.toISOString(),
+    timeZone
+  }, USER_EMAIL);
+  const schedule = (events.events || [])
+    .map(event => {
+      const time = event.start.dateTime
+        ? formatInTimeZone(event.start.dateTime, timeZone, { hour: 'numeric', minute: '2-digit', hour12: true })
+        : 'All day';
+      return `${time} - ${event.summary} (ID: ${event.id}, Calendar: ${event.source || 'google'})`;
+    })
+    .join(', ');
+
+  const contacts = new Map();
+  (calendar.events || []).forEach(event => (event.attendees || []).forEach(attendee => {
+    if (attendee.email && attendee.displayName) {
+      contacts.set(attendee.email, `${attendee.displayName} (${attendee.email})`);
+    }
+  }));
+
+  return { schedule, emailCtxt: [...contacts.values()].join(', ') };
+}
+
+async function runCase(testCase, dataset, promptVersion, now) {
+  const { timeZone } = dataset;
+  seedCalendar(dataset.calendar, timeZone, now);
+  const { schedule, emailCtxt } = await buildContext(dataset.calendar, timeZone);
+
+  const history = [...(testCase.history || []), { role: 'user', content: testCase.utterance }];
+  const result = await runAgentLoop(history, {
+    timezoneInfo: { deviceTimezone: timeZone, deviceTimestamp: now.toISOString() },
+    inputModality: testCase.modality || 'text',
+    emailCtxt,
+    schedule,
+    promptVersion
+  }, {
+    tokens: { google: TOKEN },
+    primaryCalendar: 'google',
+    userEmail: USER_EMAIL,
+    timeZone
+  });
+
+  if (!result.success) {
+    return { id: testCase.id, utterance: testCase.utterance, passed: false, score: 0, error: result.error, checks: [] };
+  }
+
+  const toolCalls = [...result.executedToolCalls, ...result.pendingToolCalls]
+    .map(call => ({ name: call.name, params: call.params }));
+  const scored = scoreCase(testCase.expect, { toolCalls, message: result.message }, { timeZone, now });
+  return {
+    id: testCase.id,
+    utterance: testCase.utterance,
+    ...scored,
+    toolCalls,
+    message: result.message,
+    steps: result.steps,
+    latencyMs: result.latencyMs,
+    llmTokens: result.llmTokens
+  };
+}
+
+function selectCases(cases) {
+  const ids = options.case ? options.case.split(',').map(id => id.trim()) : null;
+  return cases.filter(testCase =>
+    (!ids || ids.includes(testCase.id)) && (!options.tag || (testCase.tags || []).includes(options.tag))
+  );
+}
+
+function printReport(report) {
+  for (const result of report.cases) {
+    const mark = result.passed ? '✅' : '❌';
+    process.stdout.write(`${mark} ${result.id} (${Math.round(result.score * 100)}%)\n`);
+    if (result.error) {
+      process.stdout.write(`   error: ${result.error}\n`);
+    }
+    for (const check of result.checks.filter(check => !check.passed)) {
+      process.stdout.write(`   ✗ ${check.check}: expected ${JSON.stringify(check.expected)}, got ${JSON.stringify(check.actual)}\n`);
+    }
+  }
+  const { summary } = report;
+  process.stdout.write(`\n📊 ${summary.passed}/${summary.cases} cases passed, score ${(summary.score * 100).toFixed(1)}%` +
+    ` (prompt ${report.promptVersion}, ${report.providers.join(', ')}, ${summary.llmTokens} tokens, ${summary.latencyMs} ms)\n`);
+}
+
+async function main() {
+  const dataset = JSON.parse(await fs.readFile(options.dataset, 'utf8'));
+  const cases = selectCases(dataset.cases);
+  if (cases.length === 0) {
+    throw new Error('No cases match --case/--tag');
+  }
+
+  const providers = getActiveLlmProviders('chat').map(provider => provider.id);
+  if (providers.length === 0) {
+    throw new Error('No LLM provider configured (LLM_PROVIDERS)');
+  }
+  if (options.prompt && !getPromptVersions().includes(options.prompt)) {
+    throw new Error(`Unknown prompt version "${options.prompt}" (${getPromptVersions().join(', ')})`);
+  }
+  const promptVersion = resolvePromptVersion(null, options.prompt);
+  const { log, warn } = console;
+  if (!options.verbose) {
+    // Keep the report readable: the services log every tool call
+    console.log = () => {};
+    console.warn = () => {};
+  }
+
+  const startedAt = new Date();
+  const results = [];
+  for (const testCase of cases) {
+    results.push(await runCase(testCase, dataset, promptVersion, new Date()));
+  }
+  Object.assign(console, { log, warn });
+
+  const report = {
+    startedAt: startedAt.toISOString(),
+    dataset: path.relative(process.cwd(), options.dataset),
+    providers,
+    promptVersion,
+    summary: {
+      cases: results.length,
+      passed: results.filter(result => result.passed).length,
+      score: results.reduce((sum, result) => sum + result.score, 0) / results.length,
+      llmTokens: results.reduce((sum, result) => sum + (result.llmTokens || 0), 0),
+      latencyMs: results.reduce((sum, result) => sum + (result.latencyMs || 0), 0)
+    },
+    cases: results
+  };
+
+  printReport(report);
+
+  const out = options.out || path.join(EVAL_DIR, 'reports', `report-${startedAt.toISOString().replace(/[:.]/g, '-')}.json`);
+  await fs.mkdir(path.dirname(out), { recursive: true });
+  await fs.writeFile(out, JSON.stringify(report, null, 2));
+  process.stdout.write(`📝 Report saved to ${out}\n`);
+
+  const minScore = options['min-score'] !== undefined ? Number(options['min-score']) : null;
+  if (minScore !== null && report.summary.score < minScore) {
+    process.stdout.write(`❌ Score below --min-score ${minScore}\n`);
+    process.exitCode = 1;
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Evaluation failed:', error.message);
+  process.exitCode = 1;
+});
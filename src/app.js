@@ -0,0 +1,107 @@
+import express from 'express';
+import cors from 'cors';
+import transcribeRoutes from './routes/transcribeRoutes.js';
+import calendarRoutes from './routes/calendarRoutes.js';
+import voiceRoutes from './routes/voiceRoutes.js';
+import onboardingRoutes from './routes/onboardingRoutes.js';
+import mcpRoutes from './routes/mcpRoutes.js';
+import feedRoutes from './routes/feedRoutes.js';
+import authRoutes from './routes/authRoutes.js';
+import connectionRoutes from './routes/connectionRoutes.js';
+import adminRoutes from './routes/adminRoutes.js';
+import usageRoutes from './routes/usageRoutes.js';
+import { requestLogger, errorLogger } from './middleware/logger.js';
+import authAndRateLimit from './middleware/authAndRateLimit.js';
+import adminAuth from './middleware/adminAuth.js';
+import { getTokenCacheMetrics } from './services/tokenCacheService.js';
+
+// The Express app without a listening server (src/index.js starts it; tests mount it on a random port)
+const app = express();
+
+// Middleware
+// Expose the quota and token headers to browser clients
+app.use(cors({ exposedHeaders: ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'X-Invalid-Tokens', 'X-Refreshed-Token', 'X-Renewal-Handle'] }));
+app.use(express.json());
+
+// Checked per request: src/index.js loads .env after this module is imported
+app.use((req, res, next) => (process.env.USE_LOGGER === 'true' ? requestLogger(req, res, next) : next()));
+
+// Apply authentication + rate limiting to all /api/* routes
+app.use('/api', authAndRateLimit);
+
+// Routes
+app.use('/api', transcribeRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/voice', voiceRoutes);
+app.use('/api/onboarding', onboardingRoutes);
+app.use('/api/mcp', mcpRoutes);
+app.use('/api/connections', connectionRoutes);
+app.use('/api/usage', usageRoutes);
+
+// OAuth sign-in happens before the client has a token
+app.use('/auth', authRoutes);
+
+// Admin API (plans), authenticated with ADMIN_API_KEY
+app.use('/admin', adminAuth, adminRoutes);
+
+// Subscribable calendar feeds authenticate with the token in their URL, not the /api headers
+app.use('/feeds', feedRoutes);
+
+// Health check endpoint
+app.get('/health', (req, res) => {
+  res.json({ 
+    status: 'ok',
+    timestamp: new Date().toISOString(),
+    service: 'scheduler-backend',
+    tokenCache: getTokenCacheMetrics()
+  });
+});
+
+// Root endpoint
+app.get('/', (req, res) => {
+  res.json({ 
+    message: 'Voice Calendar Backend API',
+    version: '1.0.0',
+    endpoints: {
+      health: '/health (includes token verification cache hit/miss counts)',
+      transcribe: 'POST /api/transcribe',
+      usage: 'GET /api/usage (plan, usage and limits with reset times; metered responses also carry RateLimit-* headers)',
+      voice: {
+        stream: 'POST /api/voice/stream (SSE: progressive updates - transcription → response)',
+        command: 'POST /api/voice/command (returns action preview for confirmation)',
+        execute: 'POST /api/voice/execute (executes a stored preview by pendingActionId, with optional per-action decisions/edits)',
+        undo: 'POST /api/voice/undo (reverts the last executed action, or a specific one by undoId)',
+        test: 'POST /api/voice/test (LLM test without auth)'
+      },
+      calendar: {
+        list: 'GET /api/calendar/events?timeMin=&timeMax=&q=&maxResults=&calendarId=',
+        calendars: 'GET /api/calendar/calendars (Google, Outlook and CalDAV calendars, with the ones included in the unified view)',
+        create: 'POST /api/calendar/events',
+        update: 'PUT /api/calendar/events/:eventId',
+        delete: 'DELETE /api/calendar/events/:eventId',
+        freeSlots: 'GET /api/calendar/free-slots?timeMin=&timeMax=&duration=&buffer=&maxResults=&timeZone=&attendees=',
+        export: 'GET /api/calendar/export.ics?timeMin=&timeMax=&calendarId= (unified view as iCalendar)',
+        import: 'POST /api/calendar/import (multipart .ics upload, deduplicated by UID)',
+        feed: 'POST|GET|DELETE /api/calendar/feed (create/rotate, status or revoke the subscribable .ics feed)'
+      },
+      feed: 'GET /feeds/:token.ics (read-only iCalendar feed, no auth headers)',
+      mcp: 'POST /api/mcp (MCP streamable HTTP: calendar + task tools)',
+      auth: 'POST /auth/:provider/token (OAuth code exchange; the server keeps the refresh token)',
+      admin: {
+        plans: 'GET /admin/plans (x-admin-key)',
+        getPlan: 'GET /admin/users/:email/plan (x-admin-key)',
+        setPlan: 'PUT /admin/users/:email/plan (x-admin-key)'
+      },
+      connections: {
+        list: 'GET /api/connections',
+        connect: 'POST /api/connections/:provider (OAuth code for another account)',
+        revoke: 'DELETE /api/connections/:provider'
+      }
+    }
+  });
+});
+
+// Error handling middleware (must be last)
+app.use(errorLogger);
+
+export default app;
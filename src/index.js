@@ -1,73 +1,12 @@
-import express from 'express';
 import dotenv from 'dotenv';
-import cors from 'cors';
-import transcribeRoutes from './routes/transcribeRoutes.js';
-import calendarRoutes from './routes/calendarRoutes.js';
-import voiceRoutes from './routes/voiceRoutes.js';
-import onboardingRoutes from './routes/onboardingRoutes.js';
-import { requestLogger, errorLogger } from './middleware/logger.js';
-import authAndRateLimit from './middleware/authAndRateLimit.js';
+import app from './app.js';
 import { initLogging } from './services/loggingService.js';
 
 // Load environment variables
 dotenv.config();
 
-const app = express();
 const PORT = process.env.PORT || 8080;
 
-// Middleware
-app.use(cors());
-app.use(express.json());
-
-if (process.env.USE_LOGGER === 'true') {
-  app.use(requestLogger);
-}
-
-// Apply authentication + rate limiting to all /api/* routes
-app.use('/api', authAndRateLimit);
-
-// Routes
-app.use('/api', transcribeRoutes);
-app.use('/api/calendar', calendarRoutes);
-app.use('/api/voice', voiceRoutes);
-app.use('/api/onboarding', onboardingRoutes);
-
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({ 
-    status: 'ok',
-    timestamp: new Date().toISOString(),
-    service: 'scheduler-backend'
-  });
-});
-
-// Root endpoint
-app.get('/', (req, res) => {
-  res.json({ 
-    message: 'Voice Calendar Backend API',
-    version: '1.0.0',
-    endpoints: {
-      health: '/health',
-      transcribe: 'POST /api/transcribe',
-      voice: {
-        stream: 'POST /api/voice/stream (SSE: progressive updates - transcription → response)',
-        command: 'POST /api/voice/command (returns action preview for confirmation)',
-        execute: 'POST /api/voice/execute (executes confirmed action)',
-        test: 'POST /api/voice/test (LLM test without auth)'
-      },
-      calendar: {
-        list: 'GET /api/calendar/events?timeMin=&timeMax=&q=&maxResults=',
-        create: 'POST /api/calendar/events',
-        update: 'PUT /api/calendar/events/:eventId',
-        delete: 'DELETE /api/calendar/events/:eventId'
-      }
-    }
-  });
-});
-
-// Error handling middleware (must be last)
-app.use(errorLogger);
-
 // Start server
 const server = app.listen(PORT, async () => {
   console.log(`🚀 Server running on port ${PORT}`);
@@ -0,0 +1,75 @@
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { CallToolRequestSchema, ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import { tools } from '../services/llmService.js';
+import { runTool, MUTATING_TOOLS } from '../services/toolService.js';
+import { recordExecutedActions } from '../services/undoService.js';
+
+/**
+ * MCP (Model Context Protocol) server exposing Kalendra's calendar and task tools.
+ *
+ * The tool list is derived from the same `tools` array the voice assistant sends to the LLM,
+ * so MCP clients and the in-app assistant always see identical names and JSON schemas.
+ * We use the low-level `Server` (rather than `McpServer`) because those schemas are plain JSON Schema, not zod.
+ */
+
+const SERVER_INFO = {
+  name: 'kalendra-calendar',
+  version: '1.0.0'
+};
+
+/**
+ * Create an MCP server bound to one user's calendar credentials
+ * @param {Object} session - Credentials used for every tool call on this server
+ * @param {Object<string, *>} [session.tokens] - Access tokens (or credentials) keyed by provider ID
+ * @param {string} [session.primaryCalendar] - Primary calendar ('google' | 'outlook' | 'caldav'), default 'google'
+ * @param {string} [session.userEmail] - User email for profile lookup
+ * @returns {Server} MCP server (connect it to a stdio or streamable HTTP transport)
+ */
+export function createMcpServer({ tokens = {}, primaryCalendar = 'google', userEmail = null } = {}) {
+  const server = new Server(SERVER_INFO, {
+    capabilities: { tools: {} }
+  });
+
+  server.setRequestHandler(ListToolsRequestSchema, async () => ({
+    tools: tools.map(tool => ({
+      name: tool.function.name,
+      description: tool.function.description,
+      inputSchema: tool.function.parameters
+    }))
+  }));
+
+  server.setRequestHandler(CallToolRequestSchema, async (request) => {
+    const { name, arguments: params = {} } = request.params;
+
+    if (!tools.some(tool => tool.function.name === name)) {
+      return {
+        content: [{ type: 'text', text: `Unknown tool: ${name}` }],
+        isError: true
+      };
+    }
+
+    try {
+      const result = await runTool(name, params, tokens, primaryCalendar, userEmail);
+
+      // Make MCP changes undoable too (an undo itself isn't undoable)
+      if (result.success && userEmail && MUTATING_TOOLS.includes(name) && name !== 'undo_last_action') {
+        const action = { type: name, ...params, calendar: params.calendar || primaryCalendar };
+        await recordExecutedActions(userEmail, [{ action, result }], { endpoint: 'mcp' })
+          .catch(error => console.error('Failed to record undo history:', error));
+      }
+
+      return {
+        content: [{ type: 'text', text: JSON.stringify(result) }],
+        isError: !result.success
+      };
+    } catch (error) {
+      console.error(`MCP tool ${name} error:`, error);
+      return {
+        content: [{ type: 'text', text: error.message || `Failed to run ${name}` }],
+        isError: true
+      };
+    }
+  });
+
+  return server;
+}
@@ -0,0 +1,47 @@
+import dotenv from 'dotenv';
+import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import { createMcpServer } from './mcpServer.js';
+import { parseCaldavCredential } from '../services/caldavClient.js';
+
+/**
+ * Stdio entry point for the MCP server (`npm run mcp`).
+ * Credentials come from env vars since stdio clients can't send our auth headers:
+ * - MCP_GOOGLE_TOKEN / MCP_OUTLOOK_TOKEN - OAuth access tokens
+ * - MCP_CALDAV_URL / MCP_CALDAV_USERNAME / MCP_CALDAV_PASSWORD - CalDAV server and credentials
+ *   (at least one provider required)
+ * - MCP_PRIMARY_CALENDAR - 'google' | 'outlook' | 'caldav' (default: 'google')
+ * - MCP_USER_EMAIL - user email for profile lookup (optional)
+ */
+
+dotenv.config();
+
+// stdout carries the JSON-RPC stream, so route service logging to stderr
+console.log = console.error;
+console.info = console.error;
+
+const caldavCredential = process.env.MCP_CALDAV_USERNAME
+  ? parseCaldavCredential(
+      Buffer.from(`${process.env.MCP_CALDAV_USERNAME}:${process.env.MCP_CALDAV_PASSWORD || ''}`).toString('base64'),
+      process.env.MCP_CALDAV_URL
+    )
+  : null;
+
+const tokens = Object.fromEntries(Object.entries({
+  google: process.env.MCP_GOOGLE_TOKEN || null,
+  outlook: process.env.MCP_OUTLOOK_TOKEN || null,
+  caldav: caldavCredential
+}).filter(([, token]) => token));
+
+if (Object.keys(tokens).length === 0) {
+  console.error('⚠️  MCP_GOOGLE_TOKEN, MCP_OUTLOOK_TOKEN or MCP_CALDAV_URL + MCP_CALDAV_USERNAME is required');
+  process.exit(1);
+}
+
+const server = createMcpServer({
+  tokens,
+  primaryCalendar: process.env.MCP_PRIMARY_CALENDAR || 'google',
+  userEmail: process.env.MCP_USER_EMAIL || null
+});
+
+await server.connect(new StdioServerTransport());
+console.error('✅ Kalendra MCP server running on stdio');
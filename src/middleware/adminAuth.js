@@ -0,0 +1,30 @@
+import crypto from 'crypto';
+
+/**
+ * Admin API authentication
+ * Requests must send the ADMIN_API_KEY value in the x-admin-key header. Without ADMIN_API_KEY
+ * the admin API is disabled.
+ */
+const adminAuth = (req, res, next) => {
+  const adminKey = process.env.ADMIN_API_KEY;
+  if (!adminKey) {
+    return res.status(403).json({
+      success: false,
+      error: 'Admin API is disabled'
+    });
+  }
+
+  // Compare hashes so the comparison is constant-time regardless of length
+  const expected = crypto.createHash('sha256').update(adminKey).digest();
+  const provided = crypto.createHash('sha256').update(String(req.headers['x-admin-key'] || '')).digest();
+  if (!crypto.timingSafeEqual(expected, provided)) {
+    return res.status(401).json({
+      success: false,
+      error: 'Unauthorized: Invalid admin key'
+    });
+  }
+
+  next();
+};
+
+export default adminAuth;
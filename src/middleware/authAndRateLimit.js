@@ -1,98 +1,120 @@
-import { db } from '../config/firebase.js';
+import { getProvider, getProviderIds, readProviderTokens } from '../providers/index.js';
+import { getStoredTokens, renewAccessToken, getAccountKey } from '../services/oauthService.js';
+import { verifyToken } from '../services/tokenCacheService.js';
+import { getUserTimeZone } from '../services/onboardingService.js';
+import { getRequestCost, consumeQuota, recordConsumption, getRateLimitStatus, DEFAULT_PLAN } from '../services/quotaService.js';
+import { resolvePromptVersion } from '../prompts/index.js';
+
+// Number of tools/call requests in an MCP JSON-RPC body (a single message or a batch array)
+function countMcpToolCalls(body) {
+  const messages = Array.isArray(body) ? body : [body];
+  return messages.filter(message => message?.method === 'tools/call').length;
+}
 
 /**
  * Combined Authentication + Rate Limiting Middleware
  * 
  * Flow:
- * 1. Extract OAuth tokens from g-axs-tk and o-axs-tk headers
- * 2. Verify primary token (based on type query param)
- * 3. Get user's email from token
- * 4. Check rate limit in Firestore (by email)
- * 5. Increment usage counter atomically
+ * 1. Extract provider tokens from the g-axs-tk, o-axs-tk and c-axs-tk (+ c-dav-url) headers
+ * 2. Verify primary token (based on type query param) and any secondary tokens, through the
+ *    token verification cache; invalid secondary tokens are dropped
+ *    An expired primary token is renewed from the stored credentials when the request carries the
+ *    x-renewal-handle from sign-in (POST /auth/:provider/token); the new token and handle are sent back
+ *    in the X-Refreshed-Token and X-Renewal-Handle response headers
+ * 3. Get user's email from the primary token
+ * 4. Check the plan quota in Firestore (by email), weighted by endpoint (quotaService)
+ * 5. Increment usage counters atomically; audio seconds and LLM tokens are added when the response ends
  * 6. Attach user info to req.user
- * 7. Set req.googleToken and req.outlookToken for use in route handlers
+ * 7. Set req.account to the verified primary account ("google:<user ID>") and req.tokens (keyed by
+ *    provider ID) for use in route handlers, filling in providers without a header from the stored
+ *    OAuth credentials that account owns (cached like verifications)
+ * 8. Set req.timeZone to the user's IANA zone (x-device-timezone, else the onboarding profile, cached
+ *    like verifications, else UTC); quota windows and "today" follow it
+ * 9. Set req.promptVersion: the x-prompt-version header, else the user's PROMPT_EXPERIMENT cohort,
+ *    else PROMPT_VERSION (prompts/index.js)
  */
 const authAndRateLimit = async (req, res, next) => {
   try {
     // Extract tokens from custom headers
-    const googleToken = req.headers['g-axs-tk'] || null;
-    const outlookToken = req.headers['o-axs-tk'] || null;
+    const tokens = readProviderTokens(req.headers);
     
-    if (!googleToken && !outlookToken) {
+    if (Object.keys(tokens).length === 0) {
       return res.status(401).json({
         success: false,
-        error: 'Unauthorized: Missing tokens (g-axs-tk or o-axs-tk)'
+        error: 'Unauthorized: Missing tokens (g-axs-tk, o-axs-tk or c-axs-tk with c-dav-url)'
       });
     }
 
     // Set tokens for use in route handlers
-    req.googleToken = googleToken;
-    req.outlookToken = outlookToken;
+    req.tokens = tokens;
     
     // Determine primary calendar from query parameter
     const primaryCalendar = req.query.type || 'google';
     req.primaryCalendar = primaryCalendar;
     
     // Use primary token for verification
-    const primaryToken = primaryCalendar === 'outlook' ? outlookToken : googleToken;
+    const provider = getProvider(primaryCalendar);
+    const primaryToken = tokens[primaryCalendar];
     
-    if (!primaryToken) {
+    if (!provider || !primaryToken) {
       return res.status(401).json({
         success: false,
         error: `Unauthorized: Missing ${primaryCalendar} token`
       });
     }
     
-    // Verify the primary OAuth token
-    let userEmail, userId;
-    try {
-      if (primaryCalendar === 'outlook') {
-        // Verify Outlook token with Microsoft Graph API
-        const response = await fetch('https://graph.microsoft.com/v1.0/me', {
-          headers: { 'Authorization': `Bearer ${primaryToken}` }
-        });
-        
-        if (!response.ok) {
-          throw new Error('Invalid Outlook token');
-        }
-        
-        const userInfo = await response.json();
-        userEmail = userInfo.mail || userInfo.userPrincipalName;
-        userId = userInfo.id;
-        
-        if (!userEmail) {
-          throw new Error('Email not found in Outlook token');
-        }
-      } else {
-        // Verify Google token with Google's tokeninfo endpoint
-        const response = await fetch(`https://www.googleapis.com/oauth2/v1/tokeninfo?access_token=${primaryToken}`);
-        
-        if (!response.ok) {
-          throw new Error('Invalid Google token');
-        }
-        
-        const tokenInfo = await response.json();
-        userEmail = tokenInfo.email;
-        userId = tokenInfo.user_id;
-        
-        if (!userEmail) {
-          throw new Error('Email not found in Google token');
-        }
+    // Verify every token with its provider (Google tokeninfo, Graph /me, CalDAV principal), cached
+    const providerIds = Object.keys(tokens);
+    const verifications = await Promise.all(providerIds.map(id => verifyToken(id, tokens[id])));
+    let identity = verifications[providerIds.indexOf(primaryCalendar)];
+    if (!identity.success && req.headers['x-renewal-handle']) {
+      const renewed = await renewAccessToken(primaryCalendar, req.headers['x-renewal-handle'], primaryToken);
+      if (renewed.success) {
+        tokens[primaryCalendar] = renewed.accessToken;
+        res.set({ 'X-Refreshed-Token': renewed.accessToken, 'X-Renewal-Handle': renewed.renewalHandle });
+        identity = await verifyToken(primaryCalendar, renewed.accessToken);
       }
-    } catch (error) {
-      console.error('❌ Token verification failed:', error.message);
+    }
+    if (!identity.success) {
+      console.error('❌ Token verification failed:', identity.error);
       return res.status(401).json({
         success: false,
         error: 'Unauthorized: Invalid or expired token'
       });
     }
+    const userEmail = identity.email;
+    const userId = identity.userId;
+
+    // An invalid secondary token is left out rather than failing the request (stored credentials may replace it)
+    const invalidProviders = [];
+    providerIds.forEach((id, index) => {
+      if (!verifications[index].success) {
+        console.warn(`⚠️ Ignoring invalid ${id} token:`, verifications[index].error);
+        invalidProviders.push(id);
+        delete tokens[id];
+      }
+    });
+    if (invalidProviders.length > 0) {
+      res.set('X-Invalid-Tokens', invalidProviders.join(','));
+    }
+
+    // Providers connected on the server (POST /api/connections/:provider) don't need their header. They are
+    // looked up by the verified account, not the email, which the caller may control (Outlook mail, CalDAV)
+    req.account = getAccountKey(primaryCalendar, userId);
+    const missingProviders = getProviderIds().filter(id => !tokens[id] && getProvider(id).oauth);
+    if (missingProviders.length > 0) {
+      Object.assign(tokens, await getStoredTokens(userEmail, req.account, missingProviders));
+    }
+
+    req.timeZone = await getUserTimeZone(userEmail, req.headers['x-device-timezone']);
+    req.promptVersion = resolvePromptVersion(userEmail, req.headers['x-prompt-version']);
 
     if (process.env.DEBUG_RATE_LIMIT === 'true') {
-      console.log(`🔐 Authenticated user: ${userEmail} (UID: ${userId})`);
+      console.log(`🔐 Authenticated user: ${userEmail} (UID: ${userId}, ${req.timeZone})`);
     }
 
-    // Skip rate limiting for onboarding endpoints
-    if (req.path.startsWith('/onboarding')) {
+    // Skip rate limiting for onboarding, connection and usage endpoints
+    if (req.path.startsWith('/onboarding') || req.path.startsWith('/connections') || req.path === '/usage') {
       req.user = {
         uid: userId,
         email: userEmail
@@ -100,9 +122,9 @@ const authAndRateLimit = async (req, res, next) => {
       return next();
     }
 
-    // Skip rate limiting for calendar event fetching (read-only browsing, not LLM processing)
+    // Skip rate limiting for calendar event/calendar list fetching and exports (read-only browsing, not LLM processing)
     // Match exact path /calendar/events or /calendar/events with query params
-    if (req.path === '/calendar/events' && req.method === 'GET') {
+    if (['/calendar/events', '/calendar/calendars', '/calendar/export.ics'].includes(req.path) && req.method === 'GET') {
       req.user = {
         uid: userId,
         email: userEmail
@@ -110,58 +132,50 @@ const authAndRateLimit = async (req, res, next) => {
       return next();
     }
 
-    // Check rate limit in Firestore (using nested user doc structure)
-    const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD format
-    const userDocRef = db.collection('users').doc(userEmail);
-    const userLimitRef = userDocRef.collection('configs').doc('limits');
+    // Skip rate limiting for MCP protocol handshakes (initialize, tools/list, notifications) - only tools/call is metered,
+    // once per call (a JSON-RPC batch can carry several)
+    const mcpToolCalls = req.path === '/mcp' ? countMcpToolCalls(req.body) : 0;
+    if (req.path === '/mcp' && mcpToolCalls === 0) {
+      req.user = {
+        uid: userId,
+        email: userEmail
+      };
+      return next();
+    }
 
-    // Use a transaction to ensure atomic read + write
+    // Check the user's plan quota in Firestore (weighted by endpoint, daily and monthly windows)
+    const baseCost = getRequestCost(req.method, req.path);
+    const cost = mcpToolCalls > 1 ? { ...baseCost, units: baseCost.units * mcpToolCalls } : baseCost;
     try {
-      const result = await db.runTransaction(async (transaction) => {
-        const doc = await transaction.get(userLimitRef);
-        
-        let usage = 0;
-        let limit = 10; // Default daily limit
-        let lastReset = today;
-
-        if (doc.exists) {
-          const data = doc.data();
-          lastReset = data.lastReset || today;
-          limit = data.limit || 10;
-          usage = data.usage || 0;
-
-          // Reset counter if it's a new day
-          if (lastReset !== today) {
-            usage = 0;
-            lastReset = today;
-          }
-        }
-
-        // Check if user has exceeded limit
-        if (usage >= limit) {
-          return { exceeded: true, usage, limit };
-        }
-
-        // Increment usage counter
-        transaction.set(userDocRef, {
-          email: userEmail,
-          uid: userId
-        }, { merge: true });
-
-        transaction.set(userLimitRef, {
-          usage: usage + 1,
-          limit: limit,
-          lastReset: lastReset
-        }, { merge: true });
-
-        return { exceeded: false, usage: usage + 1, limit };
+      const result = await consumeQuota(userEmail, userId, cost, req.timeZone);
+
+      // Quota headers (RateLimit header fields draft) on every metered response
+      const rateLimit = getRateLimitStatus(result.usage, result.limits, result.exceeded);
+      res.set({
+        'RateLimit-Limit': String(rateLimit.limit),
+        'RateLimit-Remaining': String(rateLimit.remaining),
+        'RateLimit-Reset': String(rateLimit.resetSeconds)
       });
+      req.rateLimit = rateLimit;
 
-      if (result.exceeded) {
+      if (!result.allowed) {
+        const { window, budget, used, limit } = result.exceeded;
         if (process.env.DEBUG_RATE_LIMIT === 'true') {
-          console.log(`⚠️ Rate limit exceeded for ${userEmail}: ${result.usage}/${result.limit}`);
+          console.log(`⚠️ ${window} ${budget} quota exceeded for ${userEmail} (${result.plan}): ${used}/${limit}`);
         }
-        
+
+        const period = window === 'daily' ? 'today! Checkin tomorrow' : 'this month! Checkin next month';
+        const upsell = result.plan === DEFAULT_PLAN ? ', or consider upgrading to Kalendra Plus!' : '.';
+        const limitResponse = {
+          type: 'response',
+          response: `You've reached your maximum usage for ${period}${upsell}`,
+          usage: used,
+          limit,
+          plan: result.plan,
+          window,
+          budget
+        };
+
         // For SSE endpoints, send as SSE event
         if (req.path.includes('/stream')) {
           res.writeHead(200, {
@@ -172,14 +186,9 @@ const authAndRateLimit = async (req, res, next) => {
             'Access-Control-Allow-Headers': 'Cache-Control'
           });
           
-          const sseEvent = {
-            type: 'response',
-            response: "You've reached your maximum usage for today! Checkin tomorrow, or consider upgrading to Kalendra Plus!",
-            usage: result.usage,
-            limit: result.limit
-          };
-          
-          res.write(`data: ${JSON.stringify(sseEvent)}\n\n`);
+          res.write(`data: ${JSON.stringify({ type: 'usage', ...rateLimit })}\n\n`);
+          res.write(`data: ${JSON.stringify(limitResponse)}\n\n`);
+          res.write(`data: ${JSON.stringify({ type: 'done' })}\n\n`);
           res.end();
           return;
         }
@@ -187,24 +196,29 @@ const authAndRateLimit = async (req, res, next) => {
         // For regular endpoints, send JSON response
         return res.status(200).json({
           success: false,
-          type: 'response',
-          response: "You've reached your maximum usage for today! Checkin tomorrow, or consider upgrading to Kalendra Plus!",
-          error: 'Rate limit exceeded',
-          usage: result.usage,
-          limit: result.limit
+          ...limitResponse,
+          error: 'Rate limit exceeded'
         });
       }
 
       if (process.env.DEBUG_RATE_LIMIT === 'true') {
-        console.log(`✅ Rate limit check passed for ${userEmail}: ${result.usage}/${result.limit}`);
+        console.log(`✅ Quota check passed for ${userEmail} (${result.plan}): ${result.usage.daily.units}/${result.limits.daily.units} units today`);
       }
 
+      // Audio seconds and LLM tokens are only known once the route has run (see meterUsage)
+      req.usageMeter = { audioSeconds: 0, llmTokens: 0 };
+      res.once('close', () => {
+        recordConsumption(userEmail, req.usageMeter, req.timeZone)
+          .catch(error => console.error('❌ Failed to record usage:', error.message));
+      });
+
       // Attach user info to request for use in route handlers
       req.user = {
         uid: userId,
         email: userEmail,
-        usage: result.usage,
-        limit: result.limit
+        plan: result.plan,
+        usage: result.usage.daily.units,
+        limit: result.limits.daily.units
       };
 
       next();
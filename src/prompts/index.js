@@ -0,0 +1,121 @@
+import crypto from 'crypto';
+import * as v1 from './v1.js';
+
+/**
+ * Versioned system prompt templates.
+ *
+ * Each version is a module exporting render(context) (see v1.js); add one by writing the module and
+ * registering it below. A request's version is, in order: the x-prompt-version header (registered
+ * versions only), the user's cohort in PROMPT_EXPERIMENT, or PROMPT_VERSION (default: v1).
+ * PROMPT_EXPERIMENT splits users by weight, e.g. "v1:50,v2:50"; a user is hashed to a bucket by
+ * email, so they see the same version on every request for as long as the split is unchanged.
+ * The version is recorded in every interaction log (prompt_version) to compare versions.
+ */
+
+/**
+ * @typedef {Object} PromptContext
+ * @property {string} inputModality - 'voice' | 'text'
+ * @property {string} primaryCalendar - Default calendar for tool calls
+ * @property {Object} timezoneInfo - { deviceTimezone, deviceTimestamp }
+ * @property {string} emailCtxt - Known contacts
+ * @property {string} schedule - Today's meetings
+ */
+
+const DEFAULT_PROMPT_VERSION = 'v1';
+const BUCKETS = 100;
+
+const templates = new Map();
+
+/**
+ * Register a prompt version
+ * @param {string} version - Version name, as used in PROMPT_VERSION / PROMPT_EXPERIMENT / x-prompt-version
+ * @param {{render: function(PromptContext): string}} template
+ */
+export function registerPrompt(version, template) {
+  templates.set(version, template);
+}
+
+/**
+ * Registered prompt versions
+ * @returns {string[]}
+ */
+export function getPromptVersions() {
+  return [...templates.keys()];
+}
+
+// PROMPT_VERSION if registered, else v1
+function getDefaultVersion() {
+  const version = process.env.PROMPT_VERSION;
+  if (version && !templates.has(version)) {
+    console.warn(`⚠️ Unknown PROMPT_VERSION "${version}", using ${DEFAULT_PROMPT_VERSION}`);
+    return DEFAULT_PROMPT_VERSION;
+  }
+  return version || DEFAULT_PROMPT_VERSION;
+}
+
+// PROMPT_EXPERIMENT as [{ version, weight }], skipping unknown versions and invalid weights
+function getExperimentArms() {
+  return (process.env.PROMPT_EXPERIMENT || '')
+    .split(',')
+    .filter(arm => arm.trim())
+    .map(arm => {
+      const [version, weight] = arm.split(':').map(part => part.trim());
+      return { version, weight: Number(weight) };
+    })
+    .filter(({ version, weight }) => {
+      const valid = templates.has(version) && Number.isFinite(weight) && weight > 0;
+      if (!valid) {
+        console.warn(`⚠️ Ignoring PROMPT_EXPERIMENT arm "${version}"`);
+      }
+      return valid;
+    });
+}
+
+// Stable bucket in [0, BUCKETS) for a user
+function getBucket(email) {
+  return crypto.createHash('sha256').update(email.toLowerCase()).digest().readUInt32BE(0) % BUCKETS;
+}
+
+/**
+ * Pick the prompt version for a request
+ * @param {string} [userEmail] - Assigns the user's experiment cohort
+ * @param {string} [requestedVersion] - Per-request override (e.g. the x-prompt-version header)
+ * @returns {string}
+ */
+export function resolvePromptVersion(userEmail, requestedVersion) {
+  if (requestedVersion) {
+    if (templates.has(requestedVersion)) {
+      return requestedVersion;
+    }
+    console.warn(`⚠️ Unknown prompt version "${requestedVersion}" requested, ignoring`);
+  }
+
+  const arms = getExperimentArms();
+  if (userEmail && arms.length > 0) {
+    const total = arms.reduce((sum, arm) => sum + arm.weight, 0);
+    // Weights are scaled to the buckets, so "v1:1,v2:1" and "v1:50,v2:50" split the same way
+    const point = getBucket(userEmail) * total / BUCKETS;
+    let cumulative = 0;
+    for (const arm of arms) {
+      cumulative += arm.weight;
+      if (point < cumulative) {
+        return arm.version;
+      }
+    }
+  }
+
+  return getDefaultVersion();
+}
+
+/**
+ * Render a prompt version's system prompt
+ * @param {string} [version] - Registered version (default: PROMPT_VERSION, else v1)
+ * @param {PromptContext} context
+ * @returns {{version: string, content: string}}
+ */
+export function renderPrompt(version, context) {
+  const resolved = version && templates.has(version) ? version : getDefaultVersion();
+  return { version: resolved, content: templates.get(resolved).render(context) };
+}
+
+registerPrompt('v1', v1);
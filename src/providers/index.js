@@ -0,0 +1,166 @@
+import * as googleCalendarService from '../services/googleCalendarService.js';
+import * as outlookCalendarService from '../services/outlookCalendarService.js';
+import * as googleTasksService from '../services/googleTasksService.js';
+import * as outlookTasksService from '../services/outlookTasksService.js';
+import * as caldavCalendarService from '../services/caldavCalendarService.js';
+import * as caldavTasksService from '../services/caldavTasksService.js';
+import { parseCaldavCredential } from '../services/caldavClient.js';
+
+/**
+ * Calendar provider registry.
+ * A provider is one adapter object: a calendar implementation and, optionally, a tasks implementation.
+ * Every method takes the provider's access token first, returns `{success, ...}` instead of throwing,
+ * and speaks the canonical model in ./models.js. calendarService dispatches through this registry,
+ * so supporting a new provider means writing its adapter and registering it here.
+ */
+
+/**
+ * @typedef {import('./models.js').CalendarEvent} CalendarEvent
+ * @typedef {import('./models.js').Task} Task
+ * @typedef {import('./models.js').BusySchedule} BusySchedule
+ */
+
+/**
+ * @typedef {Object} CalendarAdapter
+ * @property {(token: string, filters: {timeMin?: string, timeMax?: string, maxResults?: number, q?: string, calendarId?: string}) => Promise<{success: boolean, events?: CalendarEvent[], error?: string}>} getEvents
+ *   Occurrences of recurring events are expanded
+ * @property {(token: string, eventId: string, options?: {calendarId?: string}) => Promise<{success: boolean, event?: CalendarEvent, error?: string}>} getEvent
+ * @property {(token: string, eventData: Object) => Promise<{success: boolean, event?: CalendarEvent, error?: string}>} createEvent
+ *   eventData: summary, startTime, endTime, timeZone, description, attendees, recurrence, calendarId
+ * @property {(token: string, eventId: string, eventData: Object) => Promise<{success: boolean, event?: CalendarEvent, previousEvent?: CalendarEvent, scope?: string, error?: string}>} updateEvent
+ *   eventData: partial fields plus scope ('this' | 'following' | 'all') and calendarId
+ * @property {(token: string, eventId: string, options?: {scope?: string, calendarId?: string}) => Promise<{success: boolean, event?: CalendarEvent, message?: string, scope?: string, error?: string}>} deleteEvent
+ * @property {(token: string) => Promise<{success: boolean, calendars?: Array<{id: string, name: string, primary: boolean, canEdit: boolean, color?: string, timeZone?: string}>, error?: string}>} listCalendars
+ * @property {(token: string, emails: string[], timeMin: string, timeMax: string) => Promise<{success: boolean, schedules?: Object<string, BusySchedule>, error?: string}>} getBusyTimes
+ *   Attendees' busy intervals
+ * @property {(token: string) => Promise<{success: boolean, email?: string, userId?: string, expiresAt?: Date, error?: string}>} getUserInfo
+ *   Verifies the token; the email identifies the user (Firestore, rate limits, logs). expiresAt, when known,
+ *   bounds how long the result is cached
+ */
+
+/**
+ * @typedef {Object} TasksAdapter
+ * @property {(token: string, filters: {timeMin?: string, timeMax?: string, maxResults?: number}) => Promise<{success: boolean, tasks?: Task[], error?: string}>} getTasks
+ *   Incomplete tasks due in the range, plus undated ones
+ * @property {(token: string, taskData: {title: string, notes?: string, due?: string}) => Promise<{success: boolean, task?: Task, error?: string}>} createTask
+ * @property {(token: string, taskId: string, taskData: Object) => Promise<{success: boolean, task?: Task, previousTask?: Task, error?: string}>} updateTask
+ * @property {(token: string, taskId: string) => Promise<{success: boolean, task?: Task, message?: string, error?: string}>} deleteTask
+ */
+
+/**
+ * @typedef {Object} ProviderAdapter
+ * @property {string} id - Provider ID, also the `type` / `calendar` value clients send ('google', 'outlook', ...)
+ * @property {string} name - Display name
+ * @property {(headers: Object) => *} readToken - The provider's token from request headers, or null
+ * @property {CalendarAdapter} calendar
+ * @property {TasksAdapter|null} tasks - null when the provider has no tasks
+ * @property {OAuthConfig} [oauth] - For providers whose access tokens the server can refresh (see oauthService)
+ */
+
+/**
+ * @typedef {Object} OAuthConfig
+ * @property {string} tokenUrl - Token endpoint (authorization_code and refresh_token grants)
+ * @property {string} [revokeUrl] - Revocation endpoint (RFC 7009), if the provider has one
+ * @property {string} envPrefix - Client settings come from <prefix>_CLIENT_ID, _CLIENT_SECRET and _REDIRECT_URI
+ * @property {boolean} [refreshWithScope] - Send the granted scope with refresh requests (Microsoft identity platform)
+ */
+
+const CALENDAR_METHODS = ['getEvents', 'getEvent', 'createEvent', 'updateEvent', 'deleteEvent', 'listCalendars', 'getBusyTimes', 'getUserInfo'];
+const TASK_METHODS = ['getTasks', 'createTask', 'updateTask', 'deleteTask'];
+
+const providers = new Map();
+
+/**
+ * Register a provider adapter
+ * @param {ProviderAdapter} adapter
+ * @throws {Error} If the adapter is missing a required method
+ */
+export function registerProvider(adapter) {
+  const missing = [
+    ...CALENDAR_METHODS.filter(method => typeof adapter.calendar?.[method] !== 'function').map(method => `calendar.${method}`),
+    ...(adapter.tasks ? TASK_METHODS.filter(method => typeof adapter.tasks[method] !== 'function').map(method => `tasks.${method}`) : [])
+  ];
+  if (typeof adapter.readToken !== 'function') {
+    missing.push('readToken');
+  }
+  if (!adapter.id || missing.length > 0) {
+    throw new Error(`Invalid calendar provider "${adapter.id}": missing ${missing.join(', ') || 'id'}`);
+  }
+  providers.set(adapter.id, adapter);
+}
+
+/**
+ * Get a registered provider
+ * @param {string} id - Provider ID
+ * @returns {ProviderAdapter|null}
+ */
+export function getProvider(id) {
+  return providers.get(id) || null;
+}
+
+/**
+ * All registered providers, in registration order
+ * @returns {ProviderAdapter[]}
+ */
+export function getProviders() {
+  return [...providers.values()];
+}
+
+/**
+ * IDs of the registered providers
+ * @returns {string[]}
+ */
+export function getProviderIds() {
+  return [...providers.keys()];
+}
+
+/**
+ * Tokens sent with a request, keyed by provider ID (providers without one are left out)
+ * @param {Object} headers - Request headers (lower-case names)
+ * @returns {Object<string, *>}
+ */
+export function readProviderTokens(headers) {
+  const tokens = {};
+  for (const provider of providers.values()) {
+    const token = provider.readToken(headers);
+    if (token) {
+      tokens[provider.id] = token;
+    }
+  }
+  return tokens;
+}
+
+registerProvider({
+  id: 'google',
+  name: 'Google',
+  readToken: (headers) => headers['g-axs-tk'] || null,
+  calendar: googleCalendarService,
+  tasks: googleTasksService,
+  oauth: {
+    tokenUrl: 'https://oauth2.googleapis.com/token',
+    revokeUrl: 'https://oauth2.googleapis.com/revoke',
+    envPrefix: 'GOOGLE'
+  }
+});
+
+registerProvider({
+  id: 'outlook',
+  name: 'Outlook',
+  readToken: (headers) => headers['o-axs-tk'] || null,
+  calendar: outlookCalendarService,
+  tasks: outlookTasksService,
+  oauth: {
+    tokenUrl: 'https://login.microsoftonline.com/common/oauth2/v2.0/token',
+    envPrefix: 'MICROSOFT',
+    refreshWithScope: true
+  }
+});
+
+// Basic credentials (base64 "username:password") plus the server URL, e.g. an iCloud app-specific password
+registerProvider({
+  id: 'caldav',
+  name: 'CalDAV',
+  readToken: (headers) => parseCaldavCredential(headers['c-axs-tk'], headers['c-dav-url']),
+  calendar: caldavCalendarService,
+  tasks: caldavTasksService
+});
@@ -0,0 +1,258 @@
+import OpenAI, { AzureOpenAI } from 'openai';
+import * as openaiLlmService from '../services/openaiLlmService.js';
+import * as anthropicLlmService from '../services/anthropicLlmService.js';
+
+/**
+ * LLM provider registry: chat with tools (llmService) and transcription (whisperService).
+ * Requests and replies use the OpenAI chat format whatever the backend; adapters translate.
+ * Providers are tried in the order of LLM_PROVIDERS / TRANSCRIPTION_PROVIDERS (default: openai),
+ * skipping unconfigured ones, and a failed call falls over to the next provider.
+ * Settings are read from the environment on each call, clients are created once.
+ */
+
+/**
+ * @typedef {Object} ChatRequest
+ * @property {Array<Object>} messages - OpenAI chat messages, system prompt first
+ * @property {Array<Object>} tools - OpenAI function tools
+ */
+
+/**
+ * @typedef {Object} ChatResult
+ * @property {boolean} success
+ * @property {{content: string|null, tool_calls?: Array}} [message] - Assistant reply, OpenAI format
+ * @property {{promptTokens: number, completionTokens: number, totalTokens: number}} [usage]
+ * @property {string} [error]
+ */
+
+/**
+ * @typedef {Object} ChatAdapter
+ * @property {() => boolean} isConfigured
+ * @property {(request: ChatRequest, onDelta?: function(string): void) => Promise<ChatResult>} complete
+ */
+
+/**
+ * @typedef {Object} TranscriptionAdapter
+ * @property {() => boolean} isConfigured
+ * @property {(request: {file: File, language?: string}) => Promise<{success: boolean, text?: string, seconds?: number, error?: string}>} transcribe
+ */
+
+/**
+ * @typedef {Object} LlmProviderAdapter
+ * @property {string} id - Provider ID, as listed in LLM_PROVIDERS / TRANSCRIPTION_PROVIDERS
+ * @property {string} name - Display name
+ * @property {ChatAdapter|null} chat
+ * @property {TranscriptionAdapter|null} transcription - null when the provider has no transcription
+ */
+
+const DEFAULT_PROVIDERS = 'openai';
+const DEFAULT_AZURE_API_VERSION = '2024-10-21';
+
+const providers = new Map();
+const clients = new Map();
+
+/**
+ * Register an LLM provider adapter
+ * @param {LlmProviderAdapter} adapter
+ * @throws {Error} If the adapter has neither chat nor transcription
+ */
+export function registerLlmProvider(adapter) {
+  if (!adapter.id || (!adapter.chat && !adapter.transcription)) {
+    throw new Error(`Invalid LLM provider "${adapter.id}": needs chat or transcription`);
+  }
+  providers.set(adapter.id, adapter);
+}
+
+/**
+ * Get a registered LLM provider
+ * @param {string} id - Provider ID
+ * @returns {LlmProviderAdapter|null}
+ */
+export function getLlmProvider(id) {
+  return providers.get(id) || null;
+}
+
+/**
+ * Providers to try for a capability, in configured order, skipping unknown and unconfigured ones
+ * @param {'chat'|'transcription'} capability
+ * @returns {LlmProviderAdapter[]}
+ */
+export function getActiveLlmProviders(capability) {
+  const envName = capability === 'chat' ? 'LLM_PROVIDERS' : 'TRANSCRIPTION_PROVIDERS';
+  return (process.env[envName] || DEFAULT_PROVIDERS)
+    .split(',')
+    .map(id => providers.get(id.trim()))
+    .filter(provider => provider?.[capability]?.isConfigured());
+}
+
+/**
+ * Run a chat completion, falling over to the next provider when one fails
+ * A provider that already streamed part of its reply isn't retried elsewhere (the user has seen that text).
+ * @param {ChatRequest} request
+ * @param {function(string): void} [onDelta] - Streams the assistant's text where the backend supports it
+ * @returns {Promise<ChatResult & {provider?: string}>}
+ */
+export async function completeChat(request, onDelta = null) {
+  const candidates = getActiveLlmProviders('chat');
+  if (candidates.length === 0) {
+    return { success: false, error: 'No LLM provider configured (LLM_PROVIDERS)' };
+  }
+
+  let lastError;
+  for (const provider of candidates) {
+    let streamed = false;
+    const forward = onDelta && ((text) => {
+      streamed = true;
+      onDelta(text);
+    });
+    const result = await provider.chat.complete(request, forward);
+    if (result.success) {
+      return { ...result, provider: provider.id };
+    }
+    lastError = result.error;
+    console.warn(`⚠️ LLM provider ${provider.id} failed: ${result.error}`);
+    if (streamed) {
+      break;
+    }
+  }
+  return { success: false, error: lastError };
+}
+
+/**
+ * Transcribe audio, falling over to the next provider when one fails
+ * @param {{file: File, language?: string}} request
+ * @returns {Promise<{success: boolean, text?: string, seconds?: number, provider?: string, error?: string}>}
+ */
+export async function transcribe(request) {
+  const candidates = getActiveLlmProviders('transcription');
+  if (candidates.length === 0) {
+    return { success: false, error: 'No transcription provider configured (TRANSCRIPTION_PROVIDERS)' };
+  }
+
+  let lastError;
+  for (const provider of candidates) {
+    const result = await provider.transcription.transcribe(request);
+    if (result.success) {
+      return { ...result, provider: provider.id };
+    }
+    lastError = result.error;
+    console.warn(`⚠️ Transcription provider ${provider.id} failed: ${result.error}`);
+  }
+  return { success: false, error: lastError };
+}
+
+// One SDK client per provider
+function getClient(id, createClient) {
+  if (!clients.has(id)) {
+    clients.set(id, createClient());
+    console.log(`✅ LLM client initialized: ${id}`);
+  }
+  return clients.get(id);
+}
+
+const openaiClient = () => getClient('openai', () => new OpenAI({ apiKey: process.env.OPENAI_API_KEY }));
+
+const azureClient = () => getClient('azure', () => new AzureOpenAI({
+  endpoint: process.env.AZURE_OPENAI_ENDPOINT,
+  apiKey: process.env.AZURE_OPENAI_API_KEY,
+  apiVersion: process.env.AZURE_OPENAI_API_VERSION || DEFAULT_AZURE_API_VERSION
+}));
+
+// Local servers usually ignore the key, but the SDK requires one
+const localClient = () => getClient('local', () => new OpenAI({
+  baseURL: process.env.LOCAL_LLM_BASE_URL,
+  apiKey: process.env.LOCAL_LLM_API_KEY || 'local'
+}));
+
+const localTranscriptionClient = () => getClient('local-transcription', () => new OpenAI({
+  baseURL: process.env.LOCAL_TRANSCRIPTION_BASE_URL || process.env.LOCAL_LLM_BASE_URL,
+  apiKey: process.env.LOCAL_LLM_API_KEY || 'local'
+}));
+
+// OpenAI's priority processing unless OPENAI_SERVICE_TIER says otherwise (empty: the account default)
+function openaiServiceTier() {
+  const tier = process.env.OPENAI_SERVICE_TIER ?? 'priority';
+  return tier || undefined;
+}
+
+function hasOpenAIKey() {
+  const apiKey = process.env.OPENAI_API_KEY;
+  return Boolean(apiKey) && apiKey !== 'your_openai_api_key_here';
+}
+
+registerLlmProvider({
+  id: 'openai',
+  name: 'OpenAI',
+  chat: {
+    isConfigured: () => hasOpenAIKey() && Boolean(process.env.LLM_MODEL),
+    complete: (request, onDelta) => openaiLlmService.createChatCompletion(openaiClient(), {
+      ...request,
+      model: process.env.LLM_MODEL,
+      service_tier: openaiServiceTier()
+    }, onDelta)
+  },
+  transcription: {
+    isConfigured: () => hasOpenAIKey() && Boolean(process.env.TRANSCRIPTION_MODEL),
+    transcribe: (request) => openaiLlmService.createTranscription(openaiClient(), {
+      ...request,
+      model: process.env.TRANSCRIPTION_MODEL,
+      service_tier: openaiServiceTier()
+    })
+  }
+});
+
+// Azure OpenAI: models are addressed by deployment name
+registerLlmProvider({
+  id: 'azure',
+  name: 'Azure OpenAI',
+  chat: {
+    isConfigured: () => Boolean(process.env.AZURE_OPENAI_ENDPOINT && process.env.AZURE_OPENAI_API_KEY && process.env.AZURE_OPENAI_DEPLOYMENT),
+    complete: (request, onDelta) => openaiLlmService.createChatCompletion(azureClient(), {
+      ...request,
+      model: process.env.AZURE_OPENAI_DEPLOYMENT
+    }, onDelta)
+  },
+  transcription: {
+    isConfigured: () => Boolean(process.env.AZURE_OPENAI_ENDPOINT && process.env.AZURE_OPENAI_API_KEY && process.env.AZURE_OPENAI_TRANSCRIPTION_DEPLOYMENT),
+    transcribe: (request) => openaiLlmService.createTranscription(azureClient(), {
+      ...request,
+      model: process.env.AZURE_OPENAI_TRANSCRIPTION_DEPLOYMENT
+    })
+  }
+});
+
+registerLlmProvider({
+  id: 'anthropic',
+  name: 'Anthropic',
+  chat: {
+    isConfigured: () => Boolean(process.env.ANTHROPIC_API_KEY && process.env.ANTHROPIC_MODEL),
+    complete: (request, onDelta) => anthropicLlmService.createChatCompletion({
+      apiKey: process.env.ANTHROPIC_API_KEY,
+      model: process.env.ANTHROPIC_MODEL,
+      baseUrl: process.env.ANTHROPIC_BASE_URL,
+      maxTokens: Number(process.env.ANTHROPIC_MAX_TOKENS) || undefined
+    }, request, onDelta)
+  },
+  transcription: null
+});
+
+// Any OpenAI-compatible server on the developer's machine, e.g. Ollama (http://localhost:11434/v1)
+// or llama.cpp's llama-server (http://localhost:8080/v1); transcription needs a server with
+// /v1/audio/transcriptions (LocalAI, faster-whisper-server, ...)
+registerLlmProvider({
+  id: 'local',
+  name: 'Local',
+  chat: {
+    isConfigured: () => Boolean(process.env.LOCAL_LLM_BASE_URL && process.env.LOCAL_LLM_MODEL),
+    complete: (request, onDelta) => openaiLlmService.createChatCompletion(localClient(), {
+      ...request,
+      model: process.env.LOCAL_LLM_MODEL
+    }, onDelta)
+  },
+  transcription: {
+    isConfigured: () => Boolean((process.env.LOCAL_TRANSCRIPTION_BASE_URL || process.env.LOCAL_LLM_BASE_URL) && process.env.LOCAL_TRANSCRIPTION_MODEL),
+    transcribe: (request) => openaiLlmService.createTranscription(localTranscriptionClient(), {
+      ...request,
+      model: process.env.LOCAL_TRANSCRIPTION_MODEL
+    })
+  }
+});
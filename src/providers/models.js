@@ -0,0 +1,178 @@
+import { DEFAULT_TIME_ZONE, getLocalDate } from '../utils/timezone.js';
+
+/**
+ * Canonical event and task model shared by every calendar provider.
+ * Provider adapters convert their API resources into these shapes, so routes, tools, undo and
+ * availability never see a raw Google or Graph resource. Field names follow Google Calendar
+ * (summary, start.dateTime, recurringEventId, ...) because that's what clients already consume.
+ */
+
+/**
+ * @typedef {Object} EventTime
+ * @property {string} [dateTime] - Start/end of a timed event (ISO 8601)
+ * @property {string} [date] - Day of an all-day event (YYYY-MM-DD)
+ * @property {string} [timeZone] - IANA time zone (or 'UTC')
+ */
+
+/**
+ * @typedef {Object} Attendee
+ * @property {string} email
+ * @property {string} [displayName]
+ * @property {'needsAction'|'declined'|'tentative'|'accepted'} [responseStatus]
+ * @property {boolean} [optional]
+ * @property {boolean} [self] - The attendee is the signed-in user
+ */
+
+/**
+ * @typedef {Object} CalendarEvent
+ * @property {string} id - Provider event ID
+ * @property {string} source - Provider ID ('google' | 'outlook' | 'caldav')
+ * @property {string} [calendarId] - Non-default calendar the event was read from
+ * @property {false} isTask
+ * @property {string} summary
+ * @property {string} description - Plain text
+ * @property {string} location
+ * @property {EventTime} start
+ * @property {EventTime} end
+ * @property {Attendee[]} attendees
+ * @property {{email: string, displayName?: string}} [organizer]
+ * @property {'confirmed'|'tentative'|'cancelled'} [status]
+ * @property {'opaque'|'transparent'} [transparency] - 'transparent' = shown as free
+ * @property {string} [htmlLink] - Link to the event in the provider's web UI
+ * @property {string} [hangoutLink] - Video meeting link (Meet or Teams)
+ * @property {Object} [conferenceData]
+ * @property {string[]} [recurrence] - RRULE lines (series masters only)
+ * @property {string} [recurringEventId] - Series ID (occurrences only)
+ * @property {EventTime} [originalStartTime] - Original start of an occurrence
+ */
+
+/**
+ * @typedef {Object} Task
+ * @property {string} id - Provider task ID
+ * @property {string} source - Provider ID ('google' | 'outlook' | 'caldav')
+ * @property {string} title
+ * @property {string} notes
+ * @property {string|null} due - Due date-time (ISO 8601), null when the task has none
+ * @property {string} status - Provider status ('needsAction' | 'completed' | 'notStarted' | ...)
+ * @property {string} [taskListId]
+ */
+
+/**
+ * @typedef {Object} TaskEntry - A task placed in an event list (GET /events, GET /tasks, list_tasks)
+ * @property {string} id
+ * @property {string} source
+ * @property {true} isTask
+ * @property {string} summary - Task title
+ * @property {string} description - Task notes
+ * @property {EventTime} start - All-day on the due date, or on the first day of the range for undated tasks
+ * @property {EventTime} end - Same as start
+ * @property {string|null} due - Real due date (null for undated tasks)
+ * @property {string} status
+ * @property {string} location - Always empty
+ * @property {Attendee[]} attendees - Always empty
+ */
+
+/**
+ * @typedef {Object} BusySchedule
+ * @property {Array<{start: string, end: string}>} busy - Busy intervals (ISO 8601)
+ * @property {string} [error] - Why the schedule couldn't be read (busy is then empty)
+ */
+
+const RESPONSE_STATUSES = ['needsAction', 'declined', 'tentative', 'accepted'];
+
+// Google Tasks only keeps due dates, as UTC midnight; other providers store dates the same way
+const DATE_ONLY_DUE = /^\d{4}-\d{2}-\d{2}(T00:00:00(\.0+)?Z)?$/;
+
+// Drop undefined optional fields so events serialize the same regardless of provider
+function compact(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+}
+
+function toEventTime(time) {
+  if (!time) return {};
+  return compact({ dateTime: time.dateTime || undefined, date: time.date || undefined, timeZone: time.timeZone || undefined });
+}
+
+/**
+ * Build a canonical event
+ * @param {string} source - Provider ID
+ * @param {Object} fields - Event fields (see CalendarEvent); unknown fields are dropped
+ * @returns {CalendarEvent}
+ */
+export function toCalendarEvent(source, fields) {
+  return compact({
+    id: fields.id,
+    source,
+    calendarId: fields.calendarId,
+    isTask: false,
+    summary: fields.summary || '',
+    description: fields.description || '',
+    location: fields.location || '',
+    start: toEventTime(fields.start),
+    end: toEventTime(fields.end),
+    attendees: (fields.attendees || [])
+      .filter(attendee => attendee?.email)
+      .map(attendee => compact({
+        email: attendee.email,
+        displayName: attendee.displayName || undefined,
+        responseStatus: RESPONSE_STATUSES.includes(attendee.responseStatus) ? attendee.responseStatus : undefined,
+        optional: attendee.optional || undefined,
+        self: attendee.self || undefined
+      })),
+    organizer: fields.organizer?.email ? compact({ email: fields.organizer.email, displayName: fields.organizer.displayName || undefined }) : undefined,
+    status: fields.status,
+    transparency: fields.transparency,
+    htmlLink: fields.htmlLink,
+    hangoutLink: fields.hangoutLink,
+    conferenceData: fields.conferenceData,
+    recurrence: fields.recurrence?.length ? fields.recurrence : undefined,
+    recurringEventId: fields.recurringEventId,
+    originalStartTime: fields.originalStartTime ? toEventTime(fields.originalStartTime) : undefined
+  });
+}
+
+/**
+ * Build a canonical task
+ * @param {string} source - Provider ID
+ * @param {Object} fields - Task fields (see Task)
+ * @returns {Task}
+ */
+export function toTask(source, fields) {
+  return compact({
+    id: fields.id,
+    source,
+    title: fields.title || '',
+    notes: fields.notes || '',
+    due: fields.due || null,
+    status: fields.status,
+    taskListId: fields.taskListId
+  });
+}
+
+/**
+ * Place a task in an event list as an all-day entry on its due date
+ * Undated tasks go on the first day of the requested range (or today) so they show up in any view.
+ * Date-only due dates (stored as UTC midnight) keep their date; timed ones go on the user's local day.
+ * @param {Task} task - Canonical task
+ * @param {string} [rangeStart] - Start of the listed range (ISO 8601)
+ * @param {string} [timeZone] - User's IANA time zone (default: UTC)
+ * @returns {TaskEntry}
+ */
+export function toTaskEntry(task, rangeStart = null, timeZone = DEFAULT_TIME_ZONE) {
+  const day = task.due && DATE_ONLY_DUE.test(task.due)
+    ? task.due.slice(0, 10)
+    : getLocalDate(task.due || rangeStart || Date.now(), timeZone);
+  return {
+    id: task.id,
+    source: task.source,
+    isTask: true,
+    summary: task.title,
+    description: task.notes,
+    start: { date: day, dateTime: null },
+    end: { date: day, dateTime: null },
+    due: task.due,
+    status: task.status,
+    location: '',
+    attendees: []
+  };
+}
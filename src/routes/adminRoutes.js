@@ -0,0 +1,49 @@
+import express from 'express';
+import { PLANS, getPlanUsage, setUserPlan, isValidOverrides } from '../services/quotaService.js';
+
+const router = express.Router();
+
+// GET /admin/plans - Available plans and their limits
+router.get('/plans', (req, res) => {
+  res.json({ success: true, plans: PLANS });
+});
+
+// GET /admin/users/:email/plan - A user's plan, overrides, limits and current usage
+router.get('/users/:email/plan', async (req, res) => {
+  try {
+    const result = await getPlanUsage(req.params.email);
+    res.json(result);
+  } catch (error) {
+    console.error('Admin get plan error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch plan' });
+  }
+});
+
+// PUT /admin/users/:email/plan - Change a user's plan
+// Body: plan ('free' | 'plus' | 'team'), overrides (optional, e.g. { "daily": { "units": 100 } }; null clears them)
+router.put('/users/:email/plan', async (req, res) => {
+  try {
+    const { plan, overrides } = req.body ?? {};
+
+    if (!PLANS[plan]) {
+      return res.status(400).json({
+        success: false,
+        error: `plan must be one of: ${Object.keys(PLANS).join(', ')}`
+      });
+    }
+    if (overrides !== undefined && overrides !== null && !isValidOverrides(overrides)) {
+      return res.status(400).json({
+        success: false,
+        error: 'overrides must look like { "daily": { "units": 100, "audioSeconds": 600, "llmTokens": 500000 }, "monthly": { ... } } with non-negative integers'
+      });
+    }
+
+    const result = await setUserPlan(req.params.email, plan, overrides);
+    res.json(result);
+  } catch (error) {
+    console.error('Admin set plan error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update plan' });
+  }
+});
+
+export default router;
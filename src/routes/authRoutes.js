@@ -0,0 +1,41 @@
+import express from 'express';
+import { exchangeCode, getOAuthProviderIds } from '../services/oauthService.js';
+
+const router = express.Router();
+
+// POST /auth/:provider/token - Exchange an OAuth authorization code (sign-in; no auth headers needed)
+// Body: code, redirectUri (optional), codeVerifier (PKCE, optional)
+// The refresh token stays on the server; the response carries the access token for the g-axs-tk / o-axs-tk header
+router.post('/:provider/token', async (req, res) => {
+  try {
+    const { provider } = req.params;
+    const { code, redirectUri, codeVerifier } = req.body ?? {};
+
+    if (!getOAuthProviderIds().includes(provider)) {
+      return res.status(400).json({
+        success: false,
+        error: `OAuth sign-in is not available for "${provider}"`
+      });
+    }
+    if (!code || typeof code !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'code is required'
+      });
+    }
+
+    const result = await exchangeCode(provider, { code, redirectUri, codeVerifier });
+    if (!result.success) {
+      return res.status(401).json(result);
+    }
+    res.json(result);
+  } catch (error) {
+    console.error('OAuth token route error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to exchange authorization code'
+    });
+  }
+});
+
+export default router;
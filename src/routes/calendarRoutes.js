@@ -1,14 +1,38 @@
 import express from 'express';
-import { createEvent, updateEvent, deleteEvent, getEvents, createTask, updateTask, deleteTask } from '../services/calendarService.js';
+import multer from 'multer';
+import { createEvent, updateEvent, deleteEvent, getEvents, listCalendars, createTask, updateTask, deleteTask } from '../services/calendarService.js';
+import { findFreeSlots } from '../services/availabilityService.js';
+import { exportCalendar, importCalendar } from '../services/icsService.js';
+import { createFeed, revokeFeed, getFeedStatus, refreshFeedIfStale } from '../services/feedService.js';
 import { recordInteractionLog } from '../utils/interactionLogger.js';
 
 const router = express.Router();
 
+// .ics uploads are kept in memory
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 } // 5MB limit
+});
+
+const MAX_EXPORT_RANGE_DAYS = 366;
+
+/**
+ * Public URL of a feed token (PUBLIC_BASE_URL, or the host this request came in on)
+ * @param {import('express').Request} req
+ * @param {string} token - Feed token
+ * @returns {string}
+ */
+function feedUrl(req, token) {
+  const base = (process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+  return `${base}/feeds/${token}.ics`;
+}
+
 // GET /api/calendar/events - Get events with optional filters (supports Google + Outlook)
-// Note: authAndRateLimit middleware (applied at /api level) already extracts tokens and sets req.googleToken, req.outlookToken, req.primaryCalendar
+// calendarId (comma-separated) limits the list to those calendars of `type`; otherwise the profile's included calendars are read
+// Note: authAndRateLimit middleware (applied at /api level) already extracts tokens and sets req.tokens, req.primaryCalendar
 router.get('/events', async (req, res) => {
   try {
-    const { timeMin, timeMax, maxResults, q, type } = req.query;
+    const { timeMin, timeMax, maxResults, q, calendarId, type } = req.query;
     const primaryCalendar = type || 'google';
 
     // Normalize dates to ensure they have timezone info (RFC3339 format required by Google Calendar API)
@@ -50,14 +74,20 @@ router.get('/events', async (req, res) => {
       }
     }
 
-    const result = await getEvents(req.googleToken, req.outlookToken, primaryCalendar, {
+    const result = await getEvents(req.tokens, primaryCalendar, {
       timeMin: normalizedTimeMin,
       timeMax: normalizedTimeMax,
       maxResults: maxResults ? parseInt(maxResults, 10) : undefined,
-      q
+      q,
+      calendarId,
+      timeZone: req.timeZone
     }, req.user?.email);
 
     if (result.success) {
+      // Keep the subscribable feed fresh while we hold the user's tokens (doesn't delay the response)
+      refreshFeedIfStale(req.user?.email, req.tokens, req.primaryCalendar || primaryCalendar, req.account)
+        .catch(error => console.warn('Feed refresh error:', error.message));
+
       await recordInteractionLog(req, {
         actionType: 'unified_calendar',
         calendarType: type,
@@ -69,7 +99,8 @@ router.get('/events', async (req, res) => {
           parameters: {
             timeMin: normalizedTimeMin,
             timeMax: normalizedTimeMax,
-            q
+            q,
+            calendarId
           },
           result_summary: {
             count: Array.isArray(result.events) ? result.events.length : 0
@@ -89,10 +120,288 @@ router.get('/events', async (req, res) => {
   }
 });
 
+// GET /api/calendar/calendars - List Google + Outlook calendars (including shared/secondary ones)
+// Each calendar has `source` and `included` (part of the unified view, per the onboarding profile's `calendars`)
+router.get('/calendars', async (req, res) => {
+  try {
+    const { type } = req.query;
+
+    const result = await listCalendars(req.tokens, req.user?.email);
+
+    if (result.success) {
+      await recordInteractionLog(req, {
+        actionType: 'unified_calendar',
+        calendarType: type,
+        payload: {
+          metadata: {
+            endpoint: 'calendar_calendars_list',
+            request_id: req.requestId
+          },
+          result_summary: {
+            count: result.calendars.length
+          }
+        }
+      });
+      res.json(result);
+    } else {
+      res.status(500).json(result);
+    }
+  } catch (error) {
+    console.error('List calendars route error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to list calendars'
+    });
+  }
+});
+
+// GET /api/calendar/export.ics - The unified view (events and tasks from every connected calendar) as iCalendar
+// Query: timeMin, timeMax (default: the next 30 days, at most a year), calendarId (limits to those calendars of `type`)
+router.get('/export.ics', async (req, res) => {
+  try {
+    const { calendarId, type } = req.query;
+    const primaryCalendar = type || req.primaryCalendar || 'google';
+    const timeMin = req.query.timeMin ? new Date(req.query.timeMin) : new Date();
+    const timeMax = req.query.timeMax ? new Date(req.query.timeMax) : new Date(timeMin.getTime() + 30 * 24 * 60 * 60 * 1000);
+
+    if (isNaN(timeMin.getTime()) || isNaN(timeMax.getTime()) || timeMax <= timeMin) {
+      return res.status(400).json({
+        success: false,
+        error: 'timeMin and timeMax must be valid dates, with timeMax after timeMin'
+      });
+    }
+    if (timeMax - timeMin > MAX_EXPORT_RANGE_DAYS * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({
+        success: false,
+        error: `The export range can be at most ${MAX_EXPORT_RANGE_DAYS} days`
+      });
+    }
+
+    const result = await exportCalendar(req.tokens, primaryCalendar, {
+      timeMin: timeMin.toISOString(),
+      timeMax: timeMax.toISOString(),
+      calendarId
+    }, req.user?.email);
+
+    if (!result.success) {
+      return res.status(500).json(result);
+    }
+
+    await recordInteractionLog(req, {
+      actionType: 'unified_calendar',
+      calendarType: type,
+      payload: {
+        metadata: {
+          endpoint: 'calendar_export',
+          request_id: req.requestId
+        },
+        parameters: { timeMin: timeMin.toISOString(), timeMax: timeMax.toISOString(), calendarId },
+        result_summary: {
+          events: result.eventCount,
+          tasks: result.taskCount
+        }
+      }
+    });
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': 'attachment; filename="calendar.ics"'
+    });
+    res.send(result.ics);
+  } catch (error) {
+    console.error('Export calendar route error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to export calendar'
+    });
+  }
+});
+
+// POST /api/calendar/import - Create the events and tasks of an uploaded .ics file (multipart field `file`)
+// in the `type` calendar (or `calendarId` of it). Items whose UID was already imported there are skipped.
+router.post('/import', upload.single('file'), async (req, res) => {
+  try {
+    const type = req.body.type || req.query.type;
+    const calendarId = req.body.calendarId || req.query.calendarId;
+    const primaryCalendar = type || req.primaryCalendar || 'google';
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'No .ics file provided'
+      });
+    }
+
+    const result = await importCalendar(req.tokens, primaryCalendar, req.file.buffer.toString('utf8'), {
+      calendarId,
+      timeZone: req.body.timeZone || req.timeZone
+    }, req.user?.email);
+
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    await recordInteractionLog(req, {
+      actionType: 'create',
+      calendarType: type,
+      payload: {
+        metadata: {
+          endpoint: 'calendar_import',
+          request_id: req.requestId
+        },
+        parameters: { calendarId, fileName: req.file.originalname, size: req.file.size },
+        result_summary: {
+          imported: result.imported.length,
+          skipped: result.skipped.length,
+          failed: result.failed.length
+        },
+        undo_id: result.undoId
+      }
+    });
+    res.json(result);
+  } catch (error) {
+    console.error('Import calendar route error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to import calendar'
+    });
+  }
+});
+
+// POST /api/calendar/feed - Create (or rotate) the user's subscribable .ics feed; the previous URL stops working
+// The URL is only returned here. The feed serves a snapshot of the unified view that is refreshed on GET /events.
+router.post('/feed', async (req, res) => {
+  try {
+    const primaryCalendar = req.primaryCalendar || 'google';
+    const result = await createFeed(req.user.email, req.tokens, primaryCalendar, req.account);
+
+    await recordInteractionLog(req, {
+      actionType: 'unified_calendar',
+      calendarType: primaryCalendar,
+      payload: {
+        metadata: {
+          endpoint: 'calendar_feed_create',
+          request_id: req.requestId
+        },
+        result_summary: {
+          snapshotAt: result.snapshotAt
+        }
+      }
+    });
+    res.json({
+      success: true,
+      url: feedUrl(req, result.token),
+      createdAt: result.createdAt,
+      snapshotAt: result.snapshotAt
+    });
+  } catch (error) {
+    console.error('Create feed route error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to create calendar feed'
+    });
+  }
+});
+
+// GET /api/calendar/feed - Whether the user has a feed, and when its snapshot was taken (not the URL)
+router.get('/feed', async (req, res) => {
+  try {
+    const result = await getFeedStatus(req.user.email);
+    res.json(result);
+  } catch (error) {
+    console.error('Get feed route error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to get calendar feed'
+    });
+  }
+});
+
+// DELETE /api/calendar/feed - Revoke the user's feed
+router.delete('/feed', async (req, res) => {
+  try {
+    const result = await revokeFeed(req.user.email);
+
+    await recordInteractionLog(req, {
+      actionType: 'unified_calendar',
+      calendarType: req.primaryCalendar,
+      payload: {
+        metadata: {
+          endpoint: 'calendar_feed_revoke',
+          request_id: req.requestId
+        },
+        result_summary: {
+          revoked: result.revoked
+        }
+      }
+    });
+    res.json(result);
+  } catch (error) {
+    console.error('Revoke feed route error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to revoke calendar feed'
+    });
+  }
+});
+
+// GET /api/calendar/free-slots - Ranked free slots across Google + Outlook within working hours
+// Query: timeMin, timeMax, duration (minutes), buffer (minutes), maxResults, timeZone (defaults to x-device-timezone),
+// attendees (comma-separated emails who must also be free)
+router.get('/free-slots', async (req, res) => {
+  try {
+    const { timeMin, timeMax, duration, buffer, maxResults, timeZone, attendees, type } = req.query;
+    const primaryCalendar = type || req.primaryCalendar || 'google';
+
+    if (!timeMin || !timeMax || !duration) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required query params: timeMin, timeMax, duration'
+      });
+    }
+
+    const result = await findFreeSlots(req.tokens, primaryCalendar, {
+      timeMin,
+      timeMax,
+      duration,
+      buffer,
+      maxResults,
+      timeZone: timeZone || req.headers['x-device-timezone'],
+      attendees: attendees ? attendees.split(',').map(email => email.trim()).filter(Boolean) : undefined
+    }, req.user?.email);
+
+    if (result.success) {
+      await recordInteractionLog(req, {
+        actionType: 'unified_calendar',
+        calendarType: type,
+        payload: {
+          metadata: {
+            endpoint: 'calendar_free_slots',
+            request_id: req.requestId
+          },
+          parameters: { timeMin, timeMax, duration, buffer, attendees },
+          result_summary: {
+            count: result.slots.length
+          }
+        }
+      });
+      res.json(result);
+    } else {
+      res.status(400).json(result);
+    }
+  } catch (error) {
+    console.error('Free slots route error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to find free slots'
+    });
+  }
+});
+
 // POST /api/calendar/events - Create event
 router.post('/events', async (req, res) => {
   try {
-    const { summary, description, startTime, endTime, timeZone, attendees, type } = req.body;
+    const { summary, description, startTime, endTime, timeZone, attendees, calendarId, type } = req.body;
     const primaryCalendar = type || req.primaryCalendar || 'google';
     
     if (!summary || !startTime || !endTime) {
@@ -102,13 +411,14 @@ router.post('/events', async (req, res) => {
       });
     }
 
-    const result = await createEvent(req.googleToken, req.outlookToken, primaryCalendar, {
+    const result = await createEvent(req.tokens, primaryCalendar, {
       summary,
       description,
       startTime,
       endTime,
       timeZone,
-      attendees
+      attendees,
+      calendarId
     });
 
     if (result.success) {
@@ -141,7 +451,7 @@ router.post('/events', async (req, res) => {
 router.put('/events/:eventId', async (req, res) => {
   try {
     const { eventId } = req.params;
-    const { summary, description, startTime, endTime, timeZone, attendees, type } = req.body;
+    const { summary, description, startTime, endTime, timeZone, attendees, calendarId, type } = req.body;
     const primaryCalendar = type || req.primaryCalendar || 'google';
 
     if (!eventId) {
@@ -151,13 +461,14 @@ router.put('/events/:eventId', async (req, res) => {
       });
     }
 
-    const result = await updateEvent(req.googleToken, req.outlookToken, primaryCalendar, eventId, {
+    const result = await updateEvent(req.tokens, primaryCalendar, eventId, {
       summary,
       description,
       startTime,
       endTime,
       timeZone,
-      attendees
+      attendees,
+      calendarId
     });
 
     if (result.success) {
@@ -190,7 +501,7 @@ router.put('/events/:eventId', async (req, res) => {
 router.delete('/events/:eventId', async (req, res) => {
   try {
     const { eventId } = req.params;
-    const { type } = req.query;
+    const { type, calendarId } = req.query;
     const primaryCalendar = type || req.primaryCalendar || 'google';
 
     if (!eventId) {
@@ -200,7 +511,7 @@ router.delete('/events/:eventId', async (req, res) => {
       });
     }
 
-    const result = await deleteEvent(req.googleToken, req.outlookToken, primaryCalendar, eventId);
+    const result = await deleteEvent(req.tokens, primaryCalendar, eventId, { calendarId });
 
     if (result.success) {
       await recordInteractionLog(req, {
@@ -211,7 +522,7 @@ router.delete('/events/:eventId', async (req, res) => {
             endpoint: 'calendar_events_delete',
             request_id: req.requestId
           },
-          request_params: { eventId },
+          request_params: { eventId, calendarId },
           result
         }
       });
@@ -234,11 +545,11 @@ router.post('/tasks', async (req, res) => {
     const { type } = req.query;
     const primaryCalendar = type || req.primaryCalendar || 'google';
     
-    if (!req.googleToken && !req.outlookToken) {
+    if (Object.keys(req.tokens).length === 0) {
       return res.status(401).json({ success: false, error: 'Authentication required' });
     }
 
-    const result = await createTask(req.googleToken, req.outlookToken, primaryCalendar, req.body);
+    const result = await createTask(req.tokens, primaryCalendar, req.body);
     
     if (result.success) {
       await recordInteractionLog(req, {
@@ -273,7 +584,7 @@ router.put('/tasks/:taskId', async (req, res) => {
     const { type } = req.query;
     const primaryCalendar = type || req.primaryCalendar || 'google';
     
-    if (!req.googleToken && !req.outlookToken) {
+    if (Object.keys(req.tokens).length === 0) {
       return res.status(401).json({ success: false, error: 'Authentication required' });
     }
 
@@ -281,7 +592,7 @@ router.put('/tasks/:taskId', async (req, res) => {
       return res.status(400).json({ success: false, error: 'Task ID is required' });
     }
 
-    const result = await updateTask(req.googleToken, req.outlookToken, primaryCalendar, taskId, req.body);
+    const result = await updateTask(req.tokens, primaryCalendar, taskId, req.body);
     
     if (result.success) {
       await recordInteractionLog(req, {
@@ -316,7 +627,7 @@ router.delete('/tasks/:taskId', async (req, res) => {
     const { type } = req.query;
     const primaryCalendar = type || req.primaryCalendar || 'google';
     
-    if (!req.googleToken && !req.outlookToken) {
+    if (Object.keys(req.tokens).length === 0) {
       return res.status(401).json({ success: false, error: 'Authentication required' });
     }
 
@@ -324,7 +635,7 @@ router.delete('/tasks/:taskId', async (req, res) => {
       return res.status(400).json({ success: false, error: 'Task ID is required' });
     }
 
-    const result = await deleteTask(req.googleToken, req.outlookToken, primaryCalendar, taskId);
+    const result = await deleteTask(req.tokens, primaryCalendar, taskId);
     
     if (result.success) {
       await recordInteractionLog(req, {
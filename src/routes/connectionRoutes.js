@@ -0,0 +1,63 @@
+import express from 'express';
+import { exchangeCode, getOAuthProviderIds, listConnections, revokeCredentials } from '../services/oauthService.js';
+
+const router = express.Router();
+
+// GET /api/connections - Providers whose credentials the server keeps for this user
+router.get('/', async (req, res) => {
+  try {
+    const result = await listConnections(req.user.email, req.account);
+    res.json(result);
+  } catch (error) {
+    console.error('List connections error:', error);
+    res.status(500).json({ success: false, error: 'Failed to list connections' });
+  }
+});
+
+// POST /api/connections/:provider - Connect another account to this user (e.g. Outlook for a Google user)
+// Body: code, redirectUri (optional), codeVerifier (optional). Its access token is then filled in
+// for requests that don't send the provider's header.
+router.post('/:provider', async (req, res) => {
+  try {
+    const { provider } = req.params;
+    const { code, redirectUri, codeVerifier } = req.body ?? {};
+
+    if (!getOAuthProviderIds().includes(provider)) {
+      return res.status(400).json({
+        success: false,
+        error: `OAuth is not available for "${provider}"`
+      });
+    }
+    if (!code || typeof code !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'code is required'
+      });
+    }
+
+    const result = await exchangeCode(provider, { code, redirectUri, codeVerifier }, { email: req.user.email, account: req.account });
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+    res.json(result);
+  } catch (error) {
+    console.error('Connect provider error:', error);
+    res.status(500).json({ success: false, error: 'Failed to connect provider' });
+  }
+});
+
+// DELETE /api/connections/:provider - Revoke the stored credentials with the provider and delete them
+router.delete('/:provider', async (req, res) => {
+  try {
+    const result = await revokeCredentials(req.user.email, req.params.provider, req.account);
+    if (!result.success) {
+      return res.status(500).json(result);
+    }
+    res.json(result);
+  } catch (error) {
+    console.error('Revoke connection error:', error);
+    res.status(500).json({ success: false, error: 'Failed to revoke connection' });
+  }
+});
+
+export default router;
@@ -0,0 +1,33 @@
+import express from 'express';
+import { getFeedCalendar } from '../services/feedService.js';
+
+const router = express.Router();
+
+// GET /feeds/:token.ics - Public, read-only iCalendar feed (subscribed to by calendar apps, no auth headers)
+// The token in the URL is the only credential; it is created and revoked through /api/calendar/feed
+router.get('/:token.ics', async (req, res) => {
+  try {
+    const result = await getFeedCalendar(req.params.token);
+
+    if (!result.success) {
+      return res.status(404).json(result);
+    }
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Cache-Control': 'private, max-age=300'
+    });
+    if (result.snapshotAt) {
+      res.set('Last-Modified', result.snapshotAt.toUTCString());
+    }
+    res.send(result.ics);
+  } catch (error) {
+    console.error('Calendar feed route error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load calendar feed'
+    });
+  }
+});
+
+export default router;
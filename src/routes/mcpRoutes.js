@@ -0,0 +1,49 @@
+import express from 'express';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { createMcpServer } from '../mcp/mcpServer.js';
+
+const router = express.Router();
+
+// POST /api/mcp - MCP over streamable HTTP (stateless: one server + transport per request)
+// Note: authAndRateLimit middleware (applied at /api level) already extracts tokens and sets req.tokens, req.primaryCalendar
+router.post('/', async (req, res) => {
+  try {
+    const server = createMcpServer({
+      tokens: req.tokens,
+      primaryCalendar: req.primaryCalendar,
+      userEmail: req.user?.email
+    });
+    const transport = new StreamableHTTPServerTransport({ sessionIdGenerator: undefined });
+
+    res.on('close', () => {
+      transport.close();
+      server.close();
+    });
+
+    await server.connect(transport);
+    await transport.handleRequest(req, res, req.body);
+  } catch (error) {
+    console.error('MCP request error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        jsonrpc: '2.0',
+        error: { code: -32603, message: 'Internal server error' },
+        id: null
+      });
+    }
+  }
+});
+
+// Stateless mode has no server-initiated streams or sessions to terminate
+const methodNotAllowed = (req, res) => {
+  res.status(405).json({
+    jsonrpc: '2.0',
+    error: { code: -32000, message: 'Method not allowed.' },
+    id: null
+  });
+};
+
+router.get('/', methodNotAllowed);
+router.delete('/', methodNotAllowed);
+
+export default router;
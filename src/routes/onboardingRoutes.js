@@ -1,5 +1,6 @@
 import express from 'express';
 import { saveOnboardingProfile, getOnboardingProfile } from '../services/onboardingService.js';
+import { getProviderIds } from '../providers/index.js';
 
 const router = express.Router();
 
@@ -13,9 +14,30 @@ router.get('/profile', async (req, res) => {
   }
 });
 
+// `calendars` selects the calendars included in the unified view, per provider: { google?: string[], outlook?: string[] }
+function isValidCalendarSelection(calendars) {
+  if (calendars === null) {
+    return true; // Clears the selection (default calendars only)
+  }
+  if (typeof calendars !== 'object' || Array.isArray(calendars)) {
+    return false;
+  }
+  return Object.entries(calendars).every(([source, ids]) =>
+    getProviderIds().includes(source) &&
+    Array.isArray(ids) &&
+    ids.every(id => typeof id === 'string' && id.length > 0)
+  );
+}
+
 router.post('/profile', async (req, res) => {
   try {
     const payload = req.body ?? {};
+    if (payload.calendars !== undefined && !isValidCalendarSelection(payload.calendars)) {
+      return res.status(400).json({
+        success: false,
+        error: 'calendars must be an object like { "google": ["primary"], "outlook": ["<calendar id>"] }'
+      });
+    }
     const saved = await saveOnboardingProfile(req.user.email, payload);
     res.json({ success: true, profile: saved });
   } catch (error) {
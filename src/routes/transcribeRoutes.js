@@ -1,6 +1,7 @@
 import express from 'express';
 import multer from 'multer';
 import { transcribeAudio } from '../services/whisperService.js';
+import { meterUsage } from '../services/quotaService.js';
 
 const router = express.Router();
 
@@ -28,6 +29,7 @@ router.post('/transcribe', upload.single('audio'), async (req, res) => {
     }
 
     const result = await transcribeAudio(req.file.buffer, req.file.originalname);
+    meterUsage(req, { audioSeconds: result.audioSeconds });
     
     if (result.success) {
       res.json(result);
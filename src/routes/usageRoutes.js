@@ -0,0 +1,32 @@
+import express from 'express';
+import { getPlanUsage, getRateLimitStatus } from '../services/quotaService.js';
+
+const router = express.Router();
+
+// GET /api/usage - The user's plan, usage and limits in the daily and monthly windows (on the user's clock), and when
+// they reset (not metered itself). `usage`, `limit`, `remaining` and `resetAt` summarize the tightest quota, like the RateLimit-* headers.
+router.get('/', async (req, res) => {
+  try {
+    const { plan, limits, usage, resets } = await getPlanUsage(req.user.email, req.timeZone);
+    const status = getRateLimitStatus(usage, { plan, ...limits });
+
+    res.json({
+      success: true,
+      plan,
+      usage: status.used,
+      limit: status.limit,
+      remaining: status.remaining,
+      resetAt: status.resetAt,
+      window: status.window,
+      windows: {
+        daily: { usage: usage.daily, limits: limits.daily, resetAt: resets.daily },
+        monthly: { usage: usage.monthly, limits: limits.monthly, resetAt: resets.monthly }
+      }
+    });
+  } catch (error) {
+    console.error('Usage fetch error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch usage' });
+  }
+});
+
+export default router;
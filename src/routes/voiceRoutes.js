@@ -2,9 +2,16 @@ import express from 'express';
 import multer from 'multer';
 import { transcribeAudio } from '../services/whisperService.js';
 import { processWithLLM } from '../services/llmService.js';
-import { getEvents, createEvent, updateEvent, deleteEvent, getCalendar, getTasks, createTask, updateTask, deleteTask } from '../services/calendarService.js';
+import { runAgentLoop } from '../services/agentService.js';
+import { MUTATING_TOOLS } from '../services/toolService.js';
+import { savePendingActions, getPendingActions, claimPendingActions, resolvePendingActions, validateActionEdits, applyActionEdits } from '../services/pendingActionService.js';
+import { recordExecutedActions, undoAction } from '../services/undoService.js';
+import { buildActionPreviews, getEventTimes, hasInvalidAttendees } from '../services/actionPreviewService.js';
+import { getEvents, createEvent, updateEvent, deleteEvent, createTask, updateTask, deleteTask } from '../services/calendarService.js';
 import logger from '../utils/appLogger.js';
 import { recordInteractionLog } from '../utils/interactionLogger.js';
+import { meterUsage } from '../services/quotaService.js';
+import { formatInTimeZone, getLocalDayRange } from '../utils/timezone.js';
 // Note: authAndRateLimit middleware is applied at app level (/api), so extractToken is not needed
 
 const router = express.Router();
@@ -13,156 +20,39 @@ const upload = multer({
   limits: { fileSize: 25 * 1024 * 1024 }
 });
 
-// Helper function to format time with user's timezone
-function formatTimeWithUserTimezone(dateString, req) {
-  const date = new Date(dateString);
-  const timezoneOffset = req.headers['x-device-timezone-offset'];
-  const deviceTimezone = req.headers['x-device-timezone'];
-  
-  if (timezoneOffset) {
-    const offsetMinutes = parseInt(timezoneOffset);
-    const userLocalTime = new Date(date.getTime() + offsetMinutes * 60000);
-    return userLocalTime.toLocaleString('en-US', {
-      weekday: 'short',
-      year: 'numeric',
-      month: 'short',
-      day: 'numeric',
-      hour: 'numeric',
-      minute: '2-digit',
-      hour12: true
-    });
-  }
-  
-  // Fallback to device timezone if available
-  if (deviceTimezone) {
-    try {
-      return date.toLocaleString('en-US', {
-        timeZone: deviceTimezone,
-        weekday: 'short',
-        year: 'numeric',
-        month: 'short',
-        day: 'numeric',
-        hour: 'numeric',
-        minute: '2-digit',
-        hour12: true
-      });
-    } catch (error) {
-      console.error('Invalid timezone:', deviceTimezone);
-    }
-  }
-  
-  // Final fallback
-  return date.toLocaleString();
+// Helper function to list the context window's meetings on the user's clock
+function formatMeetingsList(events, req) {
+  return events
+    .map(e => {
+      const time = e.start.dateTime
+        ? formatInTimeZone(e.start.dateTime, req.timeZone, { hour: 'numeric', minute: '2-digit', hour12: true })
+        : 'All day';
+      const calendar = e.source || req.primaryCalendar;
+      return `${time} - ${e.summary} (ID: ${e.id}, Calendar: ${calendar})`;
+    })
+    .join(', ');
 }
 
-// Helper function to check for meeting conflicts
-async function checkMeetingConflict(googleToken, outlookToken, primaryCalendar, startTime, endTime, excludeEventId = null, userEmail = null) {
-  try {
-    if (!startTime || !endTime) {
-      return null;
-    }
-
-    const start = new Date(startTime);
-    const end = new Date(endTime);
-
-    // Fetch events in a slightly wider range to catch any overlaps
-    const searchStart = new Date(start);
-    searchStart.setHours(searchStart.getHours() - 1);
-    const searchEnd = new Date(end);
-    searchEnd.setHours(searchEnd.getHours() + 1);
-
-    if (primaryCalendar === 'google')
-      outlookToken = null;
-    else if (primaryCalendar === 'outlook')
-      googleToken = null;
-
-    const eventsResult = await getEvents(googleToken, outlookToken, primaryCalendar, {
-      timeMin: searchStart.toISOString(),
-      timeMax: searchEnd.toISOString()
-    }, userEmail);
-
-    if (!eventsResult.success || !eventsResult.events) {
-      return null;
-    }
-
-    // Filter out tasks and the event being updated (if any)
-    const meetings = eventsResult.events.filter(event => {
-      // Exclude tasks
-      if (event.isTask) {
-        return false;
-      }
-      // Exclude the event being updated
-      if (excludeEventId && event.id === excludeEventId) {
-        return false;
-      }
-      return true;
-    });
-
-    // Check for overlaps
-    for (const meeting of meetings) {
-      const meetingStart = new Date(meeting.start?.dateTime || meeting.start?.date);
-      const meetingEnd = new Date(meeting.end?.dateTime || meeting.end?.date);
-
-      // Two events overlap if: newStart < existingEnd AND newEnd > existingStart
-      if (start < meetingEnd && end > meetingStart) {
-        return {
-          id: meeting.id,
-          summary: meeting.summary,
-          start: meeting.start,
-          end: meeting.end,
-          attendees: meeting.attendees
-        };
-      }
-    }
-
-    return null;
-  } catch (error) {
-    console.error('Error checking meeting conflict:', error);
-    return null;
-  }
+// Helper function to write one SSE event
+function writeEvent(res, event) {
+  res.write(`data: ${JSON.stringify(event)}\n\n`);
 }
 
-// Execute calendar function based on GPT tool call
-async function executeTool(toolCall, googleToken, outlookToken, primaryCalendar, userEmail = null) {
-  const { name, arguments: args } = toolCall.function;
-  const params = JSON.parse(args);
-
-  console.log(`Executing tool: ${name} with params:`, params);
-
-  // Calendar is now required in all tool calls - use it directly
-  const calendar = params.calendar;
-  
-  // Remove calendar from params before passing to service functions
-  const { calendar: _, ...serviceParams } = params;
-
-  switch (name) {
-    case 'list_calendar_events':
-      return await getEvents(googleToken, outlookToken, calendar, serviceParams, userEmail);
-
-    case 'list_tasks':
-      return await getTasks(googleToken, outlookToken, calendar, serviceParams, userEmail);
-
-    case 'create_calendar_event':
-      return await createEvent(googleToken, outlookToken, calendar, serviceParams);
-
-    case 'update_calendar_event':
-      return await updateEvent(googleToken, outlookToken, calendar, serviceParams.eventId, serviceParams);
-
-    case 'delete_calendar_event':
-      return await deleteEvent(googleToken, outlookToken, calendar, serviceParams.eventId);
-
-    case 'create_task':
-      return await createTask(googleToken, outlookToken, calendar, serviceParams);
-
-    case 'update_task':
-      return await updateTask(googleToken, outlookToken, calendar, serviceParams.taskId, serviceParams);
-
-    case 'delete_task':
-      return await deleteTask(googleToken, outlookToken, calendar, serviceParams.taskId);
+// Helper function to end an SSE stream; `done` is always the last event
+function endStream(res) {
+  writeEvent(res, { type: 'done' });
+  res.end();
+}
 
-    default:
-      return { success: false, error: `Unknown tool: ${name}` };
-  }
+// Helper function to pass the request's tokens, calendar and time zone to the action preview pipeline
+function getPreviewSession(req) {
+  return {
+    tokens: req.tokens,
+    primaryCalendar: req.primaryCalendar,
+    userEmail: req.user?.email,
+    timeZone: req.timeZone,
+    timezoneOffset: req.headers['x-device-timezone-offset']
+  };
 }
 
 // POST /api/voice/test - Test LLM without calendar (no auth required)
@@ -177,11 +67,13 @@ router.post('/test', upload.single('audio'), async (req, res) => {
     }
 
     const conversationHistory = [{ role: 'user', content: userMessage }];
-    const llmResponse = await processWithLLM(conversationHistory, '', {}, 'text', 'google');
+    const llmResponse = await processWithLLM(conversationHistory, '', {}, 'text', 'google', '', '', null, req.promptVersion);
+    meterUsage(req, { llmTokens: llmResponse.usage?.totalTokens });
 
     return res.json({
       success: true,
       response: llmResponse.message,
+      promptVersion: llmResponse.promptVersion,
       test: true
     });
   } catch (error) {
@@ -191,7 +83,7 @@ router.post('/test', upload.single('audio'), async (req, res) => {
 });
 
 // POST /api/voice/command - Process voice or text command
-// Note: authAndRateLimit middleware (applied at /api level) already extracts tokens and sets req.googleToken, req.outlookToken, req.primaryCalendar
+// Note: authAndRateLimit middleware (applied at /api level) already extracts tokens and sets req.tokens, req.primaryCalendar
 router.post('/command', upload.single('audio'), async (req, res) => {
   try {
     let userMessage;
@@ -220,6 +112,7 @@ router.post('/command', upload.single('audio'), async (req, res) => {
     }
 
       const transcription = await transcribeAudio(req.file.buffer, req.file.originalname);
+      meterUsage(req, { audioSeconds: transcription.audioSeconds });
       
       if (!transcription.success) {
         return res.status(500).json(transcription);
@@ -246,37 +139,27 @@ router.post('/command', upload.single('audio'), async (req, res) => {
     let contactsList = '';
     
     try {
-      const googleToken = req.googleToken;
-      const outlookToken = req.outlookToken;
+      const tokens = req.tokens;
       const primaryCalendar = req.primaryCalendar;
       
-      const start = new Date();
-      start.setDate(start.getDate() - 1); 
-      start.setHours(0, 0, 0, 0);
-      const end = new Date();
-      end.setHours(23, 59, 59, 999);
+      // Yesterday and today on the user's clock
+      const { start, end } = getLocalDayRange(req.timeZone, { offsetDays: -1, days: 2 });
       
-      const events = await getEvents(googleToken, outlookToken, primaryCalendar, {
+      const events = await getEvents(tokens, primaryCalendar, {
         timeMin: start.toISOString(),
-        timeMax: end.toISOString()
+        timeMax: end.toISOString(),
+        timeZone: req.timeZone
       }, req.user?.email);
 
       if (events.success && events.events.length > 0) {
-        meetingsList = events.events
-          .map(e => {
-            const start = new Date(e.start.dateTime || e.start.date);
-            const time = start.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', hour12: true });
-            const calendar = e.source || primaryCalendar;
-            return `${time} - ${e.summary} (ID: ${e.id}, Calendar: ${calendar})`;
-          })
-          .join(', ');
+        meetingsList = formatMeetingsList(events.events, req);
         contextInfo += `Today's meetings: ${meetingsList}\n`;
       }
 
       const twoMonthsAgo = new Date();
       twoMonthsAgo.setMonth(twoMonthsAgo.getMonth() - 2);
       
-      const recentEvents = await getEvents(googleToken, outlookToken, primaryCalendar, {
+      const recentEvents = await getEvents(tokens, primaryCalendar, {
         timeMin: twoMonthsAgo.toISOString(),
         maxResults: 50
       }, req.user?.email);
@@ -322,281 +205,140 @@ router.post('/command', upload.single('audio'), async (req, res) => {
 
     // Extract timezone and timestamp information from headers
     const timezoneInfo = {
-      deviceTimezone: req.headers['x-device-timezone'],
+      deviceTimezone: req.timeZone,
       timezoneOffset: req.headers['x-device-timezone-offset'],
       deviceTimestamp: req.headers['x-device-timestamp']
     };
 
-    const llmStart = Date.now();
-    const llmResponse = await processWithLLM(conversationHistory, contextInfo, timezoneInfo, inputModality, req.primaryCalendar, contactsList, meetingsList);
-    const llmLatencyMs = Date.now() - llmStart;
+    const agentResult = await runAgentLoop(conversationHistory, {
+      contextInfo,
+      timezoneInfo,
+      inputModality,
+      emailCtxt: contactsList,
+      schedule: meetingsList,
+      promptVersion: req.promptVersion
+    }, {
+      tokens: req.tokens,
+      primaryCalendar: req.primaryCalendar,
+      userEmail: req.user?.email,
+      timeZone: req.timeZone
+    });
+    meterUsage(req, { llmTokens: agentResult.llmTokens });
+    const llmLatencyMs = agentResult.latencyMs;
 
-    if (!llmResponse.success) {
-      console.log('❌ DEBUG - LLM response failed:', llmResponse.error);
-      return res.status(500).json(llmResponse);
+    if (!agentResult.success) {
+      console.log('❌ DEBUG - LLM response failed:', agentResult.error);
+      return res.status(500).json({ success: false, error: agentResult.error });
     }
 
-    console.log('✅ DEBUG - LLM response success:', JSON.stringify(llmResponse, null, 2));
+    console.log('✅ DEBUG - Agent loop finished:', JSON.stringify({ steps: agentResult.steps, message: agentResult.message, pending: agentResult.pendingToolCalls.map(c => c.name) }, null, 2));
 
-    // Check if GPT wants to call a tool
-    if (llmResponse.toolCalls && llmResponse.toolCalls.length > 0) {
-      const toolCall = llmResponse.toolCalls[0];
-      const { name, arguments: args } = toolCall.function;
-      const params = JSON.parse(args);
+    // Check if GPT wants a mutating action (read-only tools were already run by the agent loop)
+    if (agentResult.pendingToolCalls.length > 0) {
       const toolPayload = {
         modality: inputModality,
         user_instruction: userMessage,
-        llm_interaction: llmResponse.message,
+        llm_interaction: agentResult.message,
         tool_call: {
-          name,
-          arguments: params
+          name: agentResult.pendingToolCalls[0].name,
+          arguments: agentResult.pendingToolCalls[0].params
         },
+        tool_calls: agentResult.pendingToolCalls.map(call => ({ name: call.name, arguments: call.params })),
         metadata: {
           endpoint: 'voice_command',
           request_id: req.requestId,
-          latency_ms: llmLatencyMs
+          latency_ms: llmLatencyMs,
+          agent_steps: agentResult.steps
         }
       };
 
-      // Check if this is a read-only action (execute immediately)
-      if (name === 'list_calendar_events') {
-        const toolResult = await executeTool(
-          toolCall,
-          req.googleToken,
-          req.outlookToken,
-          req.primaryCalendar,
-          req.user?.email
-        );
-
-        conversationHistory.push({
-          role: 'assistant',
-          content: null,
-          tool_calls: llmResponse.toolCalls
-        });
-
-        conversationHistory.push({
-          role: 'tool',
-          tool_call_id: toolCall.id,
-          content: JSON.stringify(toolResult)
-        });
-
-        const finalResponse = await processWithLLM(conversationHistory, '', {}, inputModality, req.primaryCalendar);
-
-        await recordInteractionLog(req, {
-          actionType: name || 'converse',
-          calendarType: loggingCalendarType,
-          payload: {
-            ...toolPayload,
-            llm_further_interaction: finalResponse.message,
-            result: 'executed'
-          }
-        });
+      if (process.env.DEBUG_STREAM === 'true') {
+        console.log('🔍 DEBUG - Updated conversation history after tool call:', JSON.stringify(conversationHistory, null, 2));
+      }
 
+      // Build one preview per pending mutating action, in the order the model asked for them
+      const previews = await buildActionPreviews(agentResult.pendingToolCalls, getPreviewSession(req));
+      if (!previews.success) {
         return res.json({
           success: true,
-          response: finalResponse.message || 'Here are your events',
-          executed: true,
-          result: toolResult,
+          response: previews.response,
+          needsClarification: previews.needsClarification,
           conversationHistory
         });
       }
+      const actionPreviews = previews.actions;
 
-      // Add assistant response and tool result to history (even for confirmation)
-      conversationHistory.push({
-        role: 'assistant',
-        content: null,
-        tool_calls: llmResponse.toolCalls
-      });
-
-      conversationHistory.push({
-        role: 'tool',
-        tool_call_id: toolCall.id,
-        content: JSON.stringify({ status: 'pending_confirmation', action: { type: name, ...params } })
+      // Store the previews server-side; /execute only accepts this ID
+      const pendingAction = await savePendingActions(req.user.email, actionPreviews, {
+        endpoint: 'voice_command',
+        request_id: req.requestId,
+        prompt_version: req.promptVersion
       });
 
-      if (process.env.DEBUG_STREAM === 'true') {
-        console.log('🔍 DEBUG - Updated conversation history after tool call:', JSON.stringify(conversationHistory, null, 2));
-      }
-
-      // For mutating actions, return preview for confirmation
-      // Calendar is required in tool calls, so it's always in params
-      const actionPreview = {
-        type: name,
-        ...params
-      };
-
-        // Smart defaults for create events
-        if (name === 'create_calendar_event') {
-          // Validate required attendees
-          if (!params.attendees || params.attendees.length === 0) {
-            return res.json({
-              success: true,
-              response: "Who should attend this meeting?",
-              needsClarification: true,
-              conversationHistory
-            });
-          }
-
-          // Validate email addresses
-          const invalidEmails = params.attendees.filter(attendee => {
-            const email = attendee.email;
-            return !email || !email.includes('@') || !email.includes('.') || email.length < 5;
-          });
-
-          if (invalidEmails.length > 0) {
-            return res.json({
-              success: true,
-              response: "Please provide valid email addresses for all attendees.",
-              needsClarification: true,
-              conversationHistory
-            });
-          }
-
-          // If no start time after multiple attempts, use next available hour
-          if (!params.startTime) {
-            const now = new Date();
-            const nextHour = new Date(now);
-            nextHour.setHours(now.getHours() + 1, 0, 0, 0);
-            actionPreview.startTime = nextHour.toISOString();
-          }
-          
-          // Calculate end time based on duration or default to 30 minutes
-          if (!params.endTime && actionPreview.startTime) {
-            const startTime = new Date(actionPreview.startTime);
-            let durationMinutes = 30; // Default
-            
-            // If duration is provided in params, use it
-            if (params.duration) {
-              durationMinutes = parseInt(params.duration) || 30;
-            }
-            
-            const endTime = new Date(startTime.getTime() + durationMinutes * 60 * 1000);
-            actionPreview.endTime = endTime.toISOString();
-          }
-        }
-
-        // For delete and update events, fetch event details for confirmation
-        if ((name === 'delete_calendar_event' || name === 'update_calendar_event') && params.eventId) {
-          try {
-            const eventCalendar = params.calendar || req.primaryCalendar || 'google';
-            const token = eventCalendar === 'outlook' ? req.outlookToken : req.googleToken;
-            
-            if (eventCalendar === 'outlook') {
-              // Fetch event from Outlook using Microsoft Graph API
-              const response = await fetch(`https://graph.microsoft.com/v1.0/me/calendar/events/${params.eventId}`, {
-                headers: {
-                  'Authorization': `Bearer ${token}`,
-                  'Content-Type': 'application/json'
-                }
-              });
-              
-              if (response.ok) {
-                const graphEvent = await response.json();
-                actionPreview.eventDetails = {
-                  summary: graphEvent.subject || '',
-                  description: graphEvent.body?.content || '',
-                  start: {
-                    dateTime: graphEvent.start?.dateTime,
-                    date: graphEvent.start?.date,
-                    timeZone: graphEvent.start?.timeZone || 'UTC'
-                  },
-                  end: {
-                    dateTime: graphEvent.end?.dateTime,
-                    date: graphEvent.end?.date,
-                    timeZone: graphEvent.end?.timeZone || 'UTC'
-                  },
-                  attendees: (graphEvent.attendees || []).map(a => ({
-                    email: a.emailAddress?.address,
-                    displayName: a.emailAddress?.name
-                  }))
-                };
-              }
-            } else {
-              // Fetch event from Google Calendar
-              const calendar = getCalendar(token);
-              const eventResponse = await calendar.events.get({
-                calendarId: 'primary',
-                eventId: params.eventId
-              });
-              
-              const event = eventResponse.data;
-              actionPreview.eventDetails = {
-                summary: event.summary,
-                description: event.description,
-                start: event.start,
-                end: event.end,
-                attendees: event.attendees
-              };
-            }
-          } catch (error) {
-            console.error(`Failed to fetch event details for ${name}:`, error);
-          }
-        }
-
-      // Generate confirmation message
-      let confirmationMessage = '';
-      switch (name) {
-        case 'create_calendar_event':
-          confirmationMessage = `Create "${params.summary}" on ${new Date(params.startTime).toLocaleString()}?`;
-          break;
-        case 'update_calendar_event':
-          if (actionPreview.eventDetails) {
-            const startTime = new Date(actionPreview.eventDetails.start.dateTime || actionPreview.eventDetails.start.date);
-            const timeStr = startTime.toLocaleString();
-            confirmationMessage = `Update "${actionPreview.eventDetails.summary}" on ${timeStr}?`;
-          } else {
-            confirmationMessage = `Update event "${params.summary || 'this event'}"?`;
-          }
-          break;
-        case 'delete_calendar_event':
-          if (actionPreview.eventDetails) {
-            const startTime = new Date(actionPreview.eventDetails.start.dateTime || actionPreview.eventDetails.start.date);
-            const timeStr = startTime.toLocaleString();
-            confirmationMessage = `Delete "${actionPreview.eventDetails.summary}" on ${timeStr}?`;
-          } else {
-            confirmationMessage = `Delete "${params.summary || 'this event'}"?`;
-          }
-          break;
-        default:
-          confirmationMessage = 'Confirm this action?';
-      }
-
       const confirmationResponse = {
         success: true,
-        response: confirmationMessage,
+        response: previews.response,
         needsConfirmation: true,
-        action: actionPreview,
+        pendingActionId: pendingAction.id,
+        expiresAt: pendingAction.expiresAt,
+        action: actionPreviews[0],
+        actions: actionPreviews,
         conversationHistory
       };
 
       await recordInteractionLog(req, {
-        actionType: name || 'converse',
+        actionType: agentResult.pendingToolCalls[0].name || 'converse',
         calendarType: loggingCalendarType,
         payload: {
           ...toolPayload,
           result: 'pending_confirmation',
           metadata: {
             ...toolPayload.metadata,
-            action_preview: actionPreview
+            action_preview: actionPreviews[0],
+            action_previews: actionPreviews
           }
         }
       });
 
       return res.json(confirmationResponse);
-    } else {
-      // GPT is asking for clarification
-      conversationHistory.push({
-        role: 'assistant',
-        content: llmResponse.message
+    } else if (agentResult.executedToolCalls.length > 0) {
+      // Read-only tools were executed and the model answered with their results
+      const lastCall = agentResult.executedToolCalls[agentResult.executedToolCalls.length - 1];
+
+      await recordInteractionLog(req, {
+        actionType: lastCall.name || 'converse',
+        calendarType: loggingCalendarType,
+        payload: {
+          modality: inputModality,
+          user_instruction: userMessage,
+          tool_calls: agentResult.executedToolCalls.map(call => ({ name: call.name, arguments: call.params })),
+          llm_further_interaction: agentResult.message,
+          result: 'executed',
+          metadata: {
+            endpoint: 'voice_command',
+            request_id: req.requestId,
+            latency_ms: llmLatencyMs,
+            agent_steps: agentResult.steps
+          }
+        }
       });
 
+      return res.json({
+        success: true,
+        response: agentResult.message || (lastCall.name === 'list_tasks' ? 'Here are your tasks' : 'Here are your events'),
+        executed: true,
+        result: lastCall.result,
+        conversationHistory
+      });
+    } else {
+      // GPT is asking for clarification (the agent loop already added its reply to the history)
       await recordInteractionLog(req, {
         actionType: 'ask_to_clarify',
         calendarType: loggingCalendarType,
         payload: {
           modality: inputModality,
           user_instruction: userMessage,
-          llm_interaction: llmResponse.message,
+          llm_interaction: agentResult.message,
           metadata: {
             endpoint: 'voice_command',
             request_id: req.requestId,
@@ -607,7 +349,7 @@ router.post('/command', upload.single('audio'), async (req, res) => {
 
       return res.json({
         success: true,
-        response: llmResponse.message,
+        response: agentResult.message,
         needsClarification: true,
         conversationHistory
       });
@@ -622,7 +364,7 @@ router.post('/command', upload.single('audio'), async (req, res) => {
 });
 
 // POST /api/voice/stream - Process voice command with SSE (progressive updates)
-// Note: authAndRateLimit middleware (applied at /api level) already extracts tokens and sets req.googleToken, req.outlookToken, req.primaryCalendar
+// Note: authAndRateLimit middleware (applied at /api level) already extracts tokens and sets req.tokens, req.primaryCalendar
 router.post('/stream', upload.single('audio'), async (req, res) => {
   try {
     // Set SSE headers
@@ -631,6 +373,11 @@ router.post('/stream', upload.single('audio'), async (req, res) => {
     res.setHeader('Connection', 'keep-alive');
     res.setHeader('X-Accel-Buffering', 'no'); // Disable nginx buffering
 
+    // Quota status first, so clients can show remaining usage while the command runs
+    if (req.rateLimit) {
+      res.write(`data: ${JSON.stringify({ type: 'usage', ...req.rateLimit })}\n\n`);
+    }
+
     if (process.env.DEBUG_STREAM === 'true') {
       console.log('📥 /stream endpoint called');
       console.log('📥 Has file:', !!req.file);
@@ -666,15 +413,16 @@ router.post('/stream', upload.single('audio'), async (req, res) => {
           type: 'response',
           response: "I'm sorry, I couldn't keep track of what you're saying. Could you summarize ? For longer commands, you can also consider upgrading to our Kalendra Plus plan !"
         })}\n\n`);
-        res.end();
+        endStream(res);
         return;
       }
 
       const transcription = await transcribeAudio(req.file.buffer, req.file.originalname);
+      meterUsage(req, { audioSeconds: transcription.audioSeconds });
       
       if (!transcription.success) {
         res.write(`data: ${JSON.stringify({ type: 'error', error: transcription.error })}\n\n`);
-        res.end();
+        endStream(res);
         return;
       }
 
@@ -696,7 +444,7 @@ router.post('/stream', upload.single('audio'), async (req, res) => {
       console.log('❌ req.body:', req.body);
       console.log('❌ req.body?.text:', req.body?.text);
       res.write(`data: ${JSON.stringify({ type: 'error', error: 'Either audio file or text input required' })}\n\n`);
-      res.end();
+      endStream(res);
       return;
     }
 
@@ -706,29 +454,20 @@ router.post('/stream', upload.single('audio'), async (req, res) => {
     let contactsList = '';
     
     try {
-      const googleToken = req.googleToken;
-      const outlookToken = req.outlookToken;
+      const tokens = req.tokens;
       const primaryCalendar = req.primaryCalendar;
 
-      const todayStart = new Date();
-      todayStart.setHours(0, 0, 0, 0);
-      const todayEnd = new Date();
-      todayEnd.setHours(23, 59, 59, 999);
+      // Today on the user's clock
+      const { start: todayStart, end: todayEnd } = getLocalDayRange(req.timeZone);
       
-      const todayEvents = await getEvents(googleToken, outlookToken, primaryCalendar, {
+      const todayEvents = await getEvents(tokens, primaryCalendar, {
         timeMin: todayStart.toISOString(),
-        timeMax: todayEnd.toISOString()
+        timeMax: todayEnd.toISOString(),
+        timeZone: req.timeZone
       }, req.user?.email);
 
       if (todayEvents.success && todayEvents.events.length > 0) {
-        meetingsList = todayEvents.events
-          .map(e => {
-            const start = new Date(e.start.dateTime || e.start.date);
-            const time = start.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', hour12: true });
-            const calendar = e.source || primaryCalendar;
-            return `${time} - ${e.summary} (ID: ${e.id}, Calendar: ${calendar})`;
-          })
-          .join(', ');
+        meetingsList = formatMeetingsList(todayEvents.events, req);
         contextInfo += `Today's meetings: ${meetingsList}\n`;
       }
 
@@ -736,7 +475,7 @@ router.post('/stream', upload.single('audio'), async (req, res) => {
       const twoMonthsAgo = new Date();
       twoMonthsAgo.setMonth(twoMonthsAgo.getMonth() - 2);
       
-      const recentEvents = await getEvents(googleToken, outlookToken, primaryCalendar, {
+      const recentEvents = await getEvents(tokens, primaryCalendar, {
         timeMin: twoMonthsAgo.toISOString(),
         maxResults: 50
       }, req.user?.email);
@@ -783,615 +522,142 @@ router.post('/stream', upload.single('audio'), async (req, res) => {
 
     // Extract timezone and timestamp information from headers
     const timezoneInfo = {
-      deviceTimezone: req.headers['x-device-timezone'],
+      deviceTimezone: req.timeZone,
       timezoneOffset: req.headers['x-device-timezone-offset'],
       deviceTimestamp: req.headers['x-device-timestamp']
     };
 
-    const llmStartTime = Date.now();
-    const llmResponse = await processWithLLM(conversationHistory, contextInfo, timezoneInfo, inputModality, req.primaryCalendar, contactsList, meetingsList);
-    const llmLatencyMs = Date.now() - llmStartTime;
+    const agentResult = await runAgentLoop(conversationHistory, {
+      contextInfo,
+      timezoneInfo,
+      inputModality,
+      emailCtxt: contactsList,
+      schedule: meetingsList,
+      promptVersion: req.promptVersion
+    }, {
+      tokens: req.tokens,
+      primaryCalendar: req.primaryCalendar,
+      userEmail: req.user?.email,
+      timeZone: req.timeZone,
+      // Partial replies (delta) and read-only tool progress go out as they happen
+      onEvent: (event) => writeEvent(res, event)
+    });
+    meterUsage(req, { llmTokens: agentResult.llmTokens });
+    const llmLatencyMs = agentResult.latencyMs;
 
-    if (!llmResponse.success) {
-      console.log('❌ DEBUG - LLM response failed:', llmResponse.error);
-      res.write(`data: ${JSON.stringify({ type: 'error', error: llmResponse.error })}\n\n`);
-      res.end();
+    if (!agentResult.success) {
+      console.log('❌ DEBUG - LLM response failed:', agentResult.error);
+      res.write(`data: ${JSON.stringify({ type: 'error', error: agentResult.error })}\n\n`);
+      endStream(res);
       return;
     }
 
-    console.log('✅ DEBUG - LLM response success:', JSON.stringify(llmResponse, null, 2));
-
-    // Step 4: Send result
-    if (llmResponse.toolCalls && llmResponse.toolCalls.length > 0) {
-      const toolCall = llmResponse.toolCalls[0];
-      const { name, arguments: args } = toolCall.function;
-      const params = JSON.parse(args);
+    console.log('✅ DEBUG - Agent loop finished:', JSON.stringify({ steps: agentResult.steps, message: agentResult.message, pending: agentResult.pendingToolCalls.map(c => c.name) }, null, 2));
 
+    // Step 4: Send result (read-only tools were already run by the agent loop)
+    if (agentResult.pendingToolCalls.length > 0) {
       const toolPayload = {
         modality: inputModality,
         user_instruction: userMessage,
-        llm_interaction: llmResponse.message,
+        llm_interaction: agentResult.message,
         tool_call: {
-          name,
-          arguments: params
+          name: agentResult.pendingToolCalls[0].name,
+          arguments: agentResult.pendingToolCalls[0].params
         },
+        tool_calls: agentResult.pendingToolCalls.map(call => ({ name: call.name, arguments: call.params })),
         metadata: {
           endpoint: 'voice_stream',
           request_id: req.requestId,
-          latency_ms: llmLatencyMs
+          latency_ms: llmLatencyMs,
+          agent_steps: agentResult.steps
         }
       };
 
-      // Read-only action - execute and check if followed by mutating action
-      if (name === 'list_calendar_events' || name === 'list_tasks') {
-        const toolResult = await executeTool(
-          toolCall,
-          req.googleToken,
-          req.outlookToken,
-          req.primaryCalendar,
-          req.user?.email
-        );
-
-        conversationHistory.push({
-          role: 'assistant',
-          content: null,
-          tool_calls: llmResponse.toolCalls
-        });
-
-        conversationHistory.push({
-          role: 'tool',
-          tool_call_id: toolCall.id,
-          content: JSON.stringify(toolResult)
-        });
-
-        // Get LLM's next response to see if it wants to do a mutating action
-        const nextLlmStart = Date.now();
-        const nextLlmResponse = await processWithLLM(conversationHistory, contextInfo, timezoneInfo, inputModality, req.primaryCalendar, contactsList, meetingsList);
-        const nextLlmLatencyMs = Date.now() - nextLlmStart;
-
-        // If LLM wants to do a mutating action next, skip sending list result to user
-        if (nextLlmResponse.toolCalls && nextLlmResponse.toolCalls.length > 0) {
-          const nextToolCall = nextLlmResponse.toolCalls[0];
-          const nextName = nextToolCall.function.name;
-          
-          // If next action is mutating, continue to that instead of sending list result
-          if (nextName === 'create_calendar_event' || nextName === 'delete_calendar_event' || nextName === 'update_calendar_event' ||
-              nextName === 'create_task' || nextName === 'delete_task' || nextName === 'update_task') {
-            console.log(`🔄 List followed by ${nextName}, skipping list response to user`);
-            
-            // Update conversation history with next tool call
-            conversationHistory.push({
-              role: 'assistant',
-              content: null,
-              tool_calls: nextLlmResponse.toolCalls
-            });
-
-            // Process the mutating action
-            const nextParams = JSON.parse(nextToolCall.function.arguments);
-            const nextToolPayload = {
-              modality: inputModality,
-              user_instruction: userMessage,
-              llm_interaction: nextLlmResponse.message,
-              tool_call: {
-                name: nextName,
-                arguments: nextParams
-              },
-              metadata: {
-                endpoint: 'voice_stream',
-                request_id: req.requestId,
-                latency_ms: nextLlmLatencyMs
-              }
-            };
-            
-            conversationHistory.push({
-              role: 'tool',
-              tool_call_id: nextToolCall.id,
-              content: JSON.stringify({ status: 'pending_confirmation', action: { type: nextName, ...nextParams } })
-            });
-
-            // Now handle the mutating action confirmation (reuse existing logic below)
-            // Calendar is required in tool calls, so it's always in nextParams
-            const actionPreview = {
-              type: nextName,
-              ...nextParams
-            };
-
-        // For delete and update events, fetch event details for confirmation
-        if ((nextName === 'delete_calendar_event' || nextName === 'update_calendar_event') && nextParams.eventId) {
-          try {
-            const eventCalendar = nextParams.calendar || req.primaryCalendar || 'google';
-            const token = eventCalendar === 'outlook' ? req.outlookToken : req.googleToken;
-            
-            if (eventCalendar === 'outlook') {
-              // Fetch event from Outlook using Microsoft Graph API
-              const response = await fetch(`https://graph.microsoft.com/v1.0/me/calendar/events/${nextParams.eventId}`, {
-                headers: {
-                  'Authorization': `Bearer ${token}`,
-                  'Content-Type': 'application/json'
-                }
-              });
-              
-              if (response.ok) {
-                const graphEvent = await response.json();
-                actionPreview.eventDetails = {
-                  summary: graphEvent.subject || '',
-                  description: graphEvent.body?.content || '',
-                  start: {
-                    dateTime: graphEvent.start?.dateTime,
-                    date: graphEvent.start?.date,
-                    timeZone: graphEvent.start?.timeZone || 'UTC'
-                  },
-                  end: {
-                    dateTime: graphEvent.end?.dateTime,
-                    date: graphEvent.end?.date,
-                    timeZone: graphEvent.end?.timeZone || 'UTC'
-                  },
-                  attendees: (graphEvent.attendees || []).map(a => ({
-                    email: a.emailAddress?.address,
-                    displayName: a.emailAddress?.name
-                  }))
-                };
-              }
-            } else {
-              // Fetch event from Google Calendar
-              const calendar = getCalendar(token);
-              const eventResponse = await calendar.events.get({
-                calendarId: 'primary',
-                eventId: nextParams.eventId
-              });
-              
-              const event = eventResponse.data;
-              actionPreview.eventDetails = {
-                summary: event.summary,
-                description: event.description,
-                start: event.start,
-                end: event.end,
-                attendees: event.attendees
-              };
-            }
-          } catch (error) {
-            console.error(`Failed to fetch event details for ${nextName}:`, error);
-          }
-        }
-
-        // For delete and update tasks, fetch task details for confirmation
-        if ((nextName === 'delete_task' || nextName === 'update_task') && nextParams.taskId) {
-          try {
-            const tasksResult = await getTasks(req.googleToken, req.outlookToken, req.primaryCalendar, {}, req.user?.email);
-            
-            if (tasksResult.success && tasksResult.tasks) {
-              const task = tasksResult.tasks.find(t => t.id === nextParams.taskId);
-              if (task) {
-                actionPreview.taskDetails = {
-                  title: task.summary || task.title || '',
-                  notes: task.description || task.notes || '',
-                  due: task.start?.date || task.start?.dateTime || task.due || null
-                };
-              }
-            }
-          } catch (error) {
-            console.error(`Failed to fetch task details for ${nextName}:`, error);
-          }
-        }
-
-        // Check for conflicts when creating or updating calendar events
-        // Only check conflicts if time is being changed (startTime/endTime provided)
-        if (nextName === 'create_calendar_event' || (nextName === 'update_calendar_event' && (nextParams.startTime || nextParams.endTime))) {
-          const startTime = actionPreview.startTime;
-          const endTime = actionPreview.endTime;
-          const excludeEventId = nextName === 'update_calendar_event' ? nextParams.eventId : null;
-          
-          if (startTime && endTime) {
-            try {
-              const conflict = await checkMeetingConflict(
-                req.googleToken,
-                req.outlookToken,
-                nextParams.calendar || req.primaryCalendar,
-                startTime,
-                endTime,
-                excludeEventId,
-                req.user?.email
-              );
-              actionPreview.conflict = conflict;
-            } catch (error) {
-              console.error('Error checking meeting conflict:', error);
-              actionPreview.conflict = null;
-            }
-          } else {
-            actionPreview.conflict = null;
-          }
-        } else {
-          actionPreview.conflict = null;
-        }
-
-            let confirmationMessage = '';
-            switch (nextName) {
-              case 'create_calendar_event':
-                const createTimeStr = formatTimeWithUserTimezone(nextParams.startTime, req);
-                confirmationMessage = `Create "${nextParams.summary}" on ${createTimeStr}?`;
-                break;
-              case 'update_calendar_event':
-                if (actionPreview.eventDetails) {
-                  const updateTimeStr = formatTimeWithUserTimezone(
-                    actionPreview.eventDetails.start.dateTime || actionPreview.eventDetails.start.date, 
-                    req
-                  );
-                  confirmationMessage = `Update "${actionPreview.eventDetails.summary}" on ${updateTimeStr}?`;
-                } else {
-                  confirmationMessage = `Update event "${nextParams.summary || 'this event'}"?`;
-                }
-                break;
-              case 'delete_calendar_event':
-                if (actionPreview.eventDetails) {
-                  const deleteTimeStr = formatTimeWithUserTimezone(
-                    actionPreview.eventDetails.start.dateTime || actionPreview.eventDetails.start.date, 
-                    req
-                  );
-                  confirmationMessage = `Delete "${actionPreview.eventDetails.summary}" on ${deleteTimeStr}?`;
-                } else {
-                  confirmationMessage = `Delete "${nextParams.summary || 'this event'}"?`;
-                }
-                break;
-              case 'create_task':
-                const dueDateStr = nextParams.due ? formatTimeWithUserTimezone(nextParams.due, req) : null;
-                if (dueDateStr) {
-                  confirmationMessage = `Create task "${nextParams.title}" due ${dueDateStr}?`;
-                } else {
-                  confirmationMessage = `Create task "${nextParams.title}"?`;
-                }
-                break;
-              case 'update_task':
-                if (actionPreview.taskDetails) {
-                  confirmationMessage = `Update task "${actionPreview.taskDetails.title}"?`;
-                } else {
-                  confirmationMessage = `Update task "${nextParams.title || 'this task'}"?`;
-                }
-                break;
-              case 'delete_task':
-                if (actionPreview.taskDetails) {
-                  confirmationMessage = `Delete task "${actionPreview.taskDetails.title}"?`;
-                } else {
-                  confirmationMessage = `Delete task "${nextParams.title || 'this task'}"?`;
-                }
-                break;
-              default:
-                confirmationMessage = 'Confirm this action?';
-            }
-
-            const confirmationResponse = {
-              type: 'response',
-              response: confirmationMessage,
-              needsConfirmation: true,
-              action: actionPreview
-            };
-            
-            if (process.env.DEBUG_STREAM === 'true') {
-              console.log('📤 STREAM API RESPONSE (confirmation after list):');
-            }
-            if (process.env.DEBUG_STREAM === 'true') {
-              console.log(JSON.stringify(confirmationResponse, null, 2));
-            }
-            
-            res.write(`data: ${JSON.stringify(confirmationResponse)}\n\n`);
-            await recordInteractionLog(req, {
-              actionType: nextName || 'converse',
-              calendarType: loggingCalendarType,
-              payload: {
-                ...nextToolPayload,
-                result: 'pending_confirmation',
-                metadata: {
-                  ...nextToolPayload.metadata,
-                  action_preview: actionPreview
-                }
-              }
-            });
-            res.end();
-            return;
-          }
-        }
-
-        // If no mutating action follows, send list result to user
-        const streamResponse = {
-          type: 'response',
-          response: nextLlmResponse.message || (name === 'list_tasks' ? 'Here are your tasks' : 'Here are your events'),
-          executed: true,
-          result: toolResult
-        };
-        
-        if (process.env.DEBUG_STREAM === 'true') {
-          console.log(`📤 STREAM API RESPONSE (${name}):`);
-        }
-        if (process.env.DEBUG_STREAM === 'true') {
-          console.log(JSON.stringify(streamResponse, null, 2));
-        }
-
-        res.write(`data: ${JSON.stringify(streamResponse)}\n\n`);
-        await recordInteractionLog(req, {
-          actionType: name || 'converse',
-          calendarType: loggingCalendarType,
-          payload: {
-            ...toolPayload,
-            llm_interaction: nextLlmResponse.message,
-            result: 'executed',
-            metadata: {
-              ...toolPayload.metadata,
-              latency_ms: nextLlmLatencyMs
-            }
-          }
-        });
-      } else {
-        // Add assistant response and tool result to history (even for confirmation)
-        conversationHistory.push({
-          role: 'assistant',
-          content: null,
-          tool_calls: llmResponse.toolCalls
-        });
-
-        conversationHistory.push({
-          role: 'tool',
-          tool_call_id: toolCall.id,
-          content: JSON.stringify({ status: 'pending_confirmation', action: { type: name, ...params } })
-        });
-
-        if (process.env.DEBUG_STREAM === 'true') {
-          console.log('🔍 DEBUG - Updated conversation history after tool call (SSE):', JSON.stringify(conversationHistory, null, 2));
-        }
-
-        // Mutating action - request confirmation
-        // Calendar is required in tool calls, so it's always in params
-        const actionPreview = {
-          type: name,
-          ...params
-        };
-
-        // Smart defaults for create events
-        if (name === 'create_calendar_event') {
-          // Validate required attendees
-          if (!params.attendees || params.attendees.length === 0) {
-            res.write(`data: ${JSON.stringify({
-              type: 'response',
-              response: "Who should attend this meeting?",
-              needsClarification: true
-            })}\n\n`);
-            res.end();
-            return;
-          }
+      if (process.env.DEBUG_STREAM === 'true') {
+        console.log('🔍 DEBUG - Updated conversation history after tool call (SSE):', JSON.stringify(conversationHistory, null, 2));
+      }
 
-          // Validate email addresses
-          const invalidEmails = params.attendees.filter(attendee => {
-            const email = attendee.email;
-            return !email || !email.includes('@') || !email.includes('.') || email.length < 5;
-          });
-
-          if (invalidEmails.length > 0) {
-            res.write(`data: ${JSON.stringify({
-              type: 'response',
-              response: "Please provide valid email addresses for all attendees.",
-              needsClarification: true
-            })}\n\n`);
-            res.end();
-            return;
-          }
+      // Build one preview per pending mutating action, in the order the model asked for them
+      const previews = await buildActionPreviews(agentResult.pendingToolCalls, getPreviewSession(req));
+      if (!previews.success) {
+        writeEvent(res, { type: 'response', response: previews.response, needsClarification: previews.needsClarification });
+        endStream(res);
+        return;
+      }
+      const actionPreviews = previews.actions;
 
-          // If no start time after multiple attempts, use next available hour
-          if (!params.startTime) {
-            const now = new Date();
-            const nextHour = new Date(now);
-            nextHour.setHours(now.getHours() + 1, 0, 0, 0);
-            actionPreview.startTime = nextHour.toISOString();
-          }
-          
-          // Calculate end time based on duration or default to 30 minutes
-          if (!params.endTime && actionPreview.startTime) {
-            const startTime = new Date(actionPreview.startTime);
-            let durationMinutes = 30; // Default
-            
-            // If duration is provided in params, use it
-            if (params.duration) {
-              durationMinutes = parseInt(params.duration) || 30;
-            }
-            
-            const endTime = new Date(startTime.getTime() + durationMinutes * 60 * 1000);
-            actionPreview.endTime = endTime.toISOString();
-          }
-        }
+      // Store the previews server-side; /execute only accepts this ID
+      const pendingAction = await savePendingActions(req.user.email, actionPreviews, {
+        endpoint: 'voice_stream',
+        request_id: req.requestId,
+        prompt_version: req.promptVersion
+      });
 
-        // For delete and update events, fetch event details for confirmation
-        if ((name === 'delete_calendar_event' || name === 'update_calendar_event') && params.eventId) {
-          try {
-            const eventCalendar = params.calendar || req.primaryCalendar || 'google';
-            const token = eventCalendar === 'outlook' ? req.outlookToken : req.googleToken;
-            
-            if (eventCalendar === 'outlook') {
-              // Fetch event from Outlook using Microsoft Graph API
-              const response = await fetch(`https://graph.microsoft.com/v1.0/me/calendar/events/${params.eventId}`, {
-                headers: {
-                  'Authorization': `Bearer ${token}`,
-                  'Content-Type': 'application/json'
-                }
-              });
-              
-              if (response.ok) {
-                const graphEvent = await response.json();
-                actionPreview.eventDetails = {
-                  summary: graphEvent.subject || '',
-                  description: graphEvent.body?.content || '',
-                  start: {
-                    dateTime: graphEvent.start?.dateTime,
-                    date: graphEvent.start?.date,
-                    timeZone: graphEvent.start?.timeZone || 'UTC'
-                  },
-                  end: {
-                    dateTime: graphEvent.end?.dateTime,
-                    date: graphEvent.end?.date,
-                    timeZone: graphEvent.end?.timeZone || 'UTC'
-                  },
-                  attendees: (graphEvent.attendees || []).map(a => ({
-                    email: a.emailAddress?.address,
-                    displayName: a.emailAddress?.name
-                  }))
-                };
-              }
-            } else {
-              // Fetch event from Google Calendar
-              const calendar = getCalendar(token);
-              const eventResponse = await calendar.events.get({
-                calendarId: 'primary',
-                eventId: params.eventId
-              });
-              
-              const event = eventResponse.data;
-              actionPreview.eventDetails = {
-                summary: event.summary,
-                description: event.description,
-                start: event.start,
-                end: event.end,
-                attendees: event.attendees
-              };
-            }
-          } catch (error) {
-            console.error(`Failed to fetch event details for ${name}:`, error);
-          }
-        }
+      const confirmationResponse = {
+        type: 'response',
+        response: previews.response,
+        needsConfirmation: true,
+        pendingActionId: pendingAction.id,
+        expiresAt: pendingAction.expiresAt,
+        action: actionPreviews[0],
+        actions: actionPreviews
+      };
+      
+      console.log('📤 STREAM API RESPONSE (confirmation needed):');
+      console.log(JSON.stringify(confirmationResponse, null, 2));
 
-        // For delete and update tasks, fetch task details for confirmation
-        if ((name === 'delete_task' || name === 'update_task') && params.taskId) {
-          try {
-            const tasksResult = await getTasks(req.googleToken, req.outlookToken, req.primaryCalendar, {}, req.user?.email);
-            
-            if (tasksResult.success && tasksResult.tasks) {
-              const task = tasksResult.tasks.find(t => t.id === params.taskId);
-              if (task) {
-                actionPreview.taskDetails = {
-                  title: task.summary || task.title || '',
-                  notes: task.description || task.notes || '',
-                  due: task.start?.date || task.start?.dateTime || task.due || null
-                };
-              }
-            }
-          } catch (error) {
-            console.error(`Failed to fetch task details for ${name}:`, error);
+      res.write(`data: ${JSON.stringify(confirmationResponse)}\n\n`);
+      await recordInteractionLog(req, {
+        actionType: agentResult.pendingToolCalls[0].name || 'converse',
+        calendarType: loggingCalendarType,
+        payload: {
+          ...toolPayload,
+          result: 'pending_confirmation',
+          metadata: {
+            ...toolPayload.metadata,
+            action_preview: actionPreviews[0],
+            action_previews: actionPreviews
           }
         }
+      });
+    } else if (agentResult.executedToolCalls.length > 0) {
+      // Read-only tools were executed and the model answered with their results
+      const lastCall = agentResult.executedToolCalls[agentResult.executedToolCalls.length - 1];
+      const streamResponse = {
+        type: 'response',
+        response: agentResult.message || (lastCall.name === 'list_tasks' ? 'Here are your tasks' : 'Here are your events'),
+        executed: true,
+        result: lastCall.result
+      };
 
-        // Check for conflicts when creating or updating calendar events
-        // Only check conflicts if time is being changed (startTime/endTime provided)
-        if (name === 'create_calendar_event' || (name === 'update_calendar_event' && (params.startTime || params.endTime))) {
-          const startTime = actionPreview.startTime;
-          const endTime = actionPreview.endTime;
-          const excludeEventId = name === 'update_calendar_event' ? params.eventId : null;
-          
-          if (startTime && endTime) {
-            try {
-              const conflict = await checkMeetingConflict(
-                req.googleToken,
-                req.outlookToken,
-                params.calendar || req.primaryCalendar,
-                startTime,
-                endTime,
-                excludeEventId,
-                req.user?.email
-              );
-              actionPreview.conflict = conflict;
-            } catch (error) {
-              console.error('Error checking meeting conflict:', error);
-              actionPreview.conflict = null;
-            }
-          } else {
-            actionPreview.conflict = null;
-          }
-        } else {
-          actionPreview.conflict = null;
-        }
+      if (process.env.DEBUG_STREAM === 'true') {
+        console.log(`📤 STREAM API RESPONSE (${lastCall.name}):`);
+        console.log(JSON.stringify(streamResponse, null, 2));
+      }
 
-        let confirmationMessage = '';
-        switch (name) {
-          case 'create_calendar_event':
-            const createTimeStr = formatTimeWithUserTimezone(params.startTime, req);
-            confirmationMessage = `Create "${params.summary}" on ${createTimeStr}?`;
-            break;
-          case 'update_calendar_event':
-            if (actionPreview.eventDetails) {
-              const updateTimeStr = formatTimeWithUserTimezone(
-                actionPreview.eventDetails.start.dateTime || actionPreview.eventDetails.start.date, 
-                req
-              );
-              confirmationMessage = `Update "${actionPreview.eventDetails.summary}" on ${updateTimeStr}?`;
-            } else {
-              confirmationMessage = `Update event "${params.summary || 'this event'}"?`;
-            }
-            break;
-        case 'delete_calendar_event':
-          if (actionPreview.eventDetails) {
-            const deleteTimeStr = formatTimeWithUserTimezone(
-              actionPreview.eventDetails.start.dateTime || actionPreview.eventDetails.start.date, 
-              req
-            );
-            confirmationMessage = `Delete "${actionPreview.eventDetails.summary}" on ${deleteTimeStr}?`;
-          } else {
-            confirmationMessage = `Delete "${params.summary || 'this event'}"?`;
+      res.write(`data: ${JSON.stringify(streamResponse)}\n\n`);
+      await recordInteractionLog(req, {
+        actionType: lastCall.name || 'converse',
+        calendarType: loggingCalendarType,
+        payload: {
+          modality: inputModality,
+          user_instruction: userMessage,
+          llm_interaction: agentResult.message,
+          tool_calls: agentResult.executedToolCalls.map(call => ({ name: call.name, arguments: call.params })),
+          result: 'executed',
+          metadata: {
+            endpoint: 'voice_stream',
+            request_id: req.requestId,
+            latency_ms: llmLatencyMs,
+            agent_steps: agentResult.steps
           }
-          break;
-          case 'create_task':
-            const dueDateStr = params.due ? formatTimeWithUserTimezone(params.due, req) : null;
-            if (dueDateStr) {
-              confirmationMessage = `Create task "${params.title}" due ${dueDateStr}?`;
-            } else {
-              confirmationMessage = `Create task "${params.title}"?`;
-            }
-            break;
-          case 'update_task':
-            if (actionPreview.taskDetails) {
-              confirmationMessage = `Update task "${actionPreview.taskDetails.title}"?`;
-            } else {
-              confirmationMessage = `Update task "${params.title || 'this task'}"?`;
-            }
-            break;
-          case 'delete_task':
-            if (actionPreview.taskDetails) {
-              confirmationMessage = `Delete task "${actionPreview.taskDetails.title}"?`;
-            } else {
-              confirmationMessage = `Delete task "${params.title || 'this task'}"?`;
-            }
-            break;
-          default:
-            confirmationMessage = 'Confirm this action?';
         }
-
-        const confirmationResponse = {
-          type: 'response',
-          response: confirmationMessage,
-          needsConfirmation: true,
-          action: actionPreview
-        };
-        
-        console.log('📤 STREAM API RESPONSE (confirmation needed):');
-        console.log(JSON.stringify(confirmationResponse, null, 2));
-
-        res.write(`data: ${JSON.stringify(confirmationResponse)}\n\n`);
-        await recordInteractionLog(req, {
-          actionType: name || 'converse',
-          calendarType: loggingCalendarType,
-          payload: {
-            ...toolPayload,
-            result: 'pending_confirmation',
-            metadata: {
-              ...toolPayload.metadata,
-              action_preview: actionPreview
-            }
-          }
-        });
-      }
-    } else {
-      // Clarification needed
-      conversationHistory.push({
-        role: 'assistant',
-        content: llmResponse.message
       });
-
+    } else {
+      // Clarification needed (the agent loop already added its reply to the history)
       const clarificationResponse = {
         type: 'response',
-        response: llmResponse.message,
+        response: agentResult.message,
         needsClarification: true
       };
       
@@ -1405,7 +671,7 @@ router.post('/stream', upload.single('audio'), async (req, res) => {
         payload: {
           modality: inputModality,
           user_instruction: userMessage,
-          llm_interaction: llmResponse.message,
+          llm_interaction: agentResult.message,
           metadata: {
             endpoint: 'voice_stream',
             request_id: req.requestId,
@@ -1415,34 +681,163 @@ router.post('/stream', upload.single('audio'), async (req, res) => {
       });
     }
 
-    res.end();
+    endStream(res);
   } catch (error) {
     console.error('Voice stream error:', error);
     res.write(`data: ${JSON.stringify({ type: 'error', error: error.message })}\n\n`);
-    res.end();
+    endStream(res);
   }
 });
 
-// POST /api/voice/execute - Execute a confirmed action
-// Note: authAndRateLimit middleware (applied at /api level) already extracts tokens and sets req.googleToken, req.outlookToken, req.primaryCalendar
+// Execute one confirmed action preview
+// Returns the calendarService result, or { success: false, error, invalid: true } when the action fails validation
+async function executeConfirmedAction(action, req) {
+  // Validate action type
+  if (!action || !MUTATING_TOOLS.includes(action.type)) {
+    return { success: false, error: 'Invalid action type', invalid: true };
+  }
+
+  switch (action.type) {
+    case 'create_calendar_event': {
+      if (hasInvalidAttendees(action.attendees)) {
+        return { success: false, error: 'Please provide valid email addresses for all attendees', invalid: true };
+      }
+
+      // Smart defaults: next full hour, for the requested duration or 30 minutes
+      const { startTime, endTime } = getEventTimes(action, req.timeZone);
+
+      return await createEvent(req.tokens, action.calendar, {
+        summary: action.summary,
+        startTime: startTime,
+        endTime: endTime,
+        description: action.description,
+        attendees: action.attendees,
+        recurrence: action.recurrence,
+        calendarId: action.calendarId,
+        // Recurring events repeat in the user's zone so they don't drift across DST changes
+        timeZone: action.recurrence ? req.timeZone : undefined
+      });
+    }
+
+    case 'update_calendar_event': {
+      // Validate that at least one field is being updated
+      const hasUpdateFields = action.summary || action.startTime || action.endTime || 
+                             action.description !== undefined || action.attendees;
+      
+      if (!hasUpdateFields) {
+        return {
+          success: false,
+          error: 'At least one field must be provided for update (summary, startTime, endTime, description, or attendees)',
+          invalid: true
+        };
+      }
+
+      // Validate email addresses if attendees are provided
+      if (hasInvalidAttendees(action.attendees)) {
+        return { success: false, error: 'Please provide valid email addresses for all attendees', invalid: true };
+      }
+
+      return await updateEvent(req.tokens, action.calendar, action.eventId, {
+        summary: action.summary,
+        startTime: action.startTime,
+        endTime: action.endTime,
+        description: action.description,
+        attendees: action.attendees,
+        scope: action.scope,
+        calendarId: action.calendarId
+      });
+    }
+
+    case 'delete_calendar_event':
+      console.log('\n\n\n------>> Delete event from calendar: ', action.calendar, action.eventId)
+      return await deleteEvent(req.tokens, action.calendar, action.eventId, { scope: action.scope, calendarId: action.calendarId });
+
+    case 'create_task':
+      return await createTask(req.tokens, action.calendar, {
+        title: action.title,
+        notes: action.notes,
+        due: action.due,
+        timeZone: req.timeZone
+      });
+
+    case 'update_task':
+      return await updateTask(req.tokens, action.calendar, action.taskId, {
+        title: action.title,
+        notes: action.notes,
+        due: action.due,
+        timeZone: req.timeZone
+      });
+
+    case 'delete_task':
+      return await deleteTask(req.tokens, action.calendar, action.taskId);
+
+    case 'undo_last_action':
+      return await undoAction(req.user?.email, action.undoId, req.tokens);
+  }
+}
+
+// POST /api/voice/execute - Execute confirmed action(s)
+// Body: { pendingActionId, confirmed, decisions?: [{ index, approved?, edits? }] }
+// Only actions previewed by /command, /stream or /widget can be executed, by the ID returned with the preview.
+// Actions run in order; a decision with `approved: false` skips that action, and one failure doesn't stop the rest.
+// Note: authAndRateLimit middleware (applied at /api level) already extracts tokens and sets req.tokens, req.primaryCalendar
 router.post('/execute', async (req, res) => {
   try {
-    const { action, confirmed } = req.body;
+    const { pendingActionId, confirmed, decisions = [] } = req.body;
     const loggingCalendarType = req.query.type || 'google';
     const requestModality = req.body?.modality || null;
+    const email = req.user?.email;
 
     console.log('📥 EXECUTE API REQUEST:');
-    console.log(JSON.stringify({ action, confirmed }, null, 2));
+    console.log(JSON.stringify({ pendingActionId, confirmed, decisions }, null, 2));
 
-    if (!action) {
+    if (!pendingActionId || typeof pendingActionId !== 'string') {
       return res.status(400).json({
         success: false,
-        error: 'Action details required'
+        error: 'pendingActionId required'
       });
     }
 
-    // User cancelled
-    if (!confirmed) {
+    if (!Array.isArray(decisions)) {
+      return res.status(400).json({
+        success: false,
+        error: 'decisions must be an array'
+      });
+    }
+
+    const pending = await getPendingActions(email, pendingActionId);
+    if (!pending.success) {
+      return res.status(pending.status || 400).json({ success: false, error: pending.error });
+    }
+
+    // Validate decisions and user edits against the stored previews before claiming anything
+    const decisionsByIndex = new Map();
+    for (const decision of decisions) {
+      const index = decision?.index;
+      if (!Number.isInteger(index) || index < 0 || index >= pending.actions.length) {
+        return res.status(400).json({ success: false, error: `Invalid action index: ${index}` });
+      }
+      if (decisionsByIndex.has(index)) {
+        return res.status(400).json({ success: false, error: `Duplicate decision for action ${index}` });
+      }
+
+      const validation = validateActionEdits(pending.actions[index], decision.edits, req.timeZone);
+      if (!validation.valid) {
+        return res.status(400).json({ success: false, error: `Action ${index}: ${validation.error}` });
+      }
+
+      decisionsByIndex.set(index, { approved: decision.approved !== false, edits: decision.edits, changes: validation.changes });
+    }
+
+    const isRejected = (index) => decisionsByIndex.get(index)?.approved === false;
+
+    // User cancelled (or rejected every item)
+    if (!confirmed || pending.actions.every((_, index) => isRejected(index))) {
+      const claim = await claimPendingActions(email, pendingActionId, 'cancelled');
+      if (!claim.success) {
+        return res.status(claim.status || 400).json({ success: false, error: claim.error });
+      }
+
       const cancelResponse = {
         success: true,
         response: 'Action cancelled',
@@ -1459,10 +854,12 @@ router.post('/execute', async (req, res) => {
         calendarType: loggingCalendarType,
         payload: {
           modality: requestModality,
+          prompt_version: pending.promptVersion,
           metadata: {
             endpoint: 'execute',
             request_id: req.requestId,
-            action
+            pending_action_id: pendingActionId,
+            actions: claim.actions
           }
         }
       });
@@ -1470,157 +867,148 @@ router.post('/execute', async (req, res) => {
       return res.json(cancelResponse);
     }
 
-    // Validate action type
-    const validActions = ['create_calendar_event', 'update_calendar_event', 'delete_calendar_event', 'create_task', 'update_task', 'delete_task'];
-    if (!validActions.includes(action.type)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid action type'
-      });
+    // Claim the previews so they can't be executed twice
+    const claim = await claimPendingActions(email, pendingActionId, 'executing');
+    if (!claim.success) {
+      return res.status(claim.status || 400).json({ success: false, error: claim.error });
     }
 
-    // Execute the action
-    let result;
-    switch (action.type) {
-      case 'create_calendar_event':
-        // Validate email addresses
-        const invalidEmails = action.attendees.filter(attendee => {
-          const email = attendee.email;
-          return !email || !email.includes('@') || !email.includes('.') || email.length < 5;
-        });
-
-        if (invalidEmails.length > 0) {
-          return res.status(400).json({
-            success: false,
-            error: 'Please provide valid email addresses for all attendees'
-          });
-        }
-
-        // Smart defaults for start time and end time
-        let startTime = action.startTime;
-        let endTime = action.endTime;
-        
-        // If no start time, use next available hour
-        if (!startTime) {
-          const now = new Date();
-          const nextHour = new Date(now);
-          nextHour.setHours(now.getHours() + 1, 0, 0, 0);
-          startTime = nextHour.toISOString();
-        }
-        
-        // Calculate end time based on duration or default to 30 minutes
-        if (!endTime && startTime) {
-          const start = new Date(startTime);
-          let durationMinutes = 30; // Default
-          
-          // If duration is provided, use it
-          if (action.duration) {
-            durationMinutes = parseInt(action.duration) || 30;
-          }
-          
-          endTime = new Date(start.getTime() + durationMinutes * 60 * 1000).toISOString();
-        }
-        
-        result = await createEvent(req.googleToken, req.outlookToken, action.calendar, {
-          summary: action.summary,
-          startTime: startTime,
-          endTime: endTime,
-          description: action.description,
-          attendees: action.attendees
-        });
-        break;
-
-      case 'update_calendar_event':
-        // Validate that at least one field is being updated
-        const hasUpdateFields = action.summary || action.startTime || action.endTime || 
-                               action.description !== undefined || action.attendees;
-        
-        if (!hasUpdateFields) {
-          return res.status(400).json({
-            success: false,
-            error: 'At least one field must be provided for update (summary, startTime, endTime, description, or attendees)'
-          });
-        }
+    // Execute approved actions in order, recording each outcome
+    const results = [];
+    const executedActions = [];
+    const undoableActions = [];
+    const edits = [];
+    for (const [index, storedAction] of claim.actions.entries()) {
+      if (isRejected(index)) {
+        results.push({ index, type: storedAction.type, status: 'rejected' });
+        continue;
+      }
 
-        // Validate email addresses if attendees are provided
-        if (action.attendees && action.attendees.length > 0) {
-          const invalidUpdateEmails = action.attendees.filter(attendee => {
-            const email = attendee.email;
-            return !email || !email.includes('@') || !email.includes('.') || email.length < 5;
-          });
-
-          if (invalidUpdateEmails.length > 0) {
-            return res.status(400).json({
-              success: false,
-              error: 'Please provide valid email addresses for all attendees'
-            });
-          }
-        }
+      const decision = decisionsByIndex.get(index);
+      const item = applyActionEdits(storedAction, decision?.edits);
+      if (decision?.changes.length > 0) {
+        edits.push({ index, type: storedAction.type, changes: decision.changes });
+      }
+      executedActions.push(item);
 
-        result = await updateEvent(req.googleToken, req.outlookToken, action.calendar, action.eventId, {
-          summary: action.summary,
-          startTime: action.startTime,
-          endTime: action.endTime,
-          description: action.description,
-          attendees: action.attendees
-        });
-        break;
-
-      case 'delete_calendar_event':
-        console.log('\n\n\n------>> Delete event from calendar: ', action.calendar, action.eventId)
-        result = await deleteEvent(req.googleToken, req.outlookToken, action.calendar, action.eventId);
-        break;
-
-      case 'create_task':
-        result = await createTask(req.googleToken, req.outlookToken, action.calendar, {
-          title: action.title,
-          notes: action.notes,
-          due: action.due
-        });
-        break;
+      let result;
+      try {
+        result = await executeConfirmedAction(item, req);
+      } catch (error) {
+        console.error(`Execute action ${index} error:`, error);
+        result = { success: false, error: error.message };
+      }
 
-      case 'update_task':
-        result = await updateTask(req.googleToken, req.outlookToken, action.calendar, action.taskId, {
-          title: action.title,
-          notes: action.notes,
-          due: action.due
-        });
-        break;
+      if (result.success && item.type !== 'undo_last_action') {
+        undoableActions.push({ action: item, result });
+      }
 
-      case 'delete_task':
-        result = await deleteTask(req.googleToken, req.outlookToken, action.calendar, action.taskId);
-        break;
+      results.push(result.success
+        ? { index, type: item.type, status: 'succeeded', result }
+        : { index, type: item.type, status: 'failed', error: result.error, invalid: result.invalid || undefined });
     }
 
-    if (result.success) {
-      const executeResponse = {
-        success: true,
-        response: 'Action completed successfully',
-        result
-      };
-      
-      if (process.env.DEBUG_APIS === 'true') {
-        console.log('📤 EXECUTE API RESPONSE (success):');
-        console.log(JSON.stringify(executeResponse, null, 2));
+    // Remember how to revert what just ran (an undo itself isn't undoable)
+    let undoId = null;
+    if (undoableActions.length > 0) {
+      try {
+        undoId = await recordExecutedActions(email, undoableActions, { endpoint: 'execute', request_id: req.requestId, pending_action_id: pendingActionId });
+      } catch (error) {
+        // The actions already ran - don't fail the request because undo history couldn't be saved
+        console.error('Failed to record undo history:', error);
       }
+    }
+
+    const succeeded = results.filter(r => r.status === 'succeeded').length;
+    const failed = results.filter(r => r.status === 'failed').length;
+    const rejected = results.filter(r => r.status === 'rejected').length;
+    const outcomes = results.map(({ index, type, status, error }) => ({ index, type, status, error }));
 
+    // Audit trail: what was approved, what the user changed, and how each action ended
+    await resolvePendingActions(email, pendingActionId, { edits, outcomes, request_id: req.requestId });
+
+    if (succeeded > 0) {
       await recordInteractionLog(req, {
         actionType: 'approve',
-        calendarType: action?.calendarType || loggingCalendarType,
+        calendarType: loggingCalendarType,
+        payload: {
+          modality: requestModality,
+          prompt_version: pending.promptVersion,
+          metadata: {
+            endpoint: 'execute',
+            request_id: req.requestId,
+            pending_action_id: pendingActionId,
+            actions: executedActions,
+            edits: edits.length > 0 ? edits : undefined,
+            outcomes
+          }
+        }
+      });
+    }
+
+    if (rejected > 0) {
+      await recordInteractionLog(req, {
+        actionType: 'cancel',
+        calendarType: loggingCalendarType,
         payload: {
           modality: requestModality,
+          prompt_version: pending.promptVersion,
           metadata: {
             endpoint: 'execute',
             request_id: req.requestId,
-            action
+            pending_action_id: pendingActionId,
+            actions: claim.actions.filter((_, index) => isRejected(index))
           }
         }
       });
+    }
+
+    // Single action keeps the original response contract
+    if (claim.actions.length === 1) {
+      const [outcome] = results;
+      if (outcome.status !== 'succeeded') {
+        return res.status(outcome.invalid ? 400 : 500).json({ success: false, error: outcome.error });
+      }
+
+      const executeResponse = {
+        success: true,
+        response: 'Action completed successfully',
+        result: outcome.result,
+        undoId: undoId || undefined
+      };
       
+      if (process.env.DEBUG_APIS === 'true') {
+        console.log('📤 EXECUTE API RESPONSE (success):');
+        console.log(JSON.stringify(executeResponse, null, 2));
+      }
+
       return res.json(executeResponse);
+    }
+
+    let responseMessage;
+    if (failed === 0) {
+      responseMessage = succeeded === 1 ? 'Action completed successfully' : `All ${succeeded} actions completed successfully`;
+    } else if (succeeded === 0) {
+      responseMessage = failed === 1 ? 'The action failed' : `All ${failed} actions failed`;
     } else {
-      return res.status(500).json(result);
+      responseMessage = `${succeeded} of ${succeeded + failed} actions completed, ${failed} failed`;
     }
+
+    const batchResponse = {
+      success: failed === 0,
+      partial: failed > 0 && succeeded > 0,
+      response: responseMessage,
+      results,
+      summary: { succeeded, failed, rejected },
+      undoId: undoId || undefined
+    };
+
+    if (process.env.DEBUG_APIS === 'true') {
+      console.log('📤 EXECUTE API RESPONSE (batch):');
+      console.log(JSON.stringify(batchResponse, null, 2));
+    }
+
+    return res.json(batchResponse);
   } catch (error) {
     console.error('Execute action error:', error);
     res.status(500).json({
@@ -1630,8 +1018,53 @@ router.post('/execute', async (req, res) => {
   }
 });
 
+// POST /api/voice/undo - Undo the last executed action (or a specific one by undoId)
+// Body: { undoId? }
+// Note: authAndRateLimit middleware (applied at /api level) already extracts tokens and sets req.tokens, req.primaryCalendar
+router.post('/undo', async (req, res) => {
+  try {
+    const { undoId = null } = req.body || {};
+    const loggingCalendarType = req.query.type || 'google';
+
+    const undoResult = await undoAction(req.user?.email, undoId, req.tokens);
+
+    await recordInteractionLog(req, {
+      actionType: 'undo',
+      calendarType: loggingCalendarType,
+      payload: {
+        modality: req.body?.modality || null,
+        result: undoResult.success ? 'executed' : 'failed',
+        metadata: {
+          endpoint: 'undo',
+          request_id: req.requestId,
+          undo_id: undoId,
+          results: undoResult.results,
+          error: undoResult.error
+        }
+      }
+    });
+
+    if (!undoResult.success) {
+      return res.status(undoResult.status || 500).json({ success: false, error: undoResult.error, results: undoResult.results });
+    }
+
+    if (process.env.DEBUG_APIS === 'true') {
+      console.log('📤 UNDO API RESPONSE:');
+      console.log(JSON.stringify(undoResult, null, 2));
+    }
+
+    return res.json(undoResult);
+  } catch (error) {
+    console.error('Undo action error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // POST /api/voice/check - Check if action needs confirmation (non-SSE)
-// Note: authAndRateLimit middleware (applied at /api level) already extracts tokens and sets req.googleToken, req.outlookToken, req.primaryCalendar
+// Note: authAndRateLimit middleware (applied at /api level) already extracts tokens and sets req.tokens, req.primaryCalendar
 router.post('/widget', upload.single('audio'), async (req, res) => {
   console.log('🔍 DEBUG - Widget API REQUEST:');
   try {
@@ -1650,6 +1083,7 @@ router.post('/widget', upload.single('audio'), async (req, res) => {
     // Handle audio input
     if (req.file) {
       const transcription = await transcribeAudio(req.file.buffer, req.file.originalname);
+      meterUsage(req, { audioSeconds: transcription.audioSeconds });
       
       if (!transcription.success) {
         return res.status(500).json(transcription);
@@ -1665,91 +1099,43 @@ router.post('/widget', upload.single('audio'), async (req, res) => {
     // Add user message to conversation
     conversationHistory.push({ role: 'user', content: userMessage });
 
-    // Process with LLM - loop up to 3 times to find mutating action
-    let llmResponse;
-    let attempts = 0;
-    const maxAttempts = 3;
-
-    while (attempts < maxAttempts) {
-      attempts++;
-      llmResponse = await processWithLLM(conversationHistory, {}, {}, 'voice', req.primaryCalendar, '', '');
-
-      if (llmResponse.toolCalls && llmResponse.toolCalls.length > 0) {
-        const toolCall = llmResponse.toolCalls[0];
-        const { name, arguments: args } = toolCall.function;
-        const params = JSON.parse(args);
-
-        // Check if it's a mutating action that needs confirmation
-        if (name === 'create_calendar_event' || name === 'delete_calendar_event' || name === 'update_calendar_event' ||
-            name === 'create_task' || name === 'delete_task' || name === 'update_task') {
-          // Calendar is required in tool calls, so it's always in params
-          const actionPreview = {
-            type: name,
-            ...params
-          };
-
-          // For delete and update events, fetch event details for confirmation
-          if ((name === 'delete_calendar_event' || name === 'update_calendar_event') && params.eventId) {
-            try {
-              const token = req.primaryCalendar === 'outlook' ? req.outlookToken : req.googleToken;
-              const calendar = getCalendar(token);
-              const eventResponse = await calendar.events.get({
-                calendarId: 'primary',
-                eventId: params.eventId
-              });
-              
-              const event = eventResponse.data;
-              actionPreview.eventDetails = {
-                summary: event.summary,
-                description: event.description,
-                start: event.start,
-                end: event.end,
-                attendees: event.attendees
-              };
-            } catch (error) {
-              console.error(`Failed to fetch event details for ${name}:`, error);
-            }
-          }
-
-          return res.json({
-            success: true,
-            needsConfirmation: true,
-            action: actionPreview
-          });
-        }
+    // Process with LLM - agent loop of up to 3 steps to find a mutating action
+    const agentResult = await runAgentLoop(conversationHistory, { inputModality: 'voice', promptVersion: req.promptVersion }, {
+      tokens: req.tokens,
+      primaryCalendar: req.primaryCalendar,
+      userEmail: req.user?.email,
+      timeZone: req.timeZone
+    }, 3);
+    meterUsage(req, { llmTokens: agentResult.llmTokens });
+
+    if (agentResult.success && agentResult.pendingToolCalls.length > 0) {
+      const previews = await buildActionPreviews(agentResult.pendingToolCalls, getPreviewSession(req));
+      if (!previews.success) {
+        return res.json({
+          success: true,
+          needsConfirmation: null,
+          response: previews.response,
+          needsClarification: previews.needsClarification
+        });
+      }
+      const actionPreviews = previews.actions;
 
-      // If it's a read-only action, execute it and continue
-      if (name === 'list_calendar_events' || name === 'list_tasks') {
-          try {
-            const toolResult = await executeTool(
-              toolCall,
-              req.googleToken,
-              req.outlookToken,
-              req.primaryCalendar,
-              req.user?.email
-            );
-            
-            // Add assistant response and tool result to history
-            conversationHistory.push({
-              role: 'assistant',
-              content: null,
-              tool_calls: llmResponse.toolCalls
-            });
+      // Store the previews server-side; /execute only accepts this ID
+      const pendingAction = await savePendingActions(req.user.email, actionPreviews, {
+        endpoint: 'voice_widget',
+        request_id: req.requestId,
+        prompt_version: req.promptVersion
+      });
 
-            conversationHistory.push({
-              role: 'tool',
-              tool_call_id: toolCall.id,
-              content: JSON.stringify(toolResult)
-            });
-          } catch (error) {
-            console.error('Tool execution error:', error);
-            break;
-          }
-        }
-      } else {
-        // No tool calls, break the loop
-        break;
-      }
+      return res.json({
+        success: true,
+        response: previews.response,
+        needsConfirmation: true,
+        pendingActionId: pendingAction.id,
+        expiresAt: pendingAction.expiresAt,
+        action: actionPreviews[0],
+        actions: actionPreviews
+      });
     }
 
     // No mutating action found after max attempts
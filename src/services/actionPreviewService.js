@@ -0,0 +1,303 @@
+import { checkAttendeeConflicts, findFreeSlots } from './availabilityService.js';
+import { getEvents, getEvent, getTasks } from './calendarService.js';
+import { getLastUndoableAction } from './undoService.js';
+import { normalizeRRule, describeRRule } from '../utils/recurrence.js';
+import { DEFAULT_TIME_ZONE, formatInTimeZone, getNextLocalHour } from '../utils/timezone.js';
+
+/**
+ * Action preview pipeline shared by the voice endpoints (/command, /stream, /widget).
+ * Turns the mutating tool calls the agent loop left pending into previews for the user
+ * to confirm: validation, smart defaults, details of the event or task being changed,
+ * conflict and attendee availability checks, and the confirmation message.
+ */
+
+const DEFAULT_DURATION_MINUTES = 30;
+
+/**
+ * Whether any attendee is missing a plausible email address
+ * @param {Array<{email: string}>} [attendees]
+ * @returns {boolean}
+ */
+export function hasInvalidAttendees(attendees = []) {
+  return attendees.some(attendee => {
+    const email = attendee.email;
+    return !email || !email.includes('@') || !email.includes('.') || email.length < 5;
+  });
+}
+
+/**
+ * Start and end of a new event, defaulting to the next full hour and the requested duration (or 30 minutes)
+ * @param {Object} params - create_calendar_event arguments (startTime, endTime, duration)
+ * @param {string} [timeZone] - User's IANA time zone (default: UTC)
+ * @returns {{startTime: string, endTime: string}}
+ */
+export function getEventTimes(params, timeZone = DEFAULT_TIME_ZONE) {
+  const startTime = params.startTime || getNextLocalHour(timeZone).toISOString();
+  if (params.endTime) {
+    return { startTime, endTime: params.endTime };
+  }
+  const durationMinutes = parseInt(params.duration) || DEFAULT_DURATION_MINUTES;
+  const endTime = new Date(new Date(startTime).getTime() + durationMinutes * 60 * 1000).toISOString();
+  return { startTime, endTime };
+}
+
+// Combine per-action confirmation messages into one prompt
+function combineConfirmationMessages(messages) {
+  if (messages.length === 1) {
+    return messages[0];
+  }
+  return `${messages.length} changes to confirm: ${messages.join(' ')}`;
+}
+
+// Format a date or date-time on the user's clock for confirmation messages
+function formatActionTime(dateString, session) {
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(dateString);
+  const options = dateOnly
+    ? { weekday: 'short', year: 'numeric', month: 'short', day: 'numeric' }
+    : { weekday: 'short', year: 'numeric', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit', hour12: true };
+
+  // Dates (all-day events, task due dates) are the same day everywhere
+  if (dateOnly) {
+    return formatInTimeZone(`${dateString}T00:00:00Z`, DEFAULT_TIME_ZONE, options);
+  }
+
+  // Devices that only send their offset: a fixed offset is right for now-ish times, not across DST changes
+  const timeZone = session.timeZone || DEFAULT_TIME_ZONE;
+  if (timeZone === DEFAULT_TIME_ZONE && session.timezoneOffset) {
+    const offsetMinutes = parseInt(session.timezoneOffset);
+    const userLocalTime = new Date(new Date(dateString).getTime() + offsetMinutes * 60000);
+    return formatInTimeZone(userLocalTime, DEFAULT_TIME_ZONE, options);
+  }
+
+  return formatInTimeZone(dateString, timeZone, options);
+}
+
+// Describe recurrence/scope in confirmation messages
+function describeSeriesChange(name, params) {
+  if (name === 'create_calendar_event' && params.recurrence) {
+    return `, repeating ${describeRRule(params.recurrence)}`;
+  }
+  if (name === 'update_calendar_event' || name === 'delete_calendar_event') {
+    if (params.scope === 'following') return ' and all following occurrences';
+    if (params.scope === 'all') return ' and every other occurrence in the series';
+  }
+  return '';
+}
+
+// Find a meeting on the event's calendar that overlaps the given time (tasks and the event itself excluded)
+async function checkMeetingConflict(tokens, calendar, startTime, endTime, excludeEventId = null, userEmail = null) {
+  try {
+    if (!startTime || !endTime) {
+      return null;
+    }
+
+    const start = new Date(startTime);
+    const end = new Date(endTime);
+
+    // Fetch events in a slightly wider range to catch any overlaps
+    const searchStart = new Date(start.getTime() - 60 * 60 * 1000);
+    const searchEnd = new Date(end.getTime() + 60 * 60 * 1000);
+
+    // Only look at the calendar the meeting is on
+    const eventsResult = await getEvents({ [calendar]: tokens[calendar] }, calendar, {
+      timeMin: searchStart.toISOString(),
+      timeMax: searchEnd.toISOString()
+    }, userEmail);
+
+    if (!eventsResult.success || !eventsResult.events) {
+      return null;
+    }
+
+    const meetings = eventsResult.events.filter(event => !event.isTask && event.id !== excludeEventId);
+
+    // Two events overlap if: newStart < existingEnd AND newEnd > existingStart
+    const conflict = meetings.find(meeting => {
+      const meetingStart = new Date(meeting.start?.dateTime || meeting.start?.date);
+      const meetingEnd = new Date(meeting.end?.dateTime || meeting.end?.date);
+      return start < meetingEnd && end > meetingStart;
+    });
+
+    return conflict
+      ? { id: conflict.id, summary: conflict.summary, start: conflict.start, end: conflict.end, attendees: conflict.attendees }
+      : null;
+  } catch (error) {
+    console.error('Error checking meeting conflict:', error);
+    return null;
+  }
+}
+
+// Question for the user when a new event can't be previewed yet, or null
+function validateNewEvent(params) {
+  if (!params.attendees || params.attendees.length === 0) {
+    return 'Who should attend this meeting?';
+  }
+  if (hasInvalidAttendees(params.attendees)) {
+    return 'Please provide valid email addresses for all attendees.';
+  }
+  if (params.recurrence && !normalizeRRule(params.recurrence)) {
+    return 'How often should this meeting repeat?';
+  }
+  return null;
+}
+
+// The event being updated or deleted, as it is now
+async function addEventDetails(preview, session) {
+  const { name, params } = preview;
+  const calendar = params.calendar || session.primaryCalendar || 'google';
+  const eventResult = await getEvent(session.tokens, calendar, params.eventId, { calendarId: params.calendarId });
+  if (!eventResult.success) {
+    console.error(`Failed to fetch event details for ${name}:`, eventResult.error);
+    return;
+  }
+  const event = eventResult.event;
+  preview.action.eventDetails = {
+    summary: event.summary,
+    description: event.description,
+    start: event.start,
+    end: event.end,
+    attendees: event.attendees
+  };
+}
+
+// The task being updated or deleted, as it is now
+async function addTaskDetails(preview, session) {
+  const { name, params } = preview;
+  try {
+    const tasksResult = await getTasks(session.tokens, session.primaryCalendar, {}, session.userEmail);
+    const task = tasksResult.success && tasksResult.tasks?.find(t => t.id === params.taskId);
+    if (task) {
+      preview.action.taskDetails = {
+        title: task.summary || task.title || '',
+        notes: task.description || task.notes || '',
+        due: task.start?.date || task.start?.dateTime || task.due || null
+      };
+    }
+  } catch (error) {
+    console.error(`Failed to fetch task details for ${name}:`, error);
+  }
+}
+
+// Overlapping meetings on the user's calendar, attendees who are busy, and times that suit everyone
+async function addConflicts(preview, session) {
+  const { name, params, action } = preview;
+  const isTimeChange = name === 'create_calendar_event' || (name === 'update_calendar_event' && (params.startTime || params.endTime));
+  action.conflict = null;
+  action.attendeeConflicts = null;
+  if (!isTimeChange || !action.startTime || !action.endTime) {
+    return;
+  }
+
+  const calendar = params.calendar || session.primaryCalendar;
+  const excludeEventId = name === 'update_calendar_event' ? params.eventId : null;
+  action.conflict = await checkMeetingConflict(session.tokens, calendar, action.startTime, action.endTime, excludeEventId, session.userEmail);
+
+  const attendees = params.attendees || action.eventDetails?.attendees;
+  if (!attendees?.length) {
+    return;
+  }
+  const availability = await checkAttendeeConflicts(session.tokens, calendar, attendees, action.startTime, action.endTime, session.userEmail);
+  action.attendeeConflicts = availability?.conflicts || null;
+  action.unavailableAttendees = availability?.unavailable || [];
+
+  if (action.attendeeConflicts?.length > 0) {
+    const start = new Date(action.startTime).getTime();
+    const suggestions = await findFreeSlots(session.tokens, calendar, {
+      timeMin: new Date(start - 12 * 60 * 60 * 1000).toISOString(),
+      timeMax: new Date(start + 48 * 60 * 60 * 1000).toISOString(),
+      duration: (new Date(action.endTime).getTime() - start) / 60000,
+      attendees,
+      preferNear: action.startTime,
+      maxResults: 3,
+      timeZone: session.timeZone
+    }, session.userEmail);
+    action.suggestedTimes = suggestions.success
+      ? suggestions.slots.map(({ start: slotStart, end: slotEnd }) => ({ start: slotStart, end: slotEnd }))
+      : [];
+  }
+}
+
+// Confirmation message for one preview
+function describeAction(preview, session) {
+  const { name, params, action } = preview;
+  const eventTime = action.eventDetails && formatActionTime(action.eventDetails.start.dateTime || action.eventDetails.start.date, session);
+
+  switch (name) {
+    case 'create_calendar_event':
+      return `Create "${params.summary}" on ${formatActionTime(action.startTime, session)}${describeSeriesChange(name, params)}?`;
+    case 'update_calendar_event':
+      return action.eventDetails
+        ? `Update "${action.eventDetails.summary}" on ${eventTime}${describeSeriesChange(name, params)}?`
+        : `Update event "${params.summary || 'this event'}"?`;
+    case 'delete_calendar_event':
+      return action.eventDetails
+        ? `Delete "${action.eventDetails.summary}" on ${eventTime}${describeSeriesChange(name, params)}?`
+        : `Delete "${params.summary || 'this event'}"?`;
+    case 'create_task':
+      return params.due
+        ? `Create task "${params.title}" due ${formatActionTime(params.due, session)}?`
+        : `Create task "${params.title}"?`;
+    case 'update_task':
+      return `Update task "${action.taskDetails?.title || params.title || 'this task'}"?`;
+    case 'delete_task':
+      return `Delete task "${action.taskDetails?.title || params.title || 'this task'}"?`;
+    case 'undo_last_action':
+      return `Undo the last action and ${action.undoDescription}?`;
+    default:
+      return 'Confirm this action?';
+  }
+}
+
+/**
+ * Build the previews for the mutating tool calls the agent loop left pending, in the order the model asked for them
+ * @param {Array<{name: string, params: Object}>} toolCalls - agentResult.pendingToolCalls
+ * @param {Object} session - Request state
+ * @param {Object<string, *>} session.tokens - Access tokens keyed by provider ID
+ * @param {string} session.primaryCalendar - Primary calendar ('google' | 'outlook' | 'caldav')
+ * @param {string} [session.userEmail] - User email (undo history, working hours, etc.)
+ * @param {string} [session.timeZone] - User's IANA time zone (default: UTC)
+ * @param {string} [session.timezoneOffset] - x-device-timezone-offset header, for devices that don't send a zone
+ * @returns {Promise<{success: boolean, actions?: Array, response: string, needsClarification?: boolean}>}
+ *   success is false when an action can't be previewed; response then tells the user why
+ */
+export async function buildActionPreviews(toolCalls, session) {
+  const actions = [];
+  const messages = [];
+
+  for (const { name, params } of toolCalls) {
+    // Calendar is required in tool calls, so it's always in params
+    const preview = { name, params, action: { type: name, ...params } };
+
+    // Undo previews pin the history entry that will be reverted
+    if (name === 'undo_last_action') {
+      const lastAction = await getLastUndoableAction(session.userEmail);
+      if (!lastAction) {
+        return { success: false, response: "There's nothing to undo." };
+      }
+      preview.action.undoId = lastAction.id;
+      preview.action.undoDescription = lastAction.description;
+    }
+
+    if (name === 'create_calendar_event') {
+      const question = validateNewEvent(params);
+      if (question) {
+        return { success: false, response: question, needsClarification: true };
+      }
+      Object.assign(preview.action, getEventTimes(params, session.timeZone));
+    }
+
+    if ((name === 'delete_calendar_event' || name === 'update_calendar_event') && params.eventId) {
+      await addEventDetails(preview, session);
+    }
+
+    if ((name === 'delete_task' || name === 'update_task') && params.taskId) {
+      await addTaskDetails(preview, session);
+    }
+
+    await addConflicts(preview, session);
+
+    actions.push(preview.action);
+    messages.push(describeAction(preview, session));
+  }
+
+  return { success: true, actions, response: combineConfirmationMessages(messages) };
+}
@@ -0,0 +1,176 @@
+import { processWithLLM } from './llmService.js';
+import { runTool, MUTATING_TOOLS } from './toolService.js';
+import { annotateMessage, validateDateArguments } from '../utils/dateResolver.js';
+
+/**
+ * Bounded agent loop around processWithLLM.
+ *
+ * Each step sends the conversation to the LLM and runs every read-only tool call it returns
+ * (in parallel), feeding the results back, until the model either answers in text or asks
+ * for mutating actions. Mutating actions are never executed here - every one the model asked
+ * for in that turn is returned as pending, in order, so the route can preview them for confirmation.
+ * Relative dates in the latest user message are resolved on the user's clock and noted in the message
+ * the LLM sees (the stored history is left as typed); tool calls with malformed dates are sent back to the model.
+ */
+
+const DEFAULT_MAX_STEPS = Number(process.env.AGENT_MAX_STEPS) || 5;
+
+const EXHAUSTED_MESSAGE = "I'm sorry, I couldn't finish that. Could you try rephrasing it?";
+
+/**
+ * Parse a tool call's JSON arguments
+ * @param {Object} toolCall - Tool call returned by processWithLLM
+ * @returns {{name: string, params: Object|null, error?: string}}
+ */
+function parseToolCall(toolCall) {
+  const { name, arguments: args } = toolCall.function;
+  try {
+    return { name, params: args ? JSON.parse(args) : {} };
+  } catch (error) {
+    return { name, params: null, error: `Invalid arguments for ${name}: ${error.message}` };
+  }
+}
+
+/**
+ * Check a parsed tool call's date arguments, applying safe corrections (see validateDateArguments)
+ * @param {{name: string, params: Object|null, error?: string}} call - From parseToolCall
+ * @param {string} [timeZone] - User's IANA time zone
+ * @returns {{name: string, params: Object|null, error?: string}}
+ */
+function checkDateArguments(call, timeZone) {
+  if (call.error) {
+    return call;
+  }
+  const { params, corrections, error } = validateDateArguments(call.name, call.params, timeZone);
+  if (error) {
+    console.warn(`⚠️ Rejected ${call.name} call: ${error}`);
+    return { ...call, error: `Invalid arguments for ${call.name}: ${error}` };
+  }
+  if (corrections.length > 0) {
+    console.log(`🕒 Corrected ${call.name} dates: ${corrections.join(', ')}`);
+  }
+  return { ...call, params };
+}
+
+/**
+ * The messages to send to the LLM: the history with the latest user message's dates resolved
+ * @param {Array} conversationHistory
+ * @param {string} [timeZone] - User's IANA time zone
+ * @returns {Array}
+ */
+function withResolvedDates(conversationHistory, timeZone) {
+  const index = conversationHistory.findLastIndex(message => message.role === 'user');
+  if (index === -1 || typeof conversationHistory[index].content !== 'string') {
+    return conversationHistory;
+  }
+  const messages = [...conversationHistory];
+  messages[index] = { ...messages[index], content: annotateMessage(messages[index].content, timeZone) };
+  return messages;
+}
+
+/**
+ * Run the agent loop until a final answer or mutating actions needing confirmation
+ * @param {Array} conversationHistory - Chat messages; updated in place with assistant/tool turns
+ * @param {Object} llmContext - Arguments forwarded to processWithLLM on every step
+ * @param {string} [llmContext.contextInfo] - Context string
+ * @param {Object} [llmContext.timezoneInfo] - Device timezone headers
+ * @param {string} [llmContext.inputModality] - 'voice' | 'text'
+ * @param {string} [llmContext.emailCtxt] - Known contacts
+ * @param {string} [llmContext.schedule] - Today's schedule
+ * @param {string} [llmContext.promptVersion] - System prompt version (see prompts/index.js)
+ * @param {Object} session - Credentials for read-only tool execution
+ * @param {Object<string, *>} session.tokens - Access tokens (or credentials) keyed by provider ID
+ * @param {string} session.primaryCalendar - Primary calendar ('google' | 'outlook' | 'caldav')
+ * @param {string} [session.userEmail] - User email for profile lookup
+ * @param {string} [session.timeZone] - User's IANA time zone, for resolving and checking dates (default: UTC)
+ * @param {function(Object): void} [session.onEvent] - Progress listener; when set, LLM replies are streamed.
+ *   Gets { type: 'delta', text }, { type: 'tool_call_started', id, name, arguments } and
+ *   { type: 'tool_result', id, name, success, result } as they happen
+ * @param {number} [maxSteps] - Maximum number of LLM calls (default: AGENT_MAX_STEPS env or 5)
+ * @returns {Promise<{success: boolean, message?: string, pendingToolCalls?: Array, executedToolCalls?: Array, steps?: number, exhausted?: boolean, latencyMs?: number, llmTokens?: number, error?: string}>}
+ *   llmTokens is the total token usage of all LLM calls
+ */
+export async function runAgentLoop(conversationHistory, llmContext, session, maxSteps = DEFAULT_MAX_STEPS) {
+  const { contextInfo = '', timezoneInfo = {}, inputModality = 'voice', emailCtxt = '', schedule = '', promptVersion = null } = llmContext;
+  const { tokens, primaryCalendar, userEmail = null, timeZone, onEvent = null } = session;
+  const onDelta = onEvent ? (text) => onEvent({ type: 'delta', text }) : null;
+
+  const executedToolCalls = [];
+  let latencyMs = 0;
+  let llmTokens = 0;
+
+  for (let step = 1; step <= maxSteps; step++) {
+    const llmStart = Date.now();
+    const llmResponse = await processWithLLM(withResolvedDates(conversationHistory, timeZone), contextInfo, timezoneInfo, inputModality, primaryCalendar, emailCtxt, schedule, onDelta, promptVersion);
+    latencyMs += Date.now() - llmStart;
+    llmTokens += llmResponse.usage?.totalTokens || 0;
+
+    if (!llmResponse.success) {
+      return { success: false, error: llmResponse.error, executedToolCalls, steps: step, latencyMs, llmTokens };
+    }
+
+    // Final answer (or clarification question)
+    if (!llmResponse.toolCalls || llmResponse.toolCalls.length === 0) {
+      conversationHistory.push({
+        role: 'assistant',
+        content: llmResponse.message
+      });
+      return { success: true, message: llmResponse.message, pendingToolCalls: [], executedToolCalls, steps: step, latencyMs, llmTokens };
+    }
+
+    conversationHistory.push({
+      role: 'assistant',
+      content: llmResponse.message || null,
+      tool_calls: llmResponse.toolCalls
+    });
+
+    const calls = llmResponse.toolCalls.map(toolCall => ({ toolCall, ...checkDateArguments(parseToolCall(toolCall), timeZone) }));
+    const pending = calls.filter(call => !call.error && MUTATING_TOOLS.includes(call.name));
+    const runnable = calls.filter(call => !MUTATING_TOOLS.includes(call.name) || call.error);
+
+    // Run all read-only calls from this turn in parallel
+    const results = await Promise.all(runnable.map(async (call) => {
+      if (call.error) {
+        return { success: false, error: call.error };
+      }
+      onEvent?.({ type: 'tool_call_started', id: call.toolCall.id, name: call.name, arguments: call.params });
+      let result;
+      try {
+        result = await runTool(call.name, call.params, tokens, primaryCalendar, userEmail);
+      } catch (error) {
+        console.error(`Agent tool ${call.name} error:`, error);
+        result = { success: false, error: error.message };
+      }
+      onEvent?.({ type: 'tool_result', id: call.toolCall.id, name: call.name, success: Boolean(result?.success), result });
+      return result;
+    }));
+
+    runnable.forEach((call, index) => {
+      conversationHistory.push({
+        role: 'tool',
+        tool_call_id: call.toolCall.id,
+        content: JSON.stringify(results[index])
+      });
+      executedToolCalls.push({ ...call, result: results[index] });
+    });
+
+    // Mutating actions stop the loop and wait for user confirmation (as one ordered batch)
+    if (pending.length > 0) {
+      pending.forEach(call => {
+        conversationHistory.push({
+          role: 'tool',
+          tool_call_id: call.toolCall.id,
+          content: JSON.stringify({ status: 'pending_confirmation', action: { type: call.name, ...call.params } })
+        });
+      });
+
+      return { success: true, message: llmResponse.message, pendingToolCalls: pending, executedToolCalls, steps: step, latencyMs, llmTokens };
+    }
+  }
+
+  conversationHistory.push({
+    role: 'assistant',
+    content: EXHAUSTED_MESSAGE
+  });
+  return { success: true, message: EXHAUSTED_MESSAGE, pendingToolCalls: [], executedToolCalls, steps: maxSteps, exhausted: true, latencyMs, llmTokens };
+}
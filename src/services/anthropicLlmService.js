@@ -0,0 +1,126 @@
+/**
+ * Chat completions through the Anthropic Messages API.
+ * Requests and replies are translated from and to the OpenAI chat format the rest of the
+ * server uses (system message, tool_calls, role "tool" results). Anthropic has no transcription.
+ */
+
+const ANTHROPIC_API_BASE = 'https://api.anthropic.com';
+const ANTHROPIC_VERSION = '2023-06-01';
+const DEFAULT_MAX_TOKENS = 1024;
+
+function parseArguments(args) {
+  try {
+    return JSON.parse(args || '{}');
+  } catch {
+    return {};
+  }
+}
+
+// OpenAI messages -> system prompt + Anthropic messages (tool results go back as user turns)
+function toAnthropicMessages(messages) {
+  const system = [];
+  const converted = [];
+
+  for (const message of messages) {
+    if (message.role === 'system') {
+      system.push(message.content);
+      continue;
+    }
+
+    if (message.role === 'tool') {
+      const block = { type: 'tool_result', tool_use_id: message.tool_call_id, content: String(message.content ?? '') };
+      const previous = converted[converted.length - 1];
+      // Results of parallel tool calls share one user turn
+      if (previous?.role === 'user' && Array.isArray(previous.content) && previous.content.every(item => item.type === 'tool_result')) {
+        previous.content.push(block);
+      } else {
+        converted.push({ role: 'user', content: [block] });
+      }
+      continue;
+    }
+
+    if (message.role === 'assistant' && message.tool_calls?.length > 0) {
+      const content = message.content ? [{ type: 'text', text: message.content }] : [];
+      for (const toolCall of message.tool_calls) {
+        content.push({ type: 'tool_use', id: toolCall.id, name: toolCall.function.name, input: parseArguments(toolCall.function.arguments) });
+      }
+      converted.push({ role: 'assistant', content });
+      continue;
+    }
+
+    // The API rejects empty turns; an assistant turn without text or tool calls carries nothing
+    if (message.role === 'assistant' && !message.content) {
+      continue;
+    }
+
+    converted.push({ role: message.role, content: message.content ?? '' });
+  }
+
+  return { system: system.join('\n\n'), messages: converted };
+}
+
+// OpenAI function tools -> Anthropic tools
+function toAnthropicTools(tools = []) {
+  return tools.map(tool => ({
+    name: tool.function.name,
+    description: tool.function.description,
+    input_schema: tool.function.parameters
+  }));
+}
+
+/**
+ * Run one chat completion with tools
+ * Replies are not streamed: with onDelta, the whole text is passed once it has arrived.
+ * @param {Object} config
+ * @param {string} config.apiKey
+ * @param {string} config.model
+ * @param {string} [config.baseUrl] - API base URL (default: https://api.anthropic.com)
+ * @param {number} [config.maxTokens] - Reply length limit (default 1024)
+ * @param {Object} request - OpenAI-format chat request: messages, tools
+ * @param {function(string): void} [onDelta]
+ * @returns {Promise<{success: boolean, message?: {content: string|null, tool_calls?: Array}, usage?: {promptTokens: number, completionTokens: number, totalTokens: number}, error?: string}>}
+ */
+export async function createChatCompletion(config, request, onDelta = null) {
+  try {
+    const { system, messages } = toAnthropicMessages(request.messages);
+    const response = await fetch(`${config.baseUrl || ANTHROPIC_API_BASE}/v1/messages`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': config.apiKey,
+        'anthropic-version': ANTHROPIC_VERSION
+      },
+      body: JSON.stringify({
+        model: config.model,
+        max_tokens: config.maxTokens || DEFAULT_MAX_TOKENS,
+        system: system || undefined,
+        messages,
+        tools: request.tools?.length ? toAnthropicTools(request.tools) : undefined
+      })
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      return { success: false, error: data.error?.message || `Anthropic API error ${response.status}` };
+    }
+
+    const text = data.content.filter(block => block.type === 'text').map(block => block.text).join('');
+    const toolCalls = data.content
+      .filter(block => block.type === 'tool_use')
+      .map(block => ({ id: block.id, type: 'function', function: { name: block.name, arguments: JSON.stringify(block.input || {}) } }));
+
+    if (text && onDelta) {
+      onDelta(text);
+    }
+
+    const promptTokens = data.usage?.input_tokens || 0;
+    const completionTokens = data.usage?.output_tokens || 0;
+    return {
+      success: true,
+      message: { content: text || null, tool_calls: toolCalls.length > 0 ? toolCalls : undefined },
+      usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens }
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
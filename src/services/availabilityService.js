@@ -0,0 +1,372 @@
+import { getEvents, getAttendeeAvailability } from './calendarService.js';
+import { getOnboardingProfile } from './onboardingService.js';
+import { getZoneOffsetMinutes, isValidTimeZone } from '../utils/timezone.js';
+
+/**
+ * Free-time search across the user's calendars.
+ * Busy time comes from calendarService.getEvents (every connected provider merged) plus, when attendees are
+ * given, their free/busy (Google freebusy / Graph getSchedule). Free time is limited to the working
+ * hours saved in the onboarding profile, and candidate slots are ranked.
+ */
+
+const DEFAULT_WORKING_HOURS = { start: '09:00', end: '17:00', days: [1, 2, 3, 4, 5] }; // days: 0 = Sunday
+const DEFAULT_MAX_RESULTS = 5;
+const MAX_RANGE_DAYS = 31;
+const SLOT_STEP_MINUTES = 30; // Candidate start times inside a free range
+const SLOT_ALIGN_MINUTES = 15; // Candidates start on quarter hours
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Resolve the zone used for working hours: explicit IANA zone, else the offset of timeMin, else UTC
+ * @returns {{name: string, offsetAt: function(number): number}}
+ */
+function resolveZone(timeZone, timeMin) {
+  if (timeZone) {
+    if (isValidTimeZone(timeZone)) {
+      return { name: timeZone, offsetAt: (utcMs) => getZoneOffsetMinutes(timeZone, utcMs) };
+    }
+    console.warn('Invalid timezone for free slots:', timeZone);
+  }
+
+  const match = /([+-])(\d{2}):?(\d{2})$/.exec(timeMin || '');
+  if (match) {
+    const offset = (match[1] === '-' ? -1 : 1) * (Number(match[2]) * 60 + Number(match[3]));
+    return { name: `UTC${match[1]}${match[2]}:${match[3]}`, offsetAt: () => offset };
+  }
+
+  return { name: 'UTC', offsetAt: () => 0 };
+}
+
+// Convert a wall-clock time in the zone to UTC ms (re-checks the offset so DST transitions land correctly)
+function zonedTimeToUtc(zone, year, month, day, minutesOfDay) {
+  const wallMs = Date.UTC(year, month, day) + minutesOfDay * MINUTE_MS;
+  let utcMs = wallMs - zone.offsetAt(wallMs) * MINUTE_MS;
+  utcMs = wallMs - zone.offsetAt(utcMs) * MINUTE_MS;
+  return utcMs;
+}
+
+function parseClock(value, fallback) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(value || '');
+  if (!match) return fallback;
+  const minutes = Number(match[1]) * 60 + Number(match[2]);
+  return minutes >= 0 && minutes <= 24 * 60 ? minutes : fallback;
+}
+
+/**
+ * Normalize the onboarding profile's working hours
+ * Expected shape: { start: 'HH:MM', end: 'HH:MM', days: [0-6] } (0 = Sunday)
+ * @param {Object} [workingHours] - Working hours from the profile
+ * @returns {{start: string, end: string, days: number[], startMinutes: number, endMinutes: number}}
+ */
+export function normalizeWorkingHours(workingHours) {
+  const hours = { ...DEFAULT_WORKING_HOURS, ...(workingHours || {}) };
+  const startMinutes = parseClock(hours.start, parseClock(DEFAULT_WORKING_HOURS.start));
+  let endMinutes = parseClock(hours.end, parseClock(DEFAULT_WORKING_HOURS.end));
+  if (endMinutes <= startMinutes) {
+    endMinutes = parseClock(DEFAULT_WORKING_HOURS.end);
+  }
+
+  const days = Array.isArray(hours.days)
+    ? hours.days.map(Number).filter(day => Number.isInteger(day) && day >= 0 && day <= 6)
+    : DEFAULT_WORKING_HOURS.days;
+
+  const formatClock = (minutes) => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+  return {
+    start: formatClock(startMinutes),
+    end: formatClock(endMinutes),
+    days: days.length > 0 ? days : DEFAULT_WORKING_HOURS.days,
+    startMinutes,
+    endMinutes
+  };
+}
+
+// Outlook returns offset-less UTC date-times
+function parseEventTime(time) {
+  if (!time) return NaN;
+  if (time.dateTime) {
+    const hasZone = /([zZ]|[+-]\d{2}:?\d{2})$/.test(time.dateTime);
+    return new Date(hasZone ? time.dateTime : `${time.dateTime}Z`).getTime();
+  }
+  return time.date ? new Date(`${time.date}T00:00:00Z`).getTime() : NaN;
+}
+
+// Whether an event blocks time (skips tasks, "free" events and invitations the user declined)
+function isBusyEvent(event) {
+  if (event.isTask || event.transparency === 'transparent' || event.status === 'cancelled') {
+    return false;
+  }
+  const self = (event.attendees || []).find(attendee => attendee.self);
+  return self?.responseStatus !== 'declined';
+}
+
+// Merge overlapping [start, end) intervals
+function mergeIntervals(intervals) {
+  const sorted = intervals.filter(([start, end]) => end > start).sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  for (const [start, end] of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1]) {
+      last[1] = Math.max(last[1], end);
+    } else {
+      merged.push([start, end]);
+    }
+  }
+  return merged;
+}
+
+// Working-hour windows (UTC ms) for every working day between rangeStart and rangeEnd
+function getWorkingWindows(zone, hours, rangeStart, rangeEnd) {
+  const windows = [];
+  const firstLocal = new Date(rangeStart + zone.offsetAt(rangeStart) * MINUTE_MS);
+  const year = firstLocal.getUTCFullYear();
+  const month = firstLocal.getUTCMonth();
+  const day = firstLocal.getUTCDate();
+
+  for (let i = 0; i <= MAX_RANGE_DAYS + 1; i++) {
+    const date = new Date(Date.UTC(year, month, day + i));
+    const start = zonedTimeToUtc(zone, date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), hours.startMinutes);
+    if (start >= rangeEnd) break;
+
+    if (hours.days.includes(date.getUTCDay())) {
+      const end = zonedTimeToUtc(zone, date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), hours.endMinutes);
+      const clippedStart = Math.max(start, rangeStart);
+      const clippedEnd = Math.min(end, rangeEnd);
+      if (clippedEnd > clippedStart) {
+        windows.push([clippedStart, clippedEnd]);
+      }
+    }
+  }
+  return windows;
+}
+
+// Subtract busy intervals from a window
+function subtractBusy([windowStart, windowEnd], busy) {
+  const free = [];
+  let cursor = windowStart;
+  for (const [busyStart, busyEnd] of busy) {
+    if (busyEnd <= cursor) continue;
+    if (busyStart >= windowEnd) break;
+    if (busyStart > cursor) free.push([cursor, busyStart]);
+    cursor = Math.max(cursor, busyEnd);
+  }
+  if (cursor < windowEnd) free.push([cursor, windowEnd]);
+  return free;
+}
+
+/**
+ * Required attendee emails, without the user themselves or optional attendees
+ * @param {Array<string|{email: string, optional?: boolean}>} attendees - Attendee list
+ * @param {string} [userEmail] - The user's own email
+ * @returns {string[]}
+ */
+export function getRequiredAttendeeEmails(attendees, userEmail = null) {
+  const emails = (attendees || [])
+    .filter(attendee => attendee && !attendee.optional && !attendee.self && !attendee.resource)
+    .map(attendee => (typeof attendee === 'string' ? attendee : attendee.email))
+    .filter(email => email && email.includes('@'))
+    .map(email => email.trim());
+
+  const own = userEmail?.toLowerCase();
+  return [...new Set(emails)].filter(email => email.toLowerCase() !== own);
+}
+
+// Busy intervals per attendee, plus attendees whose calendars couldn't be read
+async function getAttendeeBusy(tokens, calendar, emails, timeMin, timeMax) {
+  const availability = await getAttendeeAvailability(tokens, calendar, emails, timeMin, timeMax);
+  if (!availability.success) {
+    return { busy: {}, unavailable: emails.map(email => ({ email, error: availability.error })) };
+  }
+
+  const busy = {};
+  const unavailable = [];
+  for (const email of emails) {
+    const schedule = availability.schedules[email];
+    if (!schedule || schedule.error) {
+      unavailable.push({ email, error: schedule?.error || 'unavailable' });
+    } else {
+      busy[email] = schedule.busy
+        .map(({ start, end }) => [new Date(start).getTime(), new Date(end).getTime()])
+        .filter(([start, end]) => !isNaN(start) && !isNaN(end));
+    }
+  }
+  return { busy, unavailable };
+}
+
+/**
+ * Check which required attendees are busy during a proposed meeting
+ * @param {Object<string, *>} tokens - Access tokens (or credentials) keyed by provider ID
+ * @param {string} calendar - Calendar the meeting is on ('google' | 'outlook' | 'caldav')
+ * @param {Array} attendees - Attendee list ({ email } objects or emails)
+ * @param {string} startTime - Proposed start (ISO 8601)
+ * @param {string} endTime - Proposed end (ISO 8601)
+ * @param {string} [userEmail] - The user's own email (excluded)
+ * @returns {Promise<{conflicts: Array<{email: string, busy: Array<{start: string, end: string}>}>, unavailable: Array<{email: string, error: string}>}|null>}
+ */
+export async function checkAttendeeConflicts(tokens, calendar, attendees, startTime, endTime, userEmail = null) {
+  const emails = getRequiredAttendeeEmails(attendees, userEmail);
+  const start = new Date(startTime).getTime();
+  const end = new Date(endTime).getTime();
+  if (emails.length === 0 || isNaN(start) || isNaN(end)) {
+    return null;
+  }
+
+  try {
+    const { busy, unavailable } = await getAttendeeBusy(tokens, calendar, emails, startTime, endTime);
+
+    const conflicts = Object.entries(busy)
+      .map(([email, intervals]) => ({
+        email,
+        busy: intervals
+          .filter(([busyStart, busyEnd]) => busyStart < end && busyEnd > start)
+          .map(([busyStart, busyEnd]) => ({ start: new Date(busyStart).toISOString(), end: new Date(busyEnd).toISOString() }))
+      }))
+      .filter(conflict => conflict.busy.length > 0);
+
+    return { conflicts, unavailable };
+  } catch (error) {
+    console.error('Error checking attendee availability:', error);
+    return null;
+  }
+}
+
+/**
+ * Find ranked free slots across the user's calendars (and the attendees', when given)
+ * Slots that sit right next to existing meetings (after the buffer) rank first, then slots in tighter
+ * free ranges (so long focus blocks stay open), then earlier slots. With `preferNear`, slots closest
+ * to that time rank first instead.
+ * @param {Object<string, *>} tokens - Access tokens (or credentials) keyed by provider ID
+ * @param {string} primaryCalendar - Primary calendar ('google' | 'outlook' | 'caldav')
+ * @param {Object} options - Search options
+ * @param {string} options.timeMin - Range start (ISO 8601)
+ * @param {string} options.timeMax - Range end (ISO 8601)
+ * @param {number} options.duration - Slot length in minutes
+ * @param {number} [options.buffer] - Minimum minutes between a slot and any existing meeting (default 0)
+ * @param {number} [options.maxResults] - Maximum number of slots (default 5)
+ * @param {string} [options.timeZone] - IANA time zone for working hours (default: profile timezone, then timeMin offset)
+ * @param {Array} [options.attendees] - Required attendees who must also be free ({ email } objects or emails)
+ * @param {string} [options.preferNear] - Rank slots by closeness to this time (ISO 8601)
+ * @param {string} [userEmail] - User email for the onboarding profile (working hours)
+ * @returns {Promise<{success: boolean, slots?: Array, freeRanges?: Array, workingHours?: Object, timeZone?: string, attendees?: Object, error?: string}>}
+ */
+export async function findFreeSlots(tokens, primaryCalendar, options = {}, userEmail = null) {
+  try {
+    const rangeStart = new Date(options.timeMin).getTime();
+    const rangeEnd = new Date(options.timeMax).getTime();
+    const duration = Number(options.duration);
+    const buffer = Math.max(0, Number(options.buffer) || 0);
+    const maxResults = Math.max(1, parseInt(options.maxResults, 10) || DEFAULT_MAX_RESULTS);
+
+    if (isNaN(rangeStart) || isNaN(rangeEnd) || rangeEnd <= rangeStart) {
+      return { success: false, error: 'timeMin and timeMax must be ISO 8601 dates with timeMax after timeMin' };
+    }
+    if ((rangeEnd - rangeStart) > MAX_RANGE_DAYS * 24 * 60 * MINUTE_MS) {
+      return { success: false, error: `Date range can't exceed ${MAX_RANGE_DAYS} days` };
+    }
+    if (!Number.isFinite(duration) || duration <= 0) {
+      return { success: false, error: 'duration must be a positive number of minutes' };
+    }
+
+    let profile = null;
+    if (userEmail) {
+      try {
+        profile = await getOnboardingProfile(userEmail);
+      } catch (error) {
+        console.warn('Could not load onboarding profile for free slots:', error.message);
+      }
+    }
+
+    const hours = normalizeWorkingHours(profile?.workingHours);
+    const zone = resolveZone(options.timeZone || profile?.timezone, options.timeMin);
+
+    // Widen the fetch so meetings that started before timeMin still block time
+    const eventsResult = await getEvents(tokens, primaryCalendar, {
+      timeMin: new Date(rangeStart - 24 * 60 * MINUTE_MS).toISOString(),
+      timeMax: new Date(rangeEnd).toISOString(),
+      maxResults: 250
+    }, userEmail);
+
+    if (!eventsResult.success) {
+      return { success: false, error: eventsResult.error || 'Failed to fetch calendar events' };
+    }
+
+    const ownBusy = eventsResult.events
+      .filter(isBusyEvent)
+      .map(event => [parseEventTime(event.start), parseEventTime(event.end)])
+      .filter(([start, end]) => !isNaN(start) && !isNaN(end));
+
+    // Attendees must be free too; the ones we can't see are reported, not guessed
+    const attendeeEmails = getRequiredAttendeeEmails(options.attendees, userEmail);
+    let attendeeBusy = { busy: {}, unavailable: [] };
+    if (attendeeEmails.length > 0) {
+      attendeeBusy = await getAttendeeBusy(tokens, primaryCalendar, attendeeEmails, options.timeMin, options.timeMax);
+    }
+
+    const busy = mergeIntervals([...ownBusy, ...Object.values(attendeeBusy.busy).flat()]
+      .map(([start, end]) => [start - buffer * MINUTE_MS, end + buffer * MINUTE_MS]));
+
+    // Never suggest time that has already passed
+    const searchStart = Math.max(rangeStart, Date.now());
+    const freeRanges = getWorkingWindows(zone, hours, searchStart, rangeEnd)
+      .flatMap(window => subtractBusy(window, busy));
+
+    const durationMs = duration * MINUTE_MS;
+    const alignMs = SLOT_ALIGN_MINUTES * MINUTE_MS;
+    const candidates = [];
+
+    for (const [freeStart, freeEnd] of freeRanges) {
+      const firstStart = Math.ceil(freeStart / alignMs) * alignMs;
+      const lastStart = Math.floor((freeEnd - durationMs) / alignMs) * alignMs;
+      if (lastStart < firstStart) continue;
+
+      const starts = new Set([firstStart, lastStart]);
+      for (let start = firstStart + SLOT_STEP_MINUTES * MINUTE_MS; start < lastStart; start += SLOT_STEP_MINUTES * MINUTE_MS) {
+        starts.add(start);
+      }
+
+      const leftoverMinutes = (freeEnd - freeStart - durationMs) / MINUTE_MS;
+      for (const start of starts) {
+        const end = start + durationMs;
+        const adjacent = start - freeStart < alignMs || freeEnd - end < alignMs;
+        candidates.push({
+          start,
+          end,
+          score: (adjacent ? 2 : 0) + 1 / (1 + leftoverMinutes / 60)
+        });
+      }
+    }
+
+    const preferNear = options.preferNear ? new Date(options.preferNear).getTime() : NaN;
+    if (!isNaN(preferNear)) {
+      candidates.sort((a, b) => (Math.abs(a.start - preferNear) - Math.abs(b.start - preferNear)) || (a.start - b.start));
+    } else {
+      candidates.sort((a, b) => (b.score - a.score) || (a.start - b.start));
+    }
+
+    return {
+      success: true,
+      slots: candidates.slice(0, maxResults).map((slot, index) => ({
+        start: new Date(slot.start).toISOString(),
+        end: new Date(slot.end).toISOString(),
+        rank: index + 1,
+        score: Math.round(slot.score * 100) / 100
+      })),
+      freeRanges: freeRanges.map(([start, end]) => ({
+        start: new Date(start).toISOString(),
+        end: new Date(end).toISOString(),
+        durationMinutes: Math.round((end - start) / MINUTE_MS)
+      })),
+      workingHours: { start: hours.start, end: hours.end, days: hours.days },
+      timeZone: zone.name,
+      attendees: attendeeEmails.length > 0
+        ? { checked: Object.keys(attendeeBusy.busy), unavailable: attendeeBusy.unavailable }
+        : undefined
+    };
+  } catch (error) {
+    console.error('Find free slots error:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to find free slots'
+    };
+  }
+}
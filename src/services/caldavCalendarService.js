@@ -0,0 +1,711 @@
+import { randomUUID } from 'node:crypto';
+import {
+  discoverCalendars,
+  resolveCalendar,
+  queryObjects,
+  putObject,
+  deleteObject,
+  objectHref,
+  verifyCredential
+} from './caldavClient.js';
+import {
+  parseICalendar,
+  serializeICalendar,
+  createComponent,
+  createCalendar,
+  cloneComponent,
+  getProperty,
+  getProperties,
+  setProperty,
+  addProperty,
+  removeProperty,
+  getText,
+  setText,
+  parseDateProperty,
+  parseDuration,
+  formatUtcDateTime,
+  toDateTimeProperty,
+  toDateProperty,
+  buildTimezoneComponent
+} from '../utils/ical.js';
+import { normalizeRRule, parseRRule, truncateRRule, withCount } from '../utils/recurrence.js';
+import { toCalendarEvent } from '../providers/models.js';
+
+/**
+ * CalDAV calendar service (iCloud, Fastmail, Nextcloud, Radicale, ...)
+ * The "token" is a credential from caldavClient.parseCaldavCredential. Event IDs are iCalendar UIDs;
+ * an occurrence of a recurring event is `${uid}_${recurrence-id in UTC}`, like Google instance IDs,
+ * with recurringEventId set to the series UID. Calendar IDs are collection paths.
+ */
+
+const DEFAULT_VIEW_DAYS = 365; // Used when no timeMax is given
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// PARTSTAT -> canonical responseStatus
+const RESPONSE_STATUSES = {
+  'ACCEPTED': 'accepted',
+  'DECLINED': 'declined',
+  'TENTATIVE': 'tentative',
+  'NEEDS-ACTION': 'needsAction'
+};
+
+function parseEventId(eventId) {
+  const match = /^(.+)_(\d{8}(?:T\d{6}Z)?)$/.exec(eventId);
+  return match ? { uid: match[1], occurrence: match[2] } : { uid: eventId, occurrence: null };
+}
+
+// Occurrence key: RECURRENCE-ID in UTC basic format (date only for all-day series)
+function occurrenceKey(time) {
+  return time.date ? time.date.replace(/-/g, '') : formatUtcDateTime(time.dateTime);
+}
+
+function emailFromAddress(value) {
+  return value ? value.replace(/^mailto:/i, '') : null;
+}
+
+/**
+ * Transform a VEVENT to the canonical event model
+ * @param {Object} vevent - VEVENT component
+ * @returns {import('../providers/models.js').CalendarEvent}
+ */
+function fromVEvent(vevent) {
+  const uid = getText(vevent, 'UID');
+  const start = parseDateProperty(getProperty(vevent, 'DTSTART')) || {};
+  let end = parseDateProperty(getProperty(vevent, 'DTEND') || getProperty(vevent, 'DUE'));
+  if (!end) {
+    const duration = parseDuration(getProperty(vevent, 'DURATION')?.value);
+    end = start.dateTime
+      ? { dateTime: new Date(new Date(start.dateTime).getTime() + (duration ?? 0)).toISOString(), timeZone: start.timeZone }
+      : start;
+  }
+  const recurrenceId = parseDateProperty(getProperty(vevent, 'RECURRENCE-ID'));
+  const organizer = getProperty(vevent, 'ORGANIZER');
+  const rules = getProperties(vevent, 'RRULE').map(property => `RRULE:${property.value}`);
+  const exdates = getProperties(vevent, 'EXDATE').map(property => `EXDATE${property.params.TZID ? `;TZID=${property.params.TZID}` : ''}:${property.value}`);
+
+  return toCalendarEvent('caldav', {
+    id: recurrenceId ? `${uid}_${occurrenceKey(recurrenceId)}` : uid,
+    summary: getText(vevent, 'SUMMARY'),
+    description: getText(vevent, 'DESCRIPTION'),
+    location: getText(vevent, 'LOCATION'),
+    start,
+    end,
+    attendees: getProperties(vevent, 'ATTENDEE').map(attendee => ({
+      email: emailFromAddress(attendee.value),
+      displayName: attendee.params.CN,
+      responseStatus: RESPONSE_STATUSES[(attendee.params.PARTSTAT || 'NEEDS-ACTION').toUpperCase()],
+      optional: attendee.params.ROLE === 'OPT-PARTICIPANT'
+    })),
+    organizer: organizer && { email: emailFromAddress(organizer.value), displayName: organizer.params.CN },
+    status: getProperty(vevent, 'STATUS')?.value.toLowerCase(),
+    transparency: getProperty(vevent, 'TRANSP')?.value === 'TRANSPARENT' ? 'transparent' : 'opaque',
+    htmlLink: getProperty(vevent, 'URL')?.value,
+    recurrence: rules.length > 0 ? [...rules, ...exdates] : undefined,
+    recurringEventId: recurrenceId ? uid : undefined,
+    originalStartTime: recurrenceId || undefined
+  });
+}
+
+function parseVEvents(calendarData) {
+  const calendar = parseICalendar(calendarData);
+  return calendar ? calendar.components.filter(component => component.name === 'VEVENT') : [];
+}
+
+// Series master (or single event) of a calendar object
+function getMaster(calendar) {
+  return calendar.components.find(component => component.name === 'VEVENT' && !getProperty(component, 'RECURRENCE-ID')) || null;
+}
+
+// Override VEVENT for an occurrence, if the occurrence was edited
+function getOverride(calendar, occurrence) {
+  return calendar.components.find(component => {
+    const recurrenceId = parseDateProperty(getProperty(component, 'RECURRENCE-ID'));
+    return component.name === 'VEVENT' && recurrenceId && occurrenceKey(recurrenceId) === occurrence;
+  }) || null;
+}
+
+// Start time of an occurrence key, e.g. 20261116T150000Z
+function occurrenceStart(occurrence) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z)?$/.exec(occurrence);
+  const [, year, month, day, hour = '00', minute = '00', second = '00'] = match;
+  return new Date(Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second))).toISOString();
+}
+
+// Value for RECURRENCE-ID/EXDATE matching the master's DTSTART form (zoned, UTC or date)
+function occurrenceProperty(master, occurrence) {
+  const dtstart = getProperty(master, 'DTSTART');
+  if (dtstart.params.VALUE === 'DATE' || /^\d{8}$/.test(occurrence)) {
+    return { value: occurrence.slice(0, 8), params: { VALUE: 'DATE' } };
+  }
+  return toDateTimeProperty(occurrenceStart(occurrence), dtstart.params.TZID || null);
+}
+
+// Occurrence built from the master when it has no override
+function synthesizeOccurrence(master, occurrence) {
+  const start = parseDateProperty(getProperty(master, 'DTSTART'));
+  const end = fromVEvent(master).end;
+  const length = start.dateTime ? new Date(end.dateTime) - new Date(start.dateTime) : 0;
+  const startTime = occurrenceStart(occurrence);
+
+  const instance = cloneComponent(master);
+  ['RRULE', 'RDATE', 'EXDATE', 'DURATION', 'DTEND'].forEach(name => removeProperty(instance, name));
+  const startProperty = occurrenceProperty(master, occurrence);
+  setProperty(instance, 'DTSTART', startProperty.value, startProperty.params);
+  setProperty(instance, 'RECURRENCE-ID', startProperty.value, startProperty.params);
+  if (start.dateTime) {
+    const endProperty = toDateTimeProperty(new Date(new Date(startTime).getTime() + length).toISOString(), start.timeZone !== 'UTC' ? start.timeZone : null);
+    setProperty(instance, 'DTEND', endProperty.value, endProperty.params);
+  }
+  return instance;
+}
+
+/**
+ * Find the calendar object holding an event
+ * @returns {Promise<{href: string, etag: string, calendar: Object, calendarHref: string}|null>}
+ */
+async function findEventObject(credential, uid, calendarId) {
+  const collection = await resolveCalendar(credential, 'VEVENT', calendarId);
+  const objects = await queryObjects(credential, collection.href, { component: 'VEVENT', uid });
+  for (const object of objects) {
+    const calendar = parseICalendar(object.data);
+    if (calendar && calendar.components.some(component => component.name === 'VEVENT' && getText(component, 'UID') === uid)) {
+      return { href: object.href, etag: object.etag, calendar, calendarHref: collection.href };
+    }
+  }
+  return null;
+}
+
+// The VEVENT an event ID refers to: the master/single event, an override, or a synthesized occurrence
+function selectEvent(calendar, occurrence) {
+  const master = getMaster(calendar);
+  if (!occurrence) {
+    return master;
+  }
+  return getOverride(calendar, occurrence) || (master ? synthesizeOccurrence(master, occurrence) : null);
+}
+
+// Apply a partial update (summary, description, location, startTime, endTime, timeZone, attendees) to a VEVENT
+function applyEventData(vevent, eventData) {
+  if (eventData.summary) setText(vevent, 'SUMMARY', eventData.summary);
+  if (eventData.description !== undefined) setText(vevent, 'DESCRIPTION', eventData.description);
+  if (eventData.location !== undefined) setText(vevent, 'LOCATION', eventData.location);
+
+  // All-day events take dates (end exclusive) instead of date-times
+  const zone = eventData.timeZone || getProperty(vevent, 'DTSTART')?.params.TZID || null;
+  const toProperty = (time) => (eventData.allDay ? toDateProperty(time) : toDateTimeProperty(time, zone));
+  if (eventData.startTime) {
+    const start = toProperty(eventData.startTime);
+    setProperty(vevent, 'DTSTART', start.value, start.params);
+  }
+  if (eventData.endTime) {
+    const end = toProperty(eventData.endTime);
+    removeProperty(vevent, 'DURATION');
+    setProperty(vevent, 'DTEND', end.value, end.params);
+  }
+
+  if (eventData.attendees) {
+    removeProperty(vevent, 'ATTENDEE');
+    for (const attendee of eventData.attendees) {
+      const email = typeof attendee === 'string' ? attendee : attendee.email;
+      if (!email) continue;
+      const params = { PARTSTAT: 'NEEDS-ACTION', RSVP: 'TRUE' };
+      if (attendee.displayName) params.CN = attendee.displayName;
+      addProperty(vevent, 'ATTENDEE', `mailto:${email}`, params);
+    }
+  }
+
+  setProperty(vevent, 'DTSTAMP', formatUtcDateTime(Date.now()));
+  const sequence = Number(getProperty(vevent, 'SEQUENCE')?.value || 0);
+  setProperty(vevent, 'SEQUENCE', sequence + 1);
+}
+
+// Keep a VTIMEZONE for every TZID in the object (RFC 5545 requires one)
+function ensureTimezones(calendar) {
+  const zones = new Set(calendar.components
+    .filter(component => component.name === 'VEVENT')
+    .flatMap(component => component.properties.map(property => property.params.TZID))
+    .filter(Boolean));
+  const defined = new Set(calendar.components
+    .filter(component => component.name === 'VTIMEZONE')
+    .map(component => getText(component, 'TZID')));
+
+  for (const zone of zones) {
+    if (defined.has(zone)) continue;
+    const timezone = buildTimezoneComponent(zone);
+    if (timezone) {
+      calendar.components.unshift(timezone);
+    }
+  }
+}
+
+async function saveObject(credential, object) {
+  ensureTimezones(object.calendar);
+  await putObject(credential, object.href, serializeICalendar(object.calendar), { etag: object.etag || null });
+}
+
+// Time shift between an occurrence's current start/end and the requested ones
+function getTimeShift(instance, eventData) {
+  const current = fromVEvent(instance);
+  const startShift = eventData.startTime && current.start.dateTime ? new Date(eventData.startTime) - new Date(current.start.dateTime) : 0;
+  const endShift = eventData.endTime && current.end.dateTime ? new Date(eventData.endTime) - new Date(current.end.dateTime) : startShift;
+  return { startShift, endShift };
+}
+
+function shiftedTime(vevent, name, shiftMs) {
+  const time = parseDateProperty(getProperty(vevent, name));
+  return time?.dateTime ? new Date(new Date(time.dateTime).getTime() + shiftMs).toISOString() : undefined;
+}
+
+// Keep overrides and exclusions attached to their occurrences when the series start moves
+function shiftOccurrences(calendar, master, shiftMs) {
+  const shift = (property) => {
+    const time = parseDateProperty(property);
+    if (!time?.dateTime) return property;
+    const shifted = toDateTimeProperty(new Date(new Date(time.dateTime).getTime() + shiftMs).toISOString(), property.params.TZID || null);
+    return { ...property, value: shifted.value, params: { ...property.params, ...shifted.params } };
+  };
+
+  master.properties = master.properties.map(property => (property.name === 'EXDATE' && !property.value.includes(',') ? shift(property) : property));
+  for (const component of calendar.components) {
+    if (component.name === 'VEVENT' && component !== master) {
+      component.properties = component.properties.map(property => (property.name === 'RECURRENCE-ID' ? shift(property) : property));
+    }
+  }
+}
+
+// Occurrences of the series that start before an instant (for COUNT-limited rules)
+async function countOccurrencesBefore(credential, object, master, before) {
+  const start = parseDateProperty(getProperty(master, 'DTSTART'));
+  const from = start.dateTime || `${start.date}T00:00:00Z`;
+  const objects = await queryObjects(credential, object.calendarHref, {
+    component: 'VEVENT',
+    uid: getText(master, 'UID'),
+    timeRange: { start: from, end: before },
+    expand: true
+  });
+  return objects.flatMap(({ data }) => parseVEvents(data)).filter(vevent => getProperty(vevent, 'RECURRENCE-ID')).length;
+}
+
+// End the series before an occurrence: UNTIL on the rule, later overrides removed
+function truncateSeries(object, master, occurrence) {
+  const before = occurrenceStart(occurrence);
+  const rule = `RRULE:${getProperty(master, 'RRULE').value}`;
+  setProperty(master, 'RRULE', truncateRRule(rule, before).replace(/^RRULE:/, ''));
+  object.calendar.components = object.calendar.components.filter(component => {
+    const recurrenceId = parseDateProperty(getProperty(component, 'RECURRENCE-ID'));
+    return !recurrenceId || new Date(recurrenceId.dateTime || recurrenceId.date) < new Date(before);
+  });
+  return rule;
+}
+
+/**
+ * Get CalDAV calendar events
+ * Recurring events are expanded into occurrences by the server (calendar-query with expand).
+ * @param {Object} token - CalDAV credential
+ * @param {Object} filters - Filter options
+ * @param {string} [filters.timeMin] - Minimum start time (ISO 8601)
+ * @param {string} [filters.timeMax] - Maximum start time (ISO 8601)
+ * @param {number} [filters.maxResults] - Maximum number of results (default: 100)
+ * @param {string} [filters.q] - Text to look for in the title, description or location
+ * @param {string} [filters.calendarId] - Calendar to read (default: the first calendar with events)
+ * @returns {Promise<{success: boolean, events?: Array, error?: string}>}
+ */
+export async function getEvents(token, filters = {}) {
+  try {
+    if (!token) {
+      return { success: false, error: 'CalDAV credential is required' };
+    }
+
+    const timeMin = filters.timeMin || new Date().toISOString();
+    const timeMax = filters.timeMax || new Date(new Date(timeMin).getTime() + DEFAULT_VIEW_DAYS * DAY_MS).toISOString();
+    const collection = await resolveCalendar(token, 'VEVENT', filters.calendarId || null);
+
+    const objects = await queryObjects(token, collection.href, {
+      component: 'VEVENT',
+      timeRange: { start: timeMin, end: timeMax },
+      expand: true
+    });
+
+    const query = filters.q ? filters.q.toLowerCase() : null;
+    const events = objects
+      .flatMap(({ data }) => parseVEvents(data))
+      .map(vevent => fromVEvent(vevent))
+      .filter(event => event.status !== 'cancelled')
+      .filter(event => !query || [event.summary, event.description, event.location].some(text => text.toLowerCase().includes(query)))
+      .sort((a, b) => new Date(a.start.dateTime || a.start.date) - new Date(b.start.dateTime || b.start.date))
+      .slice(0, filters.maxResults || 100);
+
+    return {
+      success: true,
+      events
+    };
+  } catch (error) {
+    console.error('Get CalDAV events error:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to fetch calendar events'
+    };
+  }
+}
+
+/**
+ * Get a single CalDAV event (or occurrence)
+ * @param {Object} token - CalDAV credential
+ * @param {string} eventId - Event ID
+ * @param {Object} [options]
+ * @param {string} [options.calendarId] - Calendar containing the event (default: the first calendar with events)
+ * @returns {Promise<{success: boolean, event?: Object, error?: string}>}
+ */
+export async function getEvent(token, eventId, options = {}) {
+  try {
+    if (!token) {
+      return { success: false, error: 'CalDAV credential is required' };
+    }
+    if (!eventId) {
+      return { success: false, error: 'Event ID is required' };
+    }
+
+    const { uid, occurrence } = parseEventId(eventId);
+    const object = await findEventObject(token, uid, options.calendarId || null);
+    const vevent = object && selectEvent(object.calendar, occurrence);
+    if (!vevent) {
+      return { success: false, error: 'Event not found' };
+    }
+
+    return {
+      success: true,
+      event: fromVEvent(vevent)
+    };
+  } catch (error) {
+    console.error('Get CalDAV event error:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to fetch calendar event'
+    };
+  }
+}
+
+/**
+ * Create a CalDAV event
+ * @param {Object} token - CalDAV credential
+ * @param {Object} eventData - Event data
+ * @param {string} eventData.summary - Event title
+ * @param {string} eventData.startTime - Start time (ISO 8601), or the first day (YYYY-MM-DD) with allDay
+ * @param {string} eventData.endTime - End time (ISO 8601), or the day after the last one (YYYY-MM-DD) with allDay
+ * @param {boolean} [eventData.allDay] - All-day event
+ * @param {string} [eventData.timeZone] - IANA zone; recurring events are stored in it so they follow DST
+ * @param {string} [eventData.description] - Event description
+ * @param {Array} [eventData.attendees] - List of attendees (the server sends the invitations)
+ * @param {string} [eventData.recurrence] - RRULE for a recurring event
+ * @param {string} [eventData.calendarId] - Calendar to create the event in (default: the first calendar with events)
+ * @returns {Promise<{success: boolean, event?: Object, error?: string}>}
+ */
+export async function createEvent(token, eventData) {
+  try {
+    if (!token) {
+      return { success: false, error: 'CalDAV credential is required' };
+    }
+    if (!eventData?.summary || !eventData?.startTime || !eventData?.endTime) {
+      return { success: false, error: 'Missing required fields: summary, startTime, endTime' };
+    }
+    const recurrence = eventData.recurrence ? normalizeRRule(eventData.recurrence) : null;
+    if (eventData.recurrence && !recurrence) {
+      return { success: false, error: 'Invalid recurrence rule' };
+    }
+
+    const collection = await resolveCalendar(token, 'VEVENT', eventData.calendarId || null);
+    const uid = randomUUID();
+
+    const vevent = createComponent('VEVENT', [
+      { name: 'UID', value: uid },
+      { name: 'CREATED', value: formatUtcDateTime(Date.now()) }
+    ]);
+    // Single events are stored in UTC; series in their zone so occurrences keep their wall-clock time
+    applyEventData(vevent, { ...eventData, timeZone: recurrence ? eventData.timeZone : null });
+    setProperty(vevent, 'SEQUENCE', 0);
+    if (recurrence) {
+      setProperty(vevent, 'RRULE', recurrence.replace(/^RRULE:/, ''));
+    }
+    if (eventData.attendees?.length && token.username.includes('@')) {
+      setProperty(vevent, 'ORGANIZER', `mailto:${token.username}`);
+    }
+
+    const calendar = createCalendar([vevent]);
+    ensureTimezones(calendar);
+    await putObject(token, objectHref(collection.href, uid), serializeICalendar(calendar), { create: true });
+
+    return {
+      success: true,
+      event: fromVEvent(vevent)
+    };
+  } catch (error) {
+    console.error('Create CalDAV event error:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to create calendar event'
+    };
+  }
+}
+
+/**
+ * Update a CalDAV event
+ * @param {Object} token - CalDAV credential
+ * @param {string} eventId - Event ID to update
+ * @param {Object} eventData - Updated event data (partial)
+ * @param {boolean} [eventData.allDay] - startTime/endTime are dates (YYYY-MM-DD, end exclusive) of an all-day event
+ * @param {string} [eventData.scope] - For an occurrence of a recurring event: 'this' (default) | 'following' | 'all'
+ * @param {string} [eventData.calendarId] - Calendar containing the event (default: the first calendar with events)
+ * @returns {Promise<{success: boolean, event?: Object, previousEvent?: Object, scope?: string, error?: string}>}
+ */
+export async function updateEvent(token, eventId, eventData) {
+  try {
+    if (!token) {
+      return { success: false, error: 'CalDAV credential is required' };
+    }
+    if (!eventId) {
+      return { success: false, error: 'Event ID is required' };
+    }
+
+    const { uid, occurrence } = parseEventId(eventId);
+    const object = await findEventObject(token, uid, eventData.calendarId || null);
+    const master = object && getMaster(object.calendar);
+    const instance = object && selectEvent(object.calendar, occurrence);
+    if (!instance) {
+      return { success: false, error: 'Event not found' };
+    }
+
+    const previousEvent = fromVEvent(instance);
+    const scope = eventData.scope || 'this';
+    const { scope: _, calendarId: __, ...changes } = eventData;
+
+    // Single event, or the series itself
+    if (!occurrence || !master) {
+      applyEventData(instance, changes);
+      await saveObject(token, object);
+      return { success: true, event: fromVEvent(instance), previousEvent };
+    }
+
+    const isFirst = occurrenceKey(parseDateProperty(getProperty(master, 'DTSTART'))) === occurrence;
+
+    if (scope === 'this') {
+      if (!getOverride(object.calendar, occurrence)) {
+        object.calendar.components.push(instance);
+      }
+      applyEventData(instance, changes);
+      await saveObject(token, object);
+      return { success: true, event: fromVEvent(instance), previousEvent };
+    }
+
+    const previousSeries = fromVEvent(master);
+    const { startShift, endShift } = getTimeShift(instance, changes);
+
+    // Whole series (or "this and following" from the first occurrence): apply the same time shift to the master
+    if (scope === 'all' || isFirst) {
+      if (startShift) {
+        shiftOccurrences(object.calendar, master, startShift);
+      }
+      applyEventData(master, {
+        ...changes,
+        startTime: startShift || endShift ? shiftedTime(master, 'DTSTART', startShift) : undefined,
+        endTime: startShift || endShift ? shiftedTime(master, 'DTEND', endShift) : undefined,
+        timeZone: undefined
+      });
+      await saveObject(token, object);
+      return { success: true, event: fromVEvent(master), previousEvent: previousSeries, scope: 'all' };
+    }
+
+    // This and following: end the original series before this occurrence and start a new one from it
+    let remainingRule = null;
+    if (getProperty(master, 'RRULE')) {
+      const rule = `RRULE:${getProperty(master, 'RRULE').value}`;
+      remainingRule = rule;
+      if (parseRRule(rule)?.COUNT) {
+        const before = await countOccurrencesBefore(token, object, master, occurrenceStart(occurrence));
+        remainingRule = withCount(rule, Number(parseRRule(rule).COUNT) - before);
+      }
+    }
+    truncateSeries(object, master, occurrence);
+    await saveObject(token, object);
+
+    const newUid = randomUUID();
+    const newSeries = cloneComponent(master);
+    ['RECURRENCE-ID', 'EXDATE', 'RDATE'].forEach(name => removeProperty(newSeries, name));
+    setProperty(newSeries, 'UID', newUid);
+    const instanceStart = fromVEvent(instance);
+    applyEventData(newSeries, {
+      ...changes,
+      startTime: changes.startTime || instanceStart.start.dateTime,
+      endTime: changes.endTime || instanceStart.end.dateTime,
+      timeZone: getProperty(master, 'DTSTART').params.TZID || null
+    });
+    setProperty(newSeries, 'SEQUENCE', 0);
+    if (remainingRule) {
+      setProperty(newSeries, 'RRULE', remainingRule.replace(/^RRULE:/, ''));
+    }
+
+    const calendar = createCalendar([newSeries]);
+    ensureTimezones(calendar);
+    await putObject(token, objectHref(object.calendarHref, newUid), serializeICalendar(calendar), { create: true });
+
+    return { success: true, event: fromVEvent(newSeries), previousEvent: previousSeries, scope: 'following' };
+  } catch (error) {
+    console.error('Update CalDAV event error:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to update calendar event'
+    };
+  }
+}
+
+/**
+ * Delete a CalDAV event
+ * @param {Object} token - CalDAV credential
+ * @param {string} eventId - Event ID to delete
+ * @param {Object} [options]
+ * @param {string} [options.scope] - For an occurrence of a recurring event: 'this' (default) | 'following' | 'all'
+ * @param {string} [options.calendarId] - Calendar containing the event (default: the first calendar with events)
+ * @returns {Promise<{success: boolean, event?: Object, message?: string, scope?: string, error?: string}>}
+ */
+export async function deleteEvent(token, eventId, options = {}) {
+  try {
+    if (!token) {
+      return { success: false, error: 'CalDAV credential is required' };
+    }
+    if (!eventId) {
+      return { success: false, error: 'Event ID is required' };
+    }
+
+    const scope = options.scope || 'this';
+    const { uid, occurrence } = parseEventId(eventId);
+    const object = await findEventObject(token, uid, options.calendarId || null);
+    const master = object && getMaster(object.calendar);
+    const instance = object && selectEvent(object.calendar, occurrence);
+    if (!instance) {
+      return { success: false, error: 'Event not found' };
+    }
+    const eventDetails = fromVEvent(instance);
+
+    if (!occurrence || !master) {
+      await deleteObject(token, object.href, object.etag || null);
+      return {
+        success: true,
+        event: eventDetails, // Return event details that were deleted
+        message: 'Event deleted successfully'
+      };
+    }
+
+    const isFirst = occurrenceKey(parseDateProperty(getProperty(master, 'DTSTART'))) === occurrence;
+
+    if (scope === 'all' || (scope === 'following' && isFirst)) {
+      await deleteObject(token, object.href, object.etag || null);
+      return {
+        success: true,
+        event: fromVEvent(master), // Series master that was deleted
+        scope: 'all',
+        message: 'Event series deleted successfully'
+      };
+    }
+
+    if (scope === 'following') {
+      truncateSeries(object, master, occurrence);
+      await saveObject(token, object);
+      return {
+        success: true,
+        event: eventDetails,
+        scope: 'following',
+        message: 'Event and following occurrences deleted successfully'
+      };
+    }
+
+    // Just this occurrence: exclude it from the series and drop its override
+    const exdate = occurrenceProperty(master, occurrence);
+    addProperty(master, 'EXDATE', exdate.value, exdate.params);
+    object.calendar.components = object.calendar.components.filter(component => component !== getOverride(object.calendar, occurrence));
+    await saveObject(token, object);
+
+    return {
+      success: true,
+      event: eventDetails,
+      message: 'Event deleted successfully'
+    };
+  } catch (error) {
+    console.error('Delete CalDAV event error:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to delete calendar event'
+    };
+  }
+}
+
+/**
+ * List the account's CalDAV calendars that hold events
+ * @param {Object} token - CalDAV credential
+ * @returns {Promise<{success: boolean, calendars?: Array<{id: string, name: string, primary: boolean, canEdit: boolean, color?: string}>, error?: string}>}
+ */
+export async function listCalendars(token) {
+  try {
+    if (!token) {
+      return { success: false, error: 'CalDAV credential is required' };
+    }
+
+    const calendars = (await discoverCalendars(token))
+      .filter(calendar => calendar.components.includes('VEVENT'))
+      .map((calendar, index) => ({
+        id: calendar.href,
+        name: calendar.name,
+        primary: index === 0, // The calendar used when no calendarId is given
+        canEdit: calendar.canEdit,
+        color: calendar.color
+      }));
+
+    return {
+      success: true,
+      calendars
+    };
+  } catch (error) {
+    console.error('List CalDAV calendars error:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to list calendars'
+    };
+  }
+}
+
+/**
+ * Attendees' busy times
+ * CalDAV servers only share free/busy through scheduling outboxes, which most hosted servers
+ * restrict, so every attendee is reported as unavailable instead of blocking the search.
+ * @param {Object} token - CalDAV credential
+ * @param {string[]} emails - Attendee emails
+ * @returns {Promise<{success: boolean, schedules?: Object, error?: string}>}
+ */
+export async function getBusyTimes(token, emails) {
+  if (!token) {
+    return { success: false, error: 'CalDAV credential is required' };
+  }
+  return {
+    success: true,
+    schedules: Object.fromEntries(emails.map(email => [email, { busy: [], error: 'Free/busy is not available for CalDAV calendars' }]))
+  };
+}
+
+/**
+ * Verify a CalDAV credential
+ * @param {Object} token - CalDAV credential
+ * @returns {Promise<{success: boolean, email?: string, userId?: string, error?: string}>}
+ */
+export async function getUserInfo(token) {
+  try {
+    if (!token) {
+      return { success: false, error: 'CalDAV credential is required' };
+    }
+    const { email, principal } = await verifyCredential(token);
+    // Principal paths are only unique per server
+    return { success: true, email, userId: new URL(principal, token.serverUrl).href };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message || 'Invalid CalDAV credential'
+    };
+  }
+}
@@ -0,0 +1,329 @@
+import { XMLParser } from 'fast-xml-parser';
+import { formatUtcDateTime } from '../utils/ical.js';
+
+/**
+ * Minimal CalDAV (RFC 4791) client shared by the CalDAV calendar and tasks services.
+ * Credentials are { serverUrl, username, password } (an app-specific password for iCloud/Fastmail);
+ * every request uses HTTP Basic auth. Calendars are found through the standard discovery chain:
+ * current-user-principal -> calendar-home-set -> calendar collections.
+ */
+
+const DISCOVERY_TTL_MS = 5 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 15 * 1000;
+const MAX_REDIRECTS = 5;
+
+const xmlParser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '',
+  removeNSPrefix: true,
+  parseTagValue: false,
+  isArray: (name) => ['response', 'propstat', 'comp', 'privilege', 'href'].includes(name)
+});
+
+// serverUrl|username -> { expiresAt, calendars }
+const discoveryCache = new Map();
+
+/**
+ * Build a credential from the c-axs-tk / c-dav-url request headers
+ * @param {string} token - base64("username:password")
+ * @param {string} serverUrl - CalDAV server URL (e.g. https://caldav.icloud.com, https://caldav.fastmail.com/dav/)
+ * @returns {{serverUrl: string, username: string, password: string}|null} null if missing or malformed
+ */
+export function parseCaldavCredential(token, serverUrl) {
+  if (!token || !serverUrl || !isAllowedServerUrl(serverUrl)) {
+    return null;
+  }
+  const decoded = Buffer.from(String(token), 'base64').toString('utf8');
+  const separator = decoded.indexOf(':');
+  if (separator <= 0) {
+    return null;
+  }
+  return {
+    serverUrl: String(serverUrl),
+    username: decoded.slice(0, separator),
+    password: decoded.slice(separator + 1)
+  };
+}
+
+/**
+ * Whether the backend may connect to a CalDAV server URL
+ * HTTPS only, unless CALDAV_ALLOW_HTTP=true (local servers such as Radicale), and only to the hosts in
+ * CALDAV_ALLOWED_HOSTS (comma-separated): the URL comes from the client, and a server of the client's
+ * choosing could mint any number of identities. CalDAV is off while the list is empty.
+ * @param {string} serverUrl
+ * @returns {boolean}
+ */
+export function isAllowedServerUrl(serverUrl) {
+  let url;
+  try {
+    url = new URL(serverUrl);
+  } catch {
+    return false;
+  }
+  if (url.protocol !== 'https:' && !(url.protocol === 'http:' && process.env.CALDAV_ALLOW_HTTP === 'true')) {
+    return false;
+  }
+  return getAllowedHosts().includes(url.hostname.toLowerCase());
+}
+
+function getAllowedHosts() {
+  return (process.env.CALDAV_ALLOWED_HOSTS || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean);
+}
+
+function escapeXml(value) {
+  return String(value).replace(/[<>&'"]/g, char => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' }[char]));
+}
+
+/**
+ * Authorized request against the credential's server
+ * @param {Object} credential
+ * @param {string} method - HTTP/WebDAV method
+ * @param {string} target - Absolute URL or path (resolved against serverUrl)
+ * @param {Object} [options]
+ * @param {Object} [options.headers]
+ * @param {string} [options.body]
+ * @returns {Promise<{status: number, headers: Headers, text: string, url: string}>}
+ */
+export async function davRequest(credential, method, target, { headers = {}, body } = {}) {
+  let url = new URL(target, credential.serverUrl).toString();
+  let response;
+  // Redirects are followed by hand so every hop gets the same checks as the URL the client sent
+  for (let hop = 0; ; hop++) {
+    // hrefs and redirect targets come from the server, so they're checked like the client's URL
+    if (!isAllowedServerUrl(url)) {
+      throw new Error('CalDAV server URL is not allowed');
+    }
+    response = await fetch(url, {
+      method,
+      headers: {
+        'Authorization': `Basic ${Buffer.from(`${credential.username}:${credential.password}`).toString('base64')}`,
+        ...(body ? { 'Content-Type': headers['Content-Type'] || 'application/xml; charset=utf-8' } : {}),
+        ...headers
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+
+    const location = response.headers.get('location');
+    if (response.status < 300 || response.status >= 400 || !location) {
+      break;
+    }
+    await response.body?.cancel();
+    if (hop >= MAX_REDIRECTS) {
+      throw new Error('CalDAV server redirected too many times');
+    }
+    url = new URL(location, url).toString();
+  }
+
+  const text = await response.text();
+  if (response.status === 401 || response.status === 403) {
+    throw new Error(`CalDAV authentication failed (${response.status})`);
+  }
+  if (!response.ok) {
+    // The body isn't included: errors reach the client, and the server is the client's choice
+    throw new Error(`CalDAV ${method} failed: ${response.status}`);
+  }
+  return { status: response.status, headers: response.headers, text, url };
+}
+
+/**
+ * Parse a 207 Multi-Status body
+ * @param {string} xml
+ * @returns {Array<{href: string, props: Object}>} Properties from the 200 propstat of each response, keyed by local name
+ */
+export function parseMultistatus(xml) {
+  const document = xmlParser.parse(xml);
+  const responses = document?.multistatus?.response || [];
+  return responses.map(response => {
+    const props = {};
+    for (const propstat of response.propstat || []) {
+      if (propstat.status && !/\s2\d\d\s/.test(propstat.status)) continue;
+      Object.assign(props, propstat.prop || {});
+    }
+    return { href: decodeURIComponent(response.href?.[0] || ''), props };
+  });
+}
+
+// Text of a property that may have parsed to a string or to an element with #text
+function textOf(value) {
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'string') return value;
+  return value['#text'] || '';
+}
+
+function hrefOf(value) {
+  return value?.href?.[0] ? String(value.href[0]).trim() : null;
+}
+
+async function propfind(credential, target, props, depth) {
+  const body = `<?xml version="1.0" encoding="utf-8"?>
+<d:propfind xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav" xmlns:a="http://apple.com/ns/ical/">
+  <d:prop>${props}</d:prop>
+</d:propfind>`;
+  const response = await davRequest(credential, 'PROPFIND', target, { headers: { Depth: String(depth) }, body });
+  return { responses: parseMultistatus(response.text), url: response.url };
+}
+
+/**
+ * Verify a credential and return the account identity
+ * The username is whatever the client sent, even when it looks like an email address, so the identity is
+ * namespaced by host (caldav:alice@dav.example.org) and can never match a Google or Microsoft account.
+ * @param {Object} credential
+ * @returns {Promise<{email: string, principal: string}>}
+ * @throws {Error} If the server rejects the credential
+ */
+export async function verifyCredential(credential) {
+  const { responses } = await propfind(credential, credential.serverUrl, '<d:current-user-principal/>', 0);
+  const principal = hrefOf(responses[0]?.props?.['current-user-principal']);
+  if (!principal) {
+    throw new Error('CalDAV server did not return a principal');
+  }
+  const host = new URL(credential.serverUrl).hostname.toLowerCase();
+  const username = credential.username.toLowerCase();
+  return { email: `caldav:${username}@${host}`, principal };
+}
+
+/**
+ * The account's calendar collections (cached for a few minutes)
+ * @param {Object} credential
+ * @returns {Promise<Array<{href: string, name: string, color?: string, components: string[], canEdit: boolean}>>}
+ */
+export async function discoverCalendars(credential) {
+  const cacheKey = `${credential.serverUrl}|${credential.username}`;
+  const cached = discoveryCache.get(cacheKey);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.calendars;
+  }
+
+  const { principal } = await verifyCredential(credential);
+  const { responses: principalProps } = await propfind(credential, principal, '<c:calendar-home-set/>', 0);
+  const home = hrefOf(principalProps[0]?.props?.['calendar-home-set']);
+  if (!home) {
+    throw new Error('CalDAV server did not return a calendar home');
+  }
+
+  const { responses } = await propfind(
+    credential,
+    home,
+    '<d:resourcetype/><d:displayname/><c:supported-calendar-component-set/><a:calendar-color/><d:current-user-privilege-set/>',
+    1
+  );
+
+  const calendars = responses
+    .filter(({ props }) => props.resourcetype && typeof props.resourcetype === 'object' && 'calendar' in props.resourcetype)
+    .map(({ href, props }) => {
+      const components = (props['supported-calendar-component-set']?.comp || []).map(comp => comp.name);
+      const privileges = (props['current-user-privilege-set']?.privilege || []).flatMap(privilege => Object.keys(privilege));
+      return {
+        href,
+        name: textOf(props.displayname) || href.split('/').filter(Boolean).pop(),
+        color: textOf(props['calendar-color']) || undefined,
+        // Servers that don't report these support both and allow writes
+        components: components.length > 0 ? components : ['VEVENT', 'VTODO'],
+        canEdit: privileges.length === 0 || privileges.some(privilege => ['write', 'write-content', 'bind', 'all'].includes(privilege))
+      };
+    });
+
+  discoveryCache.set(cacheKey, { expiresAt: Date.now() + DISCOVERY_TTL_MS, calendars });
+  return calendars;
+}
+
+/**
+ * Calendars holding a component type, optionally narrowed to one collection
+ * @param {Object} credential
+ * @param {'VEVENT'|'VTODO'} component
+ * @param {string} [calendarId] - Collection href; defaults to the first calendar with the component
+ * @returns {Promise<Object>} Calendar from discoverCalendars
+ * @throws {Error} If there is no such calendar
+ */
+export async function resolveCalendar(credential, component, calendarId = null) {
+  const calendars = (await discoverCalendars(credential)).filter(calendar => calendar.components.includes(component));
+  const normalize = (href) => decodeURIComponent(new URL(href, credential.serverUrl).pathname).replace(/\/?$/, '/');
+  const calendar = calendarId
+    ? calendars.find(candidate => normalize(candidate.href) === normalize(calendarId))
+    : calendars[0];
+  if (!calendar) {
+    throw new Error(calendarId ? `Calendar not found: ${calendarId}` : `No CalDAV calendar supports ${component === 'VTODO' ? 'tasks' : 'events'}`);
+  }
+  return calendar;
+}
+
+/**
+ * calendar-query REPORT on a collection
+ * @param {Object} credential
+ * @param {string} calendarHref
+ * @param {Object} query
+ * @param {'VEVENT'|'VTODO'} query.component
+ * @param {{start: string, end: string}} [query.timeRange] - Only objects overlapping the range (ISO 8601)
+ * @param {boolean} [query.expand] - Ask the server to expand recurring events into occurrences within timeRange
+ * @param {string} [query.uid] - Only the object with this UID
+ * @returns {Promise<Array<{href: string, etag: string, data: string}>>}
+ */
+export async function queryObjects(credential, calendarHref, { component, timeRange = null, expand = false, uid = null }) {
+  // time-range values are UTC basic format (20261116T150000Z)
+  const range = timeRange
+    ? `start="${formatUtcDateTime(timeRange.start)}" end="${formatUtcDateTime(timeRange.end)}"`
+    : null;
+  const filters = [
+    range ? `<c:time-range ${range}/>` : '',
+    uid ? `<c:prop-filter name="UID"><c:text-match collation="i;octet">${escapeXml(uid)}</c:text-match></c:prop-filter>` : ''
+  ].join('');
+  const body = `<?xml version="1.0" encoding="utf-8"?>
+<c:calendar-query xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav">
+  <d:prop>
+    <d:getetag/>
+    <c:calendar-data>${expand && range ? `<c:expand ${range}/>` : ''}</c:calendar-data>
+  </d:prop>
+  <c:filter>
+    <c:comp-filter name="VCALENDAR">
+      <c:comp-filter name="${component}">${filters}</c:comp-filter>
+    </c:comp-filter>
+  </c:filter>
+</c:calendar-query>`;
+
+  const response = await davRequest(credential, 'REPORT', calendarHref, { headers: { Depth: '1' }, body });
+  return parseMultistatus(response.text)
+    .filter(({ props }) => props['calendar-data'])
+    .map(({ href, props }) => ({ href, etag: textOf(props.getetag), data: textOf(props['calendar-data']) }));
+}
+
+/**
+ * Create or replace a calendar object
+ * @param {Object} credential
+ * @param {string} href - Object URL or path
+ * @param {string} data - iCalendar text
+ * @param {Object} [options]
+ * @param {string} [options.etag] - Only replace this version (If-Match)
+ * @param {boolean} [options.create] - Fail if the object exists (If-None-Match: *)
+ */
+export async function putObject(credential, href, data, { etag = null, create = false } = {}) {
+  await davRequest(credential, 'PUT', href, {
+    headers: {
+      'Content-Type': 'text/calendar; charset=utf-8',
+      ...(etag ? { 'If-Match': etag } : {}),
+      ...(create ? { 'If-None-Match': '*' } : {})
+    },
+    body: data
+  });
+}
+
+/**
+ * Delete a calendar object
+ * @param {Object} credential
+ * @param {string} href - Object URL or path
+ * @param {string} [etag] - Only delete this version (If-Match)
+ */
+export async function deleteObject(credential, href, etag = null) {
+  await davRequest(credential, 'DELETE', href, { headers: etag ? { 'If-Match': etag } : {} });
+}
+
+/**
+ * URL for a new object in a collection
+ * @param {string} calendarHref
+ * @param {string} uid
+ * @returns {string}
+ */
+export function objectHref(calendarHref, uid) {
+  return `${calendarHref.replace(/\/?$/, '/')}${encodeURIComponent(uid)}.ics`;
+}
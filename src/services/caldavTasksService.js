@@ -0,0 +1,279 @@
+import { randomUUID } from 'node:crypto';
+import { discoverCalendars, resolveCalendar, queryObjects, putObject, deleteObject, objectHref } from './caldavClient.js';
+import {
+  parseICalendar,
+  serializeICalendar,
+  createComponent,
+  createCalendar,
+  getProperty,
+  setProperty,
+  removeProperty,
+  getText,
+  setText,
+  parseDateProperty,
+  formatUtcDateTime,
+  toDateTimeProperty,
+  toDateProperty
+} from '../utils/ical.js';
+import { toTask } from '../providers/models.js';
+
+/**
+ * CalDAV tasks service (VTODO)
+ * Task IDs are iCalendar UIDs and task list IDs are the paths of calendars that hold VTODOs.
+ */
+
+const MAX_TASK_LISTS = 10;
+
+// VTODO STATUS -> canonical status (Google's names)
+function toTaskStatus(status) {
+  return status === 'COMPLETED' ? 'completed' : 'needsAction';
+}
+
+/**
+ * Transform a VTODO to the canonical task model
+ * @param {Object} vtodo - VTODO component
+ * @param {string} taskListId - Calendar path
+ * @returns {import('../providers/models.js').Task}
+ */
+function fromVTodo(vtodo, taskListId) {
+  const due = parseDateProperty(getProperty(vtodo, 'DUE'));
+  return toTask('caldav', {
+    id: getText(vtodo, 'UID'),
+    title: getText(vtodo, 'SUMMARY'),
+    notes: getText(vtodo, 'DESCRIPTION'),
+    due: due ? due.dateTime || `${due.date}T00:00:00.000Z` : null,
+    status: toTaskStatus(getProperty(vtodo, 'STATUS')?.value),
+    taskListId
+  });
+}
+
+function getTodo(calendar) {
+  return calendar?.components.find(component => component.name === 'VTODO') || null;
+}
+
+// Set or clear DUE: dates stay all-day, times are stored in UTC
+function setDue(vtodo, due) {
+  if (!due) {
+    removeProperty(vtodo, 'DUE');
+    return;
+  }
+  const property = /^\d{4}-\d{2}-\d{2}$/.test(due) ? toDateProperty(due) : toDateTimeProperty(due);
+  setProperty(vtodo, 'DUE', property.value, property.params);
+}
+
+// Calendars holding tasks, or just the given one
+async function getTaskLists(credential, taskListId) {
+  if (taskListId) {
+    return [await resolveCalendar(credential, 'VTODO', taskListId)];
+  }
+  const calendars = await discoverCalendars(credential);
+  return calendars.filter(calendar => calendar.components.includes('VTODO')).slice(0, MAX_TASK_LISTS);
+}
+
+/**
+ * Find the calendar object holding a task
+ * @returns {Promise<{href: string, etag: string, calendar: Object, taskListId: string}|null>}
+ */
+async function findTaskObject(credential, taskId, taskListId) {
+  for (const list of await getTaskLists(credential, taskListId)) {
+    const objects = await queryObjects(credential, list.href, { component: 'VTODO', uid: taskId });
+    for (const object of objects) {
+      const calendar = parseICalendar(object.data);
+      if (getText(getTodo(calendar) || { properties: [] }, 'UID') === taskId) {
+        return { href: object.href, etag: object.etag, calendar, taskListId: list.href };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Fetch incomplete CalDAV tasks
+ * @param {Object} token - CalDAV credential
+ * @param {Object} filters - Filter options
+ * @param {string} [filters.timeMin] - Minimum due date (ISO 8601)
+ * @param {string} [filters.timeMax] - Maximum due date (ISO 8601)
+ * @param {number} [filters.maxResults] - Maximum number of tasks per list
+ * @returns {Promise<{success: boolean, tasks?: Array, error?: string}>}
+ */
+export async function getTasks(token, filters = {}) {
+  try {
+    if (!token) {
+      return { success: false, error: 'CalDAV credential is required' };
+    }
+
+    const lists = await getTaskLists(token, null);
+
+    // Fetch every task and filter in code: a time-range filter would leave out undated tasks
+    const taskPromises = lists.map(async (list) => {
+      try {
+        const objects = await queryObjects(token, list.href, { component: 'VTODO' });
+        const tasks = objects
+          .map(({ data }) => getTodo(parseICalendar(data)))
+          .filter(vtodo => vtodo && !['COMPLETED', 'CANCELLED'].includes(getProperty(vtodo, 'STATUS')?.value))
+          .map(vtodo => fromVTodo(vtodo, list.href));
+
+        return tasks
+          .filter(task => {
+            if (!task.due) {
+              // Tasks without due date: always include them so they appear in any view
+              return true;
+            }
+            const dueDate = new Date(task.due);
+            if (filters.timeMin && dueDate < new Date(filters.timeMin)) return false;
+            if (filters.timeMax && dueDate > new Date(filters.timeMax)) return false;
+            return true;
+          })
+          .slice(0, filters.maxResults || 100);
+      } catch (error) {
+        console.warn(`Failed to fetch tasks from CalDAV calendar ${list.href}:`, error.message);
+        return [];
+      }
+    });
+
+    const allTasks = (await Promise.all(taskPromises)).flat();
+    return {
+      success: true,
+      tasks: allTasks.filter(task => task.title) // Only include tasks with a title
+    };
+  } catch (error) {
+    console.error('Get CalDAV tasks error:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to fetch tasks'
+    };
+  }
+}
+
+/**
+ * Create a CalDAV task
+ * @param {Object} token - CalDAV credential
+ * @param {Object} taskData - Task data
+ * @param {string} taskData.title - Task title (required)
+ * @param {string} [taskData.notes] - Task notes/description
+ * @param {string} [taskData.due] - Due date (YYYY-MM-DD) or date-time (ISO 8601)
+ * @param {string} [taskListId] - Calendar path (defaults to the first calendar that holds tasks)
+ * @returns {Promise<{success: boolean, task?: Object, error?: string}>}
+ */
+export async function createTask(token, taskData, taskListId = null) {
+  try {
+    if (!token) {
+      return { success: false, error: 'CalDAV credential is required' };
+    }
+    if (!taskData?.title) {
+      return { success: false, error: 'Task title is required' };
+    }
+
+    const list = await resolveCalendar(token, 'VTODO', taskListId);
+    const uid = randomUUID();
+    const now = formatUtcDateTime(Date.now());
+
+    const vtodo = createComponent('VTODO', [
+      { name: 'UID', value: uid },
+      { name: 'DTSTAMP', value: now },
+      { name: 'CREATED', value: now },
+      { name: 'STATUS', value: 'NEEDS-ACTION' }
+    ]);
+    setText(vtodo, 'SUMMARY', taskData.title);
+    if (taskData.notes) {
+      setText(vtodo, 'DESCRIPTION', taskData.notes);
+    }
+    setDue(vtodo, taskData.due);
+
+    await putObject(token, objectHref(list.href, uid), serializeICalendar(createCalendar([vtodo])), { create: true });
+
+    return {
+      success: true,
+      task: fromVTodo(vtodo, list.href)
+    };
+  } catch (error) {
+    console.error('Create CalDAV task error:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to create task'
+    };
+  }
+}
+
+/**
+ * Update a CalDAV task
+ * @param {Object} token - CalDAV credential
+ * @param {string} taskId - Task ID to update
+ * @param {Object} taskData - Updated task data (partial); a null or empty due removes the due date
+ * @param {string} [taskListId] - Calendar path (defaults to searching every calendar that holds tasks)
+ * @returns {Promise<{success: boolean, task?: Object, previousTask?: Object, error?: string}>}
+ */
+export async function updateTask(token, taskId, taskData, taskListId = null) {
+  try {
+    if (!token) {
+      return { success: false, error: 'CalDAV credential is required' };
+    }
+    if (!taskId) {
+      return { success: false, error: 'Task ID is required' };
+    }
+
+    const object = await findTaskObject(token, taskId, taskListId);
+    if (!object) {
+      return { success: false, error: 'Task not found' };
+    }
+    const vtodo = getTodo(object.calendar);
+    const previousTask = fromVTodo(vtodo, object.taskListId);
+
+    if (taskData.title !== undefined) setText(vtodo, 'SUMMARY', taskData.title);
+    if (taskData.notes !== undefined) setText(vtodo, 'DESCRIPTION', taskData.notes);
+    if (taskData.due !== undefined) setDue(vtodo, taskData.due);
+    setProperty(vtodo, 'DTSTAMP', formatUtcDateTime(Date.now()));
+    setProperty(vtodo, 'LAST-MODIFIED', formatUtcDateTime(Date.now()));
+
+    await putObject(token, object.href, serializeICalendar(object.calendar), { etag: object.etag || null });
+
+    return {
+      success: true,
+      task: fromVTodo(vtodo, object.taskListId),
+      previousTask // Task as it was before the update (used for undo)
+    };
+  } catch (error) {
+    console.error('Update CalDAV task error:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to update task'
+    };
+  }
+}
+
+/**
+ * Delete a CalDAV task
+ * @param {Object} token - CalDAV credential
+ * @param {string} taskId - Task ID to delete
+ * @param {string} [taskListId] - Calendar path (defaults to searching every calendar that holds tasks)
+ * @returns {Promise<{success: boolean, task?: Object, message?: string, error?: string}>}
+ */
+export async function deleteTask(token, taskId, taskListId = null) {
+  try {
+    if (!token) {
+      return { success: false, error: 'CalDAV credential is required' };
+    }
+    if (!taskId) {
+      return { success: false, error: 'Task ID is required' };
+    }
+
+    const object = await findTaskObject(token, taskId, taskListId);
+    if (!object) {
+      return { success: false, error: 'Task not found' };
+    }
+
+    await deleteObject(token, object.href, object.etag || null);
+
+    return {
+      success: true,
+      task: fromVTodo(getTodo(object.calendar), object.taskListId),
+      message: 'Task deleted successfully'
+    };
+  } catch (error) {
+    console.error('Delete CalDAV task error:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to delete task'
+    };
+  }
+}
@@ -1,14 +1,29 @@
-import * as googleCalendarService from './googleCalendarService.js';
-import * as outlookCalendarService from './outlookCalendarService.js';
-import * as googleTasksService from './googleTasksService.js';
-import * as outlookTasksService from './outlookTasksService.js';
+import { getProvider, getProviders } from '../providers/index.js';
+import { toTaskEntry } from '../providers/models.js';
 import { getOnboardingProfile } from './onboardingService.js';
 
 /**
- * Router service that dispatches to appropriate calendar service based on primary calendar
- * Primary calendar: 'google' | 'outlook'
+ * Router service that dispatches to the calendar provider adapters (see ../providers)
+ * The unified view merges every provider the user has a token for; writes go to one provider,
+ * the primary calendar ('google' | 'outlook' | 'caldav') unless the caller names another.
  */
 
+/**
+ * Adapter and token for a single-provider operation
+ * @returns {{provider?: Object, token?: string, error?: string}}
+ */
+function resolveProvider(calendar = 'google', tokens) {
+  const provider = getProvider(calendar);
+  if (!provider) {
+    return { error: `Unknown calendar: ${calendar}` };
+  }
+  const token = tokens[calendar];
+  if (!token) {
+    return { error: `${calendar} token not available` };
+  }
+  return { provider, token };
+}
+
 /**
  * Normalize event times to UTC
  * @param {Object} event - Event object
@@ -59,174 +74,136 @@ function normalizeEventToUTC(event) {
 }
 
 /**
- * Get calendar events from Google and/or Outlook calendars
- * @param {string} googleToken - Google OAuth access token
- * @param {string} outlookToken - Outlook OAuth access token
- * @param {string} primaryCalendar - Primary calendar ('google' | 'outlook')
+ * Calendars to read events from, per provider
+ * A calendarId filter (one ID or a comma-separated list) applies to the requested calendar's provider only;
+ * otherwise the calendars saved in the onboarding profile (`calendars: { google: [...], outlook: [...] }`) are used.
+ * @returns {Promise<{calendars: Object<string, string[]|null>, includeTasks: boolean}>} Keyed by provider ID; null = default calendar only
+ */
+async function resolveCalendarSelection(primaryCalendar, filters, userEmail) {
+  const providerIds = getProviders().map(provider => provider.id);
+
+  if (filters.calendarId) {
+    const ids = String(filters.calendarId).split(',').map(id => id.trim()).filter(Boolean);
+    return {
+      calendars: Object.fromEntries(providerIds.map(id => [id, id === (primaryCalendar || 'google') ? ids : []])),
+      includeTasks: false
+    };
+  }
+
+  let profile = null;
+  if (userEmail) {
+    try {
+      profile = await getOnboardingProfile(userEmail);
+    } catch (error) {
+      console.warn('Could not load onboarding profile for calendar selection:', error.message);
+    }
+  }
+
+  const selected = (ids) => (Array.isArray(ids) && ids.length > 0 ? ids : null);
+  return {
+    calendars: Object.fromEntries(providerIds.map(id => [id, selected(profile?.calendars?.[id])])),
+    includeTasks: true
+  };
+}
+
+/**
+ * Fetch events from a provider's selected calendars (tagging each event with its calendarId)
+ * @param {Object} provider - Provider adapter
+ * @param {string} token - OAuth access token
  * @param {Object} filters - Filter options
- * @param {string} [userEmail] - User email for profile lookup
- * @returns {Promise<{success: boolean, events?: Array, error?: string}>}
+ * @param {string[]|null} calendarIds - Calendars to read, or null for the default calendar
+ * @returns {Promise<{success: boolean, events: Array}>}
  */
-export async function getEvents(googleToken, outlookToken, primaryCalendar, filters = {}, userEmail = null) {
+async function getProviderEvents(provider, token, filters, calendarIds) {
+  const { calendarId: _, timeZone: __, ...providerFilters } = filters;
   try {
-    if (!googleToken && !outlookToken) {
-      return { success: false, error: 'At least one access token is required' };
+    if (!calendarIds) {
+      return await provider.calendar.getEvents(token, providerFilters);
     }
 
-    const allEvents = [];
-    const hasBothTokens = googleToken && outlookToken;
-
-    // Fetch events - use parallel fetching when both tokens available for better performance
-    if (hasBothTokens) {
-      // Fetch from both calendars and tasks in parallel
-      const [googleResult, outlookResult, googleTasksResult, outlookTasksResult] = await Promise.all([
-        googleToken
-          ? googleCalendarService.getEvents(googleToken, filters).catch(err => {
-              console.error('Google Calendar fetch error:', err);
-              return { success: false, events: [] };
-            })
-          : Promise.resolve({ success: false, events: [] }),
-        outlookToken
-          ? outlookCalendarService.getEvents(outlookToken, filters).catch(err => {
-              console.error('Outlook Calendar fetch error:', err);
-              return { success: false, events: [] };
-            })
-          : Promise.resolve({ success: false, events: [] }),
-        googleToken
-          ? googleTasksService.getTasks(googleToken, filters).catch(err => {
-              console.warn('Google Tasks fetch error:', err.message);
-              return { success: false, tasks: [] };
-            })
-          : Promise.resolve({ success: false, tasks: [] }),
-        outlookToken
-          ? outlookTasksService.getTasks(outlookToken, filters).catch(err => {
-              console.warn('Outlook Tasks fetch error:', err.message);
-              return { success: false, tasks: [] };
-            })
-          : Promise.resolve({ success: false, tasks: [] })
-      ]);
-
-      if (googleResult.success && googleResult.events) {
-        // Mark Google events with source
-        const googleEvents = googleResult.events.map(event => ({
-          ...event,
-          source: 'google',
-          isTask: false
-        }));
-        allEvents.push(...googleEvents);
-      }
-      if (outlookResult.success && outlookResult.events) {
-        // Mark Outlook events with source
-        const outlookEvents = outlookResult.events.map(event => ({
-          ...event,
-          source: 'outlook'
-        }));
-        allEvents.push(...outlookEvents);
-      }
-      if (googleTasksResult.success && googleTasksResult.tasks) {
-        // Mark Google tasks with source
-        const tasks = googleTasksResult.tasks.map(task => ({
-          ...task,
-          source: 'google',
-          isTask: true
-        }));
-        console.log(`[CalendarService] Adding ${tasks.length} Google tasks with isTask flag`);
-        allEvents.push(...tasks);
-      }
-      if (outlookTasksResult.success && outlookTasksResult.tasks) {
-        // Mark Outlook tasks with source
-        const tasks = outlookTasksResult.tasks.map(task => ({
-          ...task,
-          source: 'outlook',
-          isTask: true
-        }));
-        console.log(`[CalendarService] Adding ${tasks.length} Outlook tasks with isTask flag`);
-        allEvents.push(...tasks);
-      }
-    } else {
-      // Single calendar - fetch from available token
-      if (googleToken) {
-        try {
-          // Fetch events and tasks in parallel
-          const [eventsResult, tasksResult] = await Promise.all([
-            googleCalendarService.getEvents(googleToken, filters).catch(err => {
-              console.error('Google Calendar fetch error:', err);
-              return { success: false, events: [] };
-            }),
-            googleTasksService.getTasks(googleToken, filters).catch(err => {
-              console.warn('Google Tasks fetch error:', err.message);
-              return { success: false, tasks: [] };
-            })
-          ]);
-
-          if (eventsResult.success && eventsResult.events) {
-            const googleEvents = eventsResult.events.map(event => ({
-              ...event,
-              source: 'google',
-              isTask: false
-            }));
-            allEvents.push(...googleEvents);
-          }
-          if (tasksResult.success && tasksResult.tasks) {
-            const tasks = tasksResult.tasks.map(task => ({
-              ...task,
-              source: 'google',
-              isTask: true
-            }));
-            console.log(`[CalendarService] Adding ${tasks.length} Google tasks with isTask flag`);
-            allEvents.push(...tasks);
-          }
-        } catch (error) {
-          console.error('Google Calendar/Tasks fetch error:', error);
-        }
+    const results = await Promise.all(calendarIds.map(async (calendarId) => {
+      const result = await provider.calendar.getEvents(token, { ...providerFilters, calendarId });
+      if (!result.success) {
+        console.warn(`Calendar ${calendarId} fetch error:`, result.error);
+        return [];
       }
+      return result.events.map(event => ({ ...event, calendarId }));
+    }));
 
-      if (outlookToken) {
-        try {
-          // Fetch events and tasks in parallel
-          const [eventsResult, tasksResult] = await Promise.all([
-            outlookCalendarService.getEvents(outlookToken, filters).catch(err => {
-              console.error('Outlook Calendar fetch error:', err);
-              return { success: false, events: [] };
-            }),
-            outlookTasksService.getTasks(outlookToken, filters).catch(err => {
-              console.warn('Outlook Tasks fetch error:', err.message);
-                return { success: false, tasks: [] };
-              })
-            ]);
-
-            if (eventsResult.success && eventsResult.events) {
-              // Mark Outlook events with source
-              const outlookEvents = eventsResult.events.map(event => ({
-                ...event,
-                source: 'outlook'
-              }));
-              allEvents.push(...outlookEvents);
-            }
-            if (tasksResult.success && tasksResult.tasks) {
-              const tasks = tasksResult.tasks.map(task => ({
-                ...task,
-                source: 'outlook',
-                isTask: true
-              }));
-              console.log(`[CalendarService] Adding ${tasks.length} Outlook tasks with isTask flag`);
-              allEvents.push(...tasks);
-            }
-        } catch (error) {
-          console.error('Outlook Calendar/Tasks fetch error:', error);
-        }
-      }
+    return { success: true, events: results.flat() };
+  } catch (error) {
+    console.error(`${provider.name} Calendar fetch error:`, error);
+    return { success: false, events: [] };
+  }
+}
+
+/**
+ * Fetch a provider's tasks; tasks are optional, so failures only log a warning
+ * @returns {Promise<Array>} Canonical tasks
+ */
+async function getProviderTasks(provider, token, filters) {
+  if (!provider.tasks) {
+    return [];
+  }
+  try {
+    const result = await provider.tasks.getTasks(token, filters);
+    if (!result.success) {
+      console.warn(`${provider.name} Tasks fetch error:`, result.error);
+      return [];
     }
+    return result.tasks || [];
+  } catch (error) {
+    console.warn(`${provider.name} Tasks fetch error:`, error.message);
+    return [];
+  }
+}
 
-    // Normalize all event times to UTC
-    const normalizedEvents = allEvents.map(event => normalizeEventToUTC(event));
+// Earliest first; all-day entries (tasks) sort by their date
+function byStartTime(a, b) {
+  const aStart = new Date(a.start?.dateTime || a.start?.date || 0);
+  const bStart = new Date(b.start?.dateTime || b.start?.date || 0);
+  return aStart - bStart;
+}
 
-    // Sort all events by start time
-    normalizedEvents.sort((a, b) => {
-      const aStart = new Date(a.start?.dateTime || a.start?.date || 0);
-      const bStart = new Date(b.start?.dateTime || b.start?.date || 0);
-      return aStart - bStart;
-    });
+/**
+ * Get calendar events (and tasks) from every calendar the user has connected
+ * @param {Object<string, *>} tokens - Access tokens (or credentials) keyed by provider ID
+ * @param {string} primaryCalendar - Primary calendar ('google' | 'outlook' | 'caldav')
+ * @param {Object} filters - Filter options
+ * @param {string} [filters.calendarId] - Only read these calendars of `primaryCalendar`'s provider (comma-separated IDs); tasks are left out
+ * @param {string} [filters.timeZone] - User's time zone, for the day task entries go on (default: UTC)
+ * @param {string} [userEmail] - User email for profile lookup (calendars included in the unified view)
+ * @returns {Promise<{success: boolean, events?: Array, error?: string}>} Canonical events and task entries, sorted by start
+ */
+export async function getEvents(tokens, primaryCalendar, filters = {}, userEmail = null) {
+  try {
+    const providers = getProviders().filter(provider => tokens[provider.id]);
+    if (providers.length === 0) {
+      return { success: false, error: 'At least one access token is required' };
+    }
+
+    const selection = await resolveCalendarSelection(primaryCalendar, filters, userEmail);
+
+    // Fetch events and tasks from every provider in parallel
+    const perProvider = await Promise.all(providers.map(async (provider) => {
+      const token = tokens[provider.id];
+      const [eventsResult, tasks] = await Promise.all([
+        getProviderEvents(provider, token, filters, selection.calendars[provider.id]),
+        selection.includeTasks ? getProviderTasks(provider, token, filters) : []
+      ]);
+
+      if (tasks.length > 0) {
+        console.log(`[CalendarService] Adding ${tasks.length} ${provider.name} tasks with isTask flag`);
+      }
+      return [
+        ...(eventsResult.success && eventsResult.events ? eventsResult.events : []),
+        ...tasks.map(task => toTaskEntry(task, filters.timeMin, filters.timeZone))
+      ];
+    }));
+
+    // Normalize all event times to UTC and sort by start time
+    const normalizedEvents = perProvider.flat().map(event => normalizeEventToUTC(event));
+    normalizedEvents.sort(byStartTime);
 
     // Limit results if needed
     const limitedEvents = filters.maxResults 
@@ -247,170 +224,166 @@ export async function getEvents(googleToken, outlookToken, primaryCalendar, filt
 }
 
 /**
- * Create calendar event - routes to appropriate service based on primary calendar
- * @param {string} googleToken - Google OAuth access token
- * @param {string} outlookToken - Outlook OAuth access token
- * @param {string} primaryCalendar - Primary calendar ('google' | 'outlook')
- * @param {Object} eventData - Event data
+ * Get a single calendar event
+ * @param {Object<string, *>} tokens - Access tokens (or credentials) keyed by provider ID
+ * @param {string} calendar - Calendar the event is on ('google' | 'outlook' | 'caldav')
+ * @param {string} eventId - Event ID
+ * @param {Object} [options]
+ * @param {string} [options.calendarId] - Non-default calendar containing the event
  * @returns {Promise<{success: boolean, event?: Object, error?: string}>}
  */
-export async function createEvent(googleToken, outlookToken, primaryCalendar, eventData) {
-  const token = primaryCalendar === 'outlook' ? outlookToken : googleToken;
-  if (!token) {
-    return { success: false, error: `${primaryCalendar} token not available` };
+export async function getEvent(tokens, calendar, eventId, options = {}) {
+  const { provider, token, error } = resolveProvider(calendar, tokens);
+  if (error) {
+    return { success: false, error };
   }
-  
-  if (primaryCalendar === 'outlook') {
-    return await outlookCalendarService.createEvent(token, eventData);
-  }
-  return await googleCalendarService.createEvent(token, eventData);
+  return await provider.calendar.getEvent(token, eventId, { calendarId: options.calendarId || null });
 }
 
 /**
- * Update calendar event - routes to appropriate service based on primary calendar
- * @param {string} googleToken - Google OAuth access token
- * @param {string} outlookToken - Outlook OAuth access token
- * @param {string} primaryCalendar - Primary calendar ('google' | 'outlook')
- * @param {string} eventId - Event ID to update
- * @param {Object} eventData - Updated event data
+ * Create calendar event - routes to the primary calendar's provider
+ * @param {Object<string, *>} tokens - Access tokens (or credentials) keyed by provider ID
+ * @param {string} primaryCalendar - Primary calendar ('google' | 'outlook' | 'caldav')
+ * @param {Object} eventData - Event data (eventData.recurrence: optional RRULE, eventData.calendarId: non-default calendar)
  * @returns {Promise<{success: boolean, event?: Object, error?: string}>}
  */
-export async function updateEvent(googleToken, outlookToken, primaryCalendar, eventId, eventData) {
-  const token = primaryCalendar === 'outlook' ? outlookToken : googleToken;
-  if (!token) {
-    return { success: false, error: `${primaryCalendar} token not available` };
+export async function createEvent(tokens, primaryCalendar, eventData) {
+  const { provider, token, error } = resolveProvider(primaryCalendar, tokens);
+  if (error) {
+    return { success: false, error };
   }
-  
-  if (primaryCalendar === 'outlook') {
-    return await outlookCalendarService.updateEvent(token, eventId, eventData);
-  }
-  return await googleCalendarService.updateEvent(token, eventId, eventData);
+  return await provider.calendar.createEvent(token, eventData);
 }
 
 /**
- * Delete calendar event - routes to appropriate service based on primary calendar
- * @param {string} googleToken - Google OAuth access token
- * @param {string} outlookToken - Outlook OAuth access token
- * @param {string} primaryCalendar - Primary calendar ('google' | 'outlook')
- * @param {string} eventId - Event ID to delete
- * @returns {Promise<{success: boolean, message?: string, error?: string}>}
+ * Update calendar event - routes to the primary calendar's provider
+ * @param {Object<string, *>} tokens - Access tokens (or credentials) keyed by provider ID
+ * @param {string} primaryCalendar - Primary calendar ('google' | 'outlook' | 'caldav')
+ * @param {string} eventId - Event ID to update
+ * @param {Object} eventData - Updated event data (eventData.scope: 'this' | 'following' | 'all' for recurring events, eventData.calendarId: non-default calendar)
+ * @returns {Promise<{success: boolean, event?: Object, previousEvent?: Object, scope?: string, error?: string}>}
  */
-export async function deleteEvent(googleToken, outlookToken, calendar, eventId) {
-  const token = calendar === 'outlook' ? outlookToken : googleToken;
-  if (!token) {
-    return { success: false, error: `${primaryCalendar} token not available` };
-  }
-  
-  if (calendar === 'outlook') {
-    return await outlookCalendarService.deleteEvent(token, eventId);
+export async function updateEvent(tokens, primaryCalendar, eventId, eventData) {
+  const { provider, token, error } = resolveProvider(primaryCalendar, tokens);
+  if (error) {
+    return { success: false, error };
   }
-  return await googleCalendarService.deleteEvent(token, eventId);
+  return await provider.calendar.updateEvent(token, eventId, eventData);
 }
 
 /**
- * Get Google Calendar client - exported for backward compatibility
- * @param {string} token - OAuth access token
- * @returns {google.calendar_v3.Calendar} Calendar API client
+ * Delete calendar event - routes to the calendar's provider
+ * @param {Object<string, *>} tokens - Access tokens (or credentials) keyed by provider ID
+ * @param {string} calendar - Calendar the event is on ('google' | 'outlook' | 'caldav')
+ * @param {string} eventId - Event ID to delete
+ * @param {Object} [options]
+ * @param {string} [options.scope] - For an occurrence of a recurring event: 'this' (default) | 'following' | 'all'
+ * @param {string} [options.calendarId] - Non-default calendar containing the event
+ * @returns {Promise<{success: boolean, message?: string, scope?: string, error?: string}>}
  */
-export function getCalendar(token) {
-  return googleCalendarService.getCalendar(token);
+export async function deleteEvent(tokens, calendar, eventId, options = {}) {
+  const { provider, token, error } = resolveProvider(calendar, tokens);
+  if (error) {
+    return { success: false, error };
+  }
+  return await provider.calendar.deleteEvent(token, eventId, { scope: options.scope, calendarId: options.calendarId || null });
 }
 
 /**
- * Get tasks from Google and/or Outlook task lists
- * @param {string} googleToken - Google OAuth access token
- * @param {string} outlookToken - Outlook OAuth access token
- * @param {string} primaryCalendar - Primary calendar ('google' | 'outlook')
- * @param {Object} filters - Filter options
- * @param {string} [userEmail] - User email for profile lookup
- * @returns {Promise<{success: boolean, tasks?: Array, error?: string}>}
+ * List calendars from every connected provider, flagging the ones included in the unified view
+ * @param {Object<string, *>} tokens - Access tokens (or credentials) keyed by provider ID
+ * @param {string} [userEmail] - User email for profile lookup (included calendars)
+ * @returns {Promise<{success: boolean, calendars?: Array, error?: string}>}
  */
-export async function getTasks(googleToken, outlookToken, primaryCalendar, filters = {}, userEmail = null) {
+export async function listCalendars(tokens, userEmail = null) {
   try {
-    if (!googleToken && !outlookToken) {
+    const providers = getProviders().filter(provider => tokens[provider.id]);
+    if (providers.length === 0) {
       return { success: false, error: 'At least one access token is required' };
     }
 
-    const allTasks = [];
-    const hasBothTokens = googleToken && outlookToken;
-
-    if (hasBothTokens) {
-      // Fetch from both task lists in parallel
-      const [googleResult, outlookResult] = await Promise.all([
-        googleToken
-          ? googleTasksService.getTasks(googleToken, filters).catch(err => {
-              console.warn('Google Tasks fetch error:', err.message);
-              return { success: false, tasks: [] };
-            })
-          : Promise.resolve({ success: false, tasks: [] }),
-        outlookToken
-          ? outlookTasksService.getTasks(outlookToken, filters).catch(err => {
-              console.warn('Outlook Tasks fetch error:', err.message);
-              return { success: false, tasks: [] };
-            })
-          : Promise.resolve({ success: false, tasks: [] })
-      ]);
+    const [selection, ...results] = await Promise.all([
+      resolveCalendarSelection(null, {}, userEmail),
+      ...providers.map(provider => provider.calendar.listCalendars(tokens[provider.id]))
+    ]);
 
-      if (googleResult.success && googleResult.tasks) {
-        const tasks = googleResult.tasks.map(task => ({
-          ...task,
-          source: 'google',
-          isTask: true
-        }));
-        allTasks.push(...tasks);
-      }
-      if (outlookResult.success && outlookResult.tasks) {
-        const tasks = outlookResult.tasks.map(task => ({
-          ...task,
-          source: 'outlook',
-          isTask: true
-        }));
-        allTasks.push(...tasks);
-      }
-    } else {
-      // Single calendar - fetch from available token
-      if (googleToken) {
-        try {
-          const result = await googleTasksService.getTasks(googleToken, filters);
-          if (result.success && result.tasks) {
-            const tasks = result.tasks.map(task => ({
-              ...task,
-              source: 'google',
-              isTask: true
-            }));
-            allTasks.push(...tasks);
-          }
-        } catch (error) {
-          console.error('Google Tasks fetch error:', error);
-        }
+    const calendars = [];
+    providers.forEach((provider, index) => {
+      const result = results[index];
+      if (!result.success) {
+        console.warn(`${provider.id} calendar list error:`, result.error);
+        return;
       }
+      // Without a saved selection only the default calendar is in the unified view
+      const selected = selection.calendars[provider.id];
+      calendars.push(...result.calendars.map(calendar => ({
+        ...calendar,
+        source: provider.id,
+        included: selected
+          ? selected.includes(calendar.id) || (calendar.primary && selected.includes('primary'))
+          : calendar.primary
+      })));
+    });
 
-      if (outlookToken) {
-        try {
-          const result = await outlookTasksService.getTasks(outlookToken, filters);
-          if (result.success && result.tasks) {
-            const tasks = result.tasks.map(task => ({
-              ...task,
-              source: 'outlook',
-              isTask: true
-            }));
-            allTasks.push(...tasks);
-          }
-        } catch (error) {
-          console.error('Outlook Tasks fetch error:', error);
-        }
-      }
+    const failed = results.find(result => !result.success);
+    if (calendars.length === 0 && failed) {
+      return { success: false, error: failed.error };
     }
 
-    // Normalize all task times to UTC
-    const normalizedTasks = allTasks.map(task => normalizeEventToUTC(task));
+    return {
+      success: true,
+      calendars
+    };
+  } catch (error) {
+    console.error('List calendars error:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to list calendars'
+    };
+  }
+}
 
-    // Sort tasks by due date
-    normalizedTasks.sort((a, b) => {
-      const aDue = new Date(a.start?.date || a.start?.dateTime || 0);
-      const bDue = new Date(b.start?.date || b.start?.dateTime || 0);
-      return aDue - bDue;
-    });
+/**
+ * Get attendees' busy times from the calendar's provider (Google freebusy, Graph getSchedule)
+ * @param {Object<string, *>} tokens - Access tokens (or credentials) keyed by provider ID
+ * @param {string} primaryCalendar - Primary calendar ('google' | 'outlook' | 'caldav')
+ * @param {string[]} emails - Attendee emails
+ * @param {string} timeMin - Range start (ISO 8601)
+ * @param {string} timeMax - Range end (ISO 8601)
+ * @returns {Promise<{success: boolean, schedules?: Object, error?: string}>}
+ */
+export async function getAttendeeAvailability(tokens, primaryCalendar, emails, timeMin, timeMax) {
+  const { provider, token, error } = resolveProvider(primaryCalendar, tokens);
+  if (error) {
+    return { success: false, error };
+  }
+  if (!emails || emails.length === 0) {
+    return { success: true, schedules: {} };
+  }
+  return await provider.calendar.getBusyTimes(token, emails, timeMin, timeMax);
+}
+
+/**
+ * Get tasks from every connected provider's task lists
+ * @param {Object<string, *>} tokens - Access tokens (or credentials) keyed by provider ID
+ * @param {string} primaryCalendar - Primary calendar ('google' | 'outlook' | 'caldav')
+ * @param {Object} filters - Filter options
+ * @param {string} [filters.timeZone] - User's time zone, for the day task entries go on (default: UTC)
+ * @param {string} [userEmail] - User email for profile lookup
+ * @returns {Promise<{success: boolean, tasks?: Array, error?: string}>} Task entries (all-day on their due date), sorted by due date
+ */
+export async function getTasks(tokens, primaryCalendar, filters = {}, userEmail = null) {
+  try {
+    const providers = getProviders().filter(provider => tokens[provider.id]);
+    if (providers.length === 0) {
+      return { success: false, error: 'At least one access token is required' };
+    }
+
+    const perProvider = await Promise.all(providers.map(provider => getProviderTasks(provider, tokens[provider.id], filters)));
+
+    // Normalize all task times to UTC and sort by due date
+    const normalizedTasks = perProvider.flat().map(task => normalizeEventToUTC(toTaskEntry(task, filters.timeMin, filters.timeZone)));
+    normalizedTasks.sort(byStartTime);
 
     const limitedTasks = filters.maxResults 
       ? normalizedTasks.slice(0, filters.maxResults)
@@ -430,62 +403,59 @@ export async function getTasks(googleToken, outlookToken, primaryCalendar, filte
 }
 
 /**
- * Create a task - routes to appropriate service based on primary calendar
- * @param {string} googleToken - Google OAuth access token
- * @param {string} outlookToken - Outlook OAuth access token
- * @param {string} primaryCalendar - Primary calendar ('google' | 'outlook')
+ * Adapter and token for a task operation
+ * @returns {{provider?: Object, token?: string, error?: string}}
+ */
+function resolveTasksProvider(calendar, tokens) {
+  const resolved = resolveProvider(calendar, tokens);
+  if (resolved.provider && !resolved.provider.tasks) {
+    return { error: `${calendar} doesn't support tasks` };
+  }
+  return resolved;
+}
+
+/**
+ * Create a task - routes to the primary calendar's provider
+ * @param {Object<string, *>} tokens - Access tokens (or credentials) keyed by provider ID
+ * @param {string} primaryCalendar - Primary calendar ('google' | 'outlook' | 'caldav')
  * @param {Object} taskData - Task data
  * @returns {Promise<{success: boolean, task?: Object, error?: string}>}
  */
-export async function createTask(googleToken, outlookToken, primaryCalendar, taskData) {
-  const token = primaryCalendar === 'outlook' ? outlookToken : googleToken;
-  if (!token) {
-    return { success: false, error: `${primaryCalendar} token not available` };
-  }
-  
-  if (primaryCalendar === 'outlook') {
-    return await outlookTasksService.createTask(token, taskData);
+export async function createTask(tokens, primaryCalendar, taskData) {
+  const { provider, token, error } = resolveTasksProvider(primaryCalendar, tokens);
+  if (error) {
+    return { success: false, error };
   }
-  return await googleTasksService.createTask(token, taskData);
+  return await provider.tasks.createTask(token, taskData);
 }
 
 /**
- * Update a task - routes to appropriate service based on primary calendar
- * @param {string} googleToken - Google OAuth access token
- * @param {string} outlookToken - Outlook OAuth access token
- * @param {string} primaryCalendar - Primary calendar ('google' | 'outlook')
+ * Update a task - routes to the primary calendar's provider
+ * @param {Object<string, *>} tokens - Access tokens (or credentials) keyed by provider ID
+ * @param {string} primaryCalendar - Primary calendar ('google' | 'outlook' | 'caldav')
  * @param {string} taskId - Task ID to update
  * @param {Object} taskData - Updated task data
- * @returns {Promise<{success: boolean, task?: Object, error?: string}>}
+ * @returns {Promise<{success: boolean, task?: Object, previousTask?: Object, error?: string}>}
  */
-export async function updateTask(googleToken, outlookToken, primaryCalendar, taskId, taskData) {
-  const token = primaryCalendar === 'outlook' ? outlookToken : googleToken;
-  if (!token) {
-    return { success: false, error: `${primaryCalendar} token not available` };
-  }
-  
-  if (primaryCalendar === 'outlook') {
-    return await outlookTasksService.updateTask(token, taskId, taskData);
+export async function updateTask(tokens, primaryCalendar, taskId, taskData) {
+  const { provider, token, error } = resolveTasksProvider(primaryCalendar, tokens);
+  if (error) {
+    return { success: false, error };
   }
-  return await googleTasksService.updateTask(token, taskId, taskData);
+  return await provider.tasks.updateTask(token, taskId, taskData);
 }
 
 /**
- * Delete a task - routes to appropriate service based on primary calendar
- * @param {string} googleToken - Google OAuth access token
- * @param {string} outlookToken - Outlook OAuth access token
- * @param {string} primaryCalendar - Primary calendar ('google' | 'outlook')
+ * Delete a task - routes to the primary calendar's provider
+ * @param {Object<string, *>} tokens - Access tokens (or credentials) keyed by provider ID
+ * @param {string} primaryCalendar - Primary calendar ('google' | 'outlook' | 'caldav')
  * @param {string} taskId - Task ID to delete
  * @returns {Promise<{success: boolean, message?: string, error?: string}>}
  */
-export async function deleteTask(googleToken, outlookToken, primaryCalendar, taskId) {
-  const token = primaryCalendar === 'outlook' ? outlookToken : googleToken;
-  if (!token) {
-    return { success: false, error: `${primaryCalendar} token not available` };
-  }
-  
-  if (primaryCalendar === 'outlook') {
-    return await outlookTasksService.deleteTask(token, taskId);
+export async function deleteTask(tokens, primaryCalendar, taskId) {
+  const { provider, token, error } = resolveTasksProvider(primaryCalendar, tokens);
+  if (error) {
+    return { success: false, error };
   }
-  return await googleTasksService.deleteTask(token, taskId);
+  return await provider.tasks.deleteTask(token, taskId);
 }
@@ -0,0 +1,222 @@
+import crypto from 'crypto';
+import { db } from '../config/firebase.js';
+import { exportCalendar } from './icsService.js';
+import { getStoredTokens } from './oauthService.js';
+
+/**
+ * Subscribable, read-only iCalendar feed of a user's unified view.
+ * Calendar apps poll the feed URL without our auth headers, so the feed serves a snapshot of
+ * the unified view, rendered with the user's tokens and refreshed whenever the user's own
+ * requests find it stale, or when the feed is polled and the server has stored OAuth credentials. A
+ * refresh needs tokens for every provider the feed was created with, so a request that only carries
+ * some of them doesn't drop the others' events, and only the account that created the feed refreshes it
+ * (from its requests or its own stored credentials). The feed is stored at users/{email}/configs/icsFeed;
+ * the URL carries a random token, and only its hash is stored (icsFeeds/{hash} maps it back to the user).
+ */
+
+const COLLECTION_USERS = 'users';
+const SUBCOLLECTION_CONFIGS = 'configs';
+const FEED_DOC_ID = 'icsFeed';
+const COLLECTION_FEED_TOKENS = 'icsFeeds';
+const FEED_PAST_DAYS = 30;
+const FEED_FUTURE_DAYS = 180;
+const FEED_REFRESH_MS = (Number(process.env.ICS_FEED_REFRESH_MINUTES) || 30) * 60 * 1000;
+const MAX_SNAPSHOT_BYTES = 900 * 1024; // Firestore documents are limited to 1MB
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function feedRef(email) {
+  return db
+    .collection(COLLECTION_USERS)
+    .doc(email)
+    .collection(SUBCOLLECTION_CONFIGS)
+    .doc(FEED_DOC_ID);
+}
+
+function isStale(data) {
+  const snapshotAt = data.snapshotAt?.toDate?.() || data.snapshotAt;
+  return !snapshotAt || Date.now() - new Date(snapshotAt).getTime() >= FEED_REFRESH_MS;
+}
+
+// Feeds created before owners were recorded can be refreshed by any of the user's requests
+function isFeedOwner(data, account) {
+  return !data.ownerAccount || data.ownerAccount === account;
+}
+
+// Feeds created before providers were recorded only had their primary calendar to go on
+function hasFeedProviders(data, tokens) {
+  return (data.providers || [data.primaryCalendar]).every(id => tokens[id]);
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Render and store the feed snapshot
+ * @param {string} email - User email
+ * @param {Object<string, *>} tokens - Access tokens (or credentials) keyed by provider ID
+ * @param {string} primaryCalendar - Primary calendar ('google' | 'outlook' | 'caldav')
+ * @returns {Promise<{success: boolean, snapshotAt?: Date, error?: string}>}
+ */
+async function renderSnapshot(email, tokens, primaryCalendar) {
+  const now = Date.now();
+  const result = await exportCalendar(tokens, primaryCalendar, {
+    timeMin: new Date(now - FEED_PAST_DAYS * DAY_MS).toISOString(),
+    timeMax: new Date(now + FEED_FUTURE_DAYS * DAY_MS).toISOString()
+  }, email);
+
+  if (!result.success) {
+    return result;
+  }
+  if (Buffer.byteLength(result.ics) > MAX_SNAPSHOT_BYTES) {
+    return { success: false, error: 'Calendar is too large for a feed snapshot' };
+  }
+
+  const snapshotAt = new Date();
+  await feedRef(email).set({ snapshot: result.ics, snapshotAt, eventCount: result.eventCount, taskCount: result.taskCount }, { merge: true });
+  return { success: true, snapshotAt };
+}
+
+/**
+ * Create the user's feed, replacing (and revoking) any previous one
+ * @param {string} email - User email
+ * @param {Object<string, *>} tokens - Access tokens (or credentials) keyed by provider ID
+ * @param {string} primaryCalendar - Primary calendar ('google' | 'outlook' | 'caldav')
+ * @param {string} account - Verified account creating the feed (oauthService getAccountKey)
+ * @returns {Promise<{success: boolean, token?: string, createdAt?: Date, snapshotAt?: Date, error?: string}>}
+ *   The token is only returned here; it can't be read back later
+ */
+export async function createFeed(email, tokens, primaryCalendar, account) {
+  await revokeFeed(email);
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  const tokenHash = hashToken(token);
+  const createdAt = new Date();
+
+  await db.collection(COLLECTION_FEED_TOKENS).doc(tokenHash).set({ email, createdAt });
+  await feedRef(email).set({ tokenHash, primaryCalendar, providers: Object.keys(tokens), ownerAccount: account, createdAt });
+
+  const snapshot = await renderSnapshot(email, tokens, primaryCalendar);
+  if (!snapshot.success) {
+    console.warn('Feed snapshot failed:', snapshot.error);
+  }
+
+  return {
+    success: true,
+    token,
+    createdAt,
+    snapshotAt: snapshot.snapshotAt || null
+  };
+}
+
+/**
+ * Revoke the user's feed; its URL stops working immediately
+ * @param {string} email - User email
+ * @returns {Promise<{success: boolean, revoked: boolean}>}
+ */
+export async function revokeFeed(email) {
+  const doc = await feedRef(email).get();
+  if (!doc.exists || !doc.data().tokenHash) {
+    return { success: true, revoked: false };
+  }
+
+  await db.collection(COLLECTION_FEED_TOKENS).doc(doc.data().tokenHash).delete();
+  await feedRef(email).delete();
+  return { success: true, revoked: true };
+}
+
+/**
+ * Feed status for the user (never the token)
+ * @param {string} email - User email
+ * @returns {Promise<{success: boolean, feed: {createdAt: Date, snapshotAt: Date|null, eventCount: number, taskCount: number}|null}>}
+ */
+export async function getFeedStatus(email) {
+  const doc = await feedRef(email).get();
+  if (!doc.exists || !doc.data().tokenHash) {
+    return { success: true, feed: null };
+  }
+
+  const { createdAt, snapshotAt = null, eventCount = 0, taskCount = 0 } = doc.data();
+  return {
+    success: true,
+    feed: { createdAt, snapshotAt, eventCount, taskCount }
+  };
+}
+
+/**
+ * Re-render the snapshot if the user has a feed and it is older than ICS_FEED_REFRESH_MINUTES
+ * Called with the tokens of the user's own authenticated requests; skipped unless they include every
+ * provider the feed was created with.
+ * @param {string} email - User email
+ * @param {Object<string, *>} tokens - Access tokens (or credentials) keyed by provider ID
+ * @param {string} primaryCalendar - Primary calendar ('google' | 'outlook' | 'caldav')
+ * @param {string} account - Verified account of the request (oauthService getAccountKey)
+ * @returns {Promise<boolean>} Whether the snapshot was refreshed
+ */
+export async function refreshFeedIfStale(email, tokens, primaryCalendar, account) {
+  if (!email) {
+    return false;
+  }
+
+  const doc = await feedRef(email).get();
+  if (!doc.exists || !doc.data().tokenHash) {
+    return false;
+  }
+
+  if (!isStale(doc.data()) || !isFeedOwner(doc.data(), account) || !hasFeedProviders(doc.data(), tokens)) {
+    return false;
+  }
+
+  const result = await renderSnapshot(email, tokens, doc.data().primaryCalendar || primaryCalendar);
+  if (!result.success) {
+    console.warn('Feed snapshot refresh failed:', result.error);
+  }
+  return result.success;
+}
+
+/**
+ * The iCalendar snapshot behind a feed token
+ * @param {string} token - Token from the feed URL
+ * @returns {Promise<{success: boolean, ics?: string, snapshotAt?: Date, error?: string}>}
+ */
+export async function getFeedCalendar(token) {
+  if (!token) {
+    return { success: false, error: 'Feed not found' };
+  }
+
+  const lookup = await db.collection(COLLECTION_FEED_TOKENS).doc(hashToken(token)).get();
+  if (!lookup.exists) {
+    return { success: false, error: 'Feed not found' };
+  }
+
+  const { email } = lookup.data();
+  let doc = await feedRef(email).get();
+  if (!doc.exists || doc.data().tokenHash !== hashToken(token)) {
+    return { success: false, error: 'Feed not found' };
+  }
+
+  // With stored credentials the feed doesn't have to wait for the user's next request
+  if (isStale(doc.data())) {
+    const primaryCalendar = doc.data().primaryCalendar;
+    const tokens = await getStoredTokens(email, doc.data().ownerAccount || null);
+    if (hasFeedProviders(doc.data(), tokens)) {
+      const result = await renderSnapshot(email, tokens, primaryCalendar);
+      if (result.success) {
+        doc = await feedRef(email).get();
+      } else {
+        console.warn('Feed snapshot refresh failed:', result.error);
+      }
+    }
+  }
+
+  if (!doc.data().snapshot) {
+    return { success: false, error: 'Feed is not ready yet' };
+  }
+
+  const snapshotAt = doc.data().snapshotAt?.toDate?.() || doc.data().snapshotAt;
+  return {
+    success: true,
+    ics: doc.data().snapshot,
+    snapshotAt: snapshotAt ? new Date(snapshotAt) : null
+  };
+}
@@ -1,4 +1,6 @@
 import { google } from 'googleapis';
+import { normalizeRRule, parseRRule, truncateRRule, withCount } from '../utils/recurrence.js';
+import { toCalendarEvent } from '../providers/models.js';
 
 /**
  * Create Google Calendar client with user's access token
@@ -14,16 +16,24 @@ export function getCalendar(token) {
   return google.calendar({ version: 'v3', auth: oauth2Client });
 }
 
+// Google event resources already use the canonical field names
+function fromGoogleEvent(event) {
+  return toCalendarEvent('google', event);
+}
+
 /**
  * Create a Google Calendar event
  * @param {string} token - OAuth access token
  * @param {Object} eventData - Event data
  * @param {string} eventData.summary - Event title
- * @param {string} eventData.startTime - Start time (ISO 8601)
- * @param {string} eventData.endTime - End time (ISO 8601)
+ * @param {string} eventData.startTime - Start time (ISO 8601), or the first day (YYYY-MM-DD) with allDay
+ * @param {string} eventData.endTime - End time (ISO 8601), or the day after the last one (YYYY-MM-DD) with allDay
+ * @param {boolean} [eventData.allDay] - All-day event
  * @param {string} [eventData.timeZone] - Timezone (default: 'UTC')
  * @param {string} [eventData.description] - Event description
  * @param {Array} [eventData.attendees] - List of attendees
+ * @param {string} [eventData.recurrence] - RRULE for a recurring event (e.g. "RRULE:FREQ=WEEKLY;BYDAY=MO;COUNT=6")
+ * @param {string} [eventData.calendarId] - Calendar to create the event in (default: 'primary')
  * @returns {Promise<{success: boolean, event?: Object, error?: string}>}
  */
 export async function createEvent(token, eventData) {
@@ -34,20 +44,23 @@ export async function createEvent(token, eventData) {
     if (!eventData?.summary || !eventData?.startTime || !eventData?.endTime) {
       return { success: false, error: 'Missing required fields: summary, startTime, endTime' };
     }
+    const recurrence = eventData.recurrence ? normalizeRRule(eventData.recurrence) : null;
+    if (eventData.recurrence && !recurrence) {
+      return { success: false, error: 'Invalid recurrence rule' };
+    }
 
     const calendar = getCalendar(token);
+    const calendarId = eventData.calendarId || 'primary';
     
     const event = {
       summary: eventData.summary,
       description: eventData.description || '',
-      start: {
-        dateTime: eventData.startTime,
-        timeZone: eventData.timeZone || 'UTC',
-      },
-      end: {
-        dateTime: eventData.endTime,
-        timeZone: eventData.timeZone || 'UTC',
-      },
+      start: eventData.allDay
+        ? { date: eventData.startTime }
+        : { dateTime: eventData.startTime, timeZone: eventData.timeZone || 'UTC' },
+      end: eventData.allDay
+        ? { date: eventData.endTime }
+        : { dateTime: eventData.endTime, timeZone: eventData.timeZone || 'UTC' },
       attendees: eventData.attendees || [],
       conferenceData: {
         createRequest: {
@@ -59,8 +72,13 @@ export async function createEvent(token, eventData) {
       }
     };
 
+    // Recurring events expand in start.timeZone
+    if (recurrence) {
+      event.recurrence = [recurrence];
+    }
+
     const response = await calendar.events.insert({
-      calendarId: 'primary',
+      calendarId,
       resource: event,
       sendUpdates: 'all',
       conferenceDataVersion: 1
@@ -68,7 +86,7 @@ export async function createEvent(token, eventData) {
 
     return {
       success: true,
-      event: response.data
+      event: fromGoogleEvent(response.data)
     };
   } catch (error) {
     console.error('Create event error:', error);
@@ -79,12 +97,160 @@ export async function createEvent(token, eventData) {
   }
 }
 
+// Merge a partial update into an existing event resource (events.update replaces the whole event)
+function buildUpdatedEvent(existingEvent, eventData) {
+  const updatedEvent = {
+    summary: eventData.summary || existingEvent.summary,
+    description: eventData.description !== undefined ? eventData.description : existingEvent.description,
+    start: eventData.startTime ? (eventData.allDay ? { date: eventData.startTime } : {
+      dateTime: eventData.startTime,
+      timeZone: eventData.timeZone || existingEvent.start.timeZone || 'UTC',
+    }) : existingEvent.start,
+    end: eventData.endTime ? (eventData.allDay ? { date: eventData.endTime } : {
+      dateTime: eventData.endTime,
+      timeZone: eventData.timeZone || existingEvent.end.timeZone || 'UTC',
+    }) : existingEvent.end,
+    attendees: eventData.attendees || existingEvent.attendees,
+  };
+
+  // Keep the series rule when updating a recurring event's master
+  if (existingEvent.recurrence) {
+    updatedEvent.recurrence = existingEvent.recurrence;
+  }
+
+  // Preserve existing conference data or create new
+  if (existingEvent.conferenceData && existingEvent.conferenceData.entryPoints) {
+    updatedEvent.conferenceData = existingEvent.conferenceData;
+  } else {
+    updatedEvent.conferenceData = {
+      createRequest: {
+        requestId: `meet-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+        conferenceSolutionKey: {
+          type: 'hangoutsMeet'
+        }
+      }
+    };
+  }
+
+  return updatedEvent;
+}
+
+// Move an event time by a number of milliseconds (all-day dates are left alone)
+function shiftEventTime(eventTime, shiftMs) {
+  if (!eventTime?.dateTime || !shiftMs) {
+    return undefined;
+  }
+  return new Date(new Date(eventTime.dateTime).getTime() + shiftMs).toISOString();
+}
+
+// How far an update moves an occurrence; moving only the start keeps the length
+function getTimeShift(instance, eventData) {
+  const startShift = eventData.startTime && instance.start?.dateTime
+    ? new Date(eventData.startTime).getTime() - new Date(instance.start.dateTime).getTime()
+    : 0;
+  const endShift = eventData.endTime && instance.end?.dateTime
+    ? new Date(eventData.endTime).getTime() - new Date(instance.end.dateTime).getTime()
+    : startShift;
+  return { startShift, endShift };
+}
+
+// Load the series master of an occurrence and tell whether the occurrence is the series' first one
+async function getSeriesMaster(calendar, calendarId, instance) {
+  const masterResponse = await calendar.events.get({
+    calendarId,
+    eventId: instance.recurringEventId
+  });
+  const master = masterResponse.data;
+  const originalStart = instance.originalStartTime?.dateTime || instance.start?.dateTime;
+  const isFirst = new Date(originalStart).getTime() === new Date(master.start?.dateTime).getTime();
+  return { master, originalStart, isFirst };
+}
+
+// End a series right before an occurrence (keeps EXDATE/RDATE lines)
+async function truncateSeries(calendar, calendarId, master, originalStart) {
+  const rule = master.recurrence.find(line => /^RRULE:/i.test(line));
+  await calendar.events.patch({
+    calendarId,
+    eventId: master.id,
+    resource: {
+      recurrence: master.recurrence.map(line => (line === rule ? truncateRRule(rule, originalStart) : line))
+    },
+    sendUpdates: 'all'
+  });
+  return rule;
+}
+
+/**
+ * Update an occurrence's whole series, or split the series and update this and following occurrences
+ * @param {google.calendar_v3.Calendar} calendar - Calendar API client
+ * @param {string} calendarId - Calendar containing the series
+ * @param {Object} instance - Occurrence being updated
+ * @param {Object} eventData - Updated event data (partial)
+ * @param {string} scope - 'following' | 'all'
+ * @returns {Promise<{success: boolean, event: Object, previousEvent: Object, scope: string}>}
+ */
+async function updateSeries(calendar, calendarId, instance, eventData, scope) {
+  const { master, originalStart, isFirst } = await getSeriesMaster(calendar, calendarId, instance);
+  const { startShift, endShift } = getTimeShift(instance, eventData);
+
+  // Whole series (or "this and following" from the first occurrence): apply the same time shift to the master
+  if (scope === 'all' || isFirst) {
+    const response = await calendar.events.update({
+      calendarId,
+      eventId: master.id,
+      resource: buildUpdatedEvent(master, {
+        ...eventData,
+        startTime: shiftEventTime(master.start, startShift),
+        endTime: shiftEventTime(master.end, endShift),
+        timeZone: master.start?.timeZone
+      }),
+      sendUpdates: 'all',
+      conferenceDataVersion: 1
+    });
+
+    return { success: true, event: fromGoogleEvent(response.data), previousEvent: fromGoogleEvent(master), scope: 'all' };
+  }
+
+  // This and following: end the original series before this occurrence and start a new one from it
+  const rule = await truncateSeries(calendar, calendarId, master, originalStart);
+  let remainingRule = rule;
+  if (parseRRule(rule)?.COUNT) {
+    const before = await calendar.events.instances({
+      calendarId,
+      eventId: master.id,
+      timeMax: originalStart,
+      maxResults: 2500
+    });
+    remainingRule = withCount(rule, Number(parseRRule(rule).COUNT) - (before.data.items || []).length);
+  }
+
+  const newSeries = buildUpdatedEvent(master, {
+    ...eventData,
+    startTime: shiftEventTime(instance.start, startShift) || instance.start?.dateTime,
+    endTime: shiftEventTime(instance.end, endShift) || instance.end?.dateTime,
+    timeZone: master.start?.timeZone
+  });
+  newSeries.recurrence = master.recurrence.map(line => (line === rule ? remainingRule : line));
+
+  const response = await calendar.events.insert({
+    calendarId,
+    resource: newSeries,
+    sendUpdates: 'all',
+    conferenceDataVersion: 1
+  });
+
+  return { success: true, event: fromGoogleEvent(response.data), previousEvent: fromGoogleEvent(master), scope: 'following' };
+}
+
 /**
  * Update a Google Calendar event
  * @param {string} token - OAuth access token
  * @param {string} eventId - Event ID to update
  * @param {Object} eventData - Updated event data (partial)
- * @returns {Promise<{success: boolean, event?: Object, error?: string}>}
+ * @param {boolean} [eventData.allDay] - startTime/endTime are dates (YYYY-MM-DD, end exclusive) of an all-day event
+ * @param {string} [eventData.scope] - For an occurrence of a recurring event: 'this' (default) | 'following' | 'all'
+ * @param {string} [eventData.calendarId] - Calendar containing the event (default: 'primary')
+ * @returns {Promise<{success: boolean, event?: Object, previousEvent?: Object, scope?: string, error?: string}>}
  */
 export async function updateEvent(token, eventId, eventData) {
   try {
@@ -96,53 +262,32 @@ export async function updateEvent(token, eventId, eventData) {
     }
 
     const calendar = getCalendar(token);
+    const calendarId = eventData.calendarId || 'primary';
     
     const existingEventResponse = await calendar.events.get({
-      calendarId: 'primary',
+      calendarId,
       eventId: eventId
     });
     
     const existingEvent = existingEventResponse.data;
-    
-    const updatedEvent = {
-      summary: eventData.summary || existingEvent.summary,
-      description: eventData.description !== undefined ? eventData.description : existingEvent.description,
-      start: eventData.startTime ? {
-        dateTime: eventData.startTime,
-        timeZone: eventData.timeZone || existingEvent.start.timeZone || 'UTC',
-      } : existingEvent.start,
-      end: eventData.endTime ? {
-        dateTime: eventData.endTime,
-        timeZone: eventData.timeZone || existingEvent.end.timeZone || 'UTC',
-      } : existingEvent.end,
-      attendees: eventData.attendees || existingEvent.attendees,
-    };
-
-    // Preserve existing conference data or create new
-    if (existingEvent.conferenceData && existingEvent.conferenceData.entryPoints) {
-      updatedEvent.conferenceData = existingEvent.conferenceData;
-    } else {
-      updatedEvent.conferenceData = {
-        createRequest: {
-          requestId: `meet-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
-          conferenceSolutionKey: {
-            type: 'hangoutsMeet'
-          }
-        }
-      };
+
+    const scope = eventData.scope || 'this';
+    if (scope !== 'this' && existingEvent.recurringEventId) {
+      return await updateSeries(calendar, calendarId, existingEvent, eventData, scope);
     }
 
     const response = await calendar.events.update({
-      calendarId: 'primary',
+      calendarId,
       eventId: eventId,
-      resource: updatedEvent,
+      resource: buildUpdatedEvent(existingEvent, eventData),
       sendUpdates: 'all',
       conferenceDataVersion: 1
     });
 
     return {
       success: true,
-      event: response.data
+      event: fromGoogleEvent(response.data),
+      previousEvent: fromGoogleEvent(existingEvent) // Event as it was before the update (used for undo)
     };
   } catch (error) {
     console.error('Update event error:', error);
@@ -161,6 +306,7 @@ export async function updateEvent(token, eventId, eventData) {
  * @param {string} [filters.timeMax] - Maximum start time (ISO 8601)
  * @param {number} [filters.maxResults] - Maximum number of results (default: 100)
  * @param {string} [filters.q] - Search query
+ * @param {string} [filters.calendarId] - Calendar to read (default: 'primary')
  * @returns {Promise<{success: boolean, events?: Array, error?: string}>}
  */
 export async function getEvents(token, filters = {}) {
@@ -172,7 +318,7 @@ export async function getEvents(token, filters = {}) {
     const calendar = getCalendar(token);
     
     const response = await calendar.events.list({
-      calendarId: 'primary',
+      calendarId: filters.calendarId || 'primary',
       timeMin: filters.timeMin || new Date().toISOString(),
       timeMax: filters.timeMax,
       maxResults: filters.maxResults || 100,
@@ -183,7 +329,7 @@ export async function getEvents(token, filters = {}) {
 
     return {
       success: true,
-      events: response.data.items || []
+      events: (response.data.items || []).map(event => fromGoogleEvent(event))
     };
   } catch (error) {
     console.error('Get events error:', error);
@@ -194,13 +340,53 @@ export async function getEvents(token, filters = {}) {
   }
 }
 
+/**
+ * Get a single Google Calendar event
+ * @param {string} token - OAuth access token
+ * @param {string} eventId - Event ID
+ * @param {Object} [options]
+ * @param {string} [options.calendarId] - Calendar containing the event (default: 'primary')
+ * @returns {Promise<{success: boolean, event?: Object, error?: string}>}
+ */
+export async function getEvent(token, eventId, options = {}) {
+  try {
+    if (!token) {
+      return { success: false, error: 'Access token is required' };
+    }
+    if (!eventId) {
+      return { success: false, error: 'Event ID is required' };
+    }
+
+    const calendar = getCalendar(token);
+
+    const response = await calendar.events.get({
+      calendarId: options.calendarId || 'primary',
+      eventId
+    });
+
+    return {
+      success: true,
+      event: fromGoogleEvent(response.data)
+    };
+  } catch (error) {
+    console.error('Get event error:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to fetch calendar event'
+    };
+  }
+}
+
 /**
  * Delete a Google Calendar event
  * @param {string} token - OAuth access token
  * @param {string} eventId - Event ID to delete
- * @returns {Promise<{success: boolean, event?: Object, message?: string, error?: string}>}
+ * @param {Object} [options]
+ * @param {string} [options.scope] - For an occurrence of a recurring event: 'this' (default) | 'following' | 'all'
+ * @param {string} [options.calendarId] - Calendar containing the event (default: 'primary')
+ * @returns {Promise<{success: boolean, event?: Object, message?: string, scope?: string, error?: string}>}
  */
-export async function deleteEvent(token, eventId) {
+export async function deleteEvent(token, eventId, options = {}) {
   try {
     if (!token) {
       return { success: false, error: 'Access token is required' };
@@ -210,12 +396,14 @@ export async function deleteEvent(token, eventId) {
     }
 
     const calendar = getCalendar(token);
+    const scope = options.scope || 'this';
+    const calendarId = options.calendarId || 'primary';
     
     // Fetch event details before deleting
     let eventDetails = null;
     try {
       const eventResponse = await calendar.events.get({
-        calendarId: 'primary',
+        calendarId,
         eventId: eventId
       });
       eventDetails = eventResponse.data;
@@ -223,15 +411,40 @@ export async function deleteEvent(token, eventId) {
       console.warn('Could not fetch event details before deletion:', error.message);
       // Continue with deletion even if fetch fails
     }
+
+    if (scope !== 'this' && eventDetails?.recurringEventId) {
+      const { master, originalStart, isFirst } = await getSeriesMaster(calendar, calendarId, eventDetails);
+
+      if (scope === 'all' || isFirst) {
+        await calendar.events.delete({
+          calendarId,
+          eventId: master.id,
+        });
+        return {
+          success: true,
+          event: fromGoogleEvent(master), // Series master that was deleted
+          scope: 'all',
+          message: 'Event series deleted successfully'
+        };
+      }
+
+      await truncateSeries(calendar, calendarId, master, originalStart);
+      return {
+        success: true,
+        event: fromGoogleEvent(eventDetails),
+        scope: 'following',
+        message: 'Event and following occurrences deleted successfully'
+      };
+    }
     
     await calendar.events.delete({
-      calendarId: 'primary',
+      calendarId,
       eventId: eventId,
     });
 
     return {
       success: true,
-      event: eventDetails, // Return event details that were deleted
+      event: eventDetails && fromGoogleEvent(eventDetails), // Return event details that were deleted
       message: 'Event deleted successfully'
     };
   } catch (error) {
@@ -243,3 +456,119 @@ export async function deleteEvent(token, eventId) {
   }
 }
 
+/**
+ * List the calendars in the user's calendar list (primary, secondary, shared and subscribed)
+ * @param {string} token - OAuth access token
+ * @returns {Promise<{success: boolean, calendars?: Array<{id: string, name: string, primary: boolean, canEdit: boolean, color?: string, timeZone?: string}>, error?: string}>}
+ */
+export async function listCalendars(token) {
+  try {
+    if (!token) {
+      return { success: false, error: 'Access token is required' };
+    }
+
+    const calendar = getCalendar(token);
+
+    const response = await calendar.calendarList.list({
+      maxResults: 250
+    });
+
+    const calendars = (response.data.items || []).map(item => ({
+      id: item.id,
+      name: item.summaryOverride || item.summary,
+      primary: item.primary === true,
+      canEdit: ['owner', 'writer'].includes(item.accessRole),
+      color: item.backgroundColor,
+      timeZone: item.timeZone
+    }));
+
+    return {
+      success: true,
+      calendars
+    };
+  } catch (error) {
+    console.error('List calendars error:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to list calendars'
+    };
+  }
+}
+
+/**
+ * Query busy times for a list of calendars (attendee emails) via freebusy.query
+ * Attendees outside the user's organization usually come back with an error (no access).
+ * @param {string} token - OAuth access token
+ * @param {string[]} emails - Attendee emails (calendar IDs)
+ * @param {string} timeMin - Range start (ISO 8601)
+ * @param {string} timeMax - Range end (ISO 8601)
+ * @returns {Promise<{success: boolean, schedules?: Object<string, {busy: Array<{start: string, end: string}>, error?: string}>, error?: string}>}
+ */
+export async function getBusyTimes(token, emails, timeMin, timeMax) {
+  try {
+    if (!token) {
+      return { success: false, error: 'Access token is required' };
+    }
+
+    const calendar = getCalendar(token);
+
+    const response = await calendar.freebusy.query({
+      requestBody: {
+        timeMin,
+        timeMax,
+        items: emails.map(email => ({ id: email }))
+      }
+    });
+
+    const schedules = {};
+    for (const email of emails) {
+      const entry = response.data.calendars?.[email];
+      schedules[email] = entry?.errors?.length
+        ? { busy: [], error: entry.errors[0].reason || 'unavailable' }
+        : { busy: (entry?.busy || []).map(({ start, end }) => ({ start, end })) };
+    }
+
+    return {
+      success: true,
+      schedules
+    };
+  } catch (error) {
+    console.error('Free/busy query error:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to query free/busy'
+    };
+  }
+}
+
+/**
+ * Verify a Google access token and return the account identity
+ * @param {string} token - OAuth access token
+ * @returns {Promise<{success: boolean, email?: string, userId?: string, expiresAt?: Date, error?: string}>}
+ */
+export async function getUserInfo(token) {
+  try {
+    const response = await fetch(`https://www.googleapis.com/oauth2/v1/tokeninfo?access_token=${encodeURIComponent(token)}`);
+
+    if (!response.ok) {
+      throw new Error('Invalid Google token');
+    }
+
+    const tokenInfo = await response.json();
+    if (!tokenInfo.email) {
+      throw new Error('Email not found in Google token');
+    }
+
+    return {
+      success: true,
+      email: tokenInfo.email,
+      userId: tokenInfo.user_id,
+      expiresAt: tokenInfo.expires_in ? new Date(Date.now() + Number(tokenInfo.expires_in) * 1000) : undefined
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message || 'Invalid Google token'
+    };
+  }
+}
@@ -1,4 +1,6 @@
 import { google } from 'googleapis';
+import { toTask } from '../providers/models.js';
+import { getLocalDate } from '../utils/timezone.js';
 
 /**
  * Create Google Tasks client with user's access token
@@ -14,6 +16,17 @@ function getTasksClient(token) {
   return google.tasks({ version: 'v1', auth: oauth2Client });
 }
 
+// Google task resources already use the canonical field names (title, notes, due, status)
+function fromGoogleTask(task, taskListId = undefined) {
+  return toTask('google', { ...task, taskListId });
+}
+
+// Google Tasks only keeps the date (as midnight UTC), so a date-time becomes the day it falls on for the user
+function toDueDate(due, timeZone) {
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(due) ? due : getLocalDate(due, timeZone);
+  return `${date}T00:00:00.000Z`;
+}
+
 /**
  * Fetch tasks from Google Tasks API
  * @param {string} token - OAuth access token
@@ -53,14 +66,13 @@ export async function getTasks(token, filters = {}) {
           // Don't use dueMin/dueMax here - fetch all incomplete tasks and filter in code
           maxResults: filters.maxResults || 100
         });
-        const tasks = tasksResponse.data.items || [];
+        const tasks = (tasksResponse.data.items || []).map(task => fromGoogleTask(task, taskListId));
         
         // Filter tasks by date range if filters provided
         if (filters.timeMin || filters.timeMax) {
           return tasks.filter(task => {
             if (!task.due) {
-              // Tasks without due date: always include them (they'll be assigned today's date)
-              // This ensures tasks without due dates appear in any view
+              // Tasks without due date: always include them so they appear in any view
               return true;
             }
             const dueDate = new Date(task.due);
@@ -85,46 +97,9 @@ export async function getTasks(token, filters = {}) {
       console.log(`[TasksService] Fetched ${allTasks.length} tasks from Google Tasks API`);
     }
     
-    // Transform tasks to match calendar event format
-    const transformedTasks = allTasks
-      .filter(task => task.title) // Only include tasks with a title
-      .map(task => {
-        // Use due date if available, otherwise use the start of the filter range or today
-        let dueDate;
-        if (task.due) {
-          dueDate = new Date(task.due);
-        } else {
-          // For tasks without due date, use the start of the filter range (or today if no filter)
-          // This ensures they appear in the current view
-          if (filters.timeMin) {
-            dueDate = new Date(filters.timeMin);
-          } else {
-            dueDate = new Date();
-          }
-        }
-        const dueDateStr = dueDate.toISOString().split('T')[0]; // YYYY-MM-DD format
-        
-        return {
-          id: task.id,
-          summary: task.title || '',
-          description: task.notes || '',
-          start: {
-            date: dueDateStr,
-            dateTime: null
-          },
-          end: {
-            date: dueDateStr,
-            dateTime: null
-          },
-          location: '',
-          attendees: [],
-          isTask: true
-        };
-      });
-
     return {
       success: true,
-      tasks: transformedTasks
+      tasks: allTasks.filter(task => task.title) // Only include tasks with a title
     };
   } catch (error) {
     console.error('Get tasks error:', error);
@@ -141,7 +116,8 @@ export async function getTasks(token, filters = {}) {
  * @param {Object} taskData - Task data
  * @param {string} taskData.title - Task title (required)
  * @param {string} [taskData.notes] - Task notes/description
- * @param {string} [taskData.due] - Due date in RFC3339 format (YYYY-MM-DD)
+ * @param {string} [taskData.due] - Due date (YYYY-MM-DD) or date-time (ISO 8601)
+ * @param {string} [taskData.timeZone] - User's time zone, for the day a date-time falls on (default: UTC)
  * @param {string} [taskListId] - Task list ID (defaults to first available list)
  * @returns {Promise<{success: boolean, task?: Object, error?: string}>}
  */
@@ -175,14 +151,7 @@ export async function createTask(token, taskData, taskListId = null) {
 
     // Add due date if provided - normalize to RFC3339 format
     if (taskData.due) {
-      // If due is just a date (YYYY-MM-DD), convert to RFC3339 with time (midnight UTC)
-      if (/^\d{4}-\d{2}-\d{2}$/.test(taskData.due)) {
-        // Date only - add time component (midnight UTC)
-        task.due = `${taskData.due}T00:00:00.000Z`;
-      } else {
-        // Already has time component, use as-is
-        task.due = taskData.due;
-      }
+      task.due = toDueDate(taskData.due, taskData.timeZone);
     }
 
     const response = await tasksClient.tasks.insert({
@@ -192,7 +161,7 @@ export async function createTask(token, taskData, taskListId = null) {
 
     return {
       success: true,
-      task: response.data
+      task: fromGoogleTask(response.data, listId)
     };
   } catch (error) {
     console.error('Create task error:', error);
@@ -209,7 +178,7 @@ export async function createTask(token, taskData, taskListId = null) {
  * @param {string} taskId - Task ID to update
  * @param {Object} taskData - Updated task data (partial)
  * @param {string} [taskListId] - Task list ID (defaults to first available list)
- * @returns {Promise<{success: boolean, task?: Object, error?: string}>}
+ * @returns {Promise<{success: boolean, task?: Object, previousTask?: Object, error?: string}>}
  */
 export async function updateTask(token, taskId, taskData, taskListId = null) {
   try {
@@ -256,12 +225,8 @@ export async function updateTask(token, taskId, taskData, taskListId = null) {
     if (taskData.due !== undefined) {
       if (taskData.due === null || taskData.due === '') {
         updatePayload.due = null; // Remove due date
-      } else if (/^\d{4}-\d{2}-\d{2}$/.test(taskData.due)) {
-        // Date only - add time component (midnight UTC)
-        updatePayload.due = `${taskData.due}T00:00:00.000Z`;
       } else {
-        // Already has time component, use as-is
-        updatePayload.due = taskData.due;
+        updatePayload.due = toDueDate(taskData.due, taskData.timeZone);
       }
     }
 
@@ -273,7 +238,8 @@ export async function updateTask(token, taskId, taskData, taskListId = null) {
 
     return {
       success: true,
-      task: response.data
+      task: fromGoogleTask(response.data, listId),
+      previousTask: fromGoogleTask(existingTask, listId) // Task as it was before the update (used for undo)
     };
   } catch (error) {
     console.error('Update task error:', error);
@@ -333,7 +299,7 @@ export async function deleteTask(token, taskId, taskListId = null) {
 
     return {
       success: true,
-      task: taskDetails,
+      task: taskDetails && fromGoogleTask(taskDetails, listId),
       message: 'Task deleted successfully'
     };
   } catch (error) {
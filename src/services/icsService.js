@@ -0,0 +1,350 @@
+import crypto from 'crypto';
+import { db } from '../config/firebase.js';
+import { getEvents, getEvent, createEvent, createTask } from './calendarService.js';
+import { recordExecutedActions } from './undoService.js';
+import {
+  parseICalendar,
+  serializeICalendar,
+  createCalendar,
+  createComponent,
+  getProperty,
+  setProperty,
+  addProperty,
+  getText,
+  setText,
+  parseDateProperty,
+  parseDuration,
+  formatUtcDateTime,
+  toDateProperty
+} from '../utils/ical.js';
+
+/**
+ * iCalendar (RFC 5545) export of the unified view and import into one calendar.
+ * Imports are deduplicated by UID: every imported item is remembered under
+ * users/{email}/importedItems/{id}, keyed by UID and target calendar.
+ */
+
+const COLLECTION_USERS = 'users';
+const SUBCOLLECTION_IMPORTED_ITEMS = 'importedItems';
+const EXPORT_MAX_EVENTS = 1000;
+const IMPORT_MAX_ITEMS = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Canonical responseStatus -> PARTSTAT
+const PARTSTATS = {
+  accepted: 'ACCEPTED',
+  declined: 'DECLINED',
+  tentative: 'TENTATIVE',
+  needsAction: 'NEEDS-ACTION'
+};
+
+function importedItems(email) {
+  return db
+    .collection(COLLECTION_USERS)
+    .doc(email)
+    .collection(SUBCOLLECTION_IMPORTED_ITEMS);
+}
+
+// One document per UID and target calendar
+function importedItemId(calendar, calendarId, uid) {
+  return crypto.createHash('sha256').update(`${calendar}|${calendarId || ''}|${uid}`).digest('hex');
+}
+
+// Outlook returns offset-less UTC date-times (e.g. "2025-01-10T09:00:00.0000000")
+function withUtcSuffix(dateTime) {
+  if (!dateTime || /([zZ]|[+-]\d{2}:\d{2})$/.test(dateTime)) {
+    return dateTime;
+  }
+  return `${dateTime}Z`;
+}
+
+function setTime(component, name, time) {
+  if (time?.date) {
+    const property = toDateProperty(time.date);
+    setProperty(component, name, property.value, property.params);
+  } else if (time?.dateTime) {
+    setProperty(component, name, formatUtcDateTime(withUtcSuffix(time.dateTime)));
+  }
+}
+
+/**
+ * Canonical event -> VEVENT (times in UTC; occurrences of a series become separate events)
+ * @param {Object} event - Canonical event
+ * @param {string} stamp - DTSTAMP value
+ * @returns {Object} VEVENT component
+ */
+function toVEvent(event, stamp) {
+  const vevent = createComponent('VEVENT', [
+    { name: 'UID', value: `${event.id}@${event.source}` },
+    { name: 'DTSTAMP', value: stamp }
+  ]);
+  setTime(vevent, 'DTSTART', event.start);
+  setTime(vevent, 'DTEND', event.end);
+  setText(vevent, 'SUMMARY', event.summary || '');
+  if (event.description) setText(vevent, 'DESCRIPTION', event.description);
+  if (event.location) setText(vevent, 'LOCATION', event.location);
+  if (event.status) setProperty(vevent, 'STATUS', event.status.toUpperCase());
+  setProperty(vevent, 'TRANSP', event.transparency === 'transparent' ? 'TRANSPARENT' : 'OPAQUE');
+  if (event.htmlLink) setProperty(vevent, 'URL', event.htmlLink);
+
+  if (event.organizer?.email) {
+    addProperty(vevent, 'ORGANIZER', `mailto:${event.organizer.email}`, event.organizer.displayName ? { CN: event.organizer.displayName } : {});
+  }
+  for (const attendee of event.attendees || []) {
+    if (!attendee.email) continue;
+    const params = { PARTSTAT: PARTSTATS[attendee.responseStatus] || 'NEEDS-ACTION' };
+    if (attendee.displayName) params.CN = attendee.displayName;
+    if (attendee.optional) params.ROLE = 'OPT-PARTICIPANT';
+    addProperty(vevent, 'ATTENDEE', `mailto:${attendee.email}`, params);
+  }
+  return vevent;
+}
+
+/**
+ * Task entry -> VTODO (date-only due dates stay dates)
+ * @param {Object} task - Task entry from the unified view
+ * @param {string} stamp - DTSTAMP value
+ * @returns {Object} VTODO component
+ */
+function toVTodo(task, stamp) {
+  const vtodo = createComponent('VTODO', [
+    { name: 'UID', value: `${task.id}@${task.source}` },
+    { name: 'DTSTAMP', value: stamp },
+    { name: 'STATUS', value: task.status === 'completed' ? 'COMPLETED' : 'NEEDS-ACTION' }
+  ]);
+  setText(vtodo, 'SUMMARY', task.summary || '');
+  if (task.description) setText(vtodo, 'DESCRIPTION', task.description);
+  if (task.due) {
+    const due = withUtcSuffix(task.due);
+    setTime(vtodo, 'DUE', /T00:00:00(\.0+)?Z$/.test(due) ? { date: due.slice(0, 10) } : { dateTime: due });
+  }
+  return vtodo;
+}
+
+/**
+ * Render the unified view for a time range as iCalendar
+ * @param {Object<string, *>} tokens - Access tokens (or credentials) keyed by provider ID
+ * @param {string} primaryCalendar - Primary calendar ('google' | 'outlook' | 'caldav')
+ * @param {Object} filters
+ * @param {string} filters.timeMin - Range start (ISO 8601)
+ * @param {string} filters.timeMax - Range end (ISO 8601)
+ * @param {string} [filters.calendarId] - Only these calendars of `primaryCalendar`'s provider (tasks are left out)
+ * @param {string} [userEmail] - User email for profile lookup (calendars included in the unified view)
+ * @returns {Promise<{success: boolean, ics?: string, eventCount?: number, taskCount?: number, error?: string}>}
+ */
+export async function exportCalendar(tokens, primaryCalendar, filters, userEmail = null) {
+  const result = await getEvents(tokens, primaryCalendar, {
+    timeMin: filters.timeMin,
+    timeMax: filters.timeMax,
+    calendarId: filters.calendarId,
+    maxResults: EXPORT_MAX_EVENTS
+  }, userEmail);
+
+  if (!result.success) {
+    return result;
+  }
+
+  const stamp = formatUtcDateTime(Date.now());
+  const events = result.events.filter(event => !event.isTask);
+  const tasks = result.events.filter(event => event.isTask);
+  const calendar = createCalendar([
+    ...events.map(event => toVEvent(event, stamp)),
+    ...tasks.map(task => toVTodo(task, stamp))
+  ]);
+  setProperty(calendar, 'CALSCALE', 'GREGORIAN');
+  setProperty(calendar, 'METHOD', 'PUBLISH');
+
+  return {
+    success: true,
+    ics: serializeICalendar(calendar),
+    eventCount: events.length,
+    taskCount: tasks.length
+  };
+}
+
+/**
+ * Event data for calendarService.createEvent from a VEVENT
+ * @returns {{eventData?: Object, error?: string}}
+ */
+function fromVEvent(vevent, defaultTimeZone) {
+  const start = parseDateProperty(getProperty(vevent, 'DTSTART'));
+  if (!start) {
+    return { error: 'Missing or invalid DTSTART' };
+  }
+  const duration = parseDuration(getProperty(vevent, 'DURATION')?.value);
+  let end = parseDateProperty(getProperty(vevent, 'DTEND'));
+  const rule = getProperty(vevent, 'RRULE');
+
+  const eventData = {
+    summary: getText(vevent, 'SUMMARY') || '(No title)',
+    description: getText(vevent, 'DESCRIPTION'),
+    recurrence: rule ? `RRULE:${rule.value}` : undefined
+  };
+
+  if (start.date) {
+    // All-day: the end date is exclusive and defaults to the next day
+    const startMs = Date.parse(`${start.date}T00:00:00Z`);
+    const nextDay = new Date(startMs + DAY_MS).toISOString().slice(0, 10);
+    const endDate = end?.date || new Date(startMs + (duration ?? DAY_MS)).toISOString().slice(0, 10);
+    return {
+      eventData: { ...eventData, allDay: true, startTime: start.date, endTime: endDate > start.date ? endDate : nextDay }
+    };
+  }
+
+  if (!end?.dateTime) {
+    end = { dateTime: new Date(new Date(start.dateTime).getTime() + (duration ?? 0)).toISOString() };
+  }
+  return {
+    eventData: {
+      ...eventData,
+      startTime: start.dateTime,
+      endTime: end.dateTime,
+      // Recurring events expand in their own zone; floating and UTC times use the caller's zone
+      timeZone: start.timeZone && start.timeZone !== 'UTC' ? start.timeZone : (defaultTimeZone || 'UTC')
+    }
+  };
+}
+
+// Task data for calendarService.createTask from a VTODO
+function fromVTodo(vtodo) {
+  const due = parseDateProperty(getProperty(vtodo, 'DUE'));
+  return {
+    title: getText(vtodo, 'SUMMARY') || '(No title)',
+    notes: getText(vtodo, 'DESCRIPTION'),
+    due: due ? due.date || due.dateTime : undefined
+  };
+}
+
+// Stable key for components without a UID
+function fallbackUid(component) {
+  const fingerprint = ['SUMMARY', 'DTSTART', 'DUE'].map(name => getProperty(component, name)?.value || '').join('|');
+  return `sha256-${crypto.createHash('sha256').update(fingerprint).digest('hex')}`;
+}
+
+// Whether an item imported earlier still exists (deleted events can be imported again)
+async function isStillImported(tokens, calendar, record) {
+  if (record.kind === 'task') {
+    return true;
+  }
+  const existing = await getEvent(tokens, calendar, record.itemId, { calendarId: record.calendarId || null });
+  return existing.success;
+}
+
+/**
+ * Import an iCalendar file into one calendar
+ * Events (VEVENT) and tasks (VTODO) are created one by one; items whose UID was already imported into
+ * the same calendar are skipped. Attendees aren't imported so nobody gets invitations, and overrides of
+ * single occurrences (RECURRENCE-ID) are skipped since the series is imported with its RRULE.
+ * @param {Object<string, *>} tokens - Access tokens (or credentials) keyed by provider ID
+ * @param {string} calendar - Calendar to import into ('google' | 'outlook' | 'caldav')
+ * @param {string} icsText - iCalendar file contents
+ * @param {Object} [options]
+ * @param {string} [options.calendarId] - Non-default calendar of that provider
+ * @param {string} [options.timeZone] - Zone for floating times (default: UTC)
+ * @param {string} [userEmail] - User email (dedup records and undo history)
+ * @returns {Promise<{success: boolean, imported?: Array, skipped?: Array, failed?: Array, undoId?: string|null, error?: string}>}
+ */
+export async function importCalendar(tokens, calendar, icsText, options = {}, userEmail = null) {
+  const parsed = parseICalendar(icsText);
+  if (!parsed || parsed.name !== 'VCALENDAR') {
+    return { success: false, error: 'Not an iCalendar file' };
+  }
+
+  const components = parsed.components.filter(component => component.name === 'VEVENT' || component.name === 'VTODO');
+  if (components.length === 0) {
+    return { success: false, error: 'The file has no events or tasks' };
+  }
+  if (components.length > IMPORT_MAX_ITEMS) {
+    return { success: false, error: `Too many items (${components.length}); import at most ${IMPORT_MAX_ITEMS} at a time` };
+  }
+
+  const calendarId = options.calendarId || null;
+  const imported = [];
+  const skipped = [];
+  const failed = [];
+  const executed = [];
+  const seen = new Set();
+
+  for (const component of components) {
+    const uid = getText(component, 'UID') || fallbackUid(component);
+    const kind = component.name === 'VTODO' ? 'task' : 'event';
+    const summary = getText(component, 'SUMMARY');
+
+    if (getProperty(component, 'RECURRENCE-ID')) {
+      skipped.push({ uid, summary, reason: 'Changed occurrence of a recurring event' });
+      continue;
+    }
+    if (getProperty(component, 'STATUS')?.value === 'CANCELLED' || (kind === 'task' && getProperty(component, 'STATUS')?.value === 'COMPLETED')) {
+      skipped.push({ uid, summary, reason: kind === 'task' ? 'Completed or cancelled' : 'Cancelled' });
+      continue;
+    }
+    if (seen.has(uid)) {
+      skipped.push({ uid, summary, reason: 'Duplicate UID in file' });
+      continue;
+    }
+    seen.add(uid);
+
+    const recordRef = userEmail ? importedItems(userEmail).doc(importedItemId(calendar, calendarId, uid)) : null;
+    if (recordRef) {
+      const record = await recordRef.get();
+      if (record.exists && await isStillImported(tokens, calendar, record.data())) {
+        skipped.push({ uid, summary, id: record.data().itemId, reason: 'Already imported' });
+        continue;
+      }
+    }
+
+    let action;
+    let result;
+    if (kind === 'task') {
+      const taskData = fromVTodo(component);
+      action = { type: 'create_task', calendar, ...taskData };
+      result = await createTask(tokens, calendar, taskData);
+    } else {
+      const { eventData, error } = fromVEvent(component, options.timeZone);
+      if (error) {
+        failed.push({ uid, summary, error });
+        continue;
+      }
+      action = { type: 'create_calendar_event', calendar, ...eventData, calendarId: calendarId || undefined };
+      result = await createEvent(tokens, calendar, { ...eventData, calendarId: calendarId || undefined });
+    }
+
+    if (!result.success) {
+      failed.push({ uid, summary, error: result.error });
+      continue;
+    }
+
+    const item = kind === 'task' ? result.task : result.event;
+    imported.push({ uid, kind, id: item?.id, summary: kind === 'task' ? item?.title : item?.summary });
+    executed.push({ action, result });
+
+    if (recordRef && item?.id) {
+      await recordRef.set({
+        uid,
+        kind,
+        calendar,
+        calendarId,
+        itemId: item.id,
+        importedAt: new Date()
+      });
+    }
+  }
+
+  // One undo entry for the whole import
+  let undoId = null;
+  if (userEmail && executed.length > 0) {
+    undoId = await recordExecutedActions(userEmail, executed, { endpoint: 'calendar_import' })
+      .catch(error => {
+        console.error('Failed to record undo history:', error);
+        return null;
+      });
+  }
+
+  return {
+    success: true,
+    imported,
+    skipped,
+    failed,
+    undoId
+  };
+}
@@ -17,10 +17,12 @@ async function ensureSchema() {
     DO $$
     BEGIN
       IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'calendar_type') THEN
-        CREATE TYPE calendar_type AS ENUM ('google', 'outlook');
+        CREATE TYPE calendar_type AS ENUM ('google', 'outlook', 'caldav');
       END IF;
     END$$;
 
+    ALTER TYPE calendar_type ADD VALUE IF NOT EXISTS 'caldav';
+
     DO $$
     BEGIN
       IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'action_type') THEN
@@ -32,11 +34,14 @@ async function ensureSchema() {
           'cancel',
           'approve',
           'converse',
-          'unified_calendar'
+          'unified_calendar',
+          'undo'
         );
       END IF;
     END$$;
 
+    ALTER TYPE action_type ADD VALUE IF NOT EXISTS 'undo';
+
     CREATE TABLE IF NOT EXISTS users (
       id BIGSERIAL PRIMARY KEY,
       email TEXT UNIQUE NOT NULL,
@@ -55,6 +60,7 @@ async function ensureSchema() {
 
     CREATE INDEX IF NOT EXISTS idx_logs_user_id ON logs(user_id);
     CREATE INDEX IF NOT EXISTS idx_logs_action_type ON logs(action_type);
+    CREATE INDEX IF NOT EXISTS idx_logs_prompt_version ON logs((log->>'prompt_version'));
   `;
 
   try {
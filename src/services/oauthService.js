@@ -0,0 +1,483 @@
+import crypto from 'crypto';
+import { db } from '../config/firebase.js';
+import { getProvider, getProviders } from '../providers/index.js';
+import { encryptSecret, decryptSecret, isEncryptionConfigured } from '../utils/encryption.js';
+import { getCachedUserData, invalidateUserData } from './tokenCacheService.js';
+
+/**
+ * Server-side OAuth credentials.
+ * Clients exchange an authorization code here instead of keeping tokens themselves; the refresh
+ * token is stored encrypted at users/{email}/credentials/{provider}, so the server can get fresh
+ * access tokens without a request from the user (feeds, background work) and fill in providers
+ * missing from a request's headers.
+ * Credentials belong to the verified provider account that stored them (ownerAccount, e.g.
+ * "google:<user ID>"), not just to the email they are filed under: emails aren't verified by every
+ * provider (an Outlook tenant sets `mail`), so tokens are only handed out to requests from that account.
+ * Sign-in also returns a renewal handle, an opaque secret only the client holds (renewalHandles/{hash}
+ * points back to the user). It gets the client a fresh access token once its own expires, and is
+ * replaced by a new handle each time it is used (renewAccessToken).
+ */
+
+const COLLECTION_USERS = 'users';
+const SUBCOLLECTION_CREDENTIALS = 'credentials';
+const COLLECTION_RENEWAL_HANDLES = 'renewalHandles';
+const REFRESH_MARGIN_MS = 5 * 60 * 1000; // Refresh access tokens that expire within 5 minutes
+const RENEWAL_HANDLE_TTL_MS = 30 * 24 * 60 * 60 * 1000; // Handles unused for 30 days expire
+const RENEWAL_GRACE_MS = 60 * 1000; // A replaced handle still works for a minute, for requests already in flight
+const STORED_TOKENS_CACHE = 'storedTokens';
+
+// In-flight refreshes, so concurrent requests for the same user share one
+const pendingRefreshes = new Map();
+
+function credentialsRef(email) {
+  return db
+    .collection(COLLECTION_USERS)
+    .doc(email)
+    .collection(SUBCOLLECTION_CREDENTIALS);
+}
+
+function toDate(value) {
+  const date = value?.toDate?.() || value;
+  return date ? new Date(date) : null;
+}
+
+/**
+ * Key of a verified provider account, e.g. "google:1234"
+ * @param {string} providerId
+ * @param {string} accountId - Account ID from the provider's getUserInfo (Google user ID, Graph id, CalDAV principal URL)
+ * @returns {string|null}
+ */
+export function getAccountKey(providerId, accountId) {
+  return providerId && accountId ? `${providerId}:${accountId}` : null;
+}
+
+// Credentials stored before owners were recorded belong to the account they are for
+function ownerOf(providerId, data) {
+  return data.ownerAccount || getAccountKey(providerId, data.accountId);
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Issue a renewal handle for a user's stored credentials; only its hash is stored
+ * @param {string} email - User the credentials are stored under
+ * @param {string} providerId
+ * @param {string} ownerAccount - Account that owns the credentials (getAccountKey)
+ * @returns {Promise<string>} The handle
+ */
+async function issueRenewalHandle(email, providerId, ownerAccount) {
+  const handle = crypto.randomBytes(32).toString('base64url');
+  const now = new Date();
+  await db.collection(COLLECTION_RENEWAL_HANDLES).doc(hashToken(handle)).set({
+    email,
+    provider: providerId,
+    ownerAccount,
+    createdAt: now,
+    expiresAt: new Date(now.getTime() + RENEWAL_HANDLE_TTL_MS)
+  });
+  return handle;
+}
+
+/**
+ * OAuth client settings of a provider, or null if it doesn't support OAuth or isn't configured
+ * @param {string} providerId
+ * @returns {{oauth: import('../providers/index.js').OAuthConfig, clientId: string, clientSecret: string, redirectUri?: string}|null}
+ */
+function getClientConfig(providerId) {
+  const oauth = getProvider(providerId)?.oauth;
+  if (!oauth) {
+    return null;
+  }
+
+  const clientId = process.env[`${oauth.envPrefix}_CLIENT_ID`];
+  const clientSecret = process.env[`${oauth.envPrefix}_CLIENT_SECRET`];
+  if (!clientId || !clientSecret) {
+    return null;
+  }
+
+  return { oauth, clientId, clientSecret, redirectUri: process.env[`${oauth.envPrefix}_REDIRECT_URI`] };
+}
+
+/**
+ * Call a provider's token endpoint
+ * @param {Object} client - From getClientConfig
+ * @param {Object<string, string>} params - Grant parameters
+ * @returns {Promise<{success: boolean, tokens?: Object, error?: string, invalidGrant?: boolean}>}
+ *   invalidGrant is set when the code or refresh token was rejected (expired or revoked)
+ */
+async function requestToken(client, params) {
+  const response = await fetch(client.oauth.tokenUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      client_id: client.clientId,
+      client_secret: client.clientSecret,
+      ...params
+    })
+  });
+  const body = await response.json().catch(() => ({}));
+
+  if (!response.ok || !body.access_token) {
+    return {
+      success: false,
+      error: body.error_description || body.error || `Token request failed (${response.status})`,
+      invalidGrant: body.error === 'invalid_grant'
+    };
+  }
+  return { success: true, tokens: body };
+}
+
+function expiryFromResponse(tokens) {
+  return new Date(Date.now() + (Number(tokens.expires_in) || 3600) * 1000);
+}
+
+/**
+ * Exchange an authorization code and store the user's refresh token
+ * @param {string} providerId - 'google' | 'outlook'
+ * @param {Object} params
+ * @param {string} params.code - Authorization code
+ * @param {string} [params.redirectUri] - Redirect URI used in the authorization request (default: <PREFIX>_REDIRECT_URI)
+ * @param {string} [params.codeVerifier] - PKCE code verifier, if the authorization request used one
+ * @param {{email: string, account: string}|null} [owner] - Store the credentials for this signed-in user and
+ *   account (connecting another account, see getAccountKey); by default they belong to the account that authorized
+ * @returns {Promise<{success: boolean, email?: string, accessToken?: string, expiresAt?: Date, offline?: boolean, renewalHandle?: string, error?: string}>}
+ *   offline is false when the provider returned no refresh token (nothing was stored); renewalHandle is
+ *   only returned on sign-in (no owner), for renewAccessToken
+ */
+export async function exchangeCode(providerId, { code, redirectUri, codeVerifier }, owner = null) {
+  try {
+    const client = getClientConfig(providerId);
+    if (!client) {
+      return { success: false, error: `OAuth is not configured for ${providerId}` };
+    }
+    if (!isEncryptionConfigured()) {
+      return { success: false, error: 'Credential storage is not configured' };
+    }
+
+    const redirect = redirectUri || client.redirectUri;
+    const result = await requestToken(client, {
+      grant_type: 'authorization_code',
+      code,
+      ...(redirect ? { redirect_uri: redirect } : {}),
+      ...(codeVerifier ? { code_verifier: codeVerifier } : {})
+    });
+    if (!result.success) {
+      return { success: false, error: result.error };
+    }
+
+    const { tokens } = result;
+    const identity = await getProvider(providerId).calendar.getUserInfo(tokens.access_token);
+    if (!identity.success) {
+      return { success: false, error: identity.error };
+    }
+
+    const ownerAccount = owner ? owner.account : getAccountKey(providerId, identity.userId);
+    if (!ownerAccount) {
+      return { success: false, error: `${providerId} did not return an account ID` };
+    }
+
+    const email = owner ? owner.email : identity.email;
+    const expiresAt = expiryFromResponse(tokens);
+    const ref = credentialsRef(email).doc(providerId);
+    const existing = await ref.get();
+    // Another account's credentials filed under the same email are replaced, never merged
+    const sameOwner = existing.exists && ownerOf(providerId, existing.data()) === ownerAccount;
+
+    // Google only returns a refresh token on the first consent (or with prompt=consent)
+    if (!tokens.refresh_token && !sameOwner) {
+      console.warn(`⚠️ No refresh token from ${providerId} for ${email}; request offline access to store credentials`);
+      return { success: true, email, accessToken: tokens.access_token, expiresAt, offline: false };
+    }
+
+    const now = new Date();
+    const previous = sameOwner ? existing.data() : {};
+    await ref.set({
+      ...(tokens.refresh_token ? { refreshToken: encryptSecret(tokens.refresh_token) } : {}),
+      accessToken: encryptSecret(tokens.access_token),
+      expiresAt,
+      scope: tokens.scope || previous.scope || null,
+      accountEmail: identity.email,
+      accountId: identity.userId || null,
+      ownerAccount,
+      connectedAt: previous.connectedAt || now,
+      updatedAt: now
+    }, { merge: sameOwner });
+
+    await invalidateUserData(STORED_TOKENS_CACHE, email);
+    const renewalHandle = owner ? undefined : await issueRenewalHandle(email, providerId, ownerAccount);
+
+    console.log(`🔑 Stored ${providerId} credentials for ${email}`);
+    return { success: true, email, accessToken: tokens.access_token, expiresAt, offline: true, renewalHandle };
+  } catch (error) {
+    console.error('OAuth code exchange error:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to exchange authorization code'
+    };
+  }
+}
+
+/**
+ * Refresh a stored access token
+ * @param {string} email - User email
+ * @param {string} providerId
+ * @param {Object} data - Stored credential document
+ * @returns {Promise<{success: boolean, accessToken?: string, expiresAt?: Date, error?: string}>}
+ */
+async function refreshAccessToken(email, providerId, data) {
+  const client = getClientConfig(providerId);
+  if (!client) {
+    return { success: false, error: `OAuth is not configured for ${providerId}` };
+  }
+
+  const result = await requestToken(client, {
+    grant_type: 'refresh_token',
+    refresh_token: decryptSecret(data.refreshToken),
+    ...(client.oauth.refreshWithScope && data.scope ? { scope: data.scope } : {})
+  });
+
+  if (!result.success) {
+    if (result.invalidGrant) {
+      // Revoked or expired: the user has to connect again
+      await credentialsRef(email).doc(providerId).delete();
+      await invalidateUserData(STORED_TOKENS_CACHE, email);
+      console.warn(`⚠️ ${providerId} refresh token for ${email} was rejected; credentials removed`);
+    }
+    return { success: false, error: result.error };
+  }
+
+  const { tokens } = result;
+  const expiresAt = expiryFromResponse(tokens);
+  await credentialsRef(email).doc(providerId).set({
+    // Microsoft rotates refresh tokens
+    ...(tokens.refresh_token ? { refreshToken: encryptSecret(tokens.refresh_token) } : {}),
+    accessToken: encryptSecret(tokens.access_token),
+    expiresAt,
+    updatedAt: new Date()
+  }, { merge: true });
+
+  return { success: true, accessToken: tokens.access_token, expiresAt };
+}
+
+/**
+ * A valid access token from stored credentials, refreshed if it is about to expire
+ * @param {string} email - User email
+ * @param {string} providerId
+ * @param {Object} [data] - Stored credential document, if already read
+ * @param {string|null} [rejectedToken] - Refresh even if the stored token is this one (the provider rejected it)
+ * @returns {Promise<{success: boolean, accessToken?: string, expiresAt?: Date, error?: string}>}
+ */
+async function accessTokenFrom(email, providerId, data, rejectedToken = null) {
+  const expiresAt = toDate(data.expiresAt);
+  if (data.accessToken && expiresAt && expiresAt.getTime() - Date.now() > REFRESH_MARGIN_MS) {
+    const accessToken = decryptSecret(data.accessToken);
+    if (accessToken !== rejectedToken) {
+      return { success: true, accessToken, expiresAt };
+    }
+  }
+
+  const key = `${email}|${providerId}`;
+  if (!pendingRefreshes.has(key)) {
+    pendingRefreshes.set(key, refreshAccessToken(email, providerId, data).finally(() => pendingRefreshes.delete(key)));
+  }
+  return pendingRefreshes.get(key);
+}
+
+/**
+ * A valid access token for a user's stored credentials
+ * @param {string} email - User email
+ * @param {string} providerId - 'google' | 'outlook'
+ * @returns {Promise<{success: boolean, accessToken?: string, expiresAt?: Date, error?: string}>}
+ */
+export async function getAccessToken(email, providerId) {
+  try {
+    const doc = await credentialsRef(email).doc(providerId).get();
+    if (!doc.exists) {
+      return { success: false, error: `No stored ${providerId} credentials` };
+    }
+    return await accessTokenFrom(email, providerId, doc.data());
+  } catch (error) {
+    console.error('Get access token error:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to get access token'
+    };
+  }
+}
+
+/**
+ * A fresh access token from a renewal handle (sign-in), once the client's own token has expired
+ * The handle is replaced by a new one, which the client must use from then on; the old handle keeps
+ * working for another minute for requests already in flight. Handles only work while the credentials
+ * they were issued for are stored.
+ * @param {string} providerId - 'google' | 'outlook'
+ * @param {string} handle - Renewal handle from the code exchange or the previous renewal
+ * @param {string|null} [rejectedToken] - The client's access token the provider rejected
+ * @returns {Promise<{success: boolean, email?: string, accessToken?: string, expiresAt?: Date, renewalHandle?: string, error?: string}>}
+ *   email is the user the credentials are stored under
+ */
+export async function renewAccessToken(providerId, handle, rejectedToken = null) {
+  if (typeof handle !== 'string' || !handle || !isEncryptionConfigured()) {
+    return { success: false, error: 'Invalid renewal handle' };
+  }
+
+  try {
+    const handleRef = db.collection(COLLECTION_RENEWAL_HANDLES).doc(hashToken(handle));
+    const stored = await handleRef.get();
+    const expiresAt = toDate(stored.data()?.expiresAt);
+    if (!stored.exists || stored.data().provider !== providerId || !expiresAt || expiresAt.getTime() <= Date.now()) {
+      return { success: false, error: 'Invalid or expired renewal handle' };
+    }
+
+    const { email, ownerAccount } = stored.data();
+    const doc = await credentialsRef(email).doc(providerId).get();
+    if (!doc.exists || ownerOf(providerId, doc.data()) !== ownerAccount) {
+      return { success: false, error: `No stored ${providerId} credentials` };
+    }
+
+    const result = await accessTokenFrom(email, providerId, doc.data(), typeof rejectedToken === 'string' ? rejectedToken : null);
+    if (!result.success) {
+      return result;
+    }
+
+    const renewalHandle = await issueRenewalHandle(email, providerId, ownerAccount);
+    const graceUntil = new Date(Date.now() + RENEWAL_GRACE_MS);
+    if (expiresAt > graceUntil) {
+      await handleRef.set({ expiresAt: graceUntil }, { merge: true });
+    }
+    // Cached stored tokens may hold the one the provider just rejected
+    await invalidateUserData(STORED_TOKENS_CACHE, email);
+    return { success: true, email, accessToken: result.accessToken, expiresAt: result.expiresAt, renewalHandle };
+  } catch (error) {
+    console.error('Renew access token error:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to renew access token'
+    };
+  }
+}
+
+/**
+ * Access tokens for all of a user's stored credentials, with their expiry and owner
+ * @param {string} email - User email
+ * @returns {Promise<Object<string, {accessToken: string, expiresAt: Date, ownerAccount: string|null}>>}
+ */
+async function loadStoredTokens(email) {
+  const snapshot = await credentialsRef(email).get();
+  const tokens = {};
+  await Promise.all(snapshot.docs.map(async (doc) => {
+    const result = await accessTokenFrom(email, doc.id, doc.data());
+    if (result.success) {
+      tokens[doc.id] = { accessToken: result.accessToken, expiresAt: result.expiresAt, ownerAccount: ownerOf(doc.id, doc.data()) };
+    } else {
+      console.warn(`⚠️ Could not get a ${doc.id} access token for ${email}:`, result.error);
+    }
+  }));
+  return tokens;
+}
+
+// Cache stored tokens until the first of them is due for a refresh
+function storedTokensTtl(tokens) {
+  const expiries = Object.values(tokens).map(({ expiresAt }) => new Date(expiresAt).getTime());
+  return Math.min(...expiries) - Date.now() - REFRESH_MARGIN_MS;
+}
+
+/**
+ * Access tokens from a user's stored credentials, keyed by provider ID (like readProviderTokens)
+ * Only credentials owned by the given account are used; providers without them, or whose refresh
+ * fails, are left out. The result is cached with the token verification results (tokenCacheService),
+ * so most requests skip the Firestore read.
+ * @param {string} email - User email
+ * @param {string|null} account - Verified account of the caller (getAccountKey)
+ * @param {string[]} [providerIds] - Only these providers (default: all with stored credentials)
+ * @returns {Promise<Object<string, string>>}
+ */
+export async function getStoredTokens(email, account, providerIds = null) {
+  if (!email || !account || !isEncryptionConfigured()) {
+    return {};
+  }
+
+  try {
+    const stored = await getCachedUserData(STORED_TOKENS_CACHE, email, () => loadStoredTokens(email), storedTokensTtl);
+    return Object.fromEntries(Object.entries(stored)
+      .filter(([id, { ownerAccount }]) => ownerAccount === account && (!providerIds || providerIds.includes(id)))
+      .map(([id, { accessToken }]) => [id, accessToken]));
+  } catch (error) {
+    console.error('Get stored tokens error:', error);
+    return {};
+  }
+}
+
+/**
+ * Providers with stored credentials for a user and account (no tokens)
+ * @param {string} email - User email
+ * @param {string} account - Verified account of the caller (getAccountKey)
+ * @returns {Promise<{success: boolean, connections: Array<{provider: string, accountEmail: string, scope: string|null, connectedAt: Date}>}>}
+ */
+export async function listConnections(email, account) {
+  const snapshot = await credentialsRef(email).get();
+  return {
+    success: true,
+    connections: snapshot.docs.filter(doc => ownerOf(doc.id, doc.data()) === account).map(doc => ({
+      provider: doc.id,
+      accountEmail: doc.data().accountEmail,
+      scope: doc.data().scope || null,
+      connectedAt: toDate(doc.data().connectedAt)
+    }))
+  };
+}
+
+/**
+ * Revoke a user's stored credentials with the provider (where supported) and delete them
+ * @param {string} email - User email
+ * @param {string} providerId
+ * @param {string} account - Verified account of the caller (getAccountKey); only its own credentials are revoked
+ * @returns {Promise<{success: boolean, revoked: boolean, error?: string}>}
+ *   revoked is false when there were no stored credentials
+ */
+export async function revokeCredentials(email, providerId, account) {
+  try {
+    const ref = credentialsRef(email).doc(providerId);
+    const doc = await ref.get();
+    if (!doc.exists || ownerOf(providerId, doc.data()) !== account) {
+      return { success: true, revoked: false };
+    }
+
+    const revokeUrl = getProvider(providerId)?.oauth?.revokeUrl;
+    if (revokeUrl) {
+      const response = await fetch(revokeUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({ token: decryptSecret(doc.data().refreshToken) })
+      });
+      // 400 means the token was already invalid; the stored copy is deleted either way
+      if (!response.ok && response.status !== 400) {
+        console.warn(`⚠️ ${providerId} token revocation failed (${response.status})`);
+      }
+    }
+
+    await ref.delete();
+    await invalidateUserData(STORED_TOKENS_CACHE, email);
+    console.log(`🔒 Removed ${providerId} credentials for ${email}`);
+    return { success: true, revoked: true };
+  } catch (error) {
+    console.error('Revoke credentials error:', error);
+    return {
+      success: false,
+      revoked: false,
+      error: error.message || 'Failed to revoke credentials'
+    };
+  }
+}
+
+/**
+ * IDs of the providers that support the OAuth code exchange and have client settings
+ * @returns {string[]}
+ */
+export function getOAuthProviderIds() {
+  return getProviders()
+    .filter(provider => getClientConfig(provider.id))
+    .map(provider => provider.id);
+}
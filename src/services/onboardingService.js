@@ -1,8 +1,11 @@
 import { db } from '../config/firebase.js';
+import { DEFAULT_TIME_ZONE, isValidTimeZone, resolveTimeZone } from '../utils/timezone.js';
+import { getCachedUserData, invalidateUserData } from './tokenCacheService.js';
 
 const COLLECTION_USERS = 'users';
 const SUBCOLLECTION_ONBOARDING = 'onboarding';
 const PROFILE_DOC_ID = 'profile';
+const TIME_ZONE_CACHE = 'timeZone';
 
 export async function saveOnboardingProfile(email, data) {
   const userDocRef = db.collection(COLLECTION_USERS).doc(email);
@@ -10,6 +13,7 @@ export async function saveOnboardingProfile(email, data) {
 
   await userDocRef.set({ email }, { merge: true });
   await profileRef.set(data, { merge: true });
+  await invalidateUserData(TIME_ZONE_CACHE, email);
 
   const doc = await profileRef.get();
   return doc.exists ? doc.data() : data;
@@ -26,3 +30,29 @@ export async function getOnboardingProfile(email) {
   return doc.exists ? doc.data() : null;
 }
 
+
+/**
+ * The user's IANA time zone: the device's (x-device-timezone), else the onboarding profile's, else UTC
+ * The profile's zone is cached with the token verification results (tokenCacheService).
+ * @param {string} email - User email
+ * @param {string} [deviceTimeZone] - x-device-timezone header
+ * @returns {Promise<string>}
+ */
+export async function getUserTimeZone(email, deviceTimeZone = null) {
+  if (isValidTimeZone(deviceTimeZone)) {
+    return deviceTimeZone;
+  }
+
+  try {
+    if (!email) {
+      return DEFAULT_TIME_ZONE;
+    }
+    return await getCachedUserData(TIME_ZONE_CACHE, email, async () => {
+      const profile = await getOnboardingProfile(email);
+      return resolveTimeZone(profile?.timezone);
+    });
+  } catch (error) {
+    console.warn('Could not load onboarding profile for time zone:', error.message);
+    return DEFAULT_TIME_ZONE;
+  }
+}
@@ -0,0 +1,98 @@
+/**
+ * Chat completions and transcription through the OpenAI SDK.
+ * Serves every OpenAI-compatible backend: OpenAI, Azure OpenAI and local servers
+ * (llama.cpp, Ollama, LocalAI, ...); the caller passes the client and the model.
+ */
+
+/**
+ * Read a streamed chat completion, forwarding assistant text as it arrives
+ * Tool call names and arguments arrive in fragments keyed by index and are joined here.
+ * @param {AsyncIterable<Object>} stream - Chat completion chunks
+ * @param {function(string): void} onDelta - Called with each piece of assistant text
+ * @returns {Promise<{content: string|null, toolCalls: Array, usage: Object|null}>}
+ */
+async function readCompletionStream(stream, onDelta) {
+  let content = '';
+  const toolCalls = [];
+  let usage = null;
+
+  for await (const chunk of stream) {
+    if (chunk.usage) {
+      usage = chunk.usage;
+    }
+    const delta = chunk.choices?.[0]?.delta;
+    if (!delta) {
+      continue;
+    }
+
+    if (delta.content) {
+      content += delta.content;
+      onDelta(delta.content);
+    }
+
+    for (const fragment of delta.tool_calls || []) {
+      if (!toolCalls[fragment.index]) {
+        toolCalls[fragment.index] = { id: fragment.id, type: 'function', function: { name: '', arguments: '' } };
+      }
+      const toolCall = toolCalls[fragment.index];
+      toolCall.id = fragment.id || toolCall.id;
+      toolCall.function.name += fragment.function?.name || '';
+      toolCall.function.arguments += fragment.function?.arguments || '';
+    }
+  }
+
+  return { content: content || null, toolCalls: toolCalls.filter(Boolean), usage };
+}
+
+/**
+ * Run one chat completion with tools
+ * @param {import('openai').OpenAI} client
+ * @param {Object} request - Chat request: model, messages, tools, plus backend options (e.g. service_tier)
+ * @param {function(string): void} [onDelta] - When set, the completion is streamed and this gets the assistant's text
+ * @returns {Promise<{success: boolean, message?: {content: string|null, tool_calls?: Array}, usage?: {promptTokens: number, completionTokens: number, totalTokens: number}, error?: string}>}
+ */
+export async function createChatCompletion(client, request, onDelta = null) {
+  try {
+    let message;
+    let usage;
+    if (onDelta) {
+      const stream = await client.chat.completions.create({ ...request, tool_choice: 'auto', stream: true, stream_options: { include_usage: true } });
+      const streamed = await readCompletionStream(stream, onDelta);
+      message = { content: streamed.content, tool_calls: streamed.toolCalls.length > 0 ? streamed.toolCalls : undefined };
+      usage = streamed.usage;
+    } else {
+      const response = await client.chat.completions.create({ ...request, tool_choice: 'auto' });
+      message = response.choices[0].message;
+      usage = response.usage;
+    }
+
+    return {
+      success: true,
+      message: { content: message.content, tool_calls: message.tool_calls },
+      usage: {
+        promptTokens: usage?.prompt_tokens || 0,
+        completionTokens: usage?.completion_tokens || 0,
+        totalTokens: usage?.total_tokens || 0
+      }
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Transcribe an audio file
+ * @param {import('openai').OpenAI} client
+ * @param {Object} request - model, file, language, plus backend options
+ * @returns {Promise<{success: boolean, text?: string, seconds?: number, error?: string}>}
+ *   seconds is the audio length when the backend reports it (whisper-1 does, in `usage` or `duration`)
+ */
+export async function createTranscription(client, request) {
+  try {
+    const transcription = await client.audio.transcriptions.create(request);
+    const seconds = transcription.usage?.type === 'duration' ? transcription.usage.seconds : transcription.duration;
+    return { success: true, text: transcription.text, seconds: seconds || undefined };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
@@ -1,6 +1,19 @@
 import { convert } from 'html-to-text';
+import { normalizeRRule, toGraphRecurrence, fromGraphRecurrence, toLocalDate, toLocalDateTime } from '../utils/recurrence.js';
+import { toCalendarEvent } from '../providers/models.js';
 
 const GRAPH_API_BASE = 'https://graph.microsoft.com/v1.0';
+const DEFAULT_VIEW_DAYS = 365; // calendarView needs an end; used when no timeMax is given
+
+// Graph attendee responses -> canonical responseStatus
+const RESPONSE_STATUSES = {
+  accepted: 'accepted',
+  organizer: 'accepted',
+  tentativelyAccepted: 'tentative',
+  declined: 'declined',
+  none: 'needsAction',
+  notResponded: 'needsAction'
+};
 
 /**
  * Helper function to parse Microsoft Graph API errors
@@ -19,6 +32,27 @@ async function parseGraphError(response) {
   return errorMessage;
 }
 
+// Graph attendees from { email, displayName } objects or plain emails
+function toGraphAttendees(attendees) {
+  return attendees.map(attendee => ({
+    emailAddress: {
+      address: typeof attendee === 'string' ? attendee : attendee.email,
+      name: typeof attendee === 'string' ? attendee : attendee.displayName || attendee.email
+    },
+    type: 'required'
+  }));
+}
+
+// Graph returns UTC date-times without an offset (e.g. "2025-01-10T09:00:00.0000000")
+function withUtcSuffix(dateTime) {
+  return /([zZ]|[+-]\d{2}:?\d{2})$/.test(dateTime) ? dateTime : `${dateTime}Z`;
+}
+
+// Events collection of a calendar (the default calendar when no ID is given)
+function eventsPath(calendarId) {
+  return calendarId ? `/me/calendars/${encodeURIComponent(calendarId)}/events` : '/me/calendar/events';
+}
+
 /**
  * Transform Google Calendar event format to Microsoft Graph format
  * @param {Object} eventData - Google Calendar event data
@@ -41,24 +75,35 @@ function transformToGraphFormat(eventData) {
     }
   };
 
+  // All-day events run from midnight to midnight; startTime/endTime are dates (end exclusive)
+  if (eventData.allDay) {
+    graphEvent.isAllDay = true;
+    graphEvent.start = { dateTime: `${eventData.startTime}T00:00:00`, timeZone: 'UTC' };
+    graphEvent.end = { dateTime: `${eventData.endTime}T00:00:00`, timeZone: 'UTC' };
+  }
+
   // Add attendees if provided
   if (eventData.attendees && eventData.attendees.length > 0) {
-    graphEvent.attendees = eventData.attendees.map(attendee => ({
-      emailAddress: {
-        address: typeof attendee === 'string' ? attendee : attendee.email,
-        name: typeof attendee === 'string' ? attendee : attendee.displayName || attendee.email
-      },
-      type: 'required'
-    }));
+    graphEvent.attendees = toGraphAttendees(eventData.attendees);
+  }
+
+  // Recurring events: wall-clock times in the series' zone so occurrences stay put across DST changes
+  if (eventData.recurrence && eventData.allDay) {
+    graphEvent.recurrence = toGraphRecurrence(eventData.recurrence, `${eventData.startTime}T00:00:00Z`, 'UTC');
+  } else if (eventData.recurrence) {
+    const timeZone = eventData.timeZone || 'UTC';
+    graphEvent.recurrence = toGraphRecurrence(eventData.recurrence, eventData.startTime, timeZone);
+    graphEvent.start = { dateTime: toLocalDateTime(eventData.startTime, timeZone), timeZone };
+    graphEvent.end = { dateTime: toLocalDateTime(eventData.endTime, timeZone), timeZone };
   }
 
   return graphEvent;
 }
 
 /**
- * Transform Microsoft Graph event format to Google Calendar format
+ * Transform a Microsoft Graph event to the canonical event model
  * @param {Object} graphEvent - Microsoft Graph event
- * @returns {Object} Google Calendar event format
+ * @returns {import('../providers/models.js').CalendarEvent} Event with Google Calendar field names
  */
 function transformFromGraphFormat(graphEvent) {
   // Extract plain text from HTML body - always convert if HTML tags are present
@@ -81,53 +126,61 @@ function transformFromGraphFormat(graphEvent) {
     }
   }
 
-  const transformed = {
+  const teamsLink = graphEvent.onlineMeeting?.joinUrl || graphEvent.onlineMeetingUrl;
+  const rule = graphEvent.recurrence ? fromGraphRecurrence(graphEvent.recurrence) : null;
+
+  return toCalendarEvent('outlook', {
     id: graphEvent.id,
-    summary: graphEvent.subject || '',
+    summary: graphEvent.subject,
     description,
-    start: {
+    location: graphEvent.location?.displayName,
+    // All-day events run from midnight to midnight; like Google they only carry dates
+    start: graphEvent.isAllDay && graphEvent.start?.dateTime ? { date: graphEvent.start.dateTime.slice(0, 10) } : {
       dateTime: graphEvent.start?.dateTime,
       timeZone: graphEvent.start?.timeZone || 'UTC'
     },
-    end: {
+    end: graphEvent.isAllDay && graphEvent.end?.dateTime ? { date: graphEvent.end.dateTime.slice(0, 10) } : {
       dateTime: graphEvent.end?.dateTime,
       timeZone: graphEvent.end?.timeZone || 'UTC'
     },
     attendees: (graphEvent.attendees || []).map(a => ({
       email: a.emailAddress?.address,
-      displayName: a.emailAddress?.name
-    }))
-  };
-
-  // Extract Teams meeting link if available - match Google Calendar's structure
-  const teamsLink = graphEvent.onlineMeeting?.joinUrl || graphEvent.onlineMeetingUrl;
-  if (teamsLink) {
-    // Add hangoutLink for frontend compatibility (same as Google Calendar)
-    transformed.hangoutLink = teamsLink;
-    // Also add conferenceData structure (for future frontend updates)
-    transformed.conferenceData = {
+      displayName: a.emailAddress?.name,
+      responseStatus: RESPONSE_STATUSES[a.status?.response],
+      optional: a.type === 'optional'
+    })),
+    organizer: graphEvent.organizer && {
+      email: graphEvent.organizer.emailAddress?.address,
+      displayName: graphEvent.organizer.emailAddress?.name
+    },
+    status: graphEvent.isCancelled ? 'cancelled' : 'confirmed',
+    transparency: graphEvent.showAs === 'free' ? 'transparent' : 'opaque',
+    htmlLink: graphEvent.webLink,
+    // Teams link in the same fields as a Google Meet link
+    hangoutLink: teamsLink,
+    conferenceData: teamsLink && {
       entryPoints: [{
         entryPointType: 'video',
         uri: teamsLink,
         label: teamsLink.split('/').pop() || teamsLink
       }]
-    };
-    // Keep onlineMeeting structure for frontend compatibility
-    transformed.onlineMeeting = {
-      joinUrl: teamsLink
-    };
-  }
-
-  return transformed;
+    },
+    // Series linkage, using the same field names as Google Calendar
+    recurrence: rule ? [rule] : undefined,
+    recurringEventId: graphEvent.seriesMasterId,
+    originalStartTime: graphEvent.originalStart && { dateTime: graphEvent.originalStart }
+  });
 }
 
 /**
  * Get Outlook calendar events
+ * Uses calendarView so recurring series are expanded into their occurrences (like Google's singleEvents).
  * @param {string} token - OAuth access token
  * @param {Object} filters - Filter options
  * @param {string} [filters.timeMin] - Minimum start time (ISO 8601)
  * @param {string} [filters.timeMax] - Maximum start time (ISO 8601)
  * @param {number} [filters.maxResults] - Maximum number of results (default: 100)
+ * @param {string} [filters.calendarId] - Calendar to read (default: the user's default calendar)
  * @returns {Promise<{success: boolean, events?: Array, error?: string}>}
  */
 export async function getEvents(token, filters = {}) {
@@ -137,25 +190,16 @@ export async function getEvents(token, filters = {}) {
     }
 
     const timeMin = filters.timeMin || new Date().toISOString();
-    const timeMax = filters.timeMax;
+    const timeMax = filters.timeMax || new Date(new Date(timeMin).getTime() + DEFAULT_VIEW_DAYS * 24 * 60 * 60 * 1000).toISOString();
     const maxResults = filters.maxResults || 100;
 
     // Build URL with query parameters
-    const url = new URL(`${GRAPH_API_BASE}/me/calendar/events`);
+    const viewPath = filters.calendarId ? `/me/calendars/${encodeURIComponent(filters.calendarId)}/calendarView` : '/me/calendarView';
+    const url = new URL(`${GRAPH_API_BASE}${viewPath}`);
+    url.searchParams.set('startDateTime', timeMin);
+    url.searchParams.set('endDateTime', timeMax);
     url.searchParams.set('$top', maxResults.toString());
     url.searchParams.set('$orderby', 'start/dateTime');
-    
-    // Build $filter for date range
-    const filterParts = [];
-    if (timeMin) {
-      filterParts.push(`start/dateTime ge '${timeMin}'`);
-    }
-    if (timeMax) {
-      filterParts.push(`start/dateTime le '${timeMax}'`);
-    }
-    if (filterParts.length > 0) {
-      url.searchParams.set('$filter', filterParts.join(' and '));
-    }
 
     const response = await fetch(url.toString(), {
       headers: {
@@ -192,11 +236,14 @@ export async function getEvents(token, filters = {}) {
  * @param {string} token - OAuth access token
  * @param {Object} eventData - Event data
  * @param {string} eventData.summary - Event title
- * @param {string} eventData.startTime - Start time (ISO 8601)
- * @param {string} eventData.endTime - End time (ISO 8601)
+ * @param {string} eventData.startTime - Start time (ISO 8601), or the first day (YYYY-MM-DD) with allDay
+ * @param {string} eventData.endTime - End time (ISO 8601), or the day after the last one (YYYY-MM-DD) with allDay
+ * @param {boolean} [eventData.allDay] - All-day event
  * @param {string} [eventData.timeZone] - Timezone (default: 'UTC')
  * @param {string} [eventData.description] - Event description
  * @param {Array} [eventData.attendees] - List of attendees
+ * @param {string} [eventData.recurrence] - RRULE for a recurring event, translated to patternedRecurrence
+ * @param {string} [eventData.calendarId] - Calendar to create the event in (default: the user's default calendar)
  * @returns {Promise<{success: boolean, event?: Object, error?: string}>}
  */
 export async function createEvent(token, eventData) {
@@ -207,11 +254,14 @@ export async function createEvent(token, eventData) {
     if (!eventData?.summary || !eventData?.startTime || !eventData?.endTime) {
       return { success: false, error: 'Missing required fields: summary, startTime, endTime' };
     }
+    if (eventData.recurrence && !normalizeRRule(eventData.recurrence)) {
+      return { success: false, error: 'Invalid recurrence rule' };
+    }
 
     // Transform to Microsoft Graph format
     const graphEvent = transformToGraphFormat(eventData);
 
-    const response = await fetch(`${GRAPH_API_BASE}/me/calendar/events`, {
+    const response = await fetch(`${GRAPH_API_BASE}${eventsPath(eventData.calendarId)}`, {
       method: 'POST',
       headers: {
         'Authorization': `Bearer ${token}`,
@@ -243,12 +293,203 @@ export async function createEvent(token, eventData) {
   }
 }
 
+// Authorized Graph request; throws with the Graph error message on failure
+async function graphRequest(token, path, options = {}) {
+  const response = await fetch(`${GRAPH_API_BASE}${path}`, {
+    ...options,
+    headers: {
+      'Authorization': `Bearer ${token}`,
+      'Content-Type': 'application/json'
+    }
+  });
+
+  if (!response.ok) {
+    const errorMessage = await parseGraphError(response);
+    throw new Error(errorMessage);
+  }
+
+  return response.status === 204 ? null : await response.json();
+}
+
+// Build a PATCH payload - only include fields that are being updated
+function buildUpdatePayload(existingEvent, eventData) {
+  const updatePayload = {};
+  
+  if (eventData.summary !== undefined) {
+    updatePayload.subject = eventData.summary;
+  }
+  
+  if (eventData.description !== undefined) {
+    updatePayload.body = {
+      contentType: 'HTML',
+      content: eventData.description
+    };
+  }
+  
+  if (eventData.allDay && eventData.startTime && eventData.endTime) {
+    updatePayload.isAllDay = true;
+    updatePayload.start = { dateTime: `${eventData.startTime}T00:00:00`, timeZone: 'UTC' };
+    updatePayload.end = { dateTime: `${eventData.endTime}T00:00:00`, timeZone: 'UTC' };
+  } else if (eventData.startTime || eventData.endTime) {
+    updatePayload.start = {
+      dateTime: eventData.startTime || existingEvent.start.dateTime,
+      timeZone: eventData.timeZone || existingEvent.start.timeZone || 'UTC'
+    };
+    updatePayload.end = {
+      dateTime: eventData.endTime || existingEvent.end.dateTime,
+      timeZone: eventData.timeZone || existingEvent.end.timeZone || 'UTC'
+    };
+  }
+  
+  if (eventData.attendees !== undefined) {
+    updatePayload.attendees = toGraphAttendees(eventData.attendees);
+  }
+
+  return updatePayload;
+}
+
+// Move a wall-clock Graph date-time by a number of milliseconds
+function shiftDateTime(dateTime, shiftMs) {
+  const shifted = new Date(new Date(`${dateTime.replace(/\.\d+$/, '')}Z`).getTime() + shiftMs);
+  return shifted.toISOString().slice(0, 19);
+}
+
+// How far an update moves an occurrence; moving only the start keeps the length
+function getTimeShift(occurrence, eventData) {
+  const startShift = eventData.startTime
+    ? new Date(eventData.startTime).getTime() - new Date(withUtcSuffix(occurrence.start.dateTime)).getTime()
+    : 0;
+  const endShift = eventData.endTime
+    ? new Date(eventData.endTime).getTime() - new Date(withUtcSuffix(occurrence.end.dateTime)).getTime()
+    : startShift;
+  return { startShift, endShift };
+}
+
+// Load the series master of an occurrence and tell whether the occurrence is the series' first one
+async function getSeriesMaster(token, calendarId, occurrence) {
+  const master = await graphRequest(token, `${eventsPath(calendarId)}/${occurrence.seriesMasterId}`);
+  const originalStart = occurrence.originalStart || withUtcSuffix(occurrence.start.dateTime);
+  const isFirst = new Date(originalStart).getTime() === new Date(withUtcSuffix(master.start.dateTime)).getTime();
+  return { master, originalStart, isFirst };
+}
+
+// End a series the day before an occurrence; returns the occurrence's local date
+async function truncateSeries(token, calendarId, master, originalStart) {
+  const { pattern, range } = master.recurrence;
+  const occurrenceDate = toLocalDate(originalStart, range.recurrenceTimeZone);
+  const dayBefore = new Date(new Date(`${occurrenceDate}T00:00:00Z`).getTime() - 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+  await graphRequest(token, `${eventsPath(calendarId)}/${master.id}`, {
+    method: 'PATCH',
+    body: JSON.stringify({
+      recurrence: {
+        pattern,
+        range: {
+          type: 'endDate',
+          startDate: range.startDate,
+          endDate: dayBefore,
+          recurrenceTimeZone: range.recurrenceTimeZone
+        }
+      }
+    })
+  });
+
+  return occurrenceDate;
+}
+
+/**
+ * Update an occurrence's whole series, or split the series and update this and following occurrences
+ * @param {string} token - OAuth access token
+ * @param {string} calendarId - Calendar containing the series (null for the default calendar)
+ * @param {Object} occurrence - Graph occurrence being updated
+ * @param {Object} eventData - Updated event data (partial)
+ * @param {string} scope - 'following' | 'all'
+ * @returns {Promise<{success: boolean, event: Object, previousEvent: Object, scope: string}>}
+ */
+async function updateSeries(token, calendarId, occurrence, eventData, scope) {
+  const { master, originalStart, isFirst } = await getSeriesMaster(token, calendarId, occurrence);
+  const { startShift, endShift } = getTimeShift(occurrence, eventData);
+  const moved = startShift !== 0 || endShift !== 0;
+
+  // Whole series (or "this and following" from the first occurrence): apply the same time shift to the master
+  if (scope === 'all' || isFirst) {
+    await graphRequest(token, `${eventsPath(calendarId)}/${master.id}`, {
+      method: 'PATCH',
+      body: JSON.stringify(buildUpdatePayload(master, {
+        ...eventData,
+        startTime: moved ? shiftDateTime(master.start.dateTime, startShift) : undefined,
+        endTime: moved ? shiftDateTime(master.end.dateTime, endShift) : undefined,
+        timeZone: master.start.timeZone
+      }))
+    });
+    const updatedMaster = await graphRequest(token, `${eventsPath(calendarId)}/${master.id}`);
+
+    return {
+      success: true,
+      event: transformFromGraphFormat(updatedMaster),
+      previousEvent: transformFromGraphFormat(master),
+      scope: 'all'
+    };
+  }
+
+  // This and following: end the original series before this occurrence and start a new one from it
+  const { pattern, range } = master.recurrence;
+  let remaining = null;
+  if (range.type === 'numbered') {
+    const query = new URLSearchParams({
+      startDateTime: withUtcSuffix(master.start.dateTime),
+      endDateTime: originalStart,
+      $select: 'id',
+      $top: '999'
+    });
+    const before = await graphRequest(token, `${eventsPath(calendarId)}/${master.id}/instances?${query}`);
+    remaining = Math.max(1, range.numberOfOccurrences - (before.value || []).length);
+  }
+  const occurrenceDate = await truncateSeries(token, calendarId, master, originalStart);
+
+  const newSeries = {
+    subject: eventData.summary !== undefined ? eventData.summary : master.subject,
+    body: eventData.description !== undefined ? { contentType: 'HTML', content: eventData.description } : master.body,
+    start: { dateTime: shiftDateTime(occurrence.start.dateTime, startShift), timeZone: occurrence.start.timeZone || 'UTC' },
+    end: { dateTime: shiftDateTime(occurrence.end.dateTime, endShift), timeZone: occurrence.end.timeZone || 'UTC' },
+    attendees: toGraphAttendees(eventData.attendees || (master.attendees || []).map(attendee => ({
+      email: attendee.emailAddress?.address,
+      displayName: attendee.emailAddress?.name
+    }))),
+    isOnlineMeeting: master.isOnlineMeeting || false,
+    recurrence: {
+      pattern,
+      range: remaining !== null
+        ? { type: 'numbered', startDate: occurrenceDate, numberOfOccurrences: remaining, recurrenceTimeZone: range.recurrenceTimeZone }
+        : { ...range, startDate: occurrenceDate }
+    }
+  };
+  if (master.isOnlineMeeting && master.onlineMeetingProvider) {
+    newSeries.onlineMeetingProvider = master.onlineMeetingProvider;
+  }
+
+  const created = await graphRequest(token, eventsPath(calendarId), {
+    method: 'POST',
+    body: JSON.stringify(newSeries)
+  });
+
+  return {
+    success: true,
+    event: transformFromGraphFormat(created),
+    previousEvent: transformFromGraphFormat(master),
+    scope: 'following'
+  };
+}
+
 /**
  * Update an Outlook calendar event
  * @param {string} token - OAuth access token
  * @param {string} eventId - Event ID to update
  * @param {Object} eventData - Updated event data (partial)
- * @returns {Promise<{success: boolean, event?: Object, error?: string}>}
+ * @param {boolean} [eventData.allDay] - startTime/endTime are dates (YYYY-MM-DD, end exclusive) of an all-day event
+ * @param {string} [eventData.scope] - For an occurrence of a recurring event: 'this' (default) | 'following' | 'all'
+ * @param {string} [eventData.calendarId] - Calendar containing the event (default: the user's default calendar)
+ * @returns {Promise<{success: boolean, event?: Object, previousEvent?: Object, scope?: string, error?: string}>}
  */
 export async function updateEvent(token, eventId, eventData) {
   try {
@@ -260,91 +501,30 @@ export async function updateEvent(token, eventId, eventData) {
     }
 
     // First, get the existing event to merge updates
-    const getResponse = await fetch(`${GRAPH_API_BASE}/me/calendar/events/${eventId}`, {
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'Content-Type': 'application/json'
-      }
-    });
-
-    if (!getResponse.ok) {
-      const errorMessage = await parseGraphError(getResponse);
-      throw new Error(errorMessage);
-    }
+    const eventPath = `${eventsPath(eventData.calendarId)}/${eventId}`;
+    const existingEvent = await graphRequest(token, eventPath);
 
-    const existingEvent = await getResponse.json();
-    
-    // Build update payload - only include fields that are being updated
-    const updatePayload = {};
-    
-    if (eventData.summary !== undefined) {
-      updatePayload.subject = eventData.summary;
-    }
-    
-    if (eventData.description !== undefined) {
-      updatePayload.body = {
-        contentType: 'HTML',
-        content: eventData.description
-      };
-    }
-    
-    if (eventData.startTime || eventData.endTime) {
-      updatePayload.start = {
-        dateTime: eventData.startTime || existingEvent.start.dateTime,
-        timeZone: eventData.timeZone || existingEvent.start.timeZone || 'UTC'
-      };
-      updatePayload.end = {
-        dateTime: eventData.endTime || existingEvent.end.dateTime,
-        timeZone: eventData.timeZone || existingEvent.end.timeZone || 'UTC'
-      };
-    }
-    
-    if (eventData.attendees !== undefined) {
-      updatePayload.attendees = eventData.attendees.map(attendee => ({
-        emailAddress: {
-          address: typeof attendee === 'string' ? attendee : attendee.email,
-          name: typeof attendee === 'string' ? attendee : attendee.displayName || attendee.email
-        },
-        type: 'required'
-      }));
+    const scope = eventData.scope || 'this';
+    if (scope !== 'this' && existingEvent.seriesMasterId) {
+      return await updateSeries(token, eventData.calendarId, existingEvent, eventData, scope);
     }
 
     // PATCH the event
-    const patchResponse = await fetch(`${GRAPH_API_BASE}/me/calendar/events/${eventId}`, {
+    await graphRequest(token, eventPath, {
       method: 'PATCH',
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(updatePayload)
+      body: JSON.stringify(buildUpdatePayload(existingEvent, eventData))
     });
 
-    if (!patchResponse.ok) {
-      const errorMessage = await parseGraphError(patchResponse);
-      throw new Error(errorMessage);
-    }
-
     // Get updated event
-    const updatedResponse = await fetch(`${GRAPH_API_BASE}/me/calendar/events/${eventId}`, {
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'Content-Type': 'application/json'
-      }
-    });
-
-    if (!updatedResponse.ok) {
-      const errorMessage = await parseGraphError(updatedResponse);
-      throw new Error(errorMessage);
-    }
-
-    const updatedEvent = await updatedResponse.json();
+    const updatedEvent = await graphRequest(token, eventPath);
     
     // Transform response to Google Calendar format
     const event = transformFromGraphFormat(updatedEvent);
 
     return {
       success: true,
-      event
+      event,
+      previousEvent: transformFromGraphFormat(existingEvent) // Event as it was before the update (used for undo)
     };
   } catch (error) {
     console.error('Update Outlook event error:', error);
@@ -355,13 +535,48 @@ export async function updateEvent(token, eventId, eventData) {
   }
 }
 
+/**
+ * Get a single Outlook calendar event
+ * @param {string} token - OAuth access token
+ * @param {string} eventId - Event ID
+ * @param {Object} [options]
+ * @param {string} [options.calendarId] - Calendar containing the event (default: the user's default calendar)
+ * @returns {Promise<{success: boolean, event?: Object, error?: string}>}
+ */
+export async function getEvent(token, eventId, options = {}) {
+  try {
+    if (!token) {
+      return { success: false, error: 'Access token is required' };
+    }
+    if (!eventId) {
+      return { success: false, error: 'Event ID is required' };
+    }
+
+    const graphEvent = await graphRequest(token, `${eventsPath(options.calendarId)}/${eventId}`);
+
+    return {
+      success: true,
+      event: transformFromGraphFormat(graphEvent)
+    };
+  } catch (error) {
+    console.error('Get Outlook event error:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to fetch calendar event'
+    };
+  }
+}
+
 /**
  * Delete an Outlook calendar event
  * @param {string} token - OAuth access token
  * @param {string} eventId - Event ID to delete
- * @returns {Promise<{success: boolean, event?: Object, message?: string, error?: string}>}
+ * @param {Object} [options]
+ * @param {string} [options.scope] - For an occurrence of a recurring event: 'this' (default) | 'following' | 'all'
+ * @param {string} [options.calendarId] - Calendar containing the event (default: the user's default calendar)
+ * @returns {Promise<{success: boolean, event?: Object, message?: string, scope?: string, error?: string}>}
  */
-export async function deleteEvent(token, eventId) {
+export async function deleteEvent(token, eventId, options = {}) {
   try {
     if (!token) {
       return { success: false, error: 'Access token is required' };
@@ -370,10 +585,14 @@ export async function deleteEvent(token, eventId) {
       return { success: false, error: 'Event ID is required' };
     }
 
+    const scope = options.scope || 'this';
+    const calendarId = options.calendarId || null;
+
     // Fetch event details before deleting
+    let graphEvent = null;
     let eventDetails = null;
     try {
-      const getResponse = await fetch(`${GRAPH_API_BASE}/me/calendar/events/${eventId}`, {
+      const getResponse = await fetch(`${GRAPH_API_BASE}${eventsPath(calendarId)}/${eventId}`, {
         headers: {
           'Authorization': `Bearer ${token}`,
           'Content-Type': 'application/json'
@@ -381,7 +600,7 @@ export async function deleteEvent(token, eventId) {
       });
       
       if (getResponse.ok) {
-        const graphEvent = await getResponse.json();
+        graphEvent = await getResponse.json();
         // Transform to Google Calendar format for consistency
         eventDetails = transformFromGraphFormat(graphEvent);
       }
@@ -390,7 +609,29 @@ export async function deleteEvent(token, eventId) {
       // Continue with deletion even if fetch fails
     }
 
-    const response = await fetch(`${GRAPH_API_BASE}/me/calendar/events/${eventId}`, {
+    if (scope !== 'this' && graphEvent?.seriesMasterId) {
+      const { master, originalStart, isFirst } = await getSeriesMaster(token, calendarId, graphEvent);
+
+      if (scope === 'all' || isFirst) {
+        await graphRequest(token, `${eventsPath(calendarId)}/${master.id}`, { method: 'DELETE' });
+        return {
+          success: true,
+          event: transformFromGraphFormat(master), // Series master that was deleted
+          scope: 'all',
+          message: 'Event series deleted successfully'
+        };
+      }
+
+      await truncateSeries(token, calendarId, master, originalStart);
+      return {
+        success: true,
+        event: eventDetails,
+        scope: 'following',
+        message: 'Event and following occurrences deleted successfully'
+      };
+    }
+
+    const response = await fetch(`${GRAPH_API_BASE}${eventsPath(calendarId)}/${eventId}`, {
       method: 'DELETE',
       headers: {
         'Authorization': `Bearer ${token}`
@@ -416,3 +657,142 @@ export async function deleteEvent(token, eventId) {
   }
 }
 
+/**
+ * List the user's Outlook calendars (own, shared and group calendars they've added)
+ * @param {string} token - OAuth access token
+ * @returns {Promise<{success: boolean, calendars?: Array<{id: string, name: string, primary: boolean, canEdit: boolean, color?: string}>, error?: string}>}
+ */
+export async function listCalendars(token) {
+  try {
+    if (!token) {
+      return { success: false, error: 'Access token is required' };
+    }
+
+    const data = await graphRequest(token, '/me/calendars?$top=100');
+
+    const calendars = (data.value || []).map(item => ({
+      id: item.id,
+      name: item.name,
+      primary: item.isDefaultCalendar === true,
+      canEdit: item.canEdit === true,
+      color: item.hexColor || undefined
+    }));
+
+    return {
+      success: true,
+      calendars
+    };
+  } catch (error) {
+    console.error('List Outlook calendars error:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to list calendars'
+    };
+  }
+}
+
+/**
+ * Query busy times for a list of attendees via /me/calendar/getSchedule
+ * @param {string} token - OAuth access token
+ * @param {string[]} emails - Attendee emails
+ * @param {string} timeMin - Range start (ISO 8601)
+ * @param {string} timeMax - Range end (ISO 8601)
+ * @returns {Promise<{success: boolean, schedules?: Object<string, {busy: Array<{start: string, end: string}>, error?: string}>, error?: string}>}
+ */
+export async function getBusyTimes(token, emails, timeMin, timeMax) {
+  try {
+    if (!token) {
+      return { success: false, error: 'Access token is required' };
+    }
+
+    const response = await fetch(`${GRAPH_API_BASE}/me/calendar/getSchedule`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        schedules: emails,
+        startTime: { dateTime: new Date(timeMin).toISOString(), timeZone: 'UTC' },
+        endTime: { dateTime: new Date(timeMax).toISOString(), timeZone: 'UTC' },
+        availabilityViewInterval: 30
+      })
+    });
+
+    if (!response.ok) {
+      const errorMessage = await parseGraphError(response);
+      throw new Error(errorMessage);
+    }
+
+    const data = await response.json();
+
+    // Tentative and out-of-office count as busy
+    const schedules = {};
+    for (const email of emails) {
+      const entry = (data.value || []).find(item => item.scheduleId?.toLowerCase() === email.toLowerCase());
+      schedules[email] = !entry || entry.error
+        ? { busy: [], error: entry?.error?.message || 'unavailable' }
+        : {
+            busy: (entry.scheduleItems || [])
+              .filter(item => ['busy', 'tentative', 'oof'].includes(item.status))
+              .map(item => ({ start: withUtcSuffix(item.start.dateTime), end: withUtcSuffix(item.end.dateTime) }))
+          };
+    }
+
+    return {
+      success: true,
+      schedules
+    };
+  } catch (error) {
+    console.error('Get Outlook schedule error:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to fetch attendee schedules'
+    };
+  }
+}
+
+/**
+ * Expiry of a Microsoft access token, from its JWT `exp` claim
+ * Tokens for personal accounts can be opaque; those return undefined.
+ * @param {string} token - OAuth access token
+ * @returns {Date|undefined}
+ */
+function getTokenExpiry(token) {
+  try {
+    const payload = JSON.parse(Buffer.from(String(token).split('.')[1], 'base64url').toString('utf8'));
+    return payload.exp ? new Date(payload.exp * 1000) : undefined;
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Verify an Outlook access token and return the account identity
+ * @param {string} token - OAuth access token
+ * @returns {Promise<{success: boolean, email?: string, userId?: string, expiresAt?: Date, error?: string}>}
+ */
+export async function getUserInfo(token) {
+  try {
+    const response = await fetch(`${GRAPH_API_BASE}/me`, {
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+
+    if (!response.ok) {
+      throw new Error('Invalid Outlook token');
+    }
+
+    const userInfo = await response.json();
+    const email = userInfo.mail || userInfo.userPrincipalName;
+    if (!email) {
+      throw new Error('Email not found in Outlook token');
+    }
+
+    return { success: true, email, userId: userInfo.id, expiresAt: getTokenExpiry(token) };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message || 'Invalid Outlook token'
+    };
+  }
+}
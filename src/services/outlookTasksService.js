@@ -1,3 +1,5 @@
+import { toTask } from '../providers/models.js';
+
 const GRAPH_API_BASE = 'https://graph.microsoft.com/v1.0';
 
 /**
@@ -90,7 +92,7 @@ export async function getTasks(token, filters = {}) {
         }
 
         const tasksData = await tasksResponse.json();
-        let tasks = tasksData.value || [];
+        let tasks = (tasksData.value || []).map(task => transformFromGraphTaskFormat(task, taskListId));
         
         // Filter out completed tasks
         tasks = tasks.filter(task => task.status !== 'completed');
@@ -98,11 +100,11 @@ export async function getTasks(token, filters = {}) {
         // Filter tasks by date range if filters provided
         if (filters.timeMin || filters.timeMax) {
           tasks = tasks.filter(task => {
-            if (!task.dueDateTime) {
+            if (!task.due) {
               // Tasks without due date: always include them
               return true;
             }
-            const dueDate = new Date(task.dueDateTime.dateTime);
+            const dueDate = new Date(task.due);
             const minDate = filters.timeMin ? new Date(filters.timeMin) : null;
             const maxDate = filters.timeMax ? new Date(filters.timeMax) : null;
             
@@ -124,45 +126,9 @@ export async function getTasks(token, filters = {}) {
       console.log(`[OutlookTasksService] Fetched ${allTasks.length} tasks from Microsoft To Do API`);
     }
     
-    // Transform tasks to match calendar event format
-    const transformedTasks = allTasks
-      .filter(task => task.title) // Only include tasks with a title
-      .map(task => {
-        // Use due date if available, otherwise use the start of the filter range or today
-        let dueDate;
-        if (task.dueDateTime?.dateTime) {
-          dueDate = new Date(task.dueDateTime.dateTime);
-        } else {
-          // For tasks without due date, use the start of the filter range (or today if no filter)
-          if (filters.timeMin) {
-            dueDate = new Date(filters.timeMin);
-          } else {
-            dueDate = new Date();
-          }
-        }
-        const dueDateStr = dueDate.toISOString().split('T')[0]; // YYYY-MM-DD format
-        
-        return {
-          id: task.id,
-          summary: task.title || '',
-          description: task.body?.content || '',
-          start: {
-            date: dueDateStr,
-            dateTime: null
-          },
-          end: {
-            date: dueDateStr,
-            dateTime: null
-          },
-          location: '',
-          attendees: [],
-          isTask: true
-        };
-      });
-
     return {
       success: true,
-      tasks: transformedTasks
+      tasks: allTasks.filter(task => task.title) // Only include tasks with a title
     };
   } catch (error) {
     console.error('Get Outlook tasks error:', error);
@@ -238,18 +204,23 @@ function transformToGraphTaskFormat(taskData) {
 }
 
 /**
- * Transform Microsoft Graph task to our format
+ * Transform a Microsoft Graph task to the canonical task model
  * @param {Object} graphTask - Microsoft Graph task
- * @returns {Object} Task in our format
+ * @param {string} [taskListId] - List the task belongs to
+ * @returns {import('../providers/models.js').Task} Task in our format
  */
-function transformFromGraphTaskFormat(graphTask) {
-  return {
+function transformFromGraphTaskFormat(graphTask, taskListId = undefined) {
+  // Due dates come back as offset-less date-times in dueDateTime.timeZone (UTC unless the client asked otherwise)
+  const due = graphTask.dueDateTime?.dateTime;
+  const isUtc = !graphTask.dueDateTime?.timeZone || graphTask.dueDateTime.timeZone === 'UTC';
+  return toTask('outlook', {
     id: graphTask.id,
-    title: graphTask.title || '',
-    notes: graphTask.body?.content || '',
-    due: graphTask.dueDateTime?.dateTime || null,
-    status: graphTask.status || 'notStarted'
-  };
+    title: graphTask.title,
+    notes: graphTask.body?.content,
+    due: due && isUtc && !/([zZ]|[+-]\d{2}:?\d{2})$/.test(due) ? `${due}Z` : due,
+    status: graphTask.status || 'notStarted',
+    taskListId
+  });
 }
 
 /**
@@ -298,7 +269,7 @@ export async function createTask(token, taskData, taskListId = null) {
     }
 
     const data = await response.json();
-    const task = transformFromGraphTaskFormat(data);
+    const task = transformFromGraphTaskFormat(data, listId);
 
     return {
       success: true,
@@ -319,7 +290,7 @@ export async function createTask(token, taskData, taskListId = null) {
  * @param {string} taskId - Task ID to update
  * @param {Object} taskData - Updated task data (partial)
  * @param {string} [taskListId] - Task list ID (defaults to first available list)
- * @returns {Promise<{success: boolean, task?: Object, error?: string}>}
+ * @returns {Promise<{success: boolean, task?: Object, previousTask?: Object, error?: string}>}
  */
 export async function updateTask(token, taskId, taskData, taskListId = null) {
   try {
@@ -420,11 +391,12 @@ export async function updateTask(token, taskId, taskData, taskListId = null) {
     }
 
     const updatedTask = await updatedResponse.json();
-    const task = transformFromGraphTaskFormat(updatedTask);
+    const task = transformFromGraphTaskFormat(updatedTask, listId);
 
     return {
       success: true,
-      task: task
+      task: task,
+      previousTask: transformFromGraphTaskFormat(existingTask, listId) // Task as it was before the update (used for undo)
     };
   } catch (error) {
     console.error('Update Outlook task error:', error);
@@ -471,7 +443,7 @@ export async function deleteTask(token, taskId, taskListId = null) {
       });
       if (getResponse.ok) {
         const graphTask = await getResponse.json();
-        taskDetails = transformFromGraphTaskFormat(graphTask);
+        taskDetails = transformFromGraphTaskFormat(graphTask, listId);
       }
     } catch (error) {
       console.warn('Could not fetch task details before deletion:', error.message);
@@ -0,0 +1,234 @@
+import crypto from 'crypto';
+import { db } from '../config/firebase.js';
+import { normalizeRRule, RECURRENCE_SCOPES } from '../utils/recurrence.js';
+import { validateDateArguments } from '../utils/dateResolver.js';
+
+/**
+ * Server-side store for action previews awaiting confirmation.
+ * Previews built by /api/voice/command, /stream and /widget are saved under
+ * users/{email}/pendingActions/{id}; /api/voice/execute only accepts that ID,
+ * so clients can't execute actions the preview step never produced.
+ */
+
+const COLLECTION_USERS = 'users';
+const SUBCOLLECTION_PENDING_ACTIONS = 'pendingActions';
+const PENDING_ACTION_TTL_MS = (Number(process.env.PENDING_ACTION_TTL_MINUTES) || 15) * 60 * 1000;
+
+// Fields the user may change on each action type before confirming
+const EDITABLE_FIELDS = {
+  create_calendar_event: ['summary', 'startTime', 'endTime', 'duration', 'description', 'attendees', 'recurrence'],
+  update_calendar_event: ['summary', 'startTime', 'endTime', 'description', 'attendees', 'scope'],
+  delete_calendar_event: ['scope'],
+  create_task: ['title', 'notes', 'due'],
+  update_task: ['title', 'notes', 'due'],
+  delete_task: [],
+  undo_last_action: []
+};
+
+const DATE_FIELDS = ['startTime', 'endTime', 'due'];
+
+function pendingActionRef(email, id) {
+  return db
+    .collection(COLLECTION_USERS)
+    .doc(email)
+    .collection(SUBCOLLECTION_PENDING_ACTIONS)
+    .doc(id);
+}
+
+/**
+ * Persist a batch of action previews for later confirmation
+ * @param {string} email - User email (owner of the pending actions)
+ * @param {Array} actions - Ordered action previews
+ * @param {Object} [metadata] - Extra audit info (endpoint, request_id, prompt_version)
+ * @returns {Promise<{id: string, expiresAt: string}>}
+ */
+export async function savePendingActions(email, actions, metadata = {}) {
+  const id = crypto.randomUUID();
+  const now = Date.now();
+  const expiresAt = new Date(now + PENDING_ACTION_TTL_MS);
+
+  // Firestore rejects undefined values, so store a JSON-clean copy of the previews
+  await pendingActionRef(email, id).set({
+    email,
+    actions: JSON.parse(JSON.stringify(actions)),
+    status: 'pending',
+    metadata: JSON.parse(JSON.stringify(metadata)),
+    createdAt: new Date(now),
+    expiresAt
+  });
+
+  return { id, expiresAt: expiresAt.toISOString() };
+}
+
+// Check ownership, status and expiry of a stored pending-action document
+function checkPendingActionDoc(doc, email) {
+  if (!doc.exists || doc.data().email !== email) {
+    return { success: false, error: 'Pending action not found', status: 404 };
+  }
+
+  const data = doc.data();
+  if (data.status !== 'pending') {
+    return { success: false, error: `Pending action already ${data.status}`, status: 409 };
+  }
+
+  const expiresAt = data.expiresAt?.toDate ? data.expiresAt.toDate() : new Date(data.expiresAt);
+  if (expiresAt.getTime() < Date.now()) {
+    return { success: false, error: 'Pending action expired, please try the command again', status: 410, expired: true };
+  }
+
+  return null;
+}
+
+/**
+ * Load pending actions without claiming them (e.g. to validate edits first)
+ * @param {string} email - User email (must own the pending actions)
+ * @param {string} id - Pending action ID
+ * @returns {Promise<{success: boolean, actions?: Array, promptVersion?: string, error?: string, status?: number}>}
+ *   promptVersion is the prompt version that produced the previews
+ */
+export async function getPendingActions(email, id) {
+  const doc = await pendingActionRef(email, id).get();
+  const failure = checkPendingActionDoc(doc, email);
+  if (failure) {
+    return failure;
+  }
+  const data = doc.data();
+  return { success: true, actions: data.actions || [], promptVersion: data.metadata?.prompt_version };
+}
+
+/**
+ * Atomically claim pending actions for execution or cancellation
+ * A batch can only be claimed once, and only before it expires.
+ * @param {string} email - User email (must own the pending actions)
+ * @param {string} id - Pending action ID
+ * @param {string} status - Claim status ('executing' | 'cancelled')
+ * @returns {Promise<{success: boolean, actions?: Array, error?: string, status?: number}>}
+ */
+export async function claimPendingActions(email, id, status) {
+  const ref = pendingActionRef(email, id);
+
+  return await db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    const failure = checkPendingActionDoc(doc, email);
+
+    if (failure) {
+      if (failure.expired) {
+        transaction.update(ref, { status: 'expired' });
+      }
+      return failure;
+    }
+
+    transaction.update(ref, { status, claimedAt: new Date() });
+    return { success: true, actions: doc.data().actions || [] };
+  });
+}
+
+/**
+ * Record the outcome of executed pending actions (audit trail)
+ * @param {string} email - User email
+ * @param {string} id - Pending action ID
+ * @param {Object} resolution - Decisions, applied edits and per-action outcomes
+ * @returns {Promise<void>}
+ */
+export async function resolvePendingActions(email, id, resolution) {
+  await pendingActionRef(email, id).set({
+    status: 'resolved',
+    resolution: JSON.parse(JSON.stringify(resolution)),
+    resolvedAt: new Date()
+  }, { merge: true });
+}
+
+/**
+ * Validate user edits to a stored action preview
+ * Dates follow the same rules as the model's tool arguments (validateDateArguments): times need a UTC offset.
+ * @param {Object} action - Stored action preview
+ * @param {Object} edits - Field changes requested by the user
+ * @param {string} [timeZone] - User's IANA time zone, for error messages
+ * @returns {{valid: boolean, error?: string, changes?: Array<{field: string, from: *, to: *}>}}
+ */
+export function validateActionEdits(action, edits, timeZone) {
+  if (edits === undefined || edits === null) {
+    return { valid: true, changes: [] };
+  }
+  if (typeof edits !== 'object' || Array.isArray(edits)) {
+    return { valid: false, error: 'Edits must be an object' };
+  }
+
+  const allowed = EDITABLE_FIELDS[action.type] || [];
+  const changes = [];
+
+  for (const [field, value] of Object.entries(edits)) {
+    if (!allowed.includes(field)) {
+      return { valid: false, error: `Field "${field}" cannot be edited on ${action.type}` };
+    }
+
+    if (DATE_FIELDS.includes(field)) {
+      const clearingDue = field === 'due' && action.type === 'update_task' && value === '';
+      if (!clearingDue) {
+        const { error } = validateDateArguments(action.type, { [field]: value ?? '' }, timeZone);
+        if (error || typeof value !== 'string' || !value) {
+          return { valid: false, error: `Field "${field}" must be an ISO 8601 date${error ? ` (${error})` : ''}` };
+        }
+      }
+    } else if (field === 'duration') {
+      if (!Number.isFinite(Number(value)) || Number(value) <= 0) {
+        return { valid: false, error: 'Duration must be a positive number of minutes' };
+      }
+    } else if (field === 'attendees') {
+      if (!Array.isArray(value) || value.some(attendee => !attendee || typeof attendee.email !== 'string')) {
+        return { valid: false, error: 'Attendees must be a list of { email } objects' };
+      }
+      const invalidEmails = value.filter(attendee => {
+        const email = attendee.email;
+        return !email || !email.includes('@') || !email.includes('.') || email.length < 5;
+      });
+      if (invalidEmails.length > 0) {
+        return { valid: false, error: 'Please provide valid email addresses for all attendees' };
+      }
+    } else if (field === 'recurrence') {
+      if (value !== '' && !normalizeRRule(value)) {
+        return { valid: false, error: 'Recurrence must be an RRULE (e.g. "RRULE:FREQ=WEEKLY;BYDAY=MO;COUNT=6") or empty for a one-off event' };
+      }
+    } else if (field === 'scope') {
+      if (!RECURRENCE_SCOPES.includes(value)) {
+        return { valid: false, error: `Scope must be one of: ${RECURRENCE_SCOPES.join(', ')}` };
+      }
+    } else if (typeof value !== 'string') {
+      return { valid: false, error: `Field "${field}" must be a string` };
+    }
+
+    if (JSON.stringify(action[field]) !== JSON.stringify(value)) {
+      changes.push({ field, from: action[field] ?? null, to: value });
+    }
+  }
+
+  return { valid: true, changes };
+}
+
+/**
+ * Apply validated edits to a stored action preview
+ * Keeps a create/update consistent when only part of its time range is edited.
+ * @param {Object} action - Stored action preview
+ * @param {Object} [edits] - Validated field changes
+ * @returns {Object} Action to execute
+ */
+export function applyActionEdits(action, edits) {
+  if (!edits || Object.keys(edits).length === 0) {
+    return action;
+  }
+
+  const edited = { ...action, ...edits };
+
+  // A new duration without a new end time: let the create defaults recompute the end
+  if (edits.duration !== undefined && edits.endTime === undefined) {
+    delete edited.endTime;
+  }
+
+  // Moving the start without a new end: keep the previewed length
+  if (edits.startTime && edits.endTime === undefined && edits.duration === undefined && action.startTime && action.endTime) {
+    const length = new Date(action.endTime).getTime() - new Date(action.startTime).getTime();
+    edited.endTime = new Date(new Date(edits.startTime).getTime() + length).toISOString();
+  }
+
+  return edited;
+}
@@ -0,0 +1,334 @@
+import { db } from '../config/firebase.js';
+import { DEFAULT_TIME_ZONE, resolveTimeZone, getLocalDate, addDays, startOfLocalDay } from '../utils/timezone.js';
+
+/**
+ * Plans and usage quotas.
+ * Every metered request costs some units (ENDPOINT_COSTS); voice requests also use audio seconds
+ * and LLM tokens, which are known only once the request has run and are recorded afterwards.
+ * Each budget has a daily and a monthly window on the user's clock (their time zone, see getUserTimeZone).
+ * Usage and the user's plan are stored at users/{email}/configs/limits.
+ */
+
+const COLLECTION_USERS = 'users';
+const SUBCOLLECTION_CONFIGS = 'configs';
+const LIMITS_DOC_ID = 'limits';
+
+export const BUDGETS = ['units', 'audioSeconds', 'llmTokens'];
+export const WINDOWS = ['daily', 'monthly'];
+
+export const DEFAULT_PLAN = 'free';
+
+export const PLANS = {
+  free: {
+    name: 'Free',
+    daily: { units: 30, audioSeconds: 300, llmTokens: 200000 },
+    monthly: { units: 600, audioSeconds: 3600, llmTokens: 3000000 }
+  },
+  plus: {
+    name: 'Kalendra Plus',
+    daily: { units: 300, audioSeconds: 3600, llmTokens: 2000000 },
+    monthly: { units: 6000, audioSeconds: 36000, llmTokens: 30000000 }
+  },
+  team: {
+    name: 'Kalendra Team',
+    daily: { units: 1000, audioSeconds: 10800, llmTokens: 6000000 },
+    monthly: { units: 20000, audioSeconds: 120000, llmTokens: 100000000 }
+  }
+};
+
+// Units per request (method + path under /api). `audio` / `llm` requests are refused once that budget is spent.
+// Anything not listed costs DEFAULT_COST.
+const ENDPOINT_COSTS = {
+  'POST /voice/stream': { units: 3, audio: true, llm: true },
+  'POST /voice/command': { units: 3, audio: true, llm: true },
+  'POST /voice/widget': { units: 3, audio: true, llm: true },
+  'POST /voice/test': { units: 1, llm: true },
+  'POST /transcribe': { units: 1, audio: true },
+  'POST /voice/execute': { units: 1 },
+  'POST /voice/undo': { units: 1 },
+  'POST /calendar/import': { units: 5 }
+};
+const DEFAULT_COST = { units: 1 };
+
+// Before plans, the daily limit was a request count in `limit` (default 10); a raised value is kept as a units override
+const LEGACY_DEFAULT_LIMIT = 10;
+
+function limitsRef(email) {
+  return db
+    .collection(COLLECTION_USERS)
+    .doc(email)
+    .collection(SUBCOLLECTION_CONFIGS)
+    .doc(LIMITS_DOC_ID);
+}
+
+function currentWindows(timeZone, now = new Date()) {
+  const day = getLocalDate(now, timeZone); // YYYY-MM-DD
+  return { day, month: day.slice(0, 7) };
+}
+
+function emptyUsage() {
+  return Object.fromEntries(BUDGETS.map(budget => [budget, 0]));
+}
+
+/**
+ * Cost of a request
+ * @param {string} method - HTTP method
+ * @param {string} path - Path under /api (e.g. '/voice/stream')
+ * @returns {{units: number, audio?: boolean, llm?: boolean}}
+ */
+export function getRequestCost(method, path) {
+  return ENDPOINT_COSTS[`${method} ${path}`] || DEFAULT_COST;
+}
+
+/**
+ * Limits for a stored limits document: the plan's limits with the user's overrides on top
+ * @param {Object} data - users/{email}/configs/limits data
+ * @returns {{plan: string, daily: Object<string, number>, monthly: Object<string, number>}}
+ */
+function resolveLimits(data) {
+  const plan = PLANS[data.plan] ? data.plan : DEFAULT_PLAN;
+  const overrides = data.overrides || {};
+  const legacyUnits = !data.plan && data.limit && data.limit !== LEGACY_DEFAULT_LIMIT ? { units: data.limit } : {};
+
+  return {
+    plan,
+    daily: { ...PLANS[plan].daily, ...legacyUnits, ...overrides.daily },
+    monthly: { ...PLANS[plan].monthly, ...overrides.monthly }
+  };
+}
+
+/**
+ * Usage counters of a stored limits document, reset for windows that have passed
+ * A stored window later than the local one (the user moved west of where it started) is kept until
+ * it ends, so switching zones can't reset a quota early.
+ * @param {Object} data - users/{email}/configs/limits data
+ * @param {string} [timeZone] - User's time zone (default: the zone of the last metered request)
+ * @returns {{day: string, month: string, timeZone: string, daily: Object<string, number>, monthly: Object<string, number>}}
+ */
+function currentUsage(data, timeZone = data.timeZone) {
+  const zone = resolveTimeZone(timeZone);
+  const { day, month } = currentWindows(zone);
+  const sameDay = data.day >= day;
+  const sameMonth = data.month >= month;
+  return {
+    day: sameDay ? data.day : day,
+    month: sameMonth ? data.month : month,
+    timeZone: zone,
+    daily: sameDay ? { ...emptyUsage(), ...data.daily } : emptyUsage(),
+    monthly: sameMonth ? { ...emptyUsage(), ...data.monthly } : emptyUsage()
+  };
+}
+
+/**
+ * The first budget a request would exceed, if any
+ * @returns {{window: string, budget: string, used: number, limit: number}|null}
+ */
+function findExceeded(usage, limits, cost) {
+  for (const window of WINDOWS) {
+    const used = usage[window];
+    const limit = limits[window];
+    if (used.units + cost.units > limit.units) {
+      return { window, budget: 'units', used: used.units, limit: limit.units };
+    }
+    if (cost.audio && used.audioSeconds >= limit.audioSeconds) {
+      return { window, budget: 'audioSeconds', used: used.audioSeconds, limit: limit.audioSeconds };
+    }
+    if (cost.llm && used.llmTokens >= limit.llmTokens) {
+      return { window, budget: 'llmTokens', used: used.llmTokens, limit: limit.llmTokens };
+    }
+  }
+  return null;
+}
+
+/**
+ * When the current windows end: the user's next midnight and the start of their next month
+ * @param {{day: string, month: string, timeZone?: string}} usage - From currentUsage
+ * @returns {{daily: Date, monthly: Date}}
+ */
+export function getWindowResets({ day, month, timeZone = DEFAULT_TIME_ZONE }) {
+  const [year, monthNumber] = month.split('-').map(Number);
+  const nextMonth = new Date(Date.UTC(year, monthNumber, 1)).toISOString().slice(0, 10);
+  return {
+    daily: startOfLocalDay(addDays(day, 1), timeZone),
+    monthly: startOfLocalDay(nextMonth, timeZone)
+  };
+}
+
+/**
+ * The quota to report to clients (RateLimit-* headers, `usage` SSE event): the exceeded budget,
+ * or otherwise the units window with the fewest units left
+ * @param {{day: string, month: string, timeZone: string, daily: Object<string, number>, monthly: Object<string, number>}} usage - From currentUsage
+ * @param {{plan: string, daily: Object<string, number>, monthly: Object<string, number>}} limits
+ * @param {{window: string, budget: string, limit: number}|null} [exceeded]
+ * @returns {{plan: string, window: string, budget: string, used: number, limit: number, remaining: number, resetAt: string, resetSeconds: number}}
+ */
+export function getRateLimitStatus(usage, limits, exceeded = null) {
+  const resets = getWindowResets(usage);
+  const candidates = exceeded
+    ? [{ window: exceeded.window, budget: exceeded.budget, used: usage[exceeded.window][exceeded.budget], limit: exceeded.limit, remaining: 0 }]
+    : WINDOWS.map(window => ({
+      window,
+      budget: 'units',
+      used: usage[window].units,
+      limit: limits[window].units,
+      remaining: Math.max(0, limits[window].units - usage[window].units)
+    }));
+
+  // Ties go to the daily window, which resets sooner
+  const status = candidates.reduce((lowest, candidate) => candidate.remaining < lowest.remaining ? candidate : lowest);
+  const resetAt = resets[status.window];
+  return {
+    plan: limits.plan,
+    ...status,
+    resetAt: resetAt.toISOString(),
+    resetSeconds: Math.ceil((resetAt.getTime() - Date.now()) / 1000)
+  };
+}
+
+/**
+ * Check a request against the user's quota and, if it fits, count its units (atomically)
+ * @param {string} email - User email
+ * @param {string} userId - Provider user ID (stored on the user doc)
+ * @param {{units: number, audio?: boolean, llm?: boolean}} cost - From getRequestCost
+ * @param {string} [timeZone] - User's time zone, which the windows follow
+ * @returns {Promise<{allowed: boolean, plan: string, usage: Object, limits: Object, exceeded?: {window: string, budget: string, used: number, limit: number}}>}
+ */
+export async function consumeQuota(email, userId, cost, timeZone = DEFAULT_TIME_ZONE) {
+  const userDocRef = db.collection(COLLECTION_USERS).doc(email);
+  const ref = limitsRef(email);
+
+  return db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    const data = doc.exists ? doc.data() : {};
+    const limits = resolveLimits(data);
+    const usage = currentUsage(data, timeZone);
+
+    const exceeded = findExceeded(usage, limits, cost);
+    if (exceeded) {
+      return { allowed: false, plan: limits.plan, usage, limits, exceeded };
+    }
+
+    usage.daily.units += cost.units;
+    usage.monthly.units += cost.units;
+
+    transaction.set(userDocRef, {
+      email,
+      uid: userId
+    }, { merge: true });
+
+    transaction.set(ref, {
+      day: usage.day,
+      month: usage.month,
+      timeZone: usage.timeZone,
+      daily: usage.daily,
+      monthly: usage.monthly
+    }, { merge: true });
+
+    return { allowed: true, plan: limits.plan, usage, limits };
+  });
+}
+
+/**
+ * Add the audio seconds and LLM tokens a request used (after it ran)
+ * @param {string} email - User email
+ * @param {{audioSeconds?: number, llmTokens?: number}} consumption
+ * @param {string} [timeZone] - User's time zone (default: the zone of the last metered request)
+ * @returns {Promise<void>}
+ */
+export async function recordConsumption(email, { audioSeconds = 0, llmTokens = 0 }, timeZone) {
+  if (!audioSeconds && !llmTokens) {
+    return;
+  }
+
+  const ref = limitsRef(email);
+  await db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    const usage = currentUsage(doc.exists ? doc.data() : {}, timeZone);
+
+    for (const window of WINDOWS) {
+      usage[window].audioSeconds += audioSeconds;
+      usage[window].llmTokens += llmTokens;
+    }
+
+    transaction.set(ref, {
+      day: usage.day,
+      month: usage.month,
+      daily: usage.daily,
+      monthly: usage.monthly
+    }, { merge: true });
+  });
+}
+
+/**
+ * Count audio seconds / LLM tokens against the current request (recorded when the response ends)
+ * @param {import('express').Request} req - Request metered by authAndRateLimit
+ * @param {{audioSeconds?: number, llmTokens?: number}} consumption
+ */
+export function meterUsage(req, { audioSeconds = 0, llmTokens = 0 }) {
+  if (!req.usageMeter) {
+    return;
+  }
+  req.usageMeter.audioSeconds += audioSeconds || 0;
+  req.usageMeter.llmTokens += llmTokens || 0;
+}
+
+/**
+ * A user's plan, limits and usage in the current windows
+ * @param {string} email - User email
+ * @param {string} [timeZone] - User's time zone (default: the zone of the last metered request)
+ * @returns {Promise<{success: boolean, plan: string, overrides: Object, limits: Object, usage: Object, resets: {daily: string, monthly: string}}>}
+ */
+export async function getPlanUsage(email, timeZone) {
+  const doc = await limitsRef(email).get();
+  const data = doc.exists ? doc.data() : {};
+  const { plan, daily, monthly } = resolveLimits(data);
+  const usage = currentUsage(data, timeZone);
+  const resets = getWindowResets(usage);
+
+  return {
+    success: true,
+    plan,
+    overrides: data.overrides || {},
+    limits: { daily, monthly },
+    usage,
+    resets: { daily: resets.daily.toISOString(), monthly: resets.monthly.toISOString() }
+  };
+}
+
+/**
+ * Whether overrides look like { daily?: { units?, audioSeconds?, llmTokens? }, monthly?: {...} }
+ * @param {*} overrides
+ * @returns {boolean}
+ */
+export function isValidOverrides(overrides) {
+  if (overrides === null || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    return false;
+  }
+  return Object.entries(overrides).every(([window, values]) =>
+    WINDOWS.includes(window) &&
+    values !== null && typeof values === 'object' && !Array.isArray(values) &&
+    Object.entries(values).every(([budget, value]) =>
+      BUDGETS.includes(budget) && Number.isInteger(value) && value >= 0
+    )
+  );
+}
+
+/**
+ * Set a user's plan (and optionally replace their limit overrides)
+ * @param {string} email - User email
+ * @param {string} plan - One of PLANS
+ * @param {Object} [overrides] - Per-window limit overrides; null clears them, undefined keeps them
+ * @returns {Promise<{success: boolean, plan: string, overrides: Object, limits: Object, usage: Object}>}
+ */
+export async function setUserPlan(email, plan, overrides) {
+  const update = {
+    plan,
+    ...(overrides !== undefined ? { overrides: overrides || {} } : {}),
+    planUpdatedAt: new Date()
+  };
+  // mergeFields replaces `overrides` as a whole instead of merging it into the stored map
+  await limitsRef(email).set(update, { mergeFields: Object.keys(update) });
+
+  console.log(`💳 Plan for ${email} set to ${plan}`);
+  return getPlanUsage(email);
+}
@@ -0,0 +1,223 @@
+import crypto from 'crypto';
+import { getProvider } from '../providers/index.js';
+
+/**
+ * Cache of token verification results (provider getUserInfo), so authenticated requests don't
+ * pay a tokeninfo / Graph /me / PROPFIND round trip every time.
+ * Entries are keyed by a hash of the token and live for TOKEN_CACHE_TTL_SECONDS, or until the
+ * token expires if that is sooner. Only successful verifications are cached. The store is an
+ * in-memory LRU, or Redis when REDIS_URL is set (shared between Cloud Run instances).
+ * The per-user data the auth middleware reads next (stored OAuth tokens, profile time zone) is cached
+ * here too, for the same TTL but always in memory: stored tokens are secrets and stay out of Redis.
+ */
+
+const TTL_MS = (Number(process.env.TOKEN_CACHE_TTL_SECONDS) || 300) * 1000;
+const MAX_ENTRIES = Number(process.env.TOKEN_CACHE_MAX_ENTRIES) || 5000;
+const EXPIRY_SKEW_MS = 30 * 1000; // Stop trusting a cached token 30 seconds before it expires
+const REDIS_KEY_PREFIX = 'token-verification:';
+
+/**
+ * @typedef {Object} CacheStore
+ * @property {string} name
+ * @property {(key: string) => Promise<Object|null>} get
+ * @property {(key: string, value: Object, ttlMs: number) => Promise<void>} set
+ * @property {(key: string) => Promise<void>} delete
+ * @property {() => number|null} size - Number of entries, when the store knows it cheaply
+ */
+
+/**
+ * In-memory LRU store with per-entry expiry
+ * @param {number} maxEntries
+ * @returns {CacheStore}
+ */
+function createMemoryStore(maxEntries) {
+  // Map iteration order is insertion order, so the first key is the least recently used
+  const entries = new Map();
+
+  return {
+    name: 'memory',
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) {
+        return null;
+      }
+      entries.delete(key);
+      if (entry.expiresAt <= Date.now()) {
+        return null;
+      }
+      entries.set(key, entry);
+      return entry.value;
+    },
+    async set(key, value, ttlMs) {
+      entries.delete(key);
+      while (entries.size >= maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+    size: () => entries.size
+  };
+}
+
+/**
+ * Redis store (the `redis` client is only loaded when REDIS_URL is set)
+ * @param {string} url - Redis URL
+ * @returns {CacheStore}
+ */
+function createRedisStore(url) {
+  let clientPromise = null;
+
+  // Commands fail fast while Redis is unreachable (no offline queue), so lookups fall back to the provider
+  const getClient = () => {
+    if (!clientPromise) {
+      clientPromise = import('redis').then(({ createClient }) => {
+        const client = createClient({ url, disableOfflineQueue: true });
+        client.on('error', (error) => console.error('⚠️ Redis error:', error.message));
+        client.connect()
+          .then(() => console.log('✅ Token cache connected to Redis'))
+          .catch((error) => console.error('⚠️ Redis connection failed:', error.message));
+        return client;
+      });
+    }
+    return clientPromise;
+  };
+
+  return {
+    name: 'redis',
+    async get(key) {
+      const value = await (await getClient()).get(REDIS_KEY_PREFIX + key);
+      return value ? JSON.parse(value) : null;
+    },
+    async set(key, value, ttlMs) {
+      await (await getClient()).set(REDIS_KEY_PREFIX + key, JSON.stringify(value), { PX: ttlMs });
+    },
+    async delete(key) {
+      await (await getClient()).del(REDIS_KEY_PREFIX + key);
+    },
+    size: () => null
+  };
+}
+
+const store = process.env.REDIS_URL
+  ? createRedisStore(process.env.REDIS_URL)
+  : createMemoryStore(MAX_ENTRIES);
+
+const userDataStore = createMemoryStore(MAX_ENTRIES);
+
+// provider ID -> { hits, misses, errors }
+const metrics = new Map();
+
+function countMetric(providerId, name) {
+  if (!metrics.has(providerId)) {
+    metrics.set(providerId, { hits: 0, misses: 0, errors: 0 });
+  }
+  metrics.get(providerId)[name] += 1;
+}
+
+function cacheKey(providerId, token) {
+  // CalDAV "tokens" are credential objects
+  const raw = typeof token === 'string' ? token : JSON.stringify(token);
+  return crypto.createHash('sha256').update(`${providerId}:${raw}`).digest('hex');
+}
+
+/**
+ * Verify a provider token, using the cache when possible
+ * @param {string} providerId - Provider ID ('google' | 'outlook' | 'caldav')
+ * @param {*} token - The provider's token, as read from the request headers
+ * @returns {Promise<{success: boolean, email?: string, userId?: string, cached?: boolean, error?: string}>}
+ */
+export async function verifyToken(providerId, token) {
+  const provider = getProvider(providerId);
+  if (!provider || !token) {
+    return { success: false, error: `Missing ${providerId} token` };
+  }
+
+  const key = cacheKey(providerId, token);
+  try {
+    const cached = await store.get(key);
+    if (cached) {
+      countMetric(providerId, 'hits');
+      return { success: true, email: cached.email, userId: cached.userId, cached: true };
+    }
+  } catch (error) {
+    // A cache outage shouldn't block requests; verify with the provider instead
+    countMetric(providerId, 'errors');
+    console.warn('⚠️ Token cache read failed:', error.message);
+  }
+
+  countMetric(providerId, 'misses');
+  const result = await provider.calendar.getUserInfo(token);
+  if (!result.success) {
+    return result;
+  }
+
+  const expiresIn = result.expiresAt ? new Date(result.expiresAt).getTime() - Date.now() - EXPIRY_SKEW_MS : Infinity;
+  const ttlMs = Math.min(TTL_MS, expiresIn);
+  if (ttlMs > 0) {
+    try {
+      await store.set(key, { email: result.email, userId: result.userId || null }, ttlMs);
+    } catch (error) {
+      countMetric(providerId, 'errors');
+      console.warn('⚠️ Token cache write failed:', error.message);
+    }
+  }
+
+  return { success: true, email: result.email, userId: result.userId, cached: false };
+}
+
+/**
+ * Per-user data read on every request, cached for TOKEN_CACHE_TTL_SECONDS (in memory only)
+ * @param {string} name - What is cached, e.g. 'storedTokens'
+ * @param {string} email - User email
+ * @param {() => Promise<*>} load - Reads the value on a miss
+ * @param {(value: *) => number} [ttlFor] - Shorter lifetime in ms for a value (e.g. until a token in it expires)
+ * @returns {Promise<*>}
+ */
+export async function getCachedUserData(name, email, load, ttlFor = null) {
+  const key = `${name}:${email}`;
+  const cached = await userDataStore.get(key);
+  if (cached) {
+    return cached.value;
+  }
+
+  const value = await load();
+  const ttlMs = Math.min(TTL_MS, ttlFor ? ttlFor(value) : Infinity);
+  if (ttlMs > 0) {
+    await userDataStore.set(key, { value }, ttlMs);
+  }
+  return value;
+}
+
+/**
+ * Drop cached per-user data after it changed (credentials stored or revoked, profile saved)
+ * @param {string} name - As passed to getCachedUserData
+ * @param {string} email - User email
+ */
+export async function invalidateUserData(name, email) {
+  await userDataStore.delete(`${name}:${email}`);
+}
+
+/**
+ * Hit/miss counters since the process started, overall and per provider
+ * @returns {{store: string, size: number|null, ttlSeconds: number, hits: number, misses: number, errors: number, hitRate: number|null, providers: Object<string, {hits: number, misses: number, errors: number}>}}
+ */
+export function getTokenCacheMetrics() {
+  const providers = Object.fromEntries(metrics);
+  const totals = [...metrics.values()].reduce(
+    (sum, counts) => ({ hits: sum.hits + counts.hits, misses: sum.misses + counts.misses, errors: sum.errors + counts.errors }),
+    { hits: 0, misses: 0, errors: 0 }
+  );
+  const lookups = totals.hits + totals.misses;
+
+  return {
+    store: store.name,
+    size: store.size(),
+    ttlSeconds: TTL_MS / 1000,
+    ...totals,
+    hitRate: lookups > 0 ? Math.round((totals.hits / lookups) * 1000) / 1000 : null,
+    providers
+  };
+}
@@ -0,0 +1,81 @@
+import { getEvents, listCalendars, createEvent, updateEvent, deleteEvent, getTasks, createTask, updateTask, deleteTask } from './calendarService.js';
+import { undoAction } from './undoService.js';
+import { findFreeSlots } from './availabilityService.js';
+
+/**
+ * Shared dispatcher for the assistant's tool calls.
+ * Used by the voice routes (OpenAI tool calls) and the MCP server (tools/call requests)
+ * so both surfaces run the exact same calendarService operations.
+ */
+
+// Tools that only read data - safe to run without user confirmation
+export const READ_ONLY_TOOLS = ['list_calendar_events', 'list_calendars', 'list_tasks', 'find_free_slots'];
+
+// Tools that change calendar/task data - must be previewed and confirmed via /api/voice/execute
+export const MUTATING_TOOLS = [
+  'create_calendar_event',
+  'update_calendar_event',
+  'delete_calendar_event',
+  'create_task',
+  'update_task',
+  'delete_task',
+  'undo_last_action'
+];
+
+/**
+ * Execute a tool by name with already-parsed arguments
+ * @param {string} name - Tool name (see `tools` in llmService.js)
+ * @param {Object} params - Tool arguments
+ * @param {Object<string, *>} tokens - Access tokens (or credentials) keyed by provider ID
+ * @param {string} primaryCalendar - Primary calendar ('google' | 'outlook' | 'caldav'), used when params.calendar is missing
+ * @param {string} [userEmail] - User email for profile lookup
+ * @returns {Promise<{success: boolean, error?: string}>} calendarService result
+ */
+export async function runTool(name, params, tokens, primaryCalendar, userEmail = null) {
+  console.log(`Executing tool: ${name} with params:`, params);
+
+  // Calendar is required in mutating tool calls; fall back to the primary calendar otherwise
+  const calendar = params.calendar || primaryCalendar;
+
+  // Remove calendar from params before passing to service functions
+  const { calendar: _, ...serviceParams } = params;
+
+  switch (name) {
+    case 'list_calendar_events':
+      return await getEvents(tokens, calendar, serviceParams, userEmail);
+
+    case 'list_calendars':
+      return await listCalendars(tokens, userEmail);
+
+    case 'list_tasks':
+      return await getTasks(tokens, calendar, serviceParams, userEmail);
+
+    case 'find_free_slots':
+      return await findFreeSlots(tokens, calendar, serviceParams, userEmail);
+
+    case 'create_calendar_event':
+      return await createEvent(tokens, calendar, serviceParams);
+
+    case 'update_calendar_event':
+      return await updateEvent(tokens, calendar, serviceParams.eventId, serviceParams);
+
+    case 'delete_calendar_event':
+      return await deleteEvent(tokens, calendar, serviceParams.eventId, { scope: serviceParams.scope, calendarId: serviceParams.calendarId });
+
+    case 'create_task':
+      return await createTask(tokens, calendar, serviceParams);
+
+    case 'update_task':
+      return await updateTask(tokens, calendar, serviceParams.taskId, serviceParams);
+
+    case 'delete_task':
+      return await deleteTask(tokens, calendar, serviceParams.taskId);
+
+    case 'undo_last_action':
+      // undoId is attached to the preview in the voice routes; MCP clients undo the latest action
+      return await undoAction(userEmail, serviceParams.undoId || null, tokens);
+
+    default:
+      return { success: false, error: `Unknown tool: ${name}` };
+  }
+}
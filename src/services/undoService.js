@@ -0,0 +1,297 @@
+import crypto from 'crypto';
+import { db } from '../config/firebase.js';
+import { createEvent, updateEvent, deleteEvent, createTask, updateTask, deleteTask } from './calendarService.js';
+
+/**
+ * Undo history for executed actions.
+ * Every successful create/update/delete is stored with its inverse operation under
+ * users/{email}/actionHistory/{id} (one entry per /execute call or MCP tool call).
+ * Undoing an entry applies its inverses in reverse order, on the calendar each action ran on.
+ */
+
+const COLLECTION_USERS = 'users';
+const SUBCOLLECTION_ACTION_HISTORY = 'actionHistory';
+const UNDO_LOOKBACK = 10; // How many recent entries to scan for one that can still be undone
+
+function historyCollection(email) {
+  return db
+    .collection(COLLECTION_USERS)
+    .doc(email)
+    .collection(SUBCOLLECTION_ACTION_HISTORY);
+}
+
+// Outlook returns offset-less UTC date-times (e.g. "2025-01-10T09:00:00.0000000")
+function withUtcSuffix(dateTime) {
+  if (!dateTime || /([zZ]|[+-]\d{2}:\d{2})$/.test(dateTime)) {
+    return dateTime;
+  }
+  return `${dateTime}Z`;
+}
+
+// All-day events only carry dates (end exclusive); they are restored as all-day events
+function eventTimeFields(event) {
+  if (event.start?.date) {
+    return { startTime: event.start.date, endTime: event.end?.date, allDay: true };
+  }
+  return {
+    startTime: event.start?.dateTime,
+    endTime: event.end?.dateTime,
+    timeZone: event.start?.timeZone || 'UTC'
+  };
+}
+
+function attendeeList(event) {
+  return (event.attendees || [])
+    .filter(attendee => attendee.email)
+    .map(attendee => ({ email: attendee.email, displayName: attendee.displayName }));
+}
+
+/**
+ * Build the operation that reverts an executed action
+ * @param {Object} action - Executed action ({ type, calendar, ...params })
+ * @param {Object} result - calendarService result of the action
+ * @returns {{inverse: Object, description: string}|null} Inverse action (same shape as a tool action) or null if it can't be undone
+ */
+export function buildInverseAction(action, result) {
+  const calendar = action.calendar;
+
+  switch (action.type) {
+    case 'create_calendar_event':
+      if (!result.event?.id) return null;
+      return {
+        // For a recurring event this is the series master, so the whole series is removed
+        inverse: { type: 'delete_calendar_event', calendar, calendarId: action.calendarId, eventId: result.event.id },
+        description: `remove the meeting "${result.event.summary || action.summary}"`
+      };
+
+    case 'update_calendar_event': {
+      const previous = result.previousEvent;
+      // Splitting a series ("this and following") can't be reverted with a single update
+      if (!previous || result.scope === 'following') return null;
+      return {
+        inverse: {
+          type: 'update_calendar_event',
+          calendar,
+          calendarId: action.calendarId,
+          eventId: result.scope === 'all' ? previous.id : action.eventId,
+          summary: previous.summary || '',
+          description: previous.description || '',
+          ...eventTimeFields(previous),
+          attendees: attendeeList(previous)
+        },
+        description: `revert the changes to "${previous.summary}"`
+      };
+    }
+
+    case 'delete_calendar_event': {
+      const deleted = result.event;
+      if (!deleted || result.scope === 'following') return null;
+      return {
+        inverse: {
+          type: 'create_calendar_event',
+          calendar,
+          calendarId: action.calendarId,
+          summary: deleted.summary || '',
+          description: deleted.description || '',
+          ...eventTimeFields(deleted),
+          attendees: attendeeList(deleted),
+          // A deleted series is recreated with its rule
+          recurrence: deleted.recurrence?.find(line => /^RRULE:/i.test(line))
+        },
+        description: `restore the meeting "${deleted.summary}"`
+      };
+    }
+
+    case 'create_task':
+      if (!result.task?.id) return null;
+      return {
+        inverse: { type: 'delete_task', calendar, taskId: result.task.id },
+        description: `remove the task "${result.task.title || action.title}"`
+      };
+
+    case 'update_task': {
+      const previous = result.previousTask;
+      if (!previous) return null;
+      return {
+        inverse: {
+          type: 'update_task',
+          calendar,
+          taskId: action.taskId,
+          title: previous.title || '',
+          notes: previous.notes || '',
+          due: withUtcSuffix(previous.due) || '' // Empty string clears a due date the update added
+        },
+        description: `revert the changes to the task "${previous.title}"`
+      };
+    }
+
+    case 'delete_task': {
+      const deleted = result.task;
+      if (!deleted) return null;
+      return {
+        inverse: {
+          type: 'create_task',
+          calendar,
+          title: deleted.title || '',
+          notes: deleted.notes || '',
+          due: withUtcSuffix(deleted.due) || undefined
+        },
+        description: `restore the task "${deleted.title}"`
+      };
+    }
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Record executed actions so they can be undone later
+ * @param {string} email - User email
+ * @param {Array<{action: Object, result: Object}>} executed - Successfully executed actions, in execution order
+ * @param {Object} [metadata] - Extra audit info (endpoint, request_id, pending_action_id)
+ * @returns {Promise<string|null>} History entry ID, or null when nothing could be undone
+ */
+export async function recordExecutedActions(email, executed, metadata = {}) {
+  const operations = executed
+    .map(({ action, result }) => {
+      const inverse = buildInverseAction(action, result);
+      return inverse && { type: action.type, calendar: action.calendar, ...inverse };
+    })
+    .filter(Boolean);
+
+  if (operations.length === 0) {
+    return null;
+  }
+
+  const id = crypto.randomUUID();
+  await historyCollection(email).doc(id).set({
+    email,
+    operations: JSON.parse(JSON.stringify(operations)),
+    status: 'executed',
+    metadata: JSON.parse(JSON.stringify(metadata)),
+    executedAt: new Date()
+  });
+
+  return id;
+}
+
+/**
+ * Find the most recent history entry that hasn't been undone yet
+ * @param {string} email - User email
+ * @returns {Promise<{id: string, operations: Array, description: string}|null>}
+ */
+export async function getLastUndoableAction(email) {
+  const snapshot = await historyCollection(email)
+    .orderBy('executedAt', 'desc')
+    .limit(UNDO_LOOKBACK)
+    .get();
+
+  const doc = snapshot.docs.find(entry => entry.data().status === 'executed');
+  if (!doc) {
+    return null;
+  }
+
+  const { operations } = doc.data();
+  return {
+    id: doc.id,
+    operations,
+    description: operations.map(operation => operation.description).join(' and ')
+  };
+}
+
+// Apply one inverse operation through calendarService
+async function applyInverse(inverse, tokens) {
+  const { type, calendar, ...params } = inverse;
+
+  switch (type) {
+    case 'create_calendar_event':
+      return await createEvent(tokens, calendar, params);
+    case 'update_calendar_event':
+      return await updateEvent(tokens, calendar, params.eventId, params);
+    case 'delete_calendar_event':
+      return await deleteEvent(tokens, calendar, params.eventId, { calendarId: params.calendarId });
+    case 'create_task':
+      return await createTask(tokens, calendar, params);
+    case 'update_task':
+      return await updateTask(tokens, calendar, params.taskId, params);
+    case 'delete_task':
+      return await deleteTask(tokens, calendar, params.taskId);
+    default:
+      return { success: false, error: `Cannot undo ${type}` };
+  }
+}
+
+/**
+ * Undo a history entry (a specific one, or the most recent undoable one)
+ * @param {string} email - User email
+ * @param {string|null} historyId - History entry ID, or null for the last action
+ * @param {Object<string, *>} tokens - Access tokens (or credentials) keyed by provider ID
+ * @returns {Promise<{success: boolean, response?: string, results?: Array, error?: string, status?: number}>}
+ */
+export async function undoAction(email, historyId, tokens) {
+  if (!email) {
+    return { success: false, error: 'User email is required to undo actions', status: 400 };
+  }
+
+  let id = historyId;
+  if (!id) {
+    const last = await getLastUndoableAction(email);
+    if (!last) {
+      return { success: false, error: 'Nothing to undo', status: 404 };
+    }
+    id = last.id;
+  }
+
+  // Claim the entry so the same action can't be reverted twice
+  const ref = historyCollection(email).doc(id);
+  const claim = await db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    if (!doc.exists || doc.data().email !== email) {
+      return { success: false, error: 'Action not found', status: 404 };
+    }
+    if (doc.data().status !== 'executed') {
+      return { success: false, error: 'That action was already undone', status: 409 };
+    }
+    transaction.update(ref, { status: 'undoing' });
+    return { success: true, operations: doc.data().operations };
+  });
+
+  if (!claim.success) {
+    return claim;
+  }
+
+  // Revert in reverse order of execution
+  const results = [];
+  for (const operation of [...claim.operations].reverse()) {
+    let result;
+    try {
+      result = await applyInverse(operation.inverse, tokens);
+    } catch (error) {
+      console.error(`Undo ${operation.type} error:`, error);
+      result = { success: false, error: error.message };
+    }
+    results.push({ type: operation.type, description: operation.description, success: result.success, error: result.error });
+  }
+
+  const failed = results.filter(result => !result.success).length;
+  await ref.set({
+    status: failed === 0 ? 'undone' : 'undo_failed',
+    undoResults: JSON.parse(JSON.stringify(results)),
+    undoneAt: new Date()
+  }, { merge: true });
+
+  if (failed > 0) {
+    return {
+      success: false,
+      error: failed === results.length ? 'Could not undo the last action' : 'Only part of the last action could be undone',
+      results
+    };
+  }
+
+  return {
+    success: true,
+    response: 'Undone',
+    results
+  };
+}
@@ -1,34 +1,25 @@
-import OpenAI from "openai";
 import { fileTypeFromBuffer } from "file-type";
-
-
-
-let openai = null;
-
-function getOpenAI() {
-  if (!openai) {
-    const apiKey = process.env.OPENAI_API_KEY;
-    
-    if (!apiKey || apiKey === 'your_openai_api_key_here') {
-      console.error('⚠️  OPENAI_API_KEY not configured or using placeholder value');
-      throw new Error('OpenAI API key not configured');
-    }
-    
-    try {
-      openai = new OpenAI({ apiKey });
-      console.log('✅ OpenAI GPT-4o Transcribe service initialized successfully');
-    } catch (error) {
-      console.error('❌ Failed to initialize OpenAI service:', error.message);
-      throw error;
-    }
+import { transcribe } from "../providers/llm.js";
+
+// Assumed bitrate when the API doesn't report the audio duration (64 kbps, typical for voice recordings)
+const ESTIMATED_BYTES_PER_SECOND = 8000;
+
+/**
+ * Length of the transcribed audio in seconds
+ * Some backends report it (whisper-1 does); otherwise it is estimated from the file size.
+ * @param {number} [reportedSeconds] - Duration reported by the transcription provider
+ * @param {Buffer} audioBuffer - Audio file
+ * @returns {number}
+ */
+function getAudioSeconds(reportedSeconds, audioBuffer) {
+  if (reportedSeconds) {
+    return Math.ceil(reportedSeconds);
   }
-  return openai;
+  return Math.max(1, Math.ceil(audioBuffer.length / ESTIMATED_BYTES_PER_SECOND));
 }
 
-
+// Transcribe with the providers configured in providers/llm.js (TRANSCRIPTION_PROVIDERS, with failover)
 export async function transcribeAudio(audioBuffer, originalFilename = "audio.m4a") {
-  const client = getOpenAI();
-
   try {
     const detected = await fileTypeFromBuffer(audioBuffer);
     const ext = detected?.ext || "m4a";
@@ -41,18 +32,16 @@ export async function transcribeAudio(audioBuffer, originalFilename = "audio.m4a
     // ✅ Create in-memory File-like object
     const file = new File([audioBuffer], `audio.${ext}`, { type: mime });
 
-    // ✅ Call OpenAI transcription API
-    const transcription = await client.audio.transcriptions.create({
-      file,
-      model: process.env.TRANSCRIPTION_MODEL,
-      service_tier:"priority",
-      language: "en",
-    });
+    const transcription = await transcribe({ file, language: "en" });
+    if (!transcription.success) {
+      console.error("❌ Transcribe error:", transcription.error);
+      return { success: false, error: transcription.error };
+    }
 
     console.log("✅ Transcribed:", transcription.text);
-    return { success: true, text: transcription.text };
+    return { success: true, text: transcription.text, audioSeconds: getAudioSeconds(transcription.seconds, audioBuffer) };
   } catch (error) {
     console.error("❌ Transcribe error:", error.message);
     return { success: false, error: error.message };
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,332 @@
+import { resolveTimeZone, getLocalDate, addDays, startOfLocalDay, formatIsoWithOffset, zonedTimeToUtc } from './timezone.js';
+
+/**
+ * Deterministic resolution of relative date phrases ("tomorrow", "next week", "last month",
+ * "this Friday", "in 3 days", "March 5th", ...) on the user's clock, and validation of the ISO
+ * date arguments the model passes to tools.
+ * Resolved ranges are added to the user's message before it reaches the LLM (annotateMessage),
+ * so the model copies ranges instead of computing offsets itself. Ranges are [start, end): end
+ * is the first instant after the range. Weeks start on Monday.
+ */
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+const MONTH_PATTERN = '(january|february|march|april|may|june|july|august|september|october|november|december|jan|feb|mar|apr|jun|jul|aug|sept?|oct|nov|dec)';
+const NUMBER_WORDS = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12 };
+const COUNT_PATTERN = `(\\d{1,3}|${Object.keys(NUMBER_WORDS).join('|')})`;
+
+// Hours covered by a part of the day
+const DAY_PARTS = {
+  morning: [6, 12],
+  afternoon: [12, 17],
+  evening: [17, 21],
+  night: [18, 24]
+};
+
+// Tool arguments holding dates, and whether a plain date (YYYY-MM-DD) is allowed there
+const DATE_ARGUMENTS = {
+  list_calendar_events: { timeMin: 'rangeStart', timeMax: 'rangeEnd' },
+  list_tasks: { timeMin: 'rangeStart', timeMax: 'rangeEnd' },
+  find_free_slots: { timeMin: 'rangeStart', timeMax: 'rangeEnd' },
+  create_calendar_event: { startTime: 'dateTime', endTime: 'dateTime' },
+  update_calendar_event: { startTime: 'dateTime', endTime: 'dateTime' },
+  create_task: { due: 'dateOrDateTime' },
+  update_task: { due: 'dateOrDateTime' }
+};
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const DATE_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?([zZ]|[+-]\d{2}:?\d{2})?$/;
+const HAS_OFFSET = /([zZ]|[+-]\d{2}:?\d{2})$/;
+
+function toCount(value) {
+  return NUMBER_WORDS[value] || Number(value);
+}
+
+function monthIndex(name) {
+  return MONTHS.findIndex(month => month.startsWith(name.slice(0, 3)));
+}
+
+// Weekday (0 = Sunday) of a calendar date
+function weekdayOf(date) {
+  return new Date(`${date}T00:00:00Z`).getUTCDay();
+}
+
+// Monday of the week containing a date
+function startOfWeek(date) {
+  return addDays(date, -((weekdayOf(date) + 6) % 7));
+}
+
+function startOfMonth(date, monthOffset = 0) {
+  const [year, month] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1 + monthOffset, 1)).toISOString().slice(0, 10);
+}
+
+// Range of whole days [from, to)
+function days(from, to) {
+  return { startDate: from, endDate: to };
+}
+
+// Range of hours within one day
+function hours(date, [fromHour, toHour]) {
+  return { startDate: date, startMinutes: fromHour * 60, endDate: date, endMinutes: toHour * 60 };
+}
+
+// Phrase rules, most specific first; `resolve` gets the regex match and today's local date
+const RULES = [
+  {
+    pattern: /\b(the )?day after tomorrow\b/,
+    resolve: (match, today) => days(addDays(today, 2), addDays(today, 3))
+  },
+  {
+    pattern: /\b(the )?day before yesterday\b/,
+    resolve: (match, today) => days(addDays(today, -2), addDays(today, -1))
+  },
+  {
+    pattern: /\b(tomorrow|yesterday) (morning|afternoon|evening|night)\b/,
+    resolve: (match, today) => hours(addDays(today, match[1] === 'tomorrow' ? 1 : -1), DAY_PARTS[match[2]])
+  },
+  {
+    pattern: /\b(this (morning|afternoon|evening)|tonight)\b/,
+    resolve: (match, today) => hours(today, DAY_PARTS[match[2] || 'night'])
+  },
+  {
+    pattern: /\b(today|tomorrow|yesterday)\b/,
+    resolve: (match, today) => {
+      const offset = { today: 0, tomorrow: 1, yesterday: -1 }[match[1]];
+      return days(addDays(today, offset), addDays(today, offset + 1));
+    }
+  },
+  {
+    pattern: /\b(this|next|last) weekend\b/,
+    resolve: (match, today) => {
+      const saturday = addDays(startOfWeek(today), 5 + { this: 0, next: 7, last: -7 }[match[1]]);
+      return days(saturday, addDays(saturday, 2));
+    }
+  },
+  {
+    pattern: /\bweekend\b/,
+    resolve: (match, today) => {
+      const saturday = addDays(startOfWeek(today), 5);
+      return days(saturday, addDays(saturday, 2));
+    }
+  },
+  {
+    pattern: new RegExp(`\\b(next|past|last|coming) ${COUNT_PATTERN} (days?|weeks?)\\b`),
+    resolve: (match, today) => {
+      const length = toCount(match[2]) * (match[3].startsWith('week') ? 7 : 1);
+      return ['next', 'coming'].includes(match[1])
+        ? days(today, addDays(today, length))
+        : days(addDays(today, -length), addDays(today, 1));
+    }
+  },
+  {
+    pattern: /\b(this|next|last|rest of the|rest of this) (week|month|year)\b/,
+    resolve: (match, today) => {
+      const shift = { this: 0, next: 1, last: -1 }[match[1]] || 0;
+      const rest = match[1].startsWith('rest');
+      if (match[2] === 'week') {
+        const monday = addDays(startOfWeek(today), shift * 7);
+        return days(rest ? today : monday, addDays(monday, 7));
+      }
+      if (match[2] === 'month') {
+        return days(rest ? today : startOfMonth(today, shift), startOfMonth(today, shift + 1));
+      }
+      const year = Number(today.slice(0, 4)) + shift;
+      return days(rest ? today : `${year}-01-01`, `${year + 1}-01-01`);
+    }
+  },
+  {
+    pattern: new RegExp(`\\bin ${COUNT_PATTERN} (days?|weeks?)\\b`),
+    resolve: (match, today) => {
+      const date = addDays(today, toCount(match[1]) * (match[2].startsWith('week') ? 7 : 1));
+      return days(date, addDays(date, 1));
+    }
+  },
+  {
+    pattern: new RegExp(`\\b${COUNT_PATTERN} (days?|weeks?) ago\\b`),
+    resolve: (match, today) => {
+      const date = addDays(today, -toCount(match[1]) * (match[2].startsWith('week') ? 7 : 1));
+      return days(date, addDays(date, 1));
+    }
+  },
+  {
+    // "this Friday" = in the current week, "next Friday" = in next week, "last Friday" = most recent before today,
+    // "Friday" / "on Friday" = the next one from today (today included)
+    pattern: /\b(this|next|last|on)? ?(sunday|monday|tuesday|wednesday|thursday|friday|saturday)\b/,
+    resolve: (match, today) => {
+      const target = WEEKDAYS.indexOf(match[2]);
+      const mondayIndex = (target + 6) % 7;
+      let date;
+      if (match[1] === 'this') {
+        date = addDays(startOfWeek(today), mondayIndex);
+      } else if (match[1] === 'next') {
+        date = addDays(startOfWeek(today), 7 + mondayIndex);
+      } else if (match[1] === 'last') {
+        date = addDays(today, -(((weekdayOf(today) - target + 6) % 7) + 1));
+      } else {
+        date = addDays(today, (target - weekdayOf(today) + 7) % 7);
+      }
+      return days(date, addDays(date, 1));
+    }
+  },
+  {
+    pattern: new RegExp(`\\b${MONTH_PATTERN}\\.? (\\d{1,2})(st|nd|rd|th)?(,? (\\d{4}))?\\b`),
+    resolve: (match, today) => calendarDate(today, monthIndex(match[1]), Number(match[2]), match[5])
+  },
+  {
+    pattern: new RegExp(`\\b(\\d{1,2})(st|nd|rd|th)? (of )?${MONTH_PATTERN}(,? (\\d{4}))?\\b`),
+    resolve: (match, today) => calendarDate(today, monthIndex(match[4]), Number(match[1]), match[6])
+  }
+];
+
+// A month/day without a year is the next one from today (this year's if it hasn't passed)
+function calendarDate(today, month, day, year) {
+  const thisYear = Number(today.slice(0, 4));
+  const candidate = (y) => new Date(Date.UTC(y, month, day)).toISOString().slice(0, 10);
+  if (month < 0 || day < 1 || day > 31 || new Date(Date.UTC(thisYear, month, day)).getUTCMonth() !== month) {
+    return null;
+  }
+  let date = candidate(year ? Number(year) : thisYear);
+  if (!year && date < today) {
+    date = candidate(thisYear + 1);
+  }
+  return days(date, addDays(date, 1));
+}
+
+// YYYY-MM-DD or an ISO 8601 date-time (with or without offset) that parses
+function isIsoDate(value) {
+  if (typeof value !== 'string' || (!DATE_ONLY.test(value) && !DATE_TIME.test(value))) {
+    return false;
+  }
+  return !isNaN(new Date(DATE_ONLY.test(value) ? `${value}T00:00:00Z` : value).getTime());
+}
+
+function toInstant(date, minutes, timeZone) {
+  if (minutes === undefined) {
+    return startOfLocalDay(date, timeZone);
+  }
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(zonedTimeToUtc(timeZone, year, month - 1, day, minutes));
+}
+
+/**
+ * Find relative date phrases in a message and resolve them on the user's clock
+ * @param {string} text - User message
+ * @param {string} [timeZone] - User's IANA time zone (default: UTC)
+ * @param {Date} [now]
+ * @returns {Array<{phrase: string, start: string, end: string}>} In message order; start/end are ISO 8601
+ *   with the user's UTC offset, end exclusive
+ */
+export function resolveDatePhrases(text, timeZone, now = new Date()) {
+  if (typeof text !== 'string' || !text) {
+    return [];
+  }
+
+  const zone = resolveTimeZone(timeZone);
+  const today = getLocalDate(now, zone);
+  const lower = text.toLowerCase();
+  const taken = [];
+  const resolved = [];
+
+  for (const rule of RULES) {
+    const pattern = new RegExp(rule.pattern.source, 'g');
+    for (const match of lower.matchAll(pattern)) {
+      const from = match.index;
+      const to = from + match[0].length;
+      if (taken.some(([start, end]) => from < end && to > start)) {
+        continue;
+      }
+      const range = rule.resolve(match, today);
+      if (!range) {
+        continue;
+      }
+      taken.push([from, to]);
+      resolved.push({
+        index: from,
+        phrase: text.slice(from, to).trim(),
+        start: formatIsoWithOffset(toInstant(range.startDate, range.startMinutes, zone), zone),
+        end: formatIsoWithOffset(toInstant(range.endDate, range.endMinutes, zone), zone)
+      });
+    }
+  }
+
+  return resolved
+    .sort((a, b) => a.index - b.index)
+    .map(({ phrase, start, end }) => ({ phrase, start, end }));
+}
+
+/**
+ * The message with a note of its resolved date phrases appended (unchanged if there are none)
+ * @param {string} text - User message
+ * @param {string} [timeZone] - User's IANA time zone (default: UTC)
+ * @param {Date} [now]
+ * @returns {string}
+ */
+export function annotateMessage(text, timeZone, now = new Date()) {
+  const phrases = resolveDatePhrases(text, timeZone, now);
+  if (phrases.length === 0) {
+    return text;
+  }
+  const ranges = phrases.map(({ phrase, start, end }) => `"${phrase}" = ${start} to ${end}`);
+  return `${text}\n\n[Resolved dates (${resolveTimeZone(timeZone)}, end exclusive): ${ranges.join('; ')}]`;
+}
+
+/**
+ * Check (and where unambiguous, correct) the date arguments of a tool call
+ * Date-times must carry a UTC offset; a plain date as timeMin/timeMax becomes the start/end of that day
+ * on the user's clock.
+ * @param {string} name - Tool name
+ * @param {Object} params - Parsed tool arguments
+ * @param {string} [timeZone] - User's IANA time zone (default: UTC)
+ * @returns {{params: Object, corrections: string[], error?: string}} params with corrections applied;
+ *   error describes the first invalid argument (the call should be rejected)
+ */
+export function validateDateArguments(name, params, timeZone) {
+  const fields = DATE_ARGUMENTS[name];
+  if (!fields || !params) {
+    return { params, corrections: [] };
+  }
+
+  const zone = resolveTimeZone(timeZone);
+  const corrected = { ...params };
+  const corrections = [];
+
+  for (const [field, kind] of Object.entries(fields)) {
+    const value = params[field];
+    // An empty due date clears it (update_task)
+    if (value === undefined || value === null || (field === 'due' && value === '')) {
+      continue;
+    }
+    if (!isIsoDate(value)) {
+      return { params, corrections, error: `${field} must be an ISO 8601 date-time with a UTC offset, got "${value}"` };
+    }
+
+    if (DATE_ONLY.test(value)) {
+      if (kind === 'dateOrDateTime') {
+        continue;
+      }
+      if (kind === 'rangeStart' || kind === 'rangeEnd') {
+        const date = kind === 'rangeEnd' ? addDays(value, 1) : value;
+        corrected[field] = formatIsoWithOffset(startOfLocalDay(date, zone), zone);
+        corrections.push(`${field} ${value} -> ${corrected[field]}`);
+        continue;
+      }
+      return { params, corrections, error: `${field} must include a time and UTC offset, got "${value}"` };
+    }
+
+    if (!HAS_OFFSET.test(value)) {
+      return {
+        params,
+        corrections,
+        error: `${field} "${value}" has no UTC offset; add the user's offset (${zone}), e.g. ${formatIsoWithOffset(Date.now(), zone)}`
+      };
+    }
+  }
+
+  const [startField, endField] = fields.timeMin ? ['timeMin', 'timeMax'] : ['startTime', 'endTime'];
+  if (corrected[startField] && corrected[endField] && new Date(corrected[endField]) <= new Date(corrected[startField])) {
+    return { params, corrections, error: `${endField} must be after ${startField}` };
+  }
+
+  return { params: corrected, corrections };
+}
@@ -0,0 +1,61 @@
+import crypto from 'crypto';
+
+/**
+ * Encryption of secrets stored in Firestore (OAuth refresh tokens).
+ * AES-256-GCM with the key in CREDENTIALS_ENCRYPTION_KEY (32 bytes, base64). Ciphertexts are
+ * "v1:<iv>:<auth tag>:<data>" in base64, so the format can change without breaking stored values.
+ */
+
+const ALGORITHM = 'aes-256-gcm';
+const VERSION = 'v1';
+
+function getKey() {
+  const key = Buffer.from(process.env.CREDENTIALS_ENCRYPTION_KEY || '', 'base64');
+  if (key.length !== 32) {
+    throw new Error('CREDENTIALS_ENCRYPTION_KEY must be 32 bytes, base64-encoded');
+  }
+  return key;
+}
+
+/**
+ * Whether a valid encryption key is configured
+ * @returns {boolean}
+ */
+export function isEncryptionConfigured() {
+  try {
+    getKey();
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Encrypt a secret
+ * @param {string} plaintext
+ * @returns {string} "v1:iv:tag:data"
+ * @throws {Error} If no valid key is configured
+ */
+export function encryptSecret(plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  return [VERSION, iv.toString('base64'), cipher.getAuthTag().toString('base64'), data.toString('base64')].join(':');
+}
+
+/**
+ * Decrypt a secret from encryptSecret
+ * @param {string} ciphertext - "v1:iv:tag:data"
+ * @returns {string}
+ * @throws {Error} If no valid key is configured, or the value was tampered with or encrypted with another key
+ */
+export function decryptSecret(ciphertext) {
+  const [version, iv, tag, data] = String(ciphertext).split(':');
+  if (version !== VERSION || !iv || !tag || !data) {
+    throw new Error('Unsupported encrypted value');
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+}
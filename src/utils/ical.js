@@ -0,0 +1,371 @@
+import { getZoneOffsetMinutes, isValidTimeZone, zonedTimeToUtc } from './timezone.js';
+
+/**
+ * iCalendar (RFC 5545) parsing and serialization, used by the CalDAV provider and ICS import/export.
+ * A component is a plain object: { name: 'VEVENT', properties: [{ name, params, value }], components: [] }.
+ * Property values are kept raw (escaped); use getText/setText for TEXT properties.
+ */
+
+const MINUTE_MS = 60 * 1000;
+const PRODID = '-//Scheduler Backend//Calendar//EN';
+
+/**
+ * Parse iCalendar text into its top-level component (usually VCALENDAR)
+ * @param {string} text - iCalendar data
+ * @returns {Object|null} Component or null if there is no BEGIN line
+ */
+export function parseICalendar(text) {
+  const lines = String(text || '').replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const stack = [];
+  let root = null;
+
+  for (const line of lines) {
+    if (!line) continue;
+    const property = parseContentLine(line);
+    if (!property) continue;
+
+    if (property.name === 'BEGIN') {
+      const component = { name: property.value.toUpperCase(), properties: [], components: [] };
+      if (stack.length > 0) {
+        stack[stack.length - 1].components.push(component);
+      } else if (!root) {
+        root = component;
+      }
+      stack.push(component);
+    } else if (property.name === 'END') {
+      stack.pop();
+    } else if (stack.length > 0) {
+      stack[stack.length - 1].properties.push(property);
+    }
+  }
+
+  return root;
+}
+
+// NAME;PARAM=value;PARAM="quoted:value":value
+function parseContentLine(line) {
+  let index = 0;
+  let inQuotes = false;
+  for (; index < line.length; index++) {
+    const char = line[index];
+    if (char === '"') inQuotes = !inQuotes;
+    if (char === ':' && !inQuotes) break;
+  }
+  if (index === line.length) return null;
+
+  const [name, ...rawParams] = splitOutsideQuotes(line.slice(0, index), ';');
+  const params = {};
+  for (const rawParam of rawParams) {
+    const separator = rawParam.indexOf('=');
+    if (separator === -1) continue;
+    params[rawParam.slice(0, separator).toUpperCase()] = rawParam.slice(separator + 1).replace(/^"(.*)"$/, '$1');
+  }
+
+  return { name: name.toUpperCase(), params, value: line.slice(index + 1) };
+}
+
+function splitOutsideQuotes(value, separator) {
+  const parts = [];
+  let current = '';
+  let inQuotes = false;
+  for (const char of value) {
+    if (char === '"') inQuotes = !inQuotes;
+    if (char === separator && !inQuotes) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+  return parts;
+}
+
+/**
+ * Serialize a component to iCalendar text (CRLF line endings, lines folded at 75 octets)
+ * @param {Object} component
+ * @returns {string}
+ */
+export function serializeICalendar(component) {
+  return `${serializeComponent(component).join('\r\n')}\r\n`;
+}
+
+function serializeComponent(component) {
+  return [
+    `BEGIN:${component.name}`,
+    ...component.properties.map(property => foldLine(formatContentLine(property))),
+    ...component.components.flatMap(child => serializeComponent(child)),
+    `END:${component.name}`
+  ];
+}
+
+function formatContentLine({ name, params = {}, value }) {
+  const paramText = Object.entries(params)
+    .map(([key, paramValue]) => `;${key}=${/[;:,]/.test(paramValue) ? `"${paramValue}"` : paramValue}`)
+    .join('');
+  return `${name}${paramText}:${value}`;
+}
+
+function foldLine(line) {
+  if (Buffer.byteLength(line) <= 75) return line;
+  const chunks = [];
+  let current = '';
+  for (const char of line) {
+    // Continuation lines start with a space, which counts towards their 75 octets
+    const limit = chunks.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      chunks.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  chunks.push(current);
+  return chunks.join('\r\n ');
+}
+
+/**
+ * Build a component
+ * @param {string} name - Component name (VCALENDAR, VEVENT, ...)
+ * @param {Array<{name: string, params?: Object, value: string}>} [properties]
+ * @param {Object[]} [components]
+ * @returns {Object}
+ */
+export function createComponent(name, properties = [], components = []) {
+  return { name, properties: properties.map(property => ({ params: {}, ...property })), components };
+}
+
+/**
+ * Wrap components in a VCALENDAR
+ * @param {Object[]} components
+ * @returns {Object}
+ */
+export function createCalendar(components) {
+  return createComponent('VCALENDAR', [
+    { name: 'VERSION', value: '2.0' },
+    { name: 'PRODID', value: PRODID }
+  ], components);
+}
+
+/**
+ * First property with the given name
+ * @returns {{name: string, params: Object, value: string}|null}
+ */
+export function getProperty(component, name) {
+  return component.properties.find(property => property.name === name) || null;
+}
+
+/**
+ * All properties with the given name
+ * @returns {Array<{name: string, params: Object, value: string}>}
+ */
+export function getProperties(component, name) {
+  return component.properties.filter(property => property.name === name);
+}
+
+/**
+ * Replace every property with the given name (a null value just removes them)
+ */
+export function setProperty(component, name, value, params = {}) {
+  removeProperty(component, name);
+  if (value !== null && value !== undefined) {
+    component.properties.push({ name, params, value: String(value) });
+  }
+}
+
+/**
+ * Add a property, keeping existing ones with the same name
+ */
+export function addProperty(component, name, value, params = {}) {
+  component.properties.push({ name, params, value: String(value) });
+}
+
+export function removeProperty(component, name) {
+  component.properties = component.properties.filter(property => property.name !== name);
+}
+
+/**
+ * Unescaped value of a TEXT property
+ * @returns {string|null}
+ */
+export function getText(component, name) {
+  const property = getProperty(component, name);
+  return property ? unescapeText(property.value) : null;
+}
+
+/**
+ * Set a TEXT property (empty or null removes it)
+ */
+export function setText(component, name, text) {
+  setProperty(component, name, text ? escapeText(text) : null);
+}
+
+export function escapeText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+export function unescapeText(text) {
+  return String(text).replace(/\\([\\;,nN])/g, (_, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+/**
+ * Deep copy of a component
+ * @returns {Object}
+ */
+export function cloneComponent(component) {
+  return {
+    name: component.name,
+    properties: component.properties.map(property => ({ ...property, params: { ...property.params } })),
+    components: component.components.map(child => cloneComponent(child))
+  };
+}
+
+/**
+ * Parse a DATE or DATE-TIME property (DTSTART, DTEND, DUE, RECURRENCE-ID, ...)
+ * TZID must be an IANA zone; unknown zones and floating times are read as UTC.
+ * @param {{params: Object, value: string}|null} property
+ * @returns {{dateTime?: string, date?: string, timeZone?: string}|null} dateTime is ISO 8601 UTC
+ */
+export function parseDateProperty(property) {
+  if (!property) return null;
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(property.value.trim());
+  if (!match) return null;
+  const [, year, month, day, hour, minute, second, utc] = match;
+
+  if (hour === undefined || property.params.VALUE === 'DATE') {
+    return { date: `${year}-${month}-${day}` };
+  }
+
+  const wallMs = Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second));
+  const zone = !utc && property.params.TZID && isValidTimeZone(property.params.TZID) ? property.params.TZID : null;
+  if (!zone) {
+    return { dateTime: new Date(wallMs).toISOString(), timeZone: 'UTC' };
+  }
+
+  const utcMs = zonedTimeToUtc(zone, Number(year), Number(month) - 1, Number(day), Number(hour) * 60 + Number(minute)) + Number(second) * 1000;
+  return { dateTime: new Date(utcMs).toISOString(), timeZone: zone };
+}
+
+/**
+ * Parse a DURATION value (P1D, PT1H30M, -PT15M, ...)
+ * @param {string} value
+ * @returns {number|null} Milliseconds, or null if malformed
+ */
+export function parseDuration(value) {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec((value || '').trim());
+  if (!match) return null;
+  const [, sign, weeks, days, hours, minutes, seconds] = match.map(part => part || 0);
+  const ms = ((Number(weeks) * 7 + Number(days)) * 24 * 3600 + Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds)) * 1000;
+  return sign === '-' ? -ms : ms;
+}
+
+/**
+ * UTC DATE-TIME value, e.g. 20261116T150000Z
+ * @param {string|number|Date} dateTime
+ * @returns {string}
+ */
+export function formatUtcDateTime(dateTime) {
+  return new Date(dateTime).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Date-time property value and params: wall-clock time with TZID for a real zone, UTC otherwise
+ * @param {string} dateTime - ISO 8601
+ * @param {string} [timeZone] - IANA zone
+ * @returns {{value: string, params: Object}}
+ */
+export function toDateTimeProperty(dateTime, timeZone = null) {
+  if (!timeZone || timeZone === 'UTC' || !isValidTimeZone(timeZone)) {
+    return { value: formatUtcDateTime(dateTime), params: {} };
+  }
+  const utcMs = new Date(dateTime).getTime();
+  const wall = new Date(utcMs + getZoneOffsetMinutes(timeZone, utcMs) * MINUTE_MS);
+  return { value: formatUtcDateTime(wall).replace(/Z$/, ''), params: { TZID: timeZone } };
+}
+
+/**
+ * DATE property value and params, e.g. DUE;VALUE=DATE:20261116
+ * @param {string} date - YYYY-MM-DD
+ * @returns {{value: string, params: Object}}
+ */
+export function toDateProperty(date) {
+  return { value: date.replace(/-/g, ''), params: { VALUE: 'DATE' } };
+}
+
+function formatOffset(minutes) {
+  const sign = minutes < 0 ? '-' : '+';
+  const absolute = Math.abs(minutes);
+  return `${sign}${String(Math.floor(absolute / 60)).padStart(2, '0')}${String(absolute % 60).padStart(2, '0')}`;
+}
+
+// Instants in the year where the zone's offset changes, searched day by day then narrowed to the minute
+function findTransitions(timeZone, year) {
+  const transitions = [];
+  const dayMs = 24 * 60 * MINUTE_MS;
+  let previous = getZoneOffsetMinutes(timeZone, Date.UTC(year, 0, 1));
+
+  for (let dayStart = Date.UTC(year, 0, 1); dayStart < Date.UTC(year + 1, 0, 1); dayStart += dayMs) {
+    const offset = getZoneOffsetMinutes(timeZone, dayStart + dayMs);
+    if (offset === previous) continue;
+
+    let low = dayStart;
+    let high = dayStart + dayMs;
+    while (high - low > MINUTE_MS) {
+      const middle = low + Math.floor((high - low) / 2 / MINUTE_MS) * MINUTE_MS;
+      if (getZoneOffsetMinutes(timeZone, middle) === previous) {
+        low = middle;
+      } else {
+        high = middle;
+      }
+    }
+    transitions.push({ at: high, from: previous, to: offset });
+    previous = offset;
+  }
+
+  return transitions;
+}
+
+/**
+ * VTIMEZONE for an IANA zone, with yearly rules derived from the zone's transitions in `year`
+ * RFC 5545 requires one for every TZID used in the calendar object.
+ * @param {string} timeZone - IANA zone
+ * @param {number} [year] - Year the rules are derived from (default: current year)
+ * @returns {Object|null} VTIMEZONE component, or null for UTC / unknown zones
+ */
+export function buildTimezoneComponent(timeZone, year = new Date().getUTCFullYear()) {
+  if (!timeZone || timeZone === 'UTC' || !isValidTimeZone(timeZone)) {
+    return null;
+  }
+
+  const transitions = findTransitions(timeZone, year);
+  if (transitions.length === 0) {
+    const offset = formatOffset(getZoneOffsetMinutes(timeZone, Date.UTC(year, 0, 1)));
+    return createComponent('VTIMEZONE', [{ name: 'TZID', value: timeZone }], [
+      createComponent('STANDARD', [
+        { name: 'DTSTART', value: '19700101T000000' },
+        { name: 'TZOFFSETFROM', value: offset },
+        { name: 'TZOFFSETTO', value: offset }
+      ])
+    ]);
+  }
+
+  const weekdays = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+  const observances = transitions.map(({ at, from, to }) => {
+    // Rules are written in local time before the transition
+    const local = new Date(at + from * MINUTE_MS);
+    const day = local.getUTCDate();
+    const daysInMonth = new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth() + 1, 0)).getUTCDate();
+    const ordinal = day + 7 > daysInMonth ? -1 : Math.ceil(day / 7);
+    return createComponent(to > from ? 'DAYLIGHT' : 'STANDARD', [
+      { name: 'DTSTART', value: formatUtcDateTime(local).replace(/Z$/, '') },
+      { name: 'RRULE', value: `FREQ=YEARLY;BYMONTH=${local.getUTCMonth() + 1};BYDAY=${ordinal}${weekdays[local.getUTCDay()]}` },
+      { name: 'TZOFFSETFROM', value: formatOffset(from) },
+      { name: 'TZOFFSETTO', value: formatOffset(to) }
+    ]);
+  });
+
+  return createComponent('VTIMEZONE', [{ name: 'TZID', value: timeZone }], observances);
+}
@@ -14,7 +14,8 @@ export async function recordInteractionLog(req, { actionType = 'converse', calen
       profileInfo: req.user ? { uid: req.user.uid } : null,
       actionType,
       calendarType,
-      logPayload: payload
+      // Every log carries a prompt version (the request's unless the payload names the one that produced it)
+      logPayload: { ...payload, prompt_version: payload.prompt_version ?? req.promptVersion ?? null }
     });
   } catch (error) {
     logger.warn({ type: 'INTERACTION_LOG_FAILURE', error: error.message, stack: error.stack });
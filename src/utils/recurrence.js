@@ -0,0 +1,333 @@
+import { resolveTimeZone } from './timezone.js';
+
+/**
+ * RRULE (RFC 5545) helpers for recurring events.
+ * Google Calendar stores recurrence as RRULE strings; Microsoft Graph uses patternedRecurrence,
+ * so rules are translated both ways here. Only the parts both providers support are handled:
+ * FREQ, INTERVAL, BYDAY (with optional ordinal), BYMONTHDAY, BYMONTH, BYSETPOS, COUNT, UNTIL and WKST.
+ */
+
+// Update/delete scopes for an occurrence of a recurring event
+export const RECURRENCE_SCOPES = ['this', 'following', 'all'];
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const GRAPH_WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const GRAPH_INDEXES = { 1: 'first', 2: 'second', 3: 'third', 4: 'fourth', '-1': 'last' };
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Parse an RRULE into its parts
+ * @param {string|string[]} rule - "RRULE:FREQ=WEEKLY;BYDAY=MO", "FREQ=WEEKLY;BYDAY=MO" or a Google recurrence array
+ * @returns {Object|null} Upper-case keys (FREQ, INTERVAL, BYDAY, ...) or null if the rule is invalid
+ */
+export function parseRRule(rule) {
+  const line = Array.isArray(rule)
+    ? rule.find(entry => /^RRULE:/i.test(entry))
+    : rule;
+  if (typeof line !== 'string') {
+    return null;
+  }
+
+  const parts = {};
+  for (const pair of line.trim().replace(/^RRULE:/i, '').split(';')) {
+    const [key, value] = pair.split('=');
+    if (key && value) {
+      parts[key.trim().toUpperCase()] = value.trim().toUpperCase();
+    }
+  }
+
+  if (!FREQUENCIES.includes(parts.FREQ)) {
+    return null;
+  }
+  if (parts.INTERVAL && !(Number(parts.INTERVAL) >= 1)) {
+    return null;
+  }
+  if (parts.COUNT && !(Number(parts.COUNT) >= 1)) {
+    return null;
+  }
+  if (parts.UNTIL && !/^\d{8}(T\d{6}Z?)?$/.test(parts.UNTIL)) {
+    return null;
+  }
+  if (parts.BYDAY && parts.BYDAY.split(',').some(day => !WEEKDAYS.includes(day.replace(/^[+-]?\d+/, '')))) {
+    return null;
+  }
+
+  return parts;
+}
+
+/**
+ * Serialize RRULE parts back to a rule string
+ * @param {Object} parts - Parsed rule (see parseRRule)
+ * @returns {string} "RRULE:..." string
+ */
+export function formatRRule(parts) {
+  const order = ['FREQ', 'INTERVAL', 'BYDAY', 'BYMONTHDAY', 'BYMONTH', 'BYSETPOS', 'COUNT', 'UNTIL', 'WKST'];
+  const keys = [...order.filter(key => parts[key] !== undefined), ...Object.keys(parts).filter(key => !order.includes(key))];
+  return `RRULE:${keys.map(key => `${key}=${parts[key]}`).join(';')}`;
+}
+
+/**
+ * Validate and normalize a rule to "RRULE:..." form
+ * @param {string|string[]} rule - Rule from a tool call or provider
+ * @returns {string|null} Normalized rule or null if invalid
+ */
+export function normalizeRRule(rule) {
+  const parts = parseRRule(rule);
+  return parts ? formatRRule(parts) : null;
+}
+
+/**
+ * End a rule before a given instant (used to split a series for "this and following")
+ * @param {string|string[]} rule - Original rule
+ * @param {string|Date} before - First instant that must no longer occur
+ * @returns {string} Rule with UNTIL set one second before `before` (COUNT removed)
+ */
+export function truncateRRule(rule, before) {
+  const { COUNT, UNTIL, ...parts } = parseRRule(rule);
+  const until = new Date(new Date(before).getTime() - 1000)
+    .toISOString()
+    .replace(/[-:]/g, '')
+    .replace(/\.\d{3}/, '');
+  return formatRRule({ ...parts, UNTIL: until });
+}
+
+/**
+ * Replace a rule's COUNT (used for the second half of a split series)
+ * @param {string|string[]} rule - Original rule
+ * @param {number} count - Remaining occurrences
+ * @returns {string} Rule with the new COUNT
+ */
+export function withCount(rule, count) {
+  const { COUNT, UNTIL, ...parts } = parseRRule(rule);
+  return formatRRule({ ...parts, COUNT: String(Math.max(1, count)) });
+}
+
+// Split "2TU" / "-1FR" / "MO" into ordinal and weekday
+function parseByDay(value) {
+  const match = value.match(/^([+-]?\d+)?([A-Z]{2})$/);
+  return { ordinal: match[1] ? Number(match[1]) : null, day: match[2] };
+}
+
+// Local date (YYYY-MM-DD) and weekday of an instant in a time zone
+function localDateParts(dateTime, timeZone) {
+  const date = new Date(dateTime);
+  const zone = resolveTimeZone(timeZone);
+
+  // Wall-clock strings without an offset are already local
+  if (typeof dateTime === 'string' && !/([zZ]|[+-]\d{2}:?\d{2})$/.test(dateTime)) {
+    const [datePart] = dateTime.split('T');
+    return { date: datePart, weekday: new Date(`${datePart}T00:00:00Z`).getUTCDay() };
+  }
+
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', { timeZone: zone, year: 'numeric', month: '2-digit', day: '2-digit', weekday: 'short' })
+      .formatToParts(date)
+      .map(part => [part.type, part.value])
+  );
+  const weekday = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday);
+  return { date: `${parts.year}-${parts.month}-${parts.day}`, weekday };
+}
+
+/**
+ * Local calendar date of an instant in a time zone
+ * @param {string} dateTime - ISO 8601 date-time (wall-clock strings without an offset are taken as-is)
+ * @param {string} [timeZone] - IANA time zone (default: UTC)
+ * @returns {string} YYYY-MM-DD
+ */
+export function toLocalDate(dateTime, timeZone = 'UTC') {
+  return localDateParts(dateTime, timeZone).date;
+}
+
+/**
+ * Format an instant as wall-clock time in a zone ("2025-01-06T10:00:00"), the form Graph expects with a timeZone
+ * @param {string} dateTime - ISO 8601 date-time
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} Local date-time without offset
+ */
+export function toLocalDateTime(dateTime, timeZone) {
+  if (typeof dateTime === 'string' && !/([zZ]|[+-]\d{2}:?\d{2})$/.test(dateTime)) {
+    return dateTime;
+  }
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: resolveTimeZone(timeZone),
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit',
+      hourCycle: 'h23'
+    })
+      .formatToParts(new Date(dateTime))
+      .map(part => [part.type, part.value])
+  );
+  return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}:${parts.second}`;
+}
+
+/**
+ * Translate an RRULE to a Microsoft Graph patternedRecurrence
+ * @param {string|string[]} rule - RRULE
+ * @param {string} startTime - First occurrence start (ISO 8601)
+ * @param {string} [timeZone] - Zone the series repeats in (default: UTC)
+ * @returns {Object|null} patternedRecurrence or null if the rule is invalid
+ */
+export function toGraphRecurrence(rule, startTime, timeZone = 'UTC') {
+  const parts = parseRRule(rule);
+  if (!parts) {
+    return null;
+  }
+
+  const start = localDateParts(startTime, timeZone);
+  const [, startMonth, startDay] = start.date.split('-').map(Number);
+  const byDay = parts.BYDAY ? parts.BYDAY.split(',').map(parseByDay) : [];
+  const ordinal = byDay.find(entry => entry.ordinal !== null)?.ordinal ?? (parts.BYSETPOS ? Number(parts.BYSETPOS) : null);
+  const daysOfWeek = byDay.length > 0
+    ? byDay.map(entry => GRAPH_WEEKDAYS[WEEKDAYS.indexOf(entry.day)])
+    : [GRAPH_WEEKDAYS[start.weekday]];
+
+  const pattern = { interval: Number(parts.INTERVAL || 1) };
+  switch (parts.FREQ) {
+    case 'DAILY':
+      pattern.type = 'daily';
+      break;
+    case 'WEEKLY':
+      pattern.type = 'weekly';
+      pattern.daysOfWeek = daysOfWeek;
+      pattern.firstDayOfWeek = GRAPH_WEEKDAYS[WEEKDAYS.indexOf(parts.WKST || 'SU')];
+      break;
+    case 'MONTHLY':
+      if (byDay.length > 0 && ordinal !== null) {
+        pattern.type = 'relativeMonthly';
+        pattern.daysOfWeek = daysOfWeek;
+        pattern.index = GRAPH_INDEXES[ordinal] || 'first';
+      } else {
+        pattern.type = 'absoluteMonthly';
+        pattern.dayOfMonth = Number(parts.BYMONTHDAY || startDay);
+      }
+      break;
+    case 'YEARLY':
+      pattern.month = Number(parts.BYMONTH || startMonth);
+      if (byDay.length > 0 && ordinal !== null) {
+        pattern.type = 'relativeYearly';
+        pattern.daysOfWeek = daysOfWeek;
+        pattern.index = GRAPH_INDEXES[ordinal] || 'first';
+      } else {
+        pattern.type = 'absoluteYearly';
+        pattern.dayOfMonth = Number(parts.BYMONTHDAY || startDay);
+      }
+      break;
+  }
+
+  const range = { startDate: start.date, recurrenceTimeZone: timeZone };
+  if (parts.COUNT) {
+    range.type = 'numbered';
+    range.numberOfOccurrences = Number(parts.COUNT);
+  } else if (parts.UNTIL) {
+    range.type = 'endDate';
+    range.endDate = localDateParts(
+      parts.UNTIL.length === 8
+        ? `${parts.UNTIL.slice(0, 4)}-${parts.UNTIL.slice(4, 6)}-${parts.UNTIL.slice(6, 8)}T00:00:00`
+        : `${parts.UNTIL.slice(0, 4)}-${parts.UNTIL.slice(4, 6)}-${parts.UNTIL.slice(6, 8)}T${parts.UNTIL.slice(9, 11)}:${parts.UNTIL.slice(11, 13)}:${parts.UNTIL.slice(13, 15)}Z`,
+      timeZone
+    ).date;
+  } else {
+    range.type = 'noEnd';
+  }
+
+  return { pattern, range };
+}
+
+/**
+ * Translate a Microsoft Graph patternedRecurrence back to an RRULE
+ * @param {Object} recurrence - patternedRecurrence
+ * @returns {string|null} RRULE or null if the pattern is unknown
+ */
+export function fromGraphRecurrence(recurrence) {
+  const { pattern, range } = recurrence || {};
+  if (!pattern?.type) {
+    return null;
+  }
+
+  const toByDay = (days = [], index) => days
+    .map(day => {
+      const weekday = WEEKDAYS[GRAPH_WEEKDAYS.indexOf(day)];
+      const ordinal = Object.keys(GRAPH_INDEXES).find(key => GRAPH_INDEXES[key] === index);
+      return `${ordinal ?? ''}${weekday}`;
+    })
+    .join(',');
+
+  const parts = {};
+  switch (pattern.type) {
+    case 'daily':
+      parts.FREQ = 'DAILY';
+      break;
+    case 'weekly':
+      parts.FREQ = 'WEEKLY';
+      parts.BYDAY = toByDay(pattern.daysOfWeek);
+      break;
+    case 'absoluteMonthly':
+      parts.FREQ = 'MONTHLY';
+      parts.BYMONTHDAY = String(pattern.dayOfMonth);
+      break;
+    case 'relativeMonthly':
+      parts.FREQ = 'MONTHLY';
+      parts.BYDAY = toByDay(pattern.daysOfWeek, pattern.index);
+      break;
+    case 'absoluteYearly':
+      parts.FREQ = 'YEARLY';
+      parts.BYMONTH = String(pattern.month);
+      parts.BYMONTHDAY = String(pattern.dayOfMonth);
+      break;
+    case 'relativeYearly':
+      parts.FREQ = 'YEARLY';
+      parts.BYMONTH = String(pattern.month);
+      parts.BYDAY = toByDay(pattern.daysOfWeek, pattern.index);
+      break;
+    default:
+      return null;
+  }
+
+  if (pattern.interval && pattern.interval > 1) {
+    parts.INTERVAL = String(pattern.interval);
+  }
+  if (range?.type === 'numbered' && range.numberOfOccurrences) {
+    parts.COUNT = String(range.numberOfOccurrences);
+  } else if (range?.type === 'endDate' && range.endDate) {
+    parts.UNTIL = range.endDate.replace(/-/g, '');
+  }
+
+  return formatRRule(parts);
+}
+
+/**
+ * Human-readable summary of a rule for confirmation messages ("every week on Monday, 6 times")
+ * @param {string|string[]} rule - RRULE
+ * @returns {string} Description, or an empty string for an invalid rule
+ */
+export function describeRRule(rule) {
+  const parts = parseRRule(rule);
+  if (!parts) {
+    return '';
+  }
+
+  const interval = Number(parts.INTERVAL || 1);
+  const unit = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month', YEARLY: 'year' }[parts.FREQ];
+  let text = interval > 1 ? `every ${interval} ${unit}s` : `every ${unit}`;
+
+  if (parts.BYDAY) {
+    const days = parts.BYDAY.split(',').map(value => {
+      const { ordinal, day } = parseByDay(value);
+      const name = WEEKDAY_NAMES[WEEKDAYS.indexOf(day)];
+      return ordinal !== null ? `the ${GRAPH_INDEXES[ordinal] || ordinal} ${name}` : name;
+    });
+    text += ` on ${days.length > 1 ? `${days.slice(0, -1).join(', ')} and ${days[days.length - 1]}` : days[0]}`;
+  } else if (parts.BYMONTHDAY) {
+    text += ` on day ${parts.BYMONTHDAY}`;
+  }
+
+  if (parts.COUNT) {
+    text += `, ${parts.COUNT} times`;
+  } else if (parts.UNTIL) {
+    text += ` until ${parts.UNTIL.slice(0, 4)}-${parts.UNTIL.slice(4, 6)}-${parts.UNTIL.slice(6, 8)}`;
+  }
+
+  return text;
+}
@@ -0,0 +1,172 @@
+/**
+ * Time zone helpers (IANA zones through Intl, so DST follows the zone's rules).
+ * Used wherever "the user's day" matters: quota windows, the LLM's meeting context,
+ * confirmation messages and task due dates. The user's zone comes from the
+ * x-device-timezone header, else the onboarding profile (see getUserTimeZone in onboardingService).
+ */
+
+export const DEFAULT_TIME_ZONE = 'UTC';
+
+const MINUTE_MS = 60 * 1000;
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+/**
+ * Offset (minutes east of UTC) of an IANA time zone at a given instant; throws for unknown zones
+ * @param {string} timeZone - IANA time zone
+ * @param {number} utcMs - Instant in epoch milliseconds
+ * @returns {number}
+ */
+export function getZoneOffsetMinutes(timeZone, utcMs) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(new Date(utcMs));
+  const value = (type) => Number(parts.find(part => part.type === type).value);
+  const asUtc = Date.UTC(value('year'), value('month') - 1, value('day'), value('hour'), value('minute'), value('second'));
+  return Math.round((asUtc - Math.floor(utcMs / 1000) * 1000) / MINUTE_MS);
+}
+
+/**
+ * Whether a value is an IANA time zone this runtime knows
+ * @param {*} timeZone
+ * @returns {boolean}
+ */
+export function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * The zone itself if valid, otherwise UTC
+ * @param {string} [timeZone]
+ * @returns {string}
+ */
+export function resolveTimeZone(timeZone) {
+  return isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIME_ZONE;
+}
+
+/**
+ * Convert a wall-clock time in a zone to UTC
+ * Wall times skipped by a DST change land an hour later; repeated ones resolve to the first occurrence.
+ * @param {string} timeZone - IANA time zone
+ * @param {number} year
+ * @param {number} month - 0-based, like Date.UTC
+ * @param {number} day
+ * @param {number} [minutesOfDay] - Minutes after local midnight
+ * @returns {number} Epoch milliseconds
+ */
+export function zonedTimeToUtc(timeZone, year, month, day, minutesOfDay = 0) {
+  const wallMs = Date.UTC(year, month, day) + minutesOfDay * MINUTE_MS;
+  // Re-check the offset at the resulting instant so times next to DST transitions land correctly
+  let utcMs = wallMs - getZoneOffsetMinutes(timeZone, wallMs) * MINUTE_MS;
+  utcMs = wallMs - getZoneOffsetMinutes(timeZone, utcMs) * MINUTE_MS;
+  return utcMs;
+}
+
+/**
+ * Local calendar date of an instant in a zone
+ * @param {string|number|Date} instant
+ * @param {string} [timeZone] - IANA time zone (default: UTC)
+ * @returns {string} YYYY-MM-DD
+ */
+export function getLocalDate(instant, timeZone = DEFAULT_TIME_ZONE) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', { timeZone: resolveTimeZone(timeZone), year: 'numeric', month: '2-digit', day: '2-digit' })
+      .formatToParts(new Date(instant))
+      .map(part => [part.type, part.value])
+  );
+  return `${parts.year}-${parts.month}-${parts.day}`;
+}
+
+/**
+ * Add days to a calendar date
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} days - May be negative
+ * @returns {string} YYYY-MM-DD
+ */
+export function addDays(date, days) {
+  const [, year, month, day] = DATE_PATTERN.exec(date);
+  return new Date(Date.UTC(Number(year), Number(month) - 1, Number(day) + days)).toISOString().slice(0, 10);
+}
+
+/**
+ * The instant a local calendar date starts in a zone (not always 24 hours after the previous one)
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} [timeZone] - IANA time zone (default: UTC)
+ * @returns {Date}
+ */
+export function startOfLocalDay(date, timeZone = DEFAULT_TIME_ZONE) {
+  const [, year, month, day] = DATE_PATTERN.exec(date);
+  return new Date(zonedTimeToUtc(resolveTimeZone(timeZone), Number(year), Number(month) - 1, Number(day)));
+}
+
+/**
+ * Start and end of a local day, e.g. "today" for the user
+ * @param {string} [timeZone] - IANA time zone (default: UTC)
+ * @param {Object} [options]
+ * @param {number} [options.offsetDays] - Shift from the day of `now` (-1 = yesterday)
+ * @param {number} [options.days] - Number of days covered (default 1)
+ * @param {Date} [options.now]
+ * @returns {{date: string, start: Date, end: Date}} end is the start of the following day (exclusive)
+ */
+export function getLocalDayRange(timeZone = DEFAULT_TIME_ZONE, { offsetDays = 0, days = 1, now = new Date() } = {}) {
+  const date = addDays(getLocalDate(now, timeZone), offsetDays);
+  return {
+    date,
+    start: startOfLocalDay(date, timeZone),
+    end: startOfLocalDay(addDays(date, days), timeZone)
+  };
+}
+
+/**
+ * The next top of the hour on the user's clock (zones with half-hour offsets don't share UTC's hours)
+ * @param {string} [timeZone] - IANA time zone (default: UTC)
+ * @param {Date} [now]
+ * @returns {Date}
+ */
+export function getNextLocalHour(timeZone = DEFAULT_TIME_ZONE, now = new Date()) {
+  const offsetMs = getZoneOffsetMinutes(resolveTimeZone(timeZone), now.getTime()) * MINUTE_MS;
+  const hourMs = 60 * MINUTE_MS;
+  const nextWallHour = Math.floor((now.getTime() + offsetMs) / hourMs) * hourMs + hourMs;
+  return new Date(nextWallHour - offsetMs);
+}
+
+/**
+ * Format an instant on the user's clock
+ * @param {string|number|Date} instant
+ * @param {string} [timeZone] - IANA time zone (default: UTC)
+ * @param {Intl.DateTimeFormatOptions} [options]
+ * @returns {string}
+ */
+export function formatInTimeZone(instant, timeZone = DEFAULT_TIME_ZONE, options = {}) {
+  return new Date(instant).toLocaleString('en-US', { ...options, timeZone: resolveTimeZone(timeZone) });
+}
+
+/**
+ * ISO 8601 date-time on the user's clock with its UTC offset, e.g. 2026-11-01T09:00:00-05:00
+ * @param {string|number|Date} instant
+ * @param {string} [timeZone] - IANA time zone (default: UTC)
+ * @returns {string}
+ */
+export function formatIsoWithOffset(instant, timeZone = DEFAULT_TIME_ZONE) {
+  const utcMs = new Date(instant).getTime();
+  const offset = getZoneOffsetMinutes(resolveTimeZone(timeZone), utcMs);
+  const wall = new Date(utcMs + offset * MINUTE_MS).toISOString().slice(0, 19);
+  const sign = offset < 0 ? '-' : '+';
+  const hours = String(Math.floor(Math.abs(offset) / 60)).padStart(2, '0');
+  const minutes = String(Math.abs(offset) % 60).padStart(2, '0');
+  return `${wall}${sign}${hours}:${minutes}`;
+}
@@ -0,0 +1,110 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { startServer, resetAll, authHeaders, request, tomorrowAt, USER } from './helpers/server.js';
+import { store, getDocument } from './helpers/fakeFirestore.js';
+import { fakeGoogle, fakeOutlook } from './helpers/fakeCalendars.js';
+import { encryptSecret } from '../src/utils/encryption.js';
+import { invalidateUserData } from '../src/services/tokenCacheService.js';
+
+process.env.CREDENTIALS_ENCRYPTION_KEY = crypto.randomBytes(32).toString('base64');
+
+const EXPIRED_TOKEN = 'google-token-alice-expired';
+const HANDLE = 'renewal-handle-alice';
+const ALICE_GOOGLE = `google:google-${USER.email}`;
+const handlePath = (handle) => `renewalHandles/${crypto.createHash('sha256').update(handle).digest('hex')}`;
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server.close();
+});
+
+beforeEach(async () => {
+  resetAll();
+  await invalidateUserData('storedTokens', USER.email);
+  // USER signed in through the code exchange; the stored access token has since been refreshed
+  store.set(`users/${USER.email}/credentials/google`, {
+    refreshToken: encryptSecret('google-refresh-alice'),
+    accessToken: encryptSecret(USER.googleToken),
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    accountId: `google-${USER.email}`,
+    ownerAccount: ALICE_GOOGLE
+  });
+});
+
+test('an expired token is renewed with the renewal handle, which is rotated', async () => {
+  store.set(handlePath(HANDLE), {
+    email: USER.email,
+    provider: 'google',
+    ownerAccount: ALICE_GOOGLE,
+    expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000)
+  });
+
+  const response = await request(server.baseUrl, 'GET', '/api/usage', undefined, {
+    ...authHeaders({ outlook: false }),
+    'g-axs-tk': EXPIRED_TOKEN,
+    'x-renewal-handle': HANDLE
+  });
+
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('x-refreshed-token'), USER.googleToken);
+  const nextHandle = response.headers.get('x-renewal-handle');
+  assert.ok(nextHandle && nextHandle !== HANDLE);
+  assert.equal(getDocument(handlePath(nextHandle)).email, USER.email);
+  // The old handle only keeps working for requests already in flight
+  assert.ok(getDocument(handlePath(HANDLE)).expiresAt.getTime() <= Date.now() + 60 * 1000);
+});
+
+test('an expired token alone, or with an unknown or expired handle, is still rejected', async () => {
+  store.set(handlePath(HANDLE), {
+    email: USER.email,
+    provider: 'google',
+    ownerAccount: ALICE_GOOGLE,
+    expiresAt: new Date(Date.now() - 1000)
+  });
+
+  for (const handle of [undefined, HANDLE, 'unknown-handle']) {
+    const response = await request(server.baseUrl, 'GET', '/api/usage', undefined, {
+      ...authHeaders({ outlook: false }),
+      'g-axs-tk': EXPIRED_TOKEN,
+      ...(handle ? { 'x-renewal-handle': handle } : {})
+    });
+    assert.equal(response.status, 401);
+    assert.equal(response.headers.get('x-refreshed-token'), null);
+  }
+});
+
+test('stored credentials are only filled in for the account that connected them', async () => {
+  // Alice (Google) connected her Outlook account; Mallory controls a Google account reporting Alice's email
+  store.set(`users/${USER.email}/credentials/outlook`, {
+    refreshToken: encryptSecret('outlook-refresh-alice'),
+    accessToken: encryptSecret(USER.outlookToken),
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    accountId: 'outlook-alice',
+    ownerAccount: ALICE_GOOGLE
+  });
+  fakeGoogle.addAccount('google-token-mallory', USER.email, 'google-mallory');
+  fakeOutlook.addEvent({ summary: 'Board meeting', start: { dateTime: tomorrowAt(9) }, end: { dateTime: tomorrowAt(10) } });
+
+  const path = `/api/calendar/events?timeMin=${encodeURIComponent(tomorrowAt(0))}&timeMax=${encodeURIComponent(tomorrowAt(23))}`;
+  const alice = await request(server.baseUrl, 'GET', path, undefined, authHeaders({ outlook: false }));
+  assert.deepEqual(alice.body.events.map(event => event.summary), ['Board meeting']);
+
+  const mallory = await request(server.baseUrl, 'GET', path, undefined, {
+    ...authHeaders({ outlook: false }),
+    'g-axs-tk': 'google-token-mallory'
+  });
+  assert.equal(mallory.status, 200);
+  assert.deepEqual(mallory.body.events, []);
+
+  const connections = await request(server.baseUrl, 'GET', '/api/connections', undefined, {
+    ...authHeaders({ outlook: false }),
+    'g-axs-tk': 'google-token-mallory'
+  });
+  assert.deepEqual(connections.body.connections, []);
+});
@@ -0,0 +1,80 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import './helpers/env.js';
+import { davRequest, verifyCredential } from '../src/services/caldavClient.js';
+
+// One local server; "localhost" is the allowed host, 127.0.0.1 stands in for an internal address
+let server;
+let port;
+const hits = [];
+
+before(async () => {
+  process.env.CALDAV_ALLOW_HTTP = 'true';
+  process.env.CALDAV_ALLOWED_HOSTS = 'localhost';
+  server = http.createServer((req, res) => {
+    hits.push(`${req.headers.host.split(':')[0]} ${req.url}`);
+    if (req.url === '/internal') {
+      res.writeHead(302, { Location: `http://127.0.0.1:${port}/secret` });
+      res.end();
+    } else if (req.url === '/moved') {
+      res.writeHead(301, { Location: '/dav/' });
+      res.end();
+    } else if (req.url === '/broken') {
+      res.writeHead(500);
+      res.end('internal details');
+    } else if (req.url === '/') {
+      res.writeHead(207);
+      res.end('<d:multistatus xmlns:d="DAV:"><d:response><d:href>/</d:href><d:propstat><d:prop>' +
+        '<d:current-user-principal><d:href>/principals/alice/</d:href></d:current-user-principal>' +
+        '</d:prop><d:status>HTTP/1.1 200 OK</d:status></d:propstat></d:response></d:multistatus>');
+    } else {
+      res.writeHead(207);
+      res.end('<multistatus/>');
+    }
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  port = server.address().port;
+});
+
+after(async () => {
+  delete process.env.CALDAV_ALLOW_HTTP;
+  delete process.env.CALDAV_ALLOWED_HOSTS;
+  await new Promise(resolve => server.close(resolve));
+});
+
+const credential = () => ({ serverUrl: `http://localhost:${port}/`, username: 'alice', password: 'secret' });
+
+test('davRequest follows redirects within the allowed hosts', async () => {
+  const response = await davRequest(credential(), 'PROPFIND', '/moved');
+  assert.equal(response.status, 207);
+  assert.equal(response.url, `http://localhost:${port}/dav/`);
+});
+
+test('davRequest refuses a redirect to a host that is not allowed', async () => {
+  hits.length = 0;
+  await assert.rejects(davRequest(credential(), 'PROPFIND', '/internal'), /not allowed/);
+  assert.deepEqual(hits, ['localhost /internal']);
+});
+
+test('davRequest errors leave out the response body', async () => {
+  await assert.rejects(davRequest(credential(), 'PROPFIND', '/broken'), (error) => {
+    assert.equal(error.message, 'CalDAV PROPFIND failed: 500');
+    return true;
+  });
+});
+
+test('davRequest refuses every host while CALDAV_ALLOWED_HOSTS is empty', async () => {
+  process.env.CALDAV_ALLOWED_HOSTS = '';
+  try {
+    await assert.rejects(davRequest(credential(), 'PROPFIND', '/dav/'), /not allowed/);
+  } finally {
+    process.env.CALDAV_ALLOWED_HOSTS = 'localhost';
+  }
+});
+
+test('verifyCredential namespaces the identity by host, even for email-style usernames', async () => {
+  assert.equal((await verifyCredential(credential())).email, 'caldav:alice@localhost');
+  const lookalike = { ...credential(), username: 'Victim@Gmail.com' };
+  assert.equal((await verifyCredential(lookalike)).email, 'caldav:victim@gmail.com@localhost');
+});
@@ -0,0 +1,115 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, resetAll, authHeaders, request, tomorrowAt, USER } from './helpers/server.js';
+import { fakeGoogle, fakeOutlook } from './helpers/fakeCalendars.js';
+import { store, getDocument } from './helpers/fakeFirestore.js';
+import { createFeed, refreshFeedIfStale } from '../src/services/feedService.js';
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server.close();
+});
+
+beforeEach(() => {
+  resetAll();
+});
+
+test('GET /api/calendar/events merges Google and Outlook events', async () => {
+  fakeGoogle.addEvent({ summary: 'Google lunch', start: { dateTime: tomorrowAt(12) }, end: { dateTime: tomorrowAt(13) } });
+  fakeOutlook.addEvent({ summary: 'Outlook sync', start: { dateTime: tomorrowAt(10) }, end: { dateTime: tomorrowAt(11) } });
+
+  const timeMin = encodeURIComponent(tomorrowAt(0));
+  const timeMax = encodeURIComponent(tomorrowAt(23, 59));
+  const list = await request(server.baseUrl, 'GET', `/api/calendar/events?timeMin=${timeMin}&timeMax=${timeMax}`);
+
+  assert.equal(list.status, 200);
+  const summaries = list.body.events.map(event => event.summary);
+  assert.ok(summaries.includes('Google lunch'));
+  assert.ok(summaries.includes('Outlook sync'));
+});
+
+test('POST, PUT and DELETE /api/calendar/events write to the requested provider', async () => {
+  const created = await request(server.baseUrl, 'POST', '/api/calendar/events', {
+    summary: 'Planning',
+    startTime: tomorrowAt(14),
+    endTime: tomorrowAt(15),
+    attendees: ['bob@example.com'],
+    type: 'outlook'
+  });
+  assert.equal(created.status, 200);
+  const eventId = created.body.event.id;
+  assert.ok(fakeOutlook.events.has(eventId));
+  assert.equal(fakeGoogle.events.size, 0);
+
+  const updated = await request(server.baseUrl, 'PUT', `/api/calendar/events/${eventId}`, {
+    summary: 'Quarterly planning',
+    type: 'outlook'
+  });
+  assert.equal(updated.status, 200);
+  assert.equal(fakeOutlook.events.get(eventId).summary, 'Quarterly planning');
+
+  const deleted = await request(server.baseUrl, 'DELETE', `/api/calendar/events/${eventId}?type=outlook`);
+  assert.equal(deleted.status, 200);
+  assert.equal(fakeOutlook.events.size, 0);
+});
+
+test('POST /api/calendar/events requires summary, startTime and endTime', async () => {
+  const created = await request(server.baseUrl, 'POST', '/api/calendar/events', { summary: 'No time' });
+  assert.equal(created.status, 400);
+});
+
+test('GET /api/calendar/free-slots skips busy time', async () => {
+  fakeGoogle.addEvent({ summary: 'Busy', start: { dateTime: tomorrowAt(9) }, end: { dateTime: tomorrowAt(12) } });
+
+  const timeMin = encodeURIComponent(tomorrowAt(9));
+  const timeMax = encodeURIComponent(tomorrowAt(14));
+  const slots = await request(server.baseUrl, 'GET', `/api/calendar/free-slots?timeMin=${timeMin}&timeMax=${timeMax}&duration=60`);
+
+  assert.equal(slots.status, 200);
+  assert.ok(slots.body.slots.length > 0);
+  slots.body.slots.forEach(slot => {
+    assert.ok(new Date(slot.start) >= new Date(tomorrowAt(12)), `slot at ${slot.start} overlaps the busy block`);
+  });
+});
+
+test('/api requests without a valid token are rejected', async () => {
+  const missing = await request(server.baseUrl, 'GET', '/api/calendar/events', undefined, {});
+  assert.equal(missing.status, 401);
+
+  const unknown = await request(server.baseUrl, 'GET', '/api/calendar/events', undefined, { 'g-axs-tk': 'not-a-real-token' });
+  assert.equal(unknown.status, 401);
+});
+
+test('an invalid secondary token is dropped and reported', async () => {
+  const list = await request(server.baseUrl, 'GET', '/api/calendar/events', undefined, {
+    ...authHeaders({ outlook: false }),
+    'o-axs-tk': 'expired-outlook-token'
+  });
+
+  assert.equal(list.status, 200);
+  assert.equal(list.headers.get('x-invalid-tokens'), 'outlook');
+});
+
+test('a stale feed is only refreshed with tokens for every provider it was created with', async () => {
+  fakeOutlook.addEvent({ summary: 'Outlook sync', start: { dateTime: tomorrowAt(10) }, end: { dateTime: tomorrowAt(11) } });
+  const bothTokens = { google: USER.googleToken, outlook: USER.outlookToken };
+  await createFeed(USER.email, bothTokens, 'google', 'google:alice');
+
+  const feedPath = `users/${USER.email}/configs/icsFeed`;
+  const staleAt = new Date(Date.now() - 24 * 60 * 60 * 1000);
+  store.set(feedPath, { ...getDocument(feedPath), snapshotAt: staleAt });
+
+  assert.equal(await refreshFeedIfStale(USER.email, { google: USER.googleToken }, 'google', 'google:alice'), false);
+  assert.equal(await refreshFeedIfStale(USER.email, bothTokens, 'outlook', 'outlook:mallory'), false);
+  assert.equal(getDocument(feedPath).snapshotAt.getTime(), staleAt.getTime());
+  assert.ok(getDocument(feedPath).snapshot.includes('Outlook sync'));
+
+  assert.equal(await refreshFeedIfStale(USER.email, bothTokens, 'google', 'google:alice'), true);
+  assert.ok(getDocument(feedPath).snapshotAt > staleAt);
+  assert.ok(getDocument(feedPath).snapshot.includes('Outlook sync'));
+});
@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers/env.js';
+import { resolveDatePhrases, annotateMessage, validateDateArguments } from '../src/utils/dateResolver.js';
+
+const timeZone = 'America/New_York';
+const now = new Date('2026-10-21T15:00:00Z'); // Wednesday morning in New York, 11 days before DST ends
+const newYearsEve = new Date('2026-12-31T12:00:00Z');
+
+// [start, end) of the only phrase in a message
+function range(text, clock = now) {
+  const phrases = resolveDatePhrases(text, timeZone, clock);
+  assert.equal(phrases.length, 1, `one phrase in "${text}"`);
+  return [phrases[0].start, phrases[0].end];
+}
+
+test('days and parts of the day resolve on the user clock', () => {
+  assert.deepEqual(range('lunch tomorrow'), ['2026-10-22T00:00:00-04:00', '2026-10-23T00:00:00-04:00']);
+  assert.deepEqual(range('the day after tomorrow'), ['2026-10-23T00:00:00-04:00', '2026-10-24T00:00:00-04:00']);
+  assert.deepEqual(range('tomorrow morning'), ['2026-10-22T06:00:00-04:00', '2026-10-22T12:00:00-04:00']);
+  assert.deepEqual(range('tonight'), ['2026-10-21T18:00:00-04:00', '2026-10-22T00:00:00-04:00']);
+  assert.deepEqual(range('in 3 days'), ['2026-10-24T00:00:00-04:00', '2026-10-25T00:00:00-04:00']);
+  assert.deepEqual(range('2 weeks ago'), ['2026-10-07T00:00:00-04:00', '2026-10-08T00:00:00-04:00']);
+  assert.deepEqual(range('the next three days'), ['2026-10-21T00:00:00-04:00', '2026-10-24T00:00:00-04:00']);
+  assert.deepEqual(range('the past 2 weeks'), ['2026-10-07T00:00:00-04:00', '2026-10-22T00:00:00-04:00']);
+});
+
+test('weekdays: this is the current week, next is next week, a bare weekday is the next one from today', () => {
+  assert.deepEqual(range('this Friday'), ['2026-10-23T00:00:00-04:00', '2026-10-24T00:00:00-04:00']);
+  assert.deepEqual(range('next Friday'), ['2026-10-30T00:00:00-04:00', '2026-10-31T00:00:00-04:00']);
+  assert.deepEqual(range('last Friday'), ['2026-10-16T00:00:00-04:00', '2026-10-17T00:00:00-04:00']);
+  assert.deepEqual(range('Wednesday'), ['2026-10-21T00:00:00-04:00', '2026-10-22T00:00:00-04:00']);
+  assert.deepEqual(range('on Monday'), ['2026-10-26T00:00:00-04:00', '2026-10-27T00:00:00-04:00']);
+  assert.deepEqual(range('this weekend'), ['2026-10-24T00:00:00-04:00', '2026-10-26T00:00:00-04:00']);
+});
+
+test('weeks start on Monday and months and years end at the next one, across DST and the year end', () => {
+  assert.deepEqual(range('this week'), ['2026-10-19T00:00:00-04:00', '2026-10-26T00:00:00-04:00']);
+  assert.deepEqual(range('rest of the week'), ['2026-10-21T00:00:00-04:00', '2026-10-26T00:00:00-04:00']);
+  assert.deepEqual(range('last week'), ['2026-10-12T00:00:00-04:00', '2026-10-19T00:00:00-04:00']);
+  assert.deepEqual(range('next week'), ['2026-10-26T00:00:00-04:00', '2026-11-02T00:00:00-05:00']);
+  assert.deepEqual(range('next month'), ['2026-11-01T00:00:00-04:00', '2026-12-01T00:00:00-05:00']);
+  assert.deepEqual(range('last month'), ['2026-09-01T00:00:00-04:00', '2026-10-01T00:00:00-04:00']);
+  assert.deepEqual(range('this year'), ['2026-01-01T00:00:00-05:00', '2027-01-01T00:00:00-05:00']);
+
+  assert.deepEqual(range('tomorrow', newYearsEve), ['2027-01-01T00:00:00-05:00', '2027-01-02T00:00:00-05:00']);
+  assert.deepEqual(range('next week', newYearsEve), ['2027-01-04T00:00:00-05:00', '2027-01-11T00:00:00-05:00']);
+  assert.deepEqual(range('next month', newYearsEve), ['2027-01-01T00:00:00-05:00', '2027-02-01T00:00:00-05:00']);
+  assert.deepEqual(range('next year', newYearsEve), ['2027-01-01T00:00:00-05:00', '2028-01-01T00:00:00-05:00']);
+});
+
+test('calendar dates without a year are the next one from today; impossible dates are skipped', () => {
+  assert.deepEqual(range('December 25'), ['2026-12-25T00:00:00-05:00', '2026-12-26T00:00:00-05:00']);
+  assert.deepEqual(range('March 5th'), ['2027-03-05T00:00:00-05:00', '2027-03-06T00:00:00-05:00']);
+  assert.deepEqual(range('the 5th of November'), ['2026-11-05T00:00:00-05:00', '2026-11-06T00:00:00-05:00']);
+  assert.deepEqual(resolveDatePhrases('Feb 30', timeZone, now), []);
+});
+
+test('annotateMessage appends the resolved ranges in message order', () => {
+  assert.equal(annotateMessage('Thanks!', timeZone, now), 'Thanks!');
+  assert.equal(
+    annotateMessage('Move Friday to tomorrow', timeZone, now),
+    'Move Friday to tomorrow\n\n[Resolved dates (America/New_York, end exclusive): ' +
+      '"Friday" = 2026-10-23T00:00:00-04:00 to 2026-10-24T00:00:00-04:00; ' +
+      '"tomorrow" = 2026-10-22T00:00:00-04:00 to 2026-10-23T00:00:00-04:00]'
+  );
+});
+
+test('validateDateArguments rejects times without an offset and widens plain range dates to whole days', () => {
+  const noOffset = validateDateArguments('create_calendar_event', {
+    startTime: '2026-10-22T15:00:00',
+    endTime: '2026-10-22T16:00:00-04:00'
+  }, timeZone);
+  assert.match(noOffset.error, /startTime "2026-10-22T15:00:00" has no UTC offset/);
+
+  const dateOnly = validateDateArguments('update_calendar_event', { startTime: '2026-10-22' }, timeZone);
+  assert.match(dateOnly.error, /must include a time/);
+
+  const backwards = validateDateArguments('create_calendar_event', {
+    startTime: '2026-10-22T16:00:00-04:00',
+    endTime: '2026-10-22T15:00:00-04:00'
+  }, timeZone);
+  assert.equal(backwards.error, 'endTime must be after startTime');
+
+  const days = validateDateArguments('find_free_slots', { timeMin: '2026-10-22', timeMax: '2026-10-23', duration: 60 }, timeZone);
+  assert.equal(days.error, undefined);
+  assert.deepEqual(days.params, { timeMin: '2026-10-22T00:00:00-04:00', timeMax: '2026-10-24T00:00:00-04:00', duration: 60 });
+  assert.equal(days.corrections.length, 2);
+
+  assert.equal(validateDateArguments('create_task', { title: 'Invoice', due: '2026-10-22' }, timeZone).error, undefined);
+  assert.match(validateDateArguments('list_tasks', { timeMin: 'next week' }, timeZone).error, /^timeMin must be an ISO 8601/);
+});
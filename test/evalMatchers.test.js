@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers/env.js';
+import { resolveDay, resolveTime, matchArgument, scoreCase } from '../eval/matchers.js';
+
+const now = new Date('2026-03-07T15:00:00Z'); // Saturday morning in New York, a day before DST starts
+const context = { timeZone: 'America/New_York', now };
+
+test('resolveDay and resolveTime place relative times on the dataset clock', () => {
+  assert.equal(resolveDay('today', context.timeZone, now), '2026-03-07');
+  assert.equal(resolveDay('+2d', context.timeZone, now), '2026-03-09');
+  assert.equal(resolveTime('tomorrow 15:00', context.timeZone, now).toISOString(), '2026-03-08T19:00:00.000Z');
+  assert.throws(() => resolveTime('next week', context.timeZone, now), /Invalid relative/);
+});
+
+test('matchArgument compares instants, days, substrings and attendee emails', () => {
+  assert.ok(matchArgument({ at: 'tomorrow 15:00' }, '2026-03-08T15:00:00-04:00', context));
+  assert.ok(matchArgument({ at: 'tomorrow 15:00' }, '2026-03-08T19:00:00Z', context));
+  assert.ok(!matchArgument({ at: 'tomorrow 15:00' }, '2026-03-08T15:00:00-05:00', context));
+  assert.ok(matchArgument({ date: 'tomorrow' }, '2026-03-08', context));
+  assert.ok(matchArgument({ date: 'tomorrow' }, '2026-03-08T23:00:00-04:00', context));
+  assert.ok(matchArgument({ includes: 'Roadmap' }, 'Q3 roadmap review', context));
+  assert.ok(matchArgument({ emails: ['Bob@example.com'] }, [{ email: 'bob@example.com' }, 'carol@example.com'], context));
+  assert.ok(matchArgument({ exists: false }, undefined, context));
+  assert.ok(matchArgument(' Standup ', 'standup', context));
+  assert.ok(matchArgument(60, 60, context));
+  assert.ok(!matchArgument(60, '60', context));
+});
+
+test('scoreCase finds expected calls in order and counts unexpected actions', () => {
+  const expect = {
+    toolCalls: [{ name: 'update_calendar_event', arguments: { eventId: 'evt-1', startTime: { at: 'tomorrow 16:00' } } }]
+  };
+  const lookup = { name: 'list_calendar_events', params: {} };
+  const update = { name: 'update_calendar_event', params: { eventId: 'evt-1', startTime: '2026-03-08T16:00:00-04:00' } };
+
+  const passed = scoreCase(expect, { toolCalls: [lookup, update], message: null }, context);
+  assert.equal(passed.passed, true);
+  assert.equal(passed.score, 1);
+
+  const wrongTime = scoreCase(expect, { toolCalls: [{ ...update, params: { ...update.params, startTime: '2026-03-08T17:00:00-04:00' } }] }, context);
+  assert.equal(wrongTime.passed, false);
+  assert.equal(wrongTime.score, 3 / 4);
+
+  const clarification = scoreCase({ toolCalls: [] }, { toolCalls: [update], message: null }, context);
+  assert.equal(clarification.score, 0);
+});
@@ -0,0 +1,8 @@
+// Imported before any src module: only the fake providers, no log transport worker, no Redis
+process.env.LLM_PROVIDERS = 'fake';
+process.env.TRANSCRIPTION_PROVIDERS = 'fake';
+process.env.NODE_ENV = 'production';
+process.env.LOG_LEVEL = 'silent';
+delete process.env.REDIS_URL;
+delete process.env.LOG_DB;
+delete process.env.USE_LOGGER;
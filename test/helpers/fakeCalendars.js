@@ -0,0 +1,198 @@
+import { registerProvider, getProvider } from '../../src/providers/index.js';
+import { toCalendarEvent, toTask } from '../../src/providers/models.js';
+
+/**
+ * In-memory Google and Outlook providers with the adapter signatures of src/providers/index.js.
+ * They are registered under the real IDs (and read the same g-axs-tk / o-axs-tk headers), so routes,
+ * calendarService, availability and undo go through them unchanged, and keep the real OAuth settings so
+ * stored credentials fill them in. A token is valid when it was added with addAccount; events and tasks
+ * live in per-provider maps.
+ */
+
+let nextId = 1;
+
+function overlaps(event, timeMin, timeMax) {
+  const start = new Date(event.start.dateTime || event.start.date).getTime();
+  const end = new Date(event.end.dateTime || event.end.date).getTime();
+  return (!timeMin || end > new Date(timeMin).getTime()) && (!timeMax || start < new Date(timeMax).getTime());
+}
+
+function toEventTime(dateTime) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(dateTime) ? { date: dateTime } : { dateTime };
+}
+
+function createFakeProvider(id) {
+  const accounts = new Map();
+  const accountIds = new Map();
+  const events = new Map();
+  const tasks = new Map();
+  const busy = new Map();
+
+  const store = {
+    id,
+    events,
+    tasks,
+    addAccount(token, email, accountId = `${id}-${email}`) {
+      accounts.set(token, email);
+      accountIds.set(token, accountId);
+    },
+    addEvent(fields) {
+      const event = toCalendarEvent(id, { id: fields.id || `${id}-event-${nextId++}`, ...fields });
+      events.set(event.id, event);
+      return event;
+    },
+    addTask(fields) {
+      const task = toTask(id, { id: fields.id || `${id}-task-${nextId++}`, status: 'needsAction', ...fields });
+      tasks.set(task.id, task);
+      return task;
+    },
+    // Busy intervals of other people, for attendee availability
+    setBusy(email, intervals) {
+      busy.set(email, intervals);
+    },
+    reset() {
+      accounts.clear();
+      accountIds.clear();
+      events.clear();
+      tasks.clear();
+      busy.clear();
+    }
+  };
+
+  const checkToken = (token) => accounts.has(token);
+
+  const calendar = {
+    async getEvents(token, filters = {}) {
+      if (!checkToken(token)) return { success: false, error: 'Invalid token' };
+      const query = filters.q?.toLowerCase();
+      const list = [...events.values()]
+        .filter(event => overlaps(event, filters.timeMin, filters.timeMax))
+        .filter(event => !query || event.summary.toLowerCase().includes(query))
+        .filter(event => !filters.calendarId || event.calendarId === filters.calendarId)
+        .slice(0, filters.maxResults || Infinity);
+      return { success: true, events: structuredClone(list) };
+    },
+    async getEvent(token, eventId) {
+      if (!checkToken(token)) return { success: false, error: 'Invalid token' };
+      const event = events.get(eventId);
+      return event ? { success: true, event: structuredClone(event) } : { success: false, error: 'Event not found' };
+    },
+    async createEvent(token, eventData) {
+      if (!checkToken(token)) return { success: false, error: 'Invalid token' };
+      const event = store.addEvent({
+        summary: eventData.summary,
+        description: eventData.description,
+        start: toEventTime(eventData.startTime),
+        end: toEventTime(eventData.endTime),
+        attendees: eventData.attendees,
+        recurrence: eventData.recurrence ? [eventData.recurrence] : undefined,
+        calendarId: eventData.calendarId || undefined
+      });
+      return { success: true, event: structuredClone(event) };
+    },
+    async updateEvent(token, eventId, eventData) {
+      if (!checkToken(token)) return { success: false, error: 'Invalid token' };
+      const previous = events.get(eventId);
+      if (!previous) return { success: false, error: 'Event not found' };
+      const event = toCalendarEvent(id, {
+        ...previous,
+        summary: eventData.summary ?? previous.summary,
+        description: eventData.description ?? previous.description,
+        start: eventData.startTime ? toEventTime(eventData.startTime) : previous.start,
+        end: eventData.endTime ? toEventTime(eventData.endTime) : previous.end,
+        attendees: eventData.attendees ?? previous.attendees
+      });
+      events.set(eventId, event);
+      return { success: true, event: structuredClone(event), previousEvent: structuredClone(previous), scope: eventData.scope };
+    },
+    async deleteEvent(token, eventId, options = {}) {
+      if (!checkToken(token)) return { success: false, error: 'Invalid token' };
+      const event = events.get(eventId);
+      if (!event) return { success: false, error: 'Event not found' };
+      events.delete(eventId);
+      return { success: true, event, message: 'Event deleted successfully', scope: options.scope };
+    },
+    async listCalendars(token) {
+      if (!checkToken(token)) return { success: false, error: 'Invalid token' };
+      return { success: true, calendars: [{ id: 'primary', name: `${accounts.get(token)} (${id})`, primary: true, canEdit: true }] };
+    },
+    async getBusyTimes(token, emails) {
+      if (!checkToken(token)) return { success: false, error: 'Invalid token' };
+      return { success: true, schedules: Object.fromEntries(emails.map(email => [email, { busy: busy.get(email) || [] }])) };
+    },
+    async getUserInfo(token) {
+      if (!checkToken(token)) return { success: false, error: 'Invalid token' };
+      return { success: true, email: accounts.get(token), userId: accountIds.get(token) };
+    }
+  };
+
+  const tasksAdapter = {
+    async getTasks(token, filters = {}) {
+      if (!checkToken(token)) return { success: false, error: 'Invalid token' };
+      const list = [...tasks.values()].filter(task =>
+        !task.due || ((!filters.timeMin || task.due >= filters.timeMin) && (!filters.timeMax || task.due <= filters.timeMax))
+      );
+      return { success: true, tasks: structuredClone(list) };
+    },
+    async createTask(token, taskData) {
+      if (!checkToken(token)) return { success: false, error: 'Invalid token' };
+      if (!taskData?.title) return { success: false, error: 'Task title is required' };
+      const task = store.addTask({ title: taskData.title, notes: taskData.notes, due: taskData.due });
+      return { success: true, task: structuredClone(task) };
+    },
+    async updateTask(token, taskId, taskData) {
+      if (!checkToken(token)) return { success: false, error: 'Invalid token' };
+      const previous = tasks.get(taskId);
+      if (!previous) return { success: false, error: 'Task not found' };
+      const task = toTask(id, {
+        ...previous,
+        title: taskData.title ?? previous.title,
+        notes: taskData.notes ?? previous.notes,
+        due: taskData.due === undefined ? previous.due : taskData.due
+      });
+      tasks.set(taskId, task);
+      return { success: true, task: structuredClone(task), previousTask: structuredClone(previous) };
+    },
+    async deleteTask(token, taskId) {
+      if (!checkToken(token)) return { success: false, error: 'Invalid token' };
+      const task = tasks.get(taskId);
+      if (!task) return { success: false, error: 'Task not found' };
+      tasks.delete(taskId);
+      return { success: true, task, message: 'Task deleted successfully' };
+    }
+  };
+
+  return { store, calendar, tasks: tasksAdapter };
+}
+
+const google = createFakeProvider('google');
+const outlook = createFakeProvider('outlook');
+
+registerProvider({
+  id: 'google',
+  name: 'Google',
+  readToken: (headers) => headers['g-axs-tk'] || null,
+  calendar: google.calendar,
+  tasks: google.tasks,
+  oauth: getProvider('google').oauth
+});
+
+registerProvider({
+  id: 'outlook',
+  name: 'Outlook',
+  readToken: (headers) => headers['o-axs-tk'] || null,
+  calendar: outlook.calendar,
+  tasks: outlook.tasks,
+  oauth: getProvider('outlook').oauth
+});
+
+export const fakeGoogle = google.store;
+export const fakeOutlook = outlook.store;
+
+/**
+ * Empty both fake providers
+ */
+export function resetCalendars() {
+  fakeGoogle.reset();
+  fakeOutlook.reset();
+}
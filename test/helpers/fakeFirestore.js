@@ -0,0 +1,115 @@
+import { db } from '../../src/config/firebase.js';
+
+/**
+ * In-memory stand-in for the Firestore calls the services make (doc get/set/update/delete,
+ * collection get with orderBy/limit, transactions). It replaces the methods on the shared
+ * `db` instance, so services run unchanged and no credentials or emulator are needed.
+ */
+
+export const store = new Map();
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+}
+
+// Firestore's { merge: true }: nested maps are merged, everything else replaced
+function deepMerge(target, source) {
+  const merged = { ...target };
+  for (const [key, value] of Object.entries(source)) {
+    merged[key] = isPlainObject(value) && isPlainObject(target?.[key]) ? deepMerge(target[key], value) : value;
+  }
+  return merged;
+}
+
+function snapshot(path) {
+  return {
+    id: path.split('/').pop(),
+    exists: store.has(path),
+    data: () => (store.has(path) ? structuredClone(store.get(path)) : undefined)
+  };
+}
+
+function write(path, data, options = {}) {
+  const clean = Object.fromEntries(Object.entries(structuredClone(data)).filter(([, value]) => value !== undefined));
+  if (options.merge) {
+    store.set(path, deepMerge(store.get(path) || {}, clean));
+  } else if (options.mergeFields) {
+    store.set(path, { ...(store.get(path) || {}), ...clean });
+  } else {
+    store.set(path, clean);
+  }
+}
+
+function update(path, data) {
+  if (!store.has(path)) {
+    throw new Error(`No document to update: ${path}`);
+  }
+  store.set(path, { ...store.get(path), ...structuredClone(data) });
+}
+
+function docRef(path) {
+  return {
+    id: path.split('/').pop(),
+    path,
+    collection: (name) => collectionRef(`${path}/${name}`),
+    get: async () => snapshot(path),
+    set: async (data, options) => write(path, data, options),
+    update: async (data) => update(path, data),
+    delete: async () => {
+      store.delete(path);
+    }
+  };
+}
+
+function collectionRef(path, query = {}) {
+  return {
+    path,
+    doc: (id) => docRef(`${path}/${id}`),
+    orderBy: (field, direction = 'asc') => collectionRef(path, { ...query, orderBy: { field, direction } }),
+    limit: (count) => collectionRef(path, { ...query, limit: count }),
+    get: async () => {
+      let docs = [...store.keys()]
+        .filter(key => key.startsWith(`${path}/`) && !key.slice(path.length + 1).includes('/'))
+        .map(snapshot);
+      if (query.orderBy) {
+        const { field, direction } = query.orderBy;
+        const sign = direction === 'desc' ? -1 : 1;
+        docs.sort((a, b) => (a.data()[field] > b.data()[field] ? sign : -sign));
+      }
+      docs = docs.slice(0, query.limit ?? Infinity);
+      return { docs, empty: docs.length === 0, size: docs.length };
+    }
+  };
+}
+
+// Writes are applied when the transaction function resolves, like a Firestore commit
+async function runTransaction(fn) {
+  const writes = [];
+  const result = await fn({
+    get: async (ref) => snapshot(ref.path),
+    set: (ref, data, options) => writes.push(() => write(ref.path, data, options)),
+    update: (ref, data) => writes.push(() => update(ref.path, data)),
+    delete: (ref) => writes.push(() => store.delete(ref.path))
+  });
+  writes.forEach(apply => apply());
+  return result;
+}
+
+db.collection = (name) => collectionRef(name);
+db.runTransaction = runTransaction;
+
+/**
+ * Remove every document (call between tests)
+ */
+export function resetFirestore() {
+  store.clear();
+}
+
+/**
+ * Read a document's data by path, e.g. 'users/a@b.co/configs/limits'
+ * @param {string} path
+ * @returns {Object|undefined}
+ */
+export function getDocument(path) {
+  return store.has(path) ? structuredClone(store.get(path)) : undefined;
+}
@@ -0,0 +1,90 @@
+import { registerLlmProvider } from '../../src/providers/llm.js';
+
+/**
+ * Scripted LLM and transcription provider, registered in src/providers/llm.js as "fake".
+ * Each chat call replays the next scripted step, so agent loops are deterministic:
+ *   scriptLlm([
+ *     { toolCalls: [{ name: 'list_calendar_events', arguments: { timeMin, timeMax } }] },
+ *     { content: 'You have one meeting.' }
+ *   ]);
+ * A step can also be a function of the request messages that returns a step.
+ * Streamed calls pass the content to onDelta in word-sized pieces.
+ */
+
+let steps = [];
+let transcripts = [];
+let callCount = 0;
+
+/** Requests the fake LLM received, in order ({ messages, tools }) */
+export const llmRequests = [];
+
+/**
+ * Replace the chat script
+ * @param {Array<Object|Function>} script - Steps: { content?, toolCalls?: [{ name, arguments, id? }], error? }
+ */
+export function scriptLlm(script) {
+  steps = [...script];
+}
+
+/**
+ * Replace the transcription script (one text per uploaded recording)
+ * @param {string[]} texts
+ */
+export function scriptTranscriptions(texts) {
+  transcripts = [...texts];
+}
+
+/**
+ * Clear scripts and recorded requests
+ */
+export function resetLlm() {
+  steps = [];
+  transcripts = [];
+  llmRequests.length = 0;
+}
+
+registerLlmProvider({
+  id: 'fake',
+  name: 'Scripted LLM',
+  chat: {
+    isConfigured: () => true,
+    async complete(request, onDelta) {
+      llmRequests.push(structuredClone(request));
+      let step = steps.shift();
+      if (typeof step === 'function') {
+        step = step(request.messages);
+      }
+      if (!step) {
+        return { success: false, error: 'Fake LLM script is exhausted' };
+      }
+      if (step.error) {
+        return { success: false, error: step.error };
+      }
+
+      const content = step.content ?? null;
+      if (content && onDelta) {
+        content.split(/(?<= )/).forEach(piece => onDelta(piece));
+      }
+      const toolCalls = (step.toolCalls || []).map(call => ({
+        id: call.id || `call_${++callCount}`,
+        type: 'function',
+        function: { name: call.name, arguments: JSON.stringify(call.arguments || {}) }
+      }));
+
+      return {
+        success: true,
+        message: { content, tool_calls: toolCalls.length > 0 ? toolCalls : undefined },
+        usage: { promptTokens: 100, completionTokens: 10, totalTokens: 110 }
+      };
+    }
+  },
+  transcription: {
+    isConfigured: () => true,
+    async transcribe() {
+      const text = transcripts.shift();
+      return text === undefined
+        ? { success: false, error: 'Fake transcription script is exhausted' }
+        : { success: true, text, seconds: 3 };
+    }
+  }
+});
@@ -0,0 +1,105 @@
+import './env.js';
+import { resetFirestore } from './fakeFirestore.js';
+import { fakeGoogle, fakeOutlook, resetCalendars } from './fakeCalendars.js';
+import { resetLlm } from './fakeLlm.js';
+import app from '../../src/app.js';
+
+/**
+ * Starts the real Express app on a random port, backed by the in-memory fakes.
+ * Every test file imports this module first, so the fakes are in place before the routes load.
+ */
+
+export const USER = {
+  email: 'alice@example.com',
+  googleToken: 'google-token-alice',
+  outlookToken: 'outlook-token-alice',
+  timeZone: 'UTC'
+};
+
+/**
+ * Listen on a free port
+ * @returns {Promise<{baseUrl: string, close: () => Promise<void>}>}
+ */
+export function startServer() {
+  return new Promise((resolve) => {
+    const server = app.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      resolve({
+        baseUrl: `http://127.0.0.1:${port}`,
+        close: () => new Promise(done => {
+          server.closeAllConnections();
+          server.close(() => done());
+        })
+      });
+    });
+  });
+}
+
+/**
+ * Empty every fake and sign USER in to both calendars
+ */
+export function resetAll() {
+  resetFirestore();
+  resetCalendars();
+  resetLlm();
+  fakeGoogle.addAccount(USER.googleToken, USER.email);
+  fakeOutlook.addAccount(USER.outlookToken, USER.email);
+}
+
+/**
+ * Request headers for USER
+ * @param {Object} [options]
+ * @param {boolean} [options.outlook=true] - Also send the Outlook token
+ * @returns {Object}
+ */
+export function authHeaders({ outlook = true } = {}) {
+  return {
+    'g-axs-tk': USER.googleToken,
+    ...(outlook ? { 'o-axs-tk': USER.outlookToken } : {}),
+    'x-device-timezone': USER.timeZone
+  };
+}
+
+/**
+ * JSON request against the test server
+ * @param {string} baseUrl
+ * @param {string} method
+ * @param {string} path
+ * @param {Object} [body]
+ * @param {Object} [headers] - Defaults to authHeaders()
+ * @returns {Promise<{status: number, body: Object, headers: Headers}>}
+ */
+export async function request(baseUrl, method, path, body, headers = authHeaders()) {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: { ...headers, ...(body ? { 'Content-Type': 'application/json' } : {}) },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: response.status, body: await response.json(), headers: response.headers };
+}
+
+/**
+ * Read a whole SSE response into its events
+ * @param {Response} response
+ * @returns {Promise<Object[]>}
+ */
+export async function readEvents(response) {
+  const text = await response.text();
+  return text
+    .split('\n')
+    .filter(line => line.startsWith('data: '))
+    .map(line => JSON.parse(line.slice('data: '.length)));
+}
+
+/**
+ * ISO time on the next day in UTC, e.g. tomorrowAt(14) for 2pm tomorrow
+ * @param {number} hour
+ * @param {number} [minute=0]
+ * @returns {string}
+ */
+export function tomorrowAt(hour, minute = 0) {
+  const date = new Date();
+  date.setUTCDate(date.getUTCDate() + 1);
+  date.setUTCHours(hour, minute, 0, 0);
+  return date.toISOString().replace('.000Z', 'Z');
+}
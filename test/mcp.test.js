@@ -0,0 +1,42 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, resetAll, authHeaders, USER } from './helpers/server.js';
+import { getDocument } from './helpers/fakeFirestore.js';
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server.close();
+});
+
+beforeEach(() => {
+  resetAll();
+});
+
+function postMcp(body) {
+  return fetch(`${server.baseUrl}/api/mcp`, {
+    method: 'POST',
+    headers: { ...authHeaders(), 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream' },
+    body: JSON.stringify(body)
+  });
+}
+
+const toolCall = (id) => ({ jsonrpc: '2.0', id, method: 'tools/call', params: { name: 'list_calendars', arguments: {} } });
+
+test('POST /api/mcp meters each tools/call in a batch', async () => {
+  const response = await postMcp([toolCall(1), toolCall(2), toolCall(3), { jsonrpc: '2.0', id: 4, method: 'tools/list' }]);
+  await response.text();
+
+  assert.equal(getDocument(`users/${USER.email}/configs/limits`).daily.units, 3);
+});
+
+test('POST /api/mcp leaves handshakes unmetered', async () => {
+  const response = await postMcp({ jsonrpc: '2.0', id: 1, method: 'tools/list' });
+  await response.text();
+
+  assert.equal(getDocument(`users/${USER.email}/configs/limits`), undefined);
+});
@@ -0,0 +1,51 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers/env.js';
+import { registerPrompt, resolvePromptVersion, renderPrompt } from '../src/prompts/index.js';
+
+registerPrompt('test-a', { render: () => 'prompt a' });
+registerPrompt('test-b', { render: () => 'prompt b' });
+
+const users = Array.from({ length: 400 }, (_, index) => `user${index}@example.com`);
+
+afterEach(() => {
+  delete process.env.PROMPT_VERSION;
+  delete process.env.PROMPT_EXPERIMENT;
+});
+
+test('the default version is PROMPT_VERSION, else v1', () => {
+  assert.equal(resolvePromptVersion('alice@example.com'), 'v1');
+  process.env.PROMPT_VERSION = 'test-a';
+  assert.equal(resolvePromptVersion('alice@example.com'), 'test-a');
+  process.env.PROMPT_VERSION = 'missing';
+  assert.equal(resolvePromptVersion('alice@example.com'), 'v1');
+});
+
+test('a registered requested version wins over the experiment', () => {
+  process.env.PROMPT_EXPERIMENT = 'test-a:100';
+  assert.equal(resolvePromptVersion('alice@example.com', 'test-b'), 'test-b');
+  assert.equal(resolvePromptVersion('alice@example.com', 'missing'), 'test-a');
+});
+
+test('PROMPT_EXPERIMENT splits users by weight and keeps each user in one cohort', () => {
+  process.env.PROMPT_EXPERIMENT = 'test-a:50,test-b:50';
+  const versions = users.map(email => resolvePromptVersion(email));
+  const shareA = versions.filter(version => version === 'test-a').length / users.length;
+  assert.ok(shareA > 0.35 && shareA < 0.65, `share of test-a was ${shareA}`);
+  assert.deepEqual(users.map(email => resolvePromptVersion(email.toUpperCase())), versions);
+
+  process.env.PROMPT_EXPERIMENT = 'test-a:1,test-b:1';
+  assert.deepEqual(users.map(email => resolvePromptVersion(email)), versions);
+});
+
+test('unknown experiment arms are skipped', () => {
+  process.env.PROMPT_EXPERIMENT = 'missing:50,test-b:50';
+  assert.ok(users.every(email => resolvePromptVersion(email) === 'test-b'));
+  process.env.PROMPT_EXPERIMENT = 'missing:100';
+  assert.equal(resolvePromptVersion('alice@example.com'), 'v1');
+});
+
+test('renderPrompt falls back to the default version', () => {
+  assert.deepEqual(renderPrompt('test-b', {}), { version: 'test-b', content: 'prompt b' });
+  assert.equal(renderPrompt('missing', { timezoneInfo: {} }).version, 'v1');
+});
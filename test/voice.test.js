@@ -0,0 +1,248 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, resetAll, authHeaders, request, readEvents, tomorrowAt, USER } from './helpers/server.js';
+import { fakeGoogle } from './helpers/fakeCalendars.js';
+import { scriptLlm, scriptTranscriptions, llmRequests } from './helpers/fakeLlm.js';
+import { setUserPlan } from '../src/services/quotaService.js';
+import { registerPrompt } from '../src/prompts/index.js';
+import { store } from './helpers/fakeFirestore.js';
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server.close();
+});
+
+beforeEach(() => {
+  resetAll();
+});
+
+const createStandup = () => ({
+  toolCalls: [{
+    name: 'create_calendar_event',
+    arguments: {
+      summary: 'Standup',
+      startTime: tomorrowAt(9),
+      endTime: tomorrowAt(9, 30),
+      attendees: [{ email: 'bob@example.com' }],
+      calendar: 'google'
+    }
+  }]
+});
+
+test('POST /api/voice/command previews a new event, /execute creates it and /undo removes it', async () => {
+  scriptLlm([createStandup()]);
+
+  const command = await request(server.baseUrl, 'POST', '/api/voice/command', { text: 'Standup with Bob tomorrow at 9' });
+  assert.equal(command.status, 200);
+  assert.equal(command.body.needsConfirmation, true);
+  assert.equal(command.body.actions.length, 1);
+  assert.equal(command.body.action.type, 'create_calendar_event');
+  assert.ok(command.body.pendingActionId);
+  assert.equal(fakeGoogle.events.size, 0, 'nothing is written before confirmation');
+
+  const execute = await request(server.baseUrl, 'POST', '/api/voice/execute', {
+    pendingActionId: command.body.pendingActionId,
+    confirmed: true
+  });
+  assert.equal(execute.status, 200);
+  assert.equal(execute.body.success, true);
+  assert.ok(execute.body.undoId);
+  const [event] = fakeGoogle.events.values();
+  assert.equal(event.summary, 'Standup');
+  assert.equal(new Date(event.start.dateTime).toISOString(), new Date(tomorrowAt(9)).toISOString());
+
+  const again = await request(server.baseUrl, 'POST', '/api/voice/execute', {
+    pendingActionId: command.body.pendingActionId,
+    confirmed: true
+  });
+  assert.notEqual(again.status, 200, 'a preview can only be executed once');
+  assert.equal(fakeGoogle.events.size, 1);
+
+  const undo = await request(server.baseUrl, 'POST', '/api/voice/undo', { undoId: execute.body.undoId });
+  assert.equal(undo.status, 200);
+  assert.equal(undo.body.success, true);
+  assert.equal(fakeGoogle.events.size, 0);
+});
+
+test('POST /api/voice/undo restores an all-day event that was moved to a time', async () => {
+  const day = tomorrowAt(0).slice(0, 10);
+  const nextDay = new Date(Date.parse(`${day}T00:00:00Z`) + 86400000).toISOString().slice(0, 10);
+  const offsite = fakeGoogle.addEvent({ summary: 'Offsite', start: { date: day }, end: { date: nextDay } });
+  scriptLlm([{
+    toolCalls: [{
+      name: 'update_calendar_event',
+      arguments: { eventId: offsite.id, startTime: tomorrowAt(9), endTime: tomorrowAt(17), calendar: 'google' }
+    }]
+  }]);
+
+  const command = await request(server.baseUrl, 'POST', '/api/voice/command', { text: 'Make the offsite 9 to 5 tomorrow' });
+  const execute = await request(server.baseUrl, 'POST', '/api/voice/execute', {
+    pendingActionId: command.body.pendingActionId,
+    confirmed: true
+  });
+  assert.equal(execute.status, 200);
+  assert.ok(fakeGoogle.events.get(offsite.id).start.dateTime);
+
+  const undo = await request(server.baseUrl, 'POST', '/api/voice/undo', { undoId: execute.body.undoId });
+  assert.equal(undo.status, 200);
+  const restored = fakeGoogle.events.get(offsite.id);
+  assert.deepEqual(restored.start, { date: day });
+  assert.deepEqual(restored.end, { date: nextDay });
+});
+
+test('POST /api/voice/execute with confirmed: false cancels the preview', async () => {
+  scriptLlm([createStandup()]);
+  const command = await request(server.baseUrl, 'POST', '/api/voice/command', { text: 'Standup with Bob tomorrow at 9' });
+
+  const execute = await request(server.baseUrl, 'POST', '/api/voice/execute', {
+    pendingActionId: command.body.pendingActionId,
+    confirmed: false
+  });
+  assert.equal(execute.body.cancelled, true);
+  assert.equal(fakeGoogle.events.size, 0);
+});
+
+test('POST /api/voice/execute rejects edited times without a UTC offset', async () => {
+  scriptLlm([createStandup()]);
+  const command = await request(server.baseUrl, 'POST', '/api/voice/command', { text: 'Standup with Bob tomorrow at 9' });
+
+  for (const startTime of [tomorrowAt(10).replace('Z', ''), 'Oct 20']) {
+    const execute = await request(server.baseUrl, 'POST', '/api/voice/execute', {
+      pendingActionId: command.body.pendingActionId,
+      confirmed: true,
+      decisions: [{ index: 0, approved: true, edits: { startTime } }]
+    });
+    assert.equal(execute.status, 400);
+    assert.match(execute.body.error, /startTime/);
+  }
+  assert.equal(fakeGoogle.events.size, 0);
+
+  const execute = await request(server.baseUrl, 'POST', '/api/voice/execute', {
+    pendingActionId: command.body.pendingActionId,
+    confirmed: true,
+    decisions: [{ index: 0, approved: true, edits: { startTime: tomorrowAt(10).replace('Z', '+00:00') } }]
+  });
+  assert.equal(execute.status, 200);
+  const [event] = fakeGoogle.events.values();
+  assert.equal(new Date(event.end.dateTime).toISOString(), new Date(tomorrowAt(10, 30)).toISOString());
+});
+
+test('POST /api/voice/command runs read-only tools and returns the answer', async () => {
+  fakeGoogle.addEvent({
+    summary: 'Dentist',
+    start: { dateTime: tomorrowAt(15) },
+    end: { dateTime: tomorrowAt(16) }
+  });
+  scriptLlm([
+    { toolCalls: [{ name: 'list_calendar_events', arguments: { timeMin: tomorrowAt(0), timeMax: tomorrowAt(23, 59) } }] },
+    (messages) => {
+      const toolMessage = messages.find(message => message.role === 'tool');
+      return { content: toolMessage.content.includes('Dentist') ? 'You have the dentist at 3pm.' : 'Nothing tomorrow.' };
+    }
+  ]);
+
+  const command = await request(server.baseUrl, 'POST', '/api/voice/command', { text: 'What do I have tomorrow?' });
+  assert.equal(command.status, 200);
+  assert.equal(command.body.executed, true);
+  assert.equal(command.body.response, 'You have the dentist at 3pm.');
+  assert.equal(llmRequests.length, 2);
+});
+
+test('POST /api/voice/command passes a question back as a clarification', async () => {
+  scriptLlm([{ content: 'Who should I invite?' }]);
+
+  const command = await request(server.baseUrl, 'POST', '/api/voice/command', { text: 'Book a meeting tomorrow' });
+  assert.equal(command.body.needsClarification, true);
+  assert.equal(command.body.response, 'Who should I invite?');
+  assert.equal(command.body.conversationHistory.at(-1).content, 'Who should I invite?');
+});
+
+test('POST /api/voice/command flags a conflict with an existing event', async () => {
+  fakeGoogle.addEvent({
+    summary: 'Design review',
+    start: { dateTime: tomorrowAt(9) },
+    end: { dateTime: tomorrowAt(10) }
+  });
+  scriptLlm([createStandup()]);
+
+  const command = await request(server.baseUrl, 'POST', '/api/voice/command', { text: 'Standup with Bob tomorrow at 9' });
+  assert.equal(command.body.needsConfirmation, true);
+  assert.ok(command.body.action.conflict, 'preview carries the conflicting event');
+});
+
+test('POST /api/voice/stream sends usage, tool progress and deltas, and ends with done', async () => {
+  scriptLlm([
+    { toolCalls: [{ name: 'list_tasks', arguments: {} }] },
+    { content: 'You have no tasks.' }
+  ]);
+
+  const response = await fetch(`${server.baseUrl}/api/voice/stream`, {
+    method: 'POST',
+    headers: { ...authHeaders(), 'Content-Type': 'application/json' },
+    body: JSON.stringify({ text: 'What are my tasks?' })
+  });
+  assert.equal(response.headers.get('content-type'), 'text/event-stream');
+  const events = await readEvents(response);
+  const types = events.map(event => event.type);
+
+  assert.equal(types[0], 'usage');
+  assert.equal(types.at(-1), 'done');
+  assert.ok(types.indexOf('tool_call_started') < types.indexOf('tool_result'));
+  assert.ok(types.indexOf('tool_result') < types.indexOf('delta'));
+  const text = events.filter(event => event.type === 'delta').map(event => event.text).join('');
+  assert.equal(text, 'You have no tasks.');
+  assert.equal(events.find(event => event.type === 'response').response, 'You have no tasks.');
+});
+
+test('POST /api/voice/stream transcribes an audio upload', async () => {
+  scriptTranscriptions(['Am I free tomorrow?']);
+  scriptLlm([{ content: 'Yes, your day is clear.' }]);
+
+  const form = new FormData();
+  form.append('audio', new Blob([Buffer.alloc(2048)], { type: 'audio/m4a' }), 'command.m4a');
+  const response = await fetch(`${server.baseUrl}/api/voice/stream`, {
+    method: 'POST',
+    headers: authHeaders(),
+    body: form
+  });
+  const events = await readEvents(response);
+
+  assert.equal(events.find(event => event.type === 'transcription').text, 'Am I free tomorrow?');
+  assert.ok(llmRequests[0].messages.at(-1).content.startsWith('Am I free tomorrow?'));
+  assert.equal(events.at(-1).type, 'done');
+});
+
+test('x-prompt-version selects the system prompt and is kept with the preview', async () => {
+  registerPrompt('test-v2', { render: ({ primaryCalendar }) => `Test prompt for ${primaryCalendar}` });
+  scriptLlm([createStandup()]);
+
+  const command = await request(server.baseUrl, 'POST', '/api/voice/command', { text: 'Standup with Bob tomorrow at 9' }, {
+    ...authHeaders(),
+    'x-prompt-version': 'test-v2'
+  });
+  assert.equal(llmRequests[0].messages[0].content, 'Test prompt for google');
+  const pending = store.get(`users/${USER.email}/pendingActions/${command.body.pendingActionId}`);
+  assert.equal(pending.metadata.prompt_version, 'test-v2');
+});
+
+test('metered endpoints refuse requests once the quota is used up', async () => {
+  await setUserPlan(USER.email, 'free', { daily: { units: 0 } });
+
+  const command = await request(server.baseUrl, 'POST', '/api/voice/command', { text: 'Anything' });
+  assert.equal(command.body.success, false);
+  assert.equal(command.body.error, 'Rate limit exceeded');
+  assert.equal(llmRequests.length, 0);
+
+  const response = await fetch(`${server.baseUrl}/api/voice/stream`, {
+    method: 'POST',
+    headers: { ...authHeaders(), 'Content-Type': 'application/json' },
+    body: JSON.stringify({ text: 'Anything' })
+  });
+  const types = (await readEvents(response)).map(event => event.type);
+  assert.deepEqual(types, ['usage', 'response', 'done']);
+});